@@ -119,6 +119,7 @@ export async function fetchConversations(params = {}) {
     if (params.projectId) searchParams.set('project_id', params.projectId);
     if (params.since) searchParams.set('since', params.since);
     if (params.hasErrors) searchParams.set('has_errors', 'true');
+    if (params.finding) searchParams.set('finding', params.finding);
     if (params.page) searchParams.set('page', params.page);
     if (params.limit) searchParams.set('limit', params.limit);
 
@@ -139,6 +140,9 @@ export async function fetchConversation(id) {
 export async function fetchConversationEntries(id, params = {}) {
     const searchParams = new URLSearchParams();
     if (params.role) searchParams.set('role', params.role);
+    if (params.kind) searchParams.set('kind', params.kind);
+    if (params.sidechain !== undefined) searchParams.set('sidechain', params.sidechain);
+    if (params.blocks) searchParams.set('blocks', 'true');
     if (params.page) searchParams.set('page', params.page);
     if (params.limit) searchParams.set('limit', params.limit);
 
@@ -146,6 +150,60 @@ export async function fetchConversationEntries(id, params = {}) {
     return fetchJson(`${API_BASE}/conversations/${id}/entries${query ? '?' + query : ''}`);
 }
 
+/**
+ * Get conversation events (summaries, compactions, hook and system notices)
+ */
+export async function fetchConversationEvents(id, params = {}) {
+    const searchParams = new URLSearchParams();
+    if (params.kind) searchParams.set('kind', params.kind);
+
+    const query = searchParams.toString();
+    return fetchJson(`${API_BASE}/conversations/${id}/events${query ? '?' + query : ''}`);
+}
+
+/**
+ * Get the resume/continue chain a conversation belongs to
+ */
+export async function fetchConversationChain(id, params = {}) {
+    const searchParams = new URLSearchParams();
+    if (params.page) searchParams.set('page', params.page);
+    if (params.limit) searchParams.set('limit', params.limit);
+
+    const query = searchParams.toString();
+    return fetchJson(`${API_BASE}/conversations/${id}/chain${query ? '?' + query : ''}`);
+}
+
+/**
+ * Get conversation as a message tree (main thread plus subagent threads)
+ */
+export async function fetchConversationTree(id) {
+    return fetchJson(`${API_BASE}/conversations/${id}/tree`);
+}
+
+/**
+ * Open a live event stream for a conversation (Server-Sent Events).
+ * Entries stored after `params.after` (an entry id) are replayed first.
+ */
+export function openConversationStream(id, params = {}) {
+    const searchParams = new URLSearchParams();
+    if (params.after) searchParams.set('after', params.after);
+    if (params.types) searchParams.set('types', params.types.join(','));
+
+    const query = searchParams.toString();
+    return new EventSource(`${API_BASE}/conversations/${id}/stream${query ? '?' + query : ''}`);
+}
+
+/**
+ * Open the live activity stream across all conversations (Server-Sent Events)
+ */
+export function openActivityStream(params = {}) {
+    const searchParams = new URLSearchParams();
+    if (params.types) searchParams.set('types', params.types.join(','));
+
+    const query = searchParams.toString();
+    return new EventSource(`${API_BASE}/conversations/stream${query ? '?' + query : ''}`);
+}
+
 /**
  * Get conversation artifacts
  */
@@ -168,6 +226,20 @@ export async function fetchConversationStats(id) {
     return fetchJson(`${API_BASE}/conversations/${id}/stats`);
 }
 
+/**
+ * Get the redaction report for a conversation
+ */
+export async function fetchConversationRedactions(id) {
+    return fetchJson(`${API_BASE}/conversations/${id}/redactions`);
+}
+
+/**
+ * Get loop and thrashing findings for a conversation
+ */
+export async function fetchConversationFindings(id) {
+    return fetchJson(`${API_BASE}/conversations/${id}/findings`);
+}
+
 /**
  * Search artifacts
  */
@@ -182,6 +254,25 @@ export async function searchArtifacts(query, params = {}) {
     return fetchJson(`${API_BASE}/artifacts/search?${searchParams.toString()}`);
 }
 
+/**
+ * Full-text search over conversation entries and artifacts
+ */
+export async function search(query, params = {}) {
+    const searchParams = new URLSearchParams();
+    searchParams.set('q', query);
+    if (params.scope) searchParams.set('scope', params.scope);
+    if (params.projectId) searchParams.set('project_id', params.projectId);
+    if (params.conversationId) searchParams.set('conversation_id', params.conversationId);
+    if (params.role) searchParams.set('role', params.role);
+    if (params.toolName) searchParams.set('tool_name', params.toolName);
+    if (params.type) searchParams.set('type', params.type);
+    if (params.since) searchParams.set('since', params.since);
+    if (params.page) searchParams.set('page', params.page);
+    if (params.limit) searchParams.set('limit', params.limit);
+
+    return fetchJson(`${API_BASE}/search?${searchParams.toString()}`);
+}
+
 /**
  * Get artifact stats
  */
@@ -189,6 +280,27 @@ export async function fetchArtifactStats() {
     return fetchJson(`${API_BASE}/artifacts/stats`);
 }
 
+/**
+ * Get an artifact's full output as text, including outputs kept in the blob store
+ */
+export async function fetchArtifactOutput(id) {
+    try {
+        const response = await fetch(`${API_BASE}/artifacts/${id}/output`);
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.message || `HTTP ${response.status}`);
+        }
+
+        return await response.text();
+    } catch (err) {
+        if (err.message === 'Failed to fetch') {
+            throw new Error('Cannot connect to server');
+        }
+        throw err;
+    }
+}
+
 /**
  * Get config snapshots
  */
@@ -202,3 +314,52 @@ export async function fetchConfigSnapshots(params = {}) {
     const query = searchParams.toString();
     return fetchJson(`${API_BASE}/config-snapshots${query ? '?' + query : ''}`);
 }
+
+/**
+ * Upload transcripts for import. `formData` carries one or more `files`
+ * entries plus an optional `project_id` or `project_name`.
+ */
+export async function uploadImport(formData) {
+    try {
+        // Let the browser set the multipart boundary
+        const response = await fetch(`${API_BASE}/imports`, { method: 'POST', body: formData });
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.message || `HTTP ${response.status}`);
+        }
+
+        return await response.json();
+    } catch (err) {
+        if (err.message === 'Failed to fetch') {
+            throw new Error('Cannot connect to server');
+        }
+        throw err;
+    }
+}
+
+/**
+ * Get import jobs
+ */
+export async function fetchImports(params = {}) {
+    const searchParams = new URLSearchParams();
+    if (params.page) searchParams.set('page', params.page);
+    if (params.limit) searchParams.set('limit', params.limit);
+
+    const query = searchParams.toString();
+    return fetchJson(`${API_BASE}/imports${query ? '?' + query : ''}`);
+}
+
+/**
+ * Get an import job with per-file results
+ */
+export async function fetchImport(id) {
+    return fetchJson(`${API_BASE}/imports/${id}`);
+}
+
+/**
+ * Get projects that imports can be assigned to
+ */
+export async function fetchImportProjects() {
+    return fetchJson(`${API_BASE}/imports/projects`);
+}
@@ -6,16 +6,30 @@ import {
     fetchConversations,
     fetchConversation,
     fetchConversationEntries,
+    fetchConversationTree,
+    fetchConversationChain,
     fetchConversationArtifacts,
-    fetchConversationStats
+    fetchConversationStats,
+    fetchConversationRedactions,
+    fetchConversationFindings,
+    fetchArtifactOutput,
+    openConversationStream,
+    openActivityStream
 } from './api.js';
 
+const LIST_REFRESH_DELAY_MS = 1000;
+
 // State
 let selectedConversationId = null;
 let currentTab = 'entries';
 let conversationData = null;
 let entriesData = [];
+let treeData = null;
+let chainData = null;
 let artifactsData = [];
+let findingsData = [];
+let liveStream = null;
+let listRefreshTimer = null;
 
 // DOM Elements
 const convList = document.getElementById('convList');
@@ -23,6 +37,7 @@ const convDetail = document.getElementById('convDetail');
 const artifactPanel = document.getElementById('artifactPanel');
 const artifactContent = document.getElementById('artifactContent');
 const filterErrors = document.getElementById('filterErrors');
+const filterFinding = document.getElementById('filterFinding');
 const closeArtifact = document.getElementById('closeArtifact');
 const layout = document.querySelector('.conversations-layout');
 
@@ -30,11 +45,18 @@ const layout = document.querySelector('.conversations-layout');
 async function init() {
     await loadConversations();
     setupEventListeners();
+    watchActivity();
+
+    // Deep link from other pages: conversations.html#<conversation id>
+    if (location.hash.length > 1) {
+        selectConversation(parseInt(location.hash.slice(1)));
+    }
 }
 
 // Event Listeners
 function setupEventListeners() {
     filterErrors.addEventListener('change', () => loadConversations());
+    filterFinding.addEventListener('change', () => loadConversations());
     closeArtifact.addEventListener('click', hideArtifactPanel);
 }
 
@@ -47,6 +69,9 @@ async function loadConversations() {
         if (filterErrors.checked) {
             params.hasErrors = true;
         }
+        if (filterFinding.value) {
+            params.finding = filterFinding.value;
+        }
 
         const result = await fetchConversations(params);
         renderConversationList(result.data);
@@ -71,16 +96,20 @@ function renderConversationList(conversations) {
         return `
             <div class="conv-item ${conv.id === selectedConversationId ? 'selected' : ''}"
                  data-id="${conv.id}">
+                ${conv.title ? `<div class="conv-title">${escapeHtml(truncate(conv.title, 80))}</div>` : ''}
                 <div class="conv-item-header">
                     <span class="conv-date">${dateStr}</span>
                     <div class="conv-badges">
+                        ${conv.parent_conversation_id ? `<span class="chain-badge">${conv.chain_relation || 'resumed'}</span>` : ''}
                         ${conv.error_count > 0 ? `<span class="error-badge">${conv.error_count} errors</span>` : ''}
+                        ${conv.finding_count > 0 ? `<span class="finding-badge" title="Retry loops, oscillating edits or error streaks">${conv.finding_count} loops</span>` : ''}
                     </div>
                 </div>
                 <div class="conv-item-meta">
                     <span>${timeStr}</span>
                     <span>${conv.message_count} msgs</span>
                     <span>${conv.artifact_count} artifacts</span>
+                    ${conv.compaction_count > 0 ? `<span>${conv.compaction_count} compactions</span>` : ''}
                     ${duration ? `<span>${duration}</span>` : ''}
                 </div>
             </div>
@@ -106,25 +135,33 @@ async function selectConversation(id) {
     convDetail.innerHTML = '<div class="loading">Loading...</div>';
 
     try {
-        const [conv, entries, artifacts, stats] = await Promise.all([
+        const [conv, entries, tree, chain, artifacts, stats, redactions, findings] = await Promise.all([
             fetchConversation(id),
             fetchConversationEntries(id, { limit: 100 }),
+            fetchConversationTree(id),
+            fetchConversationChain(id, { limit: 100 }),
             fetchConversationArtifacts(id, { limit: 100 }),
-            fetchConversationStats(id)
+            fetchConversationStats(id),
+            fetchConversationRedactions(id),
+            fetchConversationFindings(id)
         ]);
 
         conversationData = conv;
         entriesData = entries.data;
+        treeData = tree;
+        chainData = chain.conversations.length > 1 ? chain : null;
         artifactsData = artifacts.data;
+        findingsData = findings.data;
 
-        renderConversationDetail(conv, stats);
+        renderConversationDetail(conv, stats, redactions);
+        followConversation(id);
     } catch (err) {
         convDetail.innerHTML = `<div class="error">Error: ${err.message}</div>`;
     }
 }
 
 // Render conversation detail
-function renderConversationDetail(conv, stats) {
+function renderConversationDetail(conv, stats, redactions) {
     const startDate = conv.started_at ? new Date(conv.started_at) : null;
     const dateStr = startDate ? formatDateTime(startDate) : 'Unknown';
     const duration = formatDuration(conv.duration_seconds);
@@ -135,15 +172,23 @@ function renderConversationDetail(conv, stats) {
 
     convDetail.innerHTML = `
         <div class="conv-detail-header">
-            <h2>Conversation ${conv.conversation_id?.slice(0, 8) || conv.id}</h2>
+            <h2>
+                ${conv.title ? escapeHtml(conv.title) : `Conversation ${conv.conversation_id?.slice(0, 8) || conv.id}`}
+                <span class="live-badge" id="liveBadge" hidden>Live</span>
+            </h2>
             <div class="conv-detail-meta">
                 <span>Started: ${dateStr}</span>
                 ${duration ? `<span>Duration: ${duration}</span>` : ''}
                 ${conv.git_branch ? `<span>Branch: ${conv.git_branch}</span>` : ''}
                 ${conv.model_used ? `<span>Model: ${conv.model_used}</span>` : ''}
+                ${conv.estimated_cost_usd ? `<span>Est. cost: $${conv.estimated_cost_usd.toFixed(2)}</span>` : ''}
+                ${stats?.latency?.overall ? `<span title="${escapeHtml(stats.latency.byTool.map(tool => `${tool.tool_name}: p50 ${formatLatency(tool.p50_ms)}, p95 ${formatLatency(tool.p95_ms)}`).join('\n'))}">Tool p95: ${formatLatency(stats.latency.overall.p95_ms)}</span>` : ''}
+                ${redactions?.total ? `<span title="${escapeHtml(Object.entries(redactions.byDetector).map(([name, count]) => `${name}: ${count}`).join(', '))}">Redacted: ${redactions.total}</span>` : ''}
             </div>
         </div>
 
+        ${renderFindings(findingsData)}
+
         <div class="conv-tabs">
             <button class="tab-btn ${currentTab === 'entries' ? 'active' : ''}" data-tab="entries">
                 Entries <span class="count">${entriesData.length}</span>
@@ -157,10 +202,15 @@ function renderConversationDetail(conv, stats) {
             <button class="tab-btn ${currentTab === 'errors' ? 'active' : ''}" data-tab="errors">
                 Errors <span class="count">${errors.length}</span>
             </button>
+            ${chainData ? `
+                <button class="tab-btn ${currentTab === 'chain' ? 'active' : ''}" data-tab="chain">
+                    Chain <span class="count">${chainData.conversations.length}</span>
+                </button>
+            ` : ''}
         </div>
 
         <div id="tabEntries" class="tab-content ${currentTab === 'entries' ? 'active' : ''}">
-            ${renderEntries(entriesData)}
+            ${treeData ? renderTree(treeData) : renderEntries(entriesData)}
         </div>
 
         <div id="tabTools" class="tab-content ${currentTab === 'tools' ? 'active' : ''}">
@@ -168,14 +218,25 @@ function renderConversationDetail(conv, stats) {
         </div>
 
         <div id="tabCode" class="tab-content ${currentTab === 'code' ? 'active' : ''}">
-            ${renderArtifacts(codeBlocks)}
+            ${renderCodeBlocks(codeBlocks)}
         </div>
 
         <div id="tabErrors" class="tab-content ${currentTab === 'errors' ? 'active' : ''}">
             ${renderArtifacts(errors)}
         </div>
+
+        ${chainData ? `
+            <div id="tabChain" class="tab-content ${currentTab === 'chain' ? 'active' : ''}">
+                ${renderChain(chainData)}
+            </div>
+        ` : ''}
     `;
 
+    // Chain session links
+    convDetail.querySelectorAll('.chain-session').forEach(item => {
+        item.addEventListener('click', () => selectConversation(parseInt(item.dataset.id)));
+    });
+
     // Tab click handlers
     convDetail.querySelectorAll('.tab-btn').forEach(btn => {
         btn.addEventListener('click', () => switchTab(btn.dataset.tab));
@@ -185,6 +246,30 @@ function renderConversationDetail(conv, stats) {
     convDetail.querySelectorAll('.artifact-item').forEach(item => {
         item.addEventListener('click', () => showArtifact(parseInt(item.dataset.id)));
     });
+
+    // Finding click handlers: open the first call of the loop
+    convDetail.querySelectorAll('.finding-item').forEach(item => {
+        item.addEventListener('click', () => {
+            switchTab('tools');
+            showArtifact(parseInt(item.dataset.artifactId));
+        });
+    });
+}
+
+// Render loop and thrashing findings above the tabs
+function renderFindings(findings) {
+    if (!findings.length) return '';
+
+    return `
+        <div class="findings-list">
+            ${findings.map(finding => `
+                <div class="finding-item ${finding.severity}" data-artifact-id="${finding.first_artifact_id}">
+                    <span class="finding-type">${formatFindingType(finding.finding_type)}</span>
+                    <span>${escapeHtml(finding.summary)}</span>
+                </div>
+            `).join('')}
+        </div>
+    `;
 }
 
 // Render entries
@@ -197,10 +282,21 @@ function renderEntries(entries) {
         const time = entry.timestamp ? formatTime(new Date(entry.timestamp)) : '';
         const content = truncate(entry.content, 500);
 
+        if (entry.kind === 'compact_boundary') {
+            return `
+                <div class="compact-marker">
+                    <span>${escapeHtml(entry.content)}</span>
+                    <span class="entry-time">${time}</span>
+                </div>
+            `;
+        }
+
+        const kind = entry.kind && entry.kind !== 'message' ? entry.kind.replace('_', ' ') : null;
+
         return `
-            <div class="entry-item">
+            <div class="entry-item ${entry.kind || ''}">
                 <div class="entry-header">
-                    <span class="entry-role ${entry.role}">${entry.role}</span>
+                    <span class="entry-role ${entry.role}">${kind || entry.role}</span>
                     <span class="entry-time">${time}</span>
                 </div>
                 <div class="entry-content">${escapeHtml(content)}</div>
@@ -209,6 +305,76 @@ function renderEntries(entries) {
     }).join('');
 }
 
+// Render conversation tree: main thread with subagent threads after the entry they branched from
+function renderTree(tree) {
+    if (!tree.main.length && !tree.threads.length) {
+        return '<div class="empty-state"><p>No entries</p></div>';
+    }
+
+    const anchored = new Map();
+    const unanchored = [];
+    const mainUuids = new Set(tree.main.map(entry => entry.entry_uuid).filter(Boolean));
+
+    for (const thread of tree.threads) {
+        if (thread.parentUuid && mainUuids.has(thread.parentUuid)) {
+            if (!anchored.has(thread.parentUuid)) anchored.set(thread.parentUuid, []);
+            anchored.get(thread.parentUuid).push(thread);
+        } else {
+            unanchored.push(thread);
+        }
+    }
+
+    const main = tree.main.map(entry => {
+        const threads = anchored.get(entry.entry_uuid) || [];
+        return renderEntries([entry]) + threads.map(renderThread).join('');
+    }).join('');
+
+    return main + unanchored.map(renderThread).join('');
+}
+
+// Render a resume/continue chain: its sessions, then all entries as one logical session
+function renderChain(chain) {
+    const sessions = chain.conversations.map(member => {
+        const started = member.started_at ? formatDateTime(new Date(member.started_at)) : 'Unknown';
+        const current = member.id === selectedConversationId ? 'current' : '';
+
+        return `
+            <div class="chain-session ${current}" data-id="${member.id}">
+                <span>${escapeHtml(member.title || member.conversation_id?.slice(0, 8) || String(member.id))}</span>
+                <span class="entry-time">${member.chain_relation || 'start'} &middot; ${started} &middot; ${member.message_count} msgs</span>
+            </div>
+        `;
+    }).join('');
+
+    const more = chain.totalEntries > chain.entries.length
+        ? `<div class="empty-state"><p>Showing ${chain.entries.length} of ${chain.totalEntries} entries</p></div>`
+        : '';
+
+    return `
+        <div class="chain-sessions">${sessions}</div>
+        ${renderEntries(chain.entries)}
+        ${more}
+    `;
+}
+
+// Render a subagent thread as a collapsible block
+function renderThread(thread) {
+    const label = thread.agentId ? `Subagent ${thread.agentId.slice(0, 8)}` : 'Sidechain';
+
+    return `
+        <details class="thread-item">
+            <summary class="thread-header">
+                <span class="thread-label">${escapeHtml(label)}</span>
+                <span class="entry-time">${thread.entries.length} entries</span>
+            </summary>
+            <div class="thread-body">
+                ${renderEntries(thread.entries)}
+                ${thread.threads.map(renderThread).join('')}
+            </div>
+        </details>
+    `;
+}
+
 // Render artifacts
 function renderArtifacts(artifacts) {
     if (!artifacts.length) {
@@ -218,16 +384,21 @@ function renderArtifacts(artifacts) {
     return artifacts.map(artifact => {
         const preview = artifact.content ? truncate(artifact.content, 100) : '';
         const isError = artifact.outcome === 'error';
+        const finding = findingsData.find(f => f.artifact_ids.includes(artifact.id));
 
         return `
-            <div class="artifact-item ${isError ? 'error' : ''}" data-id="${artifact.id}">
+            <div class="artifact-item ${isError ? 'error' : ''} ${finding ? 'in-finding' : ''}" data-id="${artifact.id}"
+                 ${finding ? `title="${escapeHtml(finding.summary)}"` : ''}>
                 <div class="artifact-header">
                     <div class="artifact-type">
                         <span class="artifact-type-badge ${artifact.artifact_type}">${formatArtifactType(artifact.artifact_type)}</span>
                         ${artifact.tool_name ? `<span class="artifact-tool">${artifact.tool_name}</span>` : ''}
                         ${artifact.language ? `<span class="artifact-tool">${artifact.language}</span>` : ''}
                     </div>
-                    ${artifact.outcome ? `<span class="artifact-outcome ${artifact.outcome}">${artifact.outcome}</span>` : ''}
+                    <div>
+                        ${artifact.latency_ms !== null && artifact.latency_ms !== undefined ? `<span class="artifact-latency">${formatLatency(artifact.latency_ms)}</span>` : ''}
+                        ${artifact.outcome ? `<span class="artifact-outcome ${artifact.outcome}">${artifact.outcome}</span>` : ''}
+                    </div>
                 </div>
                 <div class="artifact-preview">${escapeHtml(preview)}</div>
             </div>
@@ -235,6 +406,33 @@ function renderArtifacts(artifacts) {
     }).join('');
 }
 
+// Render code blocks grouped by the file they were written for
+function renderCodeBlocks(codeBlocks) {
+    if (!codeBlocks.some(block => block.file_path)) {
+        return renderArtifacts(codeBlocks);
+    }
+
+    const groups = new Map();
+    for (const block of codeBlocks) {
+        const key = block.file_path || '';
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(block);
+    }
+
+    // Snippets without a file go last
+    const ordered = [...groups].sort(([a], [b]) => (a === '') - (b === ''));
+
+    return ordered.map(([filePath, blocks]) => `
+        <div class="code-file-group">
+            <div class="code-file-header">
+                <span class="code-file-path">${filePath ? escapeHtml(filePath) : 'Other snippets'}</span>
+                <span class="entry-time">${blocks.length} ${blocks.length === 1 ? 'snippet' : 'snippets'}</span>
+            </div>
+            ${renderArtifacts(blocks)}
+        </div>
+    `).join('');
+}
+
 // Switch tabs
 function switchTab(tab) {
     currentTab = tab;
@@ -248,6 +446,80 @@ function switchTab(tab) {
     });
 }
 
+// Refresh the conversation list when any session receives new entries
+function watchActivity() {
+    const stream = openActivityStream({ types: ['conversation'] });
+
+    stream.addEventListener('conversation', () => {
+        clearTimeout(listRefreshTimer);
+        listRefreshTimer = setTimeout(loadConversations, LIST_REFRESH_DELAY_MS);
+    });
+}
+
+// Follow the selected conversation live: append new entries, tool calls and errors
+function followConversation(id) {
+    if (liveStream) liveStream.close();
+
+    const lastEntryId = Math.max(0, ...entriesData.map(entry => entry.id));
+    liveStream = openConversationStream(id, { after: lastEntryId });
+
+    liveStream.addEventListener('open', () => setLive(true));
+    liveStream.addEventListener('error', () => setLive(false));
+
+    liveStream.addEventListener('entry', (e) => {
+        const { entry } = JSON.parse(e.data);
+        if (entriesData.some(existing => existing.id === entry.id)) return;
+
+        entriesData.push(entry);
+        appendLive('tabEntries', renderEntries([entry]), 'entries', entriesData.length);
+    });
+
+    liveStream.addEventListener('tool_call', (e) => {
+        const event = JSON.parse(e.data);
+        appendLive('tabTools', renderLiveItem('Tool Call', event.toolName, event.input), 'tools');
+    });
+
+    liveStream.addEventListener('tool_error', (e) => {
+        const event = JSON.parse(e.data);
+        appendLive('tabErrors', renderLiveItem('Error', null, event.message, true), 'errors');
+    });
+}
+
+// Show or hide the live indicator
+function setLive(connected) {
+    const badge = document.getElementById('liveBadge');
+    if (badge) badge.hidden = !connected;
+}
+
+// Append live HTML to a tab and bump its count
+function appendLive(tabId, html, tab, count) {
+    const container = document.getElementById(tabId);
+    if (!container) return;
+
+    container.querySelector(':scope > .empty-state')?.remove();
+    container.insertAdjacentHTML('beforeend', html);
+    container.lastElementChild?.classList.add('live-new');
+
+    const counter = convDetail.querySelector(`.tab-btn[data-tab="${tab}"] .count`);
+    if (counter) counter.textContent = count ?? parseInt(counter.textContent) + 1;
+}
+
+// Render a tool call or error seen live, before artifacts are extracted
+function renderLiveItem(label, toolName, text, isError = false) {
+    return `
+        <div class="artifact-item ${isError ? 'error' : ''}">
+            <div class="artifact-header">
+                <div class="artifact-type">
+                    <span class="artifact-type-badge ${isError ? 'tool_result' : 'tool_call'}">${label}</span>
+                    ${toolName ? `<span class="artifact-tool">${escapeHtml(toolName)}</span>` : ''}
+                </div>
+                <span class="artifact-outcome pending">live</span>
+            </div>
+            <div class="artifact-preview">${escapeHtml(truncate(text, 100))}</div>
+        </div>
+    `;
+}
+
 // Show artifact detail
 function showArtifact(id) {
     const artifact = artifactsData.find(a => a.id === id);
@@ -266,6 +538,7 @@ function showArtifact(id) {
             <div style="margin-top: 12px;">
                 <span class="artifact-outcome ${artifact.outcome}">${artifact.outcome}</span>
                 ${artifact.error_type ? `<span style="margin-left: 8px; color: var(--text-secondary);">(${artifact.error_type})</span>` : ''}
+                ${artifact.latency_ms !== null && artifact.latency_ms !== undefined ? `<span style="margin-left: 8px; color: var(--text-secondary);">in ${formatLatency(artifact.latency_ms)}</span>` : ''}
             </div>
         ` : ''}
 
@@ -280,9 +553,10 @@ function showArtifact(id) {
             <div class="artifact-meta">
                 <h4 style="margin-bottom: 8px;">Output</h4>
                 <div class="artifact-full-content">
-                    <pre><code>${escapeHtml(artifact.output_full || artifact.output_summary)}</code></pre>
+                    <pre><code id="artifactOutput">${escapeHtml(artifact.output_full || artifact.output_summary)}</code></pre>
                 </div>
                 ${artifact.output_truncated ? `<div style="margin-top: 8px; color: var(--text-secondary); font-size: 0.8rem;">Output truncated (${formatBytes(artifact.output_size_bytes)} total)</div>` : ''}
+                ${artifact.output_blob_hash ? `<button class="load-output-btn" id="loadOutput">Load full output (${formatBytes(artifact.output_size_bytes)})</button>` : ''}
             </div>
         ` : ''}
 
@@ -300,6 +574,30 @@ function showArtifact(id) {
                 <span class="artifact-meta-label">Created:</span>
                 <span>${artifact.created_at}</span>
             </div>
+            ${artifact.file_path ? `
+                <div class="artifact-meta-item">
+                    <span class="artifact-meta-label">File:</span>
+                    <span>${escapeHtml(artifact.file_path)}</span>
+                </div>
+            ` : ''}
+            ${artifact.follow_up_action ? `
+                <div class="artifact-meta-item">
+                    <span class="artifact-meta-label">Then:</span>
+                    <span>${formatFollowUp(artifact)}</span>
+                </div>
+            ` : ''}
+            ${artifact.started_at ? `
+                <div class="artifact-meta-item">
+                    <span class="artifact-meta-label">Called:</span>
+                    <span>${artifact.started_at}</span>
+                </div>
+            ` : ''}
+            ${artifact.ended_at ? `
+                <div class="artifact-meta-item">
+                    <span class="artifact-meta-label">Result:</span>
+                    <span>${artifact.ended_at}</span>
+                </div>
+            ` : ''}
             ${artifact.metadata ? `
                 <div class="artifact-meta-item">
                     <span class="artifact-meta-label">Metadata:</span>
@@ -308,6 +606,24 @@ function showArtifact(id) {
             ` : ''}
         </div>
     `;
+
+    document.getElementById('loadOutput')?.addEventListener('click', () => loadFullOutput(artifact.id));
+}
+
+// Replace the output summary with the full output from the blob store
+async function loadFullOutput(id) {
+    const button = document.getElementById('loadOutput');
+    button.disabled = true;
+    button.textContent = 'Loading...';
+
+    try {
+        const output = await fetchArtifactOutput(id);
+        document.getElementById('artifactOutput').textContent = output;
+        button.remove();
+    } catch (err) {
+        button.disabled = false;
+        button.textContent = `Error: ${err.message}`;
+    }
 }
 
 // Hide artifact panel
@@ -340,6 +656,34 @@ function formatDuration(seconds) {
     return `${hours}h ${mins}m`;
 }
 
+function formatFollowUp(artifact) {
+    const labels = {
+        retry_same: 'Retried unchanged',
+        retry_modified: 'Retried with changes',
+        switched_tool: 'Switched tool',
+        asked_user: 'Asked the user',
+        gave_up: 'Gave up'
+    };
+    const label = labels[artifact.follow_up_action] || artifact.follow_up_action;
+    const next = artifactsData.find(a => a.id === artifact.follow_up_artifact_id);
+    return next ? `${label} (${escapeHtml(next.tool_name || '')}, ${next.outcome || 'pending'})` : label;
+}
+
+function formatLatency(ms) {
+    if (ms < 1000) return `${ms}ms`;
+    if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+    return formatDuration(Math.round(ms / 1000));
+}
+
+function formatFindingType(type) {
+    const map = {
+        'retry_loop': 'Retry loop',
+        'edit_oscillation': 'Oscillating edits',
+        'error_streak': 'Error streak'
+    };
+    return map[type] || type;
+}
+
 function formatBytes(bytes) {
     if (!bytes) return '0 B';
     const sizes = ['B', 'KB', 'MB'];
@@ -0,0 +1,233 @@
+/**
+ * Transcript Import
+ */
+
+import {
+    uploadImport,
+    fetchImports,
+    fetchImport,
+    fetchImportProjects
+} from './api.js';
+
+const POLL_INTERVAL_MS = 1500;
+
+// State
+let pollTimer = null;
+
+// DOM Elements
+const importForm = document.getElementById('importForm');
+const importFiles = document.getElementById('importFiles');
+const importProject = document.getElementById('importProject');
+const newProjectField = document.getElementById('newProjectField');
+const newProjectName = document.getElementById('newProjectName');
+const importSubmit = document.getElementById('importSubmit');
+const importStatus = document.getElementById('importStatus');
+const importHistory = document.getElementById('importHistory');
+
+// Initialize
+async function init() {
+    setupEventListeners();
+    await Promise.all([loadProjects(), loadHistory()]);
+}
+
+// Event Listeners
+function setupEventListeners() {
+    importProject.addEventListener('change', () => {
+        newProjectField.classList.toggle('hidden', importProject.value !== 'new');
+    });
+    importForm.addEventListener('submit', submitImport);
+    importHistory.addEventListener('click', (e) => {
+        const row = e.target.closest('[data-job-id]');
+        if (row) watchJob(parseInt(row.dataset.jobId));
+    });
+}
+
+// Load project choices
+async function loadProjects() {
+    try {
+        const result = await fetchImportProjects();
+        const options = result.data.map(project =>
+            `<option value="${project.id}">${escapeHtml(project.name || project.path)}</option>`
+        ).join('');
+        importProject.insertAdjacentHTML('beforeend', options);
+    } catch (err) {
+        importStatus.innerHTML = `<div class="error">Error loading projects: ${escapeHtml(err.message)}</div>`;
+    }
+}
+
+// Load recent import jobs
+async function loadHistory() {
+    try {
+        const result = await fetchImports({ limit: 20 });
+        renderHistory(result.data);
+    } catch (err) {
+        importHistory.innerHTML = `<div class="error">Error: ${escapeHtml(err.message)}</div>`;
+    }
+}
+
+// Upload the selected files
+async function submitImport(e) {
+    e.preventDefault();
+
+    if (!importFiles.files.length) {
+        importStatus.innerHTML = '<div class="error">Choose at least one file</div>';
+        return;
+    }
+
+    const formData = new FormData();
+    if (importProject.value === 'new') {
+        if (!newProjectName.value.trim()) {
+            importStatus.innerHTML = '<div class="error">Enter a name for the new project</div>';
+            return;
+        }
+        formData.append('project_name', newProjectName.value.trim());
+    } else if (importProject.value) {
+        formData.append('project_id', importProject.value);
+    }
+    for (const file of importFiles.files) {
+        formData.append('files', file, file.name);
+    }
+
+    importSubmit.disabled = true;
+    importStatus.innerHTML = '<div class="loading">Uploading...</div>';
+
+    try {
+        const job = await uploadImport(formData);
+        importForm.reset();
+        newProjectField.classList.add('hidden');
+        renderJob(job);
+        watchJob(job.id);
+        loadHistory();
+    } catch (err) {
+        importStatus.innerHTML = `<div class="error">Upload failed: ${escapeHtml(err.message)}</div>`;
+    } finally {
+        importSubmit.disabled = false;
+    }
+}
+
+// Poll a job until it finishes
+function watchJob(jobId) {
+    clearTimeout(pollTimer);
+
+    const poll = async () => {
+        try {
+            const job = await fetchImport(jobId);
+            renderJob(job);
+
+            if (job.status === 'queued' || job.status === 'running') {
+                pollTimer = setTimeout(poll, POLL_INTERVAL_MS);
+            } else {
+                loadHistory();
+            }
+        } catch (err) {
+            importStatus.innerHTML = `<div class="error">Error: ${escapeHtml(err.message)}</div>`;
+        }
+    };
+
+    poll();
+}
+
+// Render one job with its per-file results
+function renderJob(job) {
+    const done = job.files_imported + job.files_skipped + job.files_failed;
+
+    importStatus.innerHTML = `
+        <div class="import-job">
+            <div class="import-job-header">
+                <strong>Import #${job.id}</strong>
+                <span class="import-status status-${job.status}">${job.status}</span>
+                <span class="import-meta">
+                    ${job.project_name ? escapeHtml(job.project_name) + ' &middot; ' : ''}
+                    ${done}/${job.file_count} files &middot;
+                    ${job.files_imported} imported, ${job.files_skipped} skipped, ${job.files_failed} failed
+                </span>
+            </div>
+            <table class="import-files">
+                <thead>
+                    <tr>
+                        <th>File</th>
+                        <th>Status</th>
+                        <th>Format</th>
+                        <th>Entries</th>
+                        <th>Artifacts</th>
+                        <th>Conversations</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${job.files.map(renderFileRow).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+// Render a file result row
+function renderFileRow(file) {
+    const conversations = file.conversation_ids.map(id =>
+        `<a href="/conversations.html#${id}">#${id}</a>`
+    ).join(', ');
+
+    return `
+        <tr>
+            <td class="file-path" title="${escapeHtml(file.file_name)}">
+                ${escapeHtml(file.file_name)}
+                <div class="file-details">${formatBytes(file.size_bytes)}</div>
+                ${file.error ? `<div class="import-error">${escapeHtml(file.error)}</div>` : ''}
+            </td>
+            <td><span class="import-status status-${file.status}">${file.status}</span></td>
+            <td>${escapeHtml(file.format || '-')}</td>
+            <td>${file.new_entries}</td>
+            <td>${file.artifacts_extracted}</td>
+            <td>${conversations || '-'}</td>
+        </tr>
+    `;
+}
+
+// Render recent jobs
+function renderHistory(jobs) {
+    if (!jobs.length) {
+        importHistory.innerHTML = '<div class="no-changes">No imports yet</div>';
+        return;
+    }
+
+    importHistory.innerHTML = jobs.map(job => `
+        <div class="import-history-item" data-job-id="${job.id}">
+            <strong>#${job.id}</strong>
+            <span class="import-status status-${job.status}">${job.status}</span>
+            <span class="import-meta">
+                ${job.project_name ? escapeHtml(job.project_name) + ' &middot; ' : ''}
+                ${job.file_count} files &middot; ${job.files_imported} imported,
+                ${job.files_skipped} skipped, ${job.files_failed} failed
+            </span>
+            <span class="import-meta">${formatDateTime(new Date(job.created_at + 'Z'))}</span>
+        </div>
+    `).join('');
+}
+
+// Utility functions
+function formatDateTime(date) {
+    return date.toLocaleString('en-US', {
+        month: 'short', day: 'numeric', year: 'numeric',
+        hour: 'numeric', minute: '2-digit'
+    });
+}
+
+function formatBytes(bytes) {
+    if (!bytes) return '0 B';
+    const sizes = ['B', 'KB', 'MB'];
+    const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), sizes.length - 1);
+    return `${(bytes / Math.pow(1024, i)).toFixed(1)} ${sizes[i]}`;
+}
+
+function escapeHtml(str) {
+    if (!str) return '';
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+}
+
+// Start
+init();
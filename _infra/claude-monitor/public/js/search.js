@@ -0,0 +1,220 @@
+/**
+ * Search
+ */
+
+import { search } from './api.js';
+
+const PAGE_SIZE = 25;
+
+// Filters that narrow a search, keyed by their URL parameter
+const FILTERS = {
+    project_id: 'projectId',
+    role: 'role',
+    tool_name: 'toolName',
+    type: 'type'
+};
+
+// State
+let state = { q: '', scope: 'all', page: 1, filters: {} };
+
+// DOM Elements
+const searchForm = document.getElementById('searchForm');
+const searchQuery = document.getElementById('searchQuery');
+const searchScope = document.getElementById('searchScope');
+const searchFacets = document.getElementById('searchFacets');
+const searchSummary = document.getElementById('searchSummary');
+const searchResults = document.getElementById('searchResults');
+const searchPager = document.getElementById('searchPager');
+
+// Initialize
+function init() {
+    setupEventListeners();
+    readState();
+    if (state.q) runSearch();
+}
+
+// Event Listeners
+function setupEventListeners() {
+    searchForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        state = { q: searchQuery.value.trim(), scope: searchScope.value, page: 1, filters: {} };
+        runSearch();
+    });
+    searchFacets.addEventListener('click', (e) => {
+        const facet = e.target.closest('[data-filter]');
+        if (!facet) return;
+
+        const { filter, value } = facet.dataset;
+        if (state.filters[filter] === value) {
+            delete state.filters[filter];
+        } else {
+            state.filters[filter] = value;
+        }
+        state.page = 1;
+        runSearch();
+    });
+    searchPager.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-page]');
+        if (!button) return;
+
+        state.page = parseInt(button.dataset.page);
+        runSearch();
+        window.scrollTo(0, 0);
+    });
+}
+
+// Read the search from the URL, so results can be linked and reloaded
+function readState() {
+    const params = new URLSearchParams(location.search);
+    state.q = params.get('q') || '';
+    state.scope = params.get('scope') || 'all';
+    state.page = parseInt(params.get('page')) || 1;
+    for (const name of Object.keys(FILTERS)) {
+        if (params.get(name)) state.filters[name] = params.get(name);
+    }
+
+    searchQuery.value = state.q;
+    searchScope.value = state.scope;
+}
+
+// Write the search to the URL
+function writeState() {
+    const params = new URLSearchParams();
+    params.set('q', state.q);
+    if (state.scope !== 'all') params.set('scope', state.scope);
+    if (state.page > 1) params.set('page', state.page);
+    for (const [name, value] of Object.entries(state.filters)) {
+        params.set(name, value);
+    }
+    history.replaceState(null, '', `?${params.toString()}`);
+}
+
+// Run the current search
+async function runSearch() {
+    if (!state.q) return;
+    writeState();
+
+    searchResults.innerHTML = '<div class="loading">Searching...</div>';
+
+    const params = { scope: state.scope, page: state.page, limit: PAGE_SIZE };
+    for (const [name, value] of Object.entries(state.filters)) {
+        params[FILTERS[name]] = value;
+    }
+
+    try {
+        const result = await search(state.q, params);
+        renderSummary(result);
+        renderFacets(result.facets);
+        renderResults(result.data);
+        renderPager(result.total);
+    } catch (err) {
+        searchSummary.innerHTML = '';
+        searchFacets.innerHTML = '';
+        searchPager.innerHTML = '';
+        searchResults.innerHTML = `<div class="error">Error: ${escapeHtml(err.message)}</div>`;
+    }
+}
+
+// Render the hit count
+function renderSummary(result) {
+    const first = (state.page - 1) * PAGE_SIZE + 1;
+    const last = Math.min(state.page * PAGE_SIZE, result.total);
+
+    searchSummary.textContent = result.total
+        ? `${first}-${last} of ${result.total} matches`
+        : '';
+}
+
+// Render facet counts; clicking one filters by it, clicking again clears it
+function renderFacets(facets) {
+    const group = (title, filter, items, key, label) => {
+        if (!items.length) return '';
+
+        return `
+            <div class="facet-group">
+                <h3>${title}</h3>
+                ${items.map(item => {
+                    const value = String(item[key]);
+                    const active = state.filters[filter] === value;
+                    return `
+                        <div class="facet${active ? ' active' : ''}" data-filter="${filter}" data-value="${escapeHtml(value)}">
+                            <span class="facet-label">${escapeHtml(label(item))}</span>
+                            <span class="facet-count">${item.count}</span>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    };
+
+    searchFacets.innerHTML = [
+        group('Project', 'project_id', facets.projects.filter(p => p.project_id !== null), 'project_id', p => p.project_name || `#${p.project_id}`),
+        group('Role', 'role', facets.roles, 'role', r => r.role),
+        group('Tool', 'tool_name', facets.tools, 'tool_name', t => t.tool_name),
+        group('Artifact type', 'type', facets.types, 'artifact_type', t => t.artifact_type.replace(/_/g, ' '))
+    ].join('');
+}
+
+// Render the hits
+function renderResults(hits) {
+    if (!hits.length) {
+        searchResults.innerHTML = '<div class="no-changes">No matches</div>';
+        return;
+    }
+
+    // Snippets come back escaped, with matches wrapped in <mark>
+    searchResults.innerHTML = hits.map(hit => `
+        <div class="search-hit">
+            <div class="search-hit-header">
+                <span class="search-source source-${hit.source}">${hit.source === 'entry' ? 'message' : 'artifact'}</span>
+                ${hit.role ? `<span class="search-tag">${escapeHtml(hit.role)}</span>` : ''}
+                ${hit.artifact_type ? `<span class="search-tag">${escapeHtml(hit.artifact_type.replace(/_/g, ' '))}</span>` : ''}
+                ${hit.tool_name ? `<span class="search-tag">${escapeHtml(hit.tool_name)}</span>` : ''}
+                <a class="search-conversation" href="/conversations.html#${hit.conversation_id}">
+                    ${escapeHtml(hit.title || hit.session_id)}
+                </a>
+                <span class="search-meta">
+                    ${hit.project_name ? escapeHtml(hit.project_name) + ' &middot; ' : ''}
+                    ${hit.timestamp ? formatDateTime(new Date(hit.timestamp)) : ''}
+                </span>
+            </div>
+            <pre class="search-snippet">${hit.snippet || ''}</pre>
+        </div>
+    `).join('');
+}
+
+// Render previous/next page buttons
+function renderPager(total) {
+    const pages = Math.ceil(total / PAGE_SIZE);
+    if (pages <= 1) {
+        searchPager.innerHTML = '';
+        return;
+    }
+
+    searchPager.innerHTML = `
+        <button class="toggle-btn" data-page="${state.page - 1}" ${state.page <= 1 ? 'disabled' : ''}>Previous</button>
+        <span class="search-meta">Page ${state.page} of ${pages}</span>
+        <button class="toggle-btn" data-page="${state.page + 1}" ${state.page >= pages ? 'disabled' : ''}>Next</button>
+    `;
+}
+
+// Utility functions
+function formatDateTime(date) {
+    return date.toLocaleString('en-US', {
+        month: 'short', day: 'numeric', year: 'numeric',
+        hour: 'numeric', minute: '2-digit'
+    });
+}
+
+function escapeHtml(str) {
+    if (!str) return '';
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+}
+
+// Start
+init();
@@ -0,0 +1,162 @@
+import fs from 'fs';
+import logger from '../services/logService.js';
+
+/**
+ * Schema Migrations
+ *
+ * schema.sql only creates tables that are missing, so a column added to an
+ * existing table never reaches a database created before it. Startup runs
+ * migrate() on the open connection right after db.init() has executed
+ * schema.sql: every column listed here that a table lacks is added, then
+ * the indexes over those columns are created. schema.sql itself must not
+ * index these columns, as it runs while they may still be missing.
+ *
+ * When adding a column to a table in schema.sql, add it here too, and put
+ * any index on it in INDEXES. SQLite only adds columns that are nullable
+ * or have a constant default.
+ *
+ * `CREATE VIEW IF NOT EXISTS` keeps a view's old definition, and likewise
+ * for triggers, so the views and triggers schema.sql defines are dropped
+ * and schema.sql is run again to recreate them as currently defined.
+ * Neither holds data of its own; views and triggers schema.sql does not
+ * define are left alone.
+ */
+
+const SCHEMA_PATH = new URL('./schema.sql', import.meta.url);
+
+const COLUMNS = {
+    conversation_parse_state: [
+        ['last_byte_offset', 'INTEGER DEFAULT 0'],
+        ['partial_line', 'BLOB'],
+        ['file_inode', 'TEXT'],
+        ['file_size', 'INTEGER'],
+        ['conversation_id', 'INTEGER'],
+        ['last_line_offset', 'INTEGER'],
+        ['last_line_hash', 'TEXT'],
+        ['extracted_byte_offset', 'INTEGER DEFAULT 0']
+    ],
+    conversation_entries: [
+        ['entry_uuid', 'TEXT'],
+        ['parent_uuid', 'TEXT'],
+        ['is_sidechain', 'INTEGER NOT NULL DEFAULT 0'],
+        ['agent_id', 'TEXT'],
+        ['message_id', 'TEXT'],
+        ['model', 'TEXT'],
+        ['input_tokens', 'INTEGER'],
+        ['output_tokens', 'INTEGER'],
+        ['cache_creation_tokens', 'INTEGER'],
+        ['cache_read_tokens', 'INTEGER'],
+        ['kind', "TEXT NOT NULL DEFAULT 'message'"],
+        ['metadata', 'TEXT'],
+        ['is_replay', 'INTEGER NOT NULL DEFAULT 0'],
+        ['capture_source', "TEXT NOT NULL DEFAULT 'file'"],
+        ['parser_version', 'INTEGER']
+    ],
+    conversations: [
+        ['input_tokens', 'INTEGER DEFAULT 0'],
+        ['output_tokens', 'INTEGER DEFAULT 0'],
+        ['cache_creation_tokens', 'INTEGER DEFAULT 0'],
+        ['cache_read_tokens', 'INTEGER DEFAULT 0'],
+        ['estimated_cost_usd', 'REAL DEFAULT 0'],
+        ['title', 'TEXT'],
+        ['compaction_count', 'INTEGER DEFAULT 0'],
+        ['parent_conversation_id', 'INTEGER'],
+        ['chain_root_id', 'INTEGER'],
+        ['chain_relation', 'TEXT']
+    ],
+    artifacts: [
+        ['extractor_version', 'INTEGER'],
+        ['result_entry_id', 'INTEGER'],
+        ['started_at', 'TEXT'],
+        ['ended_at', 'TEXT'],
+        ['latency_ms', 'INTEGER'],
+        ['follow_up_artifact_id', 'INTEGER'],
+        ['output_blob_hash', 'TEXT'],
+        ['schema_fingerprint', 'TEXT'],
+        ['file_path', 'TEXT'],
+        ['global_hash', 'TEXT']
+    ],
+    import_files: [
+        ['archive_path', 'TEXT'],
+        ['archive_entry', 'TEXT']
+    ]
+};
+
+// Indexes over the columns above, created once the columns exist
+const INDEXES = [
+    ['idx_conv_parent', 'conversations(parent_conversation_id)'],
+    ['idx_conv_chain_root', 'conversations(chain_root_id)'],
+    ['idx_entries_kind', 'conversation_entries(kind)'],
+    ['idx_entries_uuid', 'conversation_entries(entry_uuid)'],
+    ['idx_entries_parent', 'conversation_entries(parent_uuid)'],
+    ['idx_entries_message', 'conversation_entries(conversation_id, message_id)'],
+    ['idx_entries_source', 'conversation_entries(conversation_id, capture_source)'],
+    ['idx_entries_parser_version', 'conversation_entries(conversation_id, parser_version)'],
+    ['idx_artifacts_extractor_version', 'artifacts(conversation_id, extractor_version)'],
+    ['idx_artifacts_latency', 'artifacts(tool_name, latency_ms)'],
+    ['idx_artifacts_output_blob', 'artifacts(output_blob_hash)'],
+    ['idx_artifacts_schema', 'artifacts(schema_fingerprint)'],
+    ['idx_artifacts_file', 'artifacts(conversation_id, file_path)'],
+    ['idx_artifacts_global_hash', 'artifacts(global_hash)']
+];
+
+/**
+ * Names of a table's columns, empty if the table does not exist
+ */
+function tableColumns(database, table) {
+    return database.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name);
+}
+
+/**
+ * Names of the views and triggers a schema defines
+ */
+function schemaDefinitions(schema) {
+    return [...schema.matchAll(/CREATE\s+(VIEW|TRIGGER)\s+IF\s+NOT\s+EXISTS\s+(\w+)/gi)]
+        .map(([, type, name]) => ({ type: type.toUpperCase(), name }));
+}
+
+/**
+ * Add the columns existing tables are missing, create their indexes and
+ * recreate the views and triggers of schema.sql.
+ * Returns the number of columns added.
+ */
+function migrate(database) {
+    let added = 0;
+
+    for (const [table, columns] of Object.entries(COLUMNS)) {
+        const existing = tableColumns(database, table);
+        if (!existing.length) continue;
+
+        for (const [name, definition] of columns) {
+            if (existing.includes(name)) continue;
+
+            database.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+            logger.info(`Added column ${table}.${name}`);
+            added++;
+        }
+    }
+
+    for (const [name, target] of INDEXES) {
+        database.exec(`CREATE INDEX IF NOT EXISTS ${name} ON ${target}`);
+    }
+
+    const schema = fs.readFileSync(SCHEMA_PATH, 'utf8');
+    for (const { type, name } of schemaDefinitions(schema)) {
+        database.exec(`DROP ${type} IF EXISTS ${name}`);
+    }
+    database.exec(schema);
+
+    return added;
+}
+
+export {
+    COLUMNS,
+    INDEXES,
+    migrate
+};
+
+export default {
+    COLUMNS,
+    INDEXES,
+    migrate
+};
@@ -0,0 +1,168 @@
+import { describe, test, expect, beforeEach } from 'bun:test';
+import { Database } from 'bun:sqlite';
+import fs from 'fs';
+import path from 'path';
+import { setupTestEnv } from '../test/helpers.js';
+
+setupTestEnv();
+const { migrate, COLUMNS, INDEXES } = await import('./migrations.js');
+
+const schema = fs.readFileSync(path.join(import.meta.dir, 'schema.sql'), 'utf8');
+
+// The capture tables as released before the columns in COLUMNS were added
+const EARLIER = ['conversations', 'conversation_entries', 'artifacts', 'conversation_parse_state'];
+const EARLIER_TABLES = `
+    CREATE TABLE conversations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        conversation_id TEXT UNIQUE,
+        project_id INTEGER,
+        source_file_path TEXT NOT NULL,
+        source_file_type TEXT NOT NULL,
+        started_at TEXT,
+        ended_at TEXT,
+        duration_seconds INTEGER,
+        message_count INTEGER DEFAULT 0,
+        model_used TEXT,
+        claude_code_version TEXT,
+        git_branch TEXT,
+        working_directory TEXT,
+        active_hooks TEXT,
+        config_snapshot_ids TEXT,
+        created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+    CREATE TABLE conversation_entries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        conversation_id INTEGER NOT NULL,
+        entry_hash TEXT NOT NULL,
+        entry_index INTEGER NOT NULL,
+        role TEXT NOT NULL,
+        content TEXT NOT NULL,
+        timestamp TEXT,
+        created_at TEXT NOT NULL DEFAULT (datetime('now')),
+        UNIQUE(conversation_id, entry_hash)
+    );
+    CREATE TABLE artifacts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        conversation_id INTEGER NOT NULL,
+        entry_id INTEGER,
+        artifact_type TEXT NOT NULL,
+        language TEXT,
+        tool_name TEXT,
+        content TEXT,
+        metadata TEXT,
+        content_hash TEXT,
+        outcome TEXT,
+        output_summary TEXT,
+        output_full TEXT,
+        output_size_bytes INTEGER,
+        output_truncated INTEGER DEFAULT 0,
+        error_type TEXT,
+        prompt_context TEXT,
+        follow_up_action TEXT,
+        created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+    CREATE TABLE conversation_parse_state (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        file_path TEXT UNIQUE NOT NULL,
+        last_line_number INTEGER DEFAULT 0,
+        last_entry_hash TEXT,
+        last_parsed_at TEXT,
+        created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+`;
+
+/**
+ * Open a database the way startup does: schema.sql, then migrate()
+ */
+function start(database) {
+    database.exec(schema);
+    return migrate(database);
+}
+
+const columns = (database, table) => database.prepare(`PRAGMA table_info(${table})`).all()
+    .map(column => column.name)
+    .sort();
+
+const definitions = (database) => database.prepare(`
+    SELECT type, name, sql FROM sqlite_master WHERE type IN ('index', 'view', 'trigger') ORDER BY type, name
+`).all();
+
+describe('migrate', () => {
+    let earlier;
+    let fresh;
+
+    beforeEach(() => {
+        earlier = new Database(':memory:');
+        earlier.exec(EARLIER_TABLES);
+        earlier.prepare(`
+            INSERT INTO conversations (conversation_id, source_file_path, source_file_type)
+            VALUES ('session-1', '/work/session-1.jsonl', 'jsonl')
+        `).run();
+        earlier.prepare(`
+            INSERT INTO conversation_entries (conversation_id, entry_hash, entry_index, role, content)
+            VALUES (1, 'hash-1', 0, 'user', 'hello')
+        `).run();
+
+        fresh = new Database(':memory:');
+        start(fresh);
+    });
+
+    test('brings a database created earlier up to the current schema', () => {
+        const added = start(earlier);
+
+        expect(added).toBe(EARLIER.flatMap(table => COLUMNS[table]).length);
+        for (const table of Object.keys(COLUMNS)) {
+            expect(columns(earlier, table)).toEqual(columns(fresh, table));
+        }
+        expect(definitions(earlier)).toEqual(definitions(fresh));
+    });
+
+    test('keeps existing rows and fills new columns with their defaults', () => {
+        start(earlier);
+
+        expect(earlier.prepare('SELECT content, kind, capture_source, is_replay FROM conversation_entries').get())
+            .toEqual({ content: 'hello', kind: 'message', capture_source: 'file', is_replay: 0 });
+        expect(earlier.prepare('SELECT compaction_count FROM conversations').get().compaction_count).toBe(0);
+    });
+
+    test('creates the indexes over migrated columns', () => {
+        start(earlier);
+
+        const names = earlier.prepare("SELECT name FROM sqlite_master WHERE type = 'index'").all().map(row => row.name);
+        for (const [name] of INDEXES) expect(names).toContain(name);
+    });
+
+    test('can run on every start', () => {
+        start(earlier);
+        expect(start(earlier)).toBe(0);
+        expect(definitions(earlier)).toEqual(definitions(fresh));
+    });
+
+    test('replaces outdated views and triggers of the schema and leaves others alone', () => {
+        earlier.exec(`
+            CREATE VIEW v_conversations_summary AS SELECT id FROM conversations;
+            CREATE VIEW v_local_report AS SELECT COUNT(*) AS total FROM conversations;
+            CREATE TRIGGER trg_local_audit AFTER INSERT ON conversations BEGIN SELECT 1; END;
+        `);
+        start(earlier);
+
+        const sql = (database, name) => database.prepare('SELECT sql FROM sqlite_master WHERE name = ?').get(name)?.sql;
+        expect(sql(earlier, 'v_conversations_summary')).toBe(sql(fresh, 'v_conversations_summary'));
+        expect(sql(earlier, 'v_local_report')).toContain('COUNT(*)');
+        expect(sql(earlier, 'trg_local_audit')).toContain('trg_local_audit');
+    });
+
+    test('adds columns to tables created earlier in this release', () => {
+        earlier.exec(`
+            CREATE TABLE import_files (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                job_id INTEGER NOT NULL,
+                file_name TEXT NOT NULL,
+                stored_path TEXT
+            );
+        `);
+        start(earlier);
+
+        expect(columns(earlier, 'import_files')).toEqual(expect.arrayContaining(['archive_path', 'archive_entry']));
+    });
+});
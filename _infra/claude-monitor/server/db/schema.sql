@@ -1,6 +1,10 @@
 -- ============================================================
 -- Claude Monitor Database Schema
 -- ============================================================
+-- Columns added to existing tables are also listed in migrations.js,
+-- which runs after this file at startup and adds them to tables created
+-- earlier. Indexes over those columns are created there, once the
+-- columns exist.
 
 -- Projects table: tracks all discovered projects
 CREATE TABLE IF NOT EXISTS projects (
@@ -80,18 +84,29 @@ CREATE TABLE IF NOT EXISTS conversations (
     project_id INTEGER,
     source_file_path TEXT NOT NULL,
     source_file_type TEXT NOT NULL,
+    title TEXT,
     started_at TEXT,
     ended_at TEXT,
     duration_seconds INTEGER,
     message_count INTEGER DEFAULT 0,
+    compaction_count INTEGER DEFAULT 0,
     model_used TEXT,
     claude_code_version TEXT,
     git_branch TEXT,
     working_directory TEXT,
+    parent_conversation_id INTEGER,
+    chain_root_id INTEGER,
+    chain_relation TEXT,
+    input_tokens INTEGER DEFAULT 0,
+    output_tokens INTEGER DEFAULT 0,
+    cache_creation_tokens INTEGER DEFAULT 0,
+    cache_read_tokens INTEGER DEFAULT 0,
+    estimated_cost_usd REAL DEFAULT 0,
     active_hooks TEXT,
     config_snapshot_ids TEXT,
     created_at TEXT NOT NULL DEFAULT (datetime('now')),
-    FOREIGN KEY (project_id) REFERENCES projects(id)
+    FOREIGN KEY (project_id) REFERENCES projects(id),
+    FOREIGN KEY (parent_conversation_id) REFERENCES conversations(id)
 );
 
 -- Conversation entries: individual messages with hash-based deduplication
@@ -101,13 +116,66 @@ CREATE TABLE IF NOT EXISTS conversation_entries (
     entry_hash TEXT NOT NULL,
     entry_index INTEGER NOT NULL,
     role TEXT NOT NULL,
+    kind TEXT NOT NULL DEFAULT 'message',
     content TEXT NOT NULL,
+    metadata TEXT,
     timestamp TEXT,
+    entry_uuid TEXT,
+    parent_uuid TEXT,
+    is_sidechain INTEGER NOT NULL DEFAULT 0,
+    agent_id TEXT,
+    is_replay INTEGER NOT NULL DEFAULT 0,
+    capture_source TEXT NOT NULL DEFAULT 'file',
+    message_id TEXT,
+    model TEXT,
+    input_tokens INTEGER,
+    output_tokens INTEGER,
+    cache_creation_tokens INTEGER,
+    cache_read_tokens INTEGER,
+    parser_version INTEGER,
     created_at TEXT NOT NULL DEFAULT (datetime('now')),
     FOREIGN KEY (conversation_id) REFERENCES conversations(id),
     UNIQUE(conversation_id, entry_hash)
 );
 
+-- Content blobs: images and documents from entries, stored once by hash
+CREATE TABLE IF NOT EXISTS content_blobs (
+    hash TEXT PRIMARY KEY,
+    media_type TEXT,
+    size_bytes INTEGER NOT NULL,
+    data BLOB NOT NULL,
+    created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+-- Output blobs: large tool outputs gzipped on disk, stored once by hash
+CREATE TABLE IF NOT EXISTS output_blobs (
+    hash TEXT PRIMARY KEY,
+    size_bytes INTEGER NOT NULL,
+    stored_bytes INTEGER NOT NULL,
+    compression TEXT NOT NULL DEFAULT 'gzip',
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    last_referenced_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+-- Entry blocks: typed content blocks (text, thinking, tool_use, image, ...) of each entry
+CREATE TABLE IF NOT EXISTS entry_blocks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    conversation_id INTEGER NOT NULL,
+    entry_id INTEGER NOT NULL,
+    block_index INTEGER NOT NULL,
+    kind TEXT NOT NULL,
+    text TEXT,
+    tool_name TEXT,
+    tool_use_id TEXT,
+    blob_hash TEXT,
+    metadata TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (conversation_id) REFERENCES conversations(id),
+    FOREIGN KEY (entry_id) REFERENCES conversation_entries(id),
+    FOREIGN KEY (blob_hash) REFERENCES content_blobs(hash),
+    UNIQUE(entry_id, block_index)
+);
+
 -- Artifacts: extracted structured content from conversations
 CREATE TABLE IF NOT EXISTS artifacts (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -122,14 +190,27 @@ CREATE TABLE IF NOT EXISTS artifacts (
     outcome TEXT,
     output_summary TEXT,
     output_full TEXT,
+    output_blob_hash TEXT,
     output_size_bytes INTEGER,
     output_truncated INTEGER DEFAULT 0,
     error_type TEXT,
     prompt_context TEXT,
     follow_up_action TEXT,
+    follow_up_artifact_id INTEGER,
+    extractor_version INTEGER,
+    result_entry_id INTEGER,
+    started_at TEXT,
+    ended_at TEXT,
+    latency_ms INTEGER,
+    schema_fingerprint TEXT,
+    file_path TEXT,
+    global_hash TEXT,
     created_at TEXT NOT NULL DEFAULT (datetime('now')),
     FOREIGN KEY (conversation_id) REFERENCES conversations(id),
-    FOREIGN KEY (entry_id) REFERENCES conversation_entries(id)
+    FOREIGN KEY (entry_id) REFERENCES conversation_entries(id),
+    FOREIGN KEY (result_entry_id) REFERENCES conversation_entries(id),
+    FOREIGN KEY (follow_up_artifact_id) REFERENCES artifacts(id),
+    FOREIGN KEY (output_blob_hash) REFERENCES output_blobs(hash)
 );
 
 -- Conversation parse state: track incremental parsing progress
@@ -138,8 +219,152 @@ CREATE TABLE IF NOT EXISTS conversation_parse_state (
     file_path TEXT UNIQUE NOT NULL,
     last_line_number INTEGER DEFAULT 0,
     last_entry_hash TEXT,
+    last_byte_offset INTEGER DEFAULT 0,
+    partial_line BLOB, -- No longer written; read once from rows of older versions
+    file_inode TEXT,
+    file_size INTEGER,
+    last_line_offset INTEGER,
+    last_line_hash TEXT,
+    conversation_id INTEGER,
+    extracted_byte_offset INTEGER DEFAULT 0, -- Start of the last turn artifacts were extracted from
     last_parsed_at TEXT,
-    created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (conversation_id) REFERENCES conversations(id)
+);
+
+-- Conversation resync events: files that no longer matched their parse state
+CREATE TABLE IF NOT EXISTS conversation_resync_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    conversation_id INTEGER,
+    file_path TEXT NOT NULL,
+    reason TEXT NOT NULL,
+    previous_size INTEGER,
+    current_size INTEGER,
+    entries_matched INTEGER DEFAULT 0,
+    entries_added INTEGER DEFAULT 0,
+    entries_retained INTEGER DEFAULT 0,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (conversation_id) REFERENCES conversations(id)
+);
+
+-- Redaction findings: secrets masked before storage, counted per conversation
+CREATE TABLE IF NOT EXISTS redaction_findings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    conversation_id INTEGER NOT NULL,
+    detector TEXT NOT NULL,
+    target TEXT NOT NULL,
+    match_count INTEGER NOT NULL DEFAULT 0,
+    first_seen_at TEXT NOT NULL DEFAULT (datetime('now')),
+    last_seen_at TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (conversation_id) REFERENCES conversations(id),
+    UNIQUE(conversation_id, detector, target)
+);
+
+-- Session findings: retry loops, oscillating edits and error streaks in tool calls
+CREATE TABLE IF NOT EXISTS session_findings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    conversation_id INTEGER NOT NULL,
+    finding_type TEXT NOT NULL CHECK (finding_type IN ('retry_loop', 'edit_oscillation', 'error_streak')),
+    severity TEXT NOT NULL DEFAULT 'warning' CHECK (severity IN ('warning', 'critical')),
+    tool_name TEXT,
+    target TEXT,
+    occurrences INTEGER NOT NULL DEFAULT 0,
+    artifact_ids TEXT NOT NULL,
+    first_artifact_id INTEGER,
+    last_artifact_id INTEGER,
+    started_at TEXT,
+    ended_at TEXT,
+    summary TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (conversation_id) REFERENCES conversations(id),
+    FOREIGN KEY (first_artifact_id) REFERENCES artifacts(id),
+    FOREIGN KEY (last_artifact_id) REFERENCES artifacts(id)
+);
+
+-- Artifact contents: identical code blocks, tool calls and JSON across conversations
+CREATE TABLE IF NOT EXISTS artifact_contents (
+    content_hash TEXT PRIMARY KEY,
+    artifact_type TEXT NOT NULL,
+    tool_name TEXT,
+    language TEXT,
+    sample_artifact_id INTEGER,
+    occurrence_count INTEGER NOT NULL DEFAULT 0,
+    error_count INTEGER NOT NULL DEFAULT 0,
+    conversation_count INTEGER NOT NULL DEFAULT 0,
+    project_count INTEGER NOT NULL DEFAULT 0,
+    first_seen_at TEXT,
+    last_seen_at TEXT,
+    updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (sample_artifact_id) REFERENCES artifacts(id)
+);
+
+-- Artifact content occurrences: where each content occurred, per conversation
+CREATE TABLE IF NOT EXISTS artifact_content_occurrences (
+    content_hash TEXT NOT NULL,
+    conversation_id INTEGER NOT NULL,
+    project_id INTEGER,
+    occurrences INTEGER NOT NULL DEFAULT 0,
+    errors INTEGER NOT NULL DEFAULT 0,
+    first_artifact_id INTEGER,
+    first_seen_at TEXT,
+    last_seen_at TEXT,
+    PRIMARY KEY (content_hash, conversation_id),
+    FOREIGN KEY (conversation_id) REFERENCES conversations(id),
+    FOREIGN KEY (project_id) REFERENCES projects(id),
+    FOREIGN KEY (first_artifact_id) REFERENCES artifacts(id)
+);
+
+-- Reprocess jobs: rebuild entries and artifacts with the current parser/extractor
+CREATE TABLE IF NOT EXISTS reprocess_jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed', 'cancelled')),
+    scope TEXT NOT NULL DEFAULT 'all' CHECK (scope IN ('all', 'artifacts')),
+    filters TEXT,
+    conversation_ids TEXT NOT NULL,
+    total INTEGER NOT NULL DEFAULT 0,
+    processed INTEGER NOT NULL DEFAULT 0,
+    failed INTEGER NOT NULL DEFAULT 0,
+    entries_rebuilt INTEGER NOT NULL DEFAULT 0,
+    artifacts_rebuilt INTEGER NOT NULL DEFAULT 0,
+    errors TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    started_at TEXT,
+    finished_at TEXT
+);
+
+-- Import jobs: one row per transcript upload
+CREATE TABLE IF NOT EXISTS import_jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    project_id INTEGER,
+    status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+    file_count INTEGER NOT NULL DEFAULT 0,
+    files_imported INTEGER NOT NULL DEFAULT 0,
+    files_skipped INTEGER NOT NULL DEFAULT 0,
+    files_failed INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    started_at TEXT,
+    finished_at TEXT,
+    FOREIGN KEY (project_id) REFERENCES projects(id)
+);
+
+-- Import files: per-file results of an import job (archive members included)
+CREATE TABLE IF NOT EXISTS import_files (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    job_id INTEGER NOT NULL,
+    file_name TEXT NOT NULL,
+    stored_path TEXT,
+    archive_path TEXT,                        -- Zip archive a member comes from, inflated when imported
+    archive_entry TEXT,                       -- Member name inside archive_path
+    size_bytes INTEGER,
+    status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'processing', 'imported', 'skipped', 'failed')),
+    format TEXT,
+    conversation_ids TEXT,
+    new_entries INTEGER DEFAULT 0,
+    artifacts_extracted INTEGER DEFAULT 0,
+    error TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    finished_at TEXT,
+    FOREIGN KEY (job_id) REFERENCES import_jobs(id)
 );
 
 -- Config snapshots: extracted metadata from non-conversation files
@@ -177,10 +402,23 @@ CREATE INDEX IF NOT EXISTS idx_conv_source ON conversations(source_file_path);
 CREATE INDEX IF NOT EXISTS idx_entries_conv ON conversation_entries(conversation_id);
 CREATE INDEX IF NOT EXISTS idx_entries_hash ON conversation_entries(entry_hash);
 CREATE INDEX IF NOT EXISTS idx_entries_role ON conversation_entries(role);
+CREATE INDEX IF NOT EXISTS idx_blocks_conv ON entry_blocks(conversation_id);
+CREATE INDEX IF NOT EXISTS idx_blocks_kind ON entry_blocks(kind);
+CREATE INDEX IF NOT EXISTS idx_blocks_blob ON entry_blocks(blob_hash);
+CREATE INDEX IF NOT EXISTS idx_blocks_tool_use ON entry_blocks(conversation_id, tool_use_id);
+CREATE INDEX IF NOT EXISTS idx_resync_conv ON conversation_resync_events(conversation_id);
+CREATE INDEX IF NOT EXISTS idx_import_files_job ON import_files(job_id);
 CREATE INDEX IF NOT EXISTS idx_artifacts_conv ON artifacts(conversation_id);
 CREATE INDEX IF NOT EXISTS idx_artifacts_type ON artifacts(artifact_type);
 CREATE INDEX IF NOT EXISTS idx_artifacts_tool ON artifacts(tool_name);
 CREATE INDEX IF NOT EXISTS idx_artifacts_outcome ON artifacts(outcome);
+CREATE INDEX IF NOT EXISTS idx_artifacts_follow_up ON artifacts(error_type, follow_up_action);
+CREATE INDEX IF NOT EXISTS idx_output_blobs_referenced ON output_blobs(last_referenced_at);
+CREATE INDEX IF NOT EXISTS idx_findings_conv ON session_findings(conversation_id);
+CREATE INDEX IF NOT EXISTS idx_findings_type ON session_findings(finding_type, conversation_id);
+CREATE INDEX IF NOT EXISTS idx_content_occurrences_conv ON artifact_content_occurrences(conversation_id);
+CREATE INDEX IF NOT EXISTS idx_content_occurrences_project ON artifact_content_occurrences(project_id);
+CREATE INDEX IF NOT EXISTS idx_artifact_contents_type ON artifact_contents(artifact_type, conversation_count);
 CREATE INDEX IF NOT EXISTS idx_config_project ON config_snapshots(project_id);
 CREATE INDEX IF NOT EXISTS idx_config_type ON config_snapshots(file_type);
 
@@ -230,6 +468,7 @@ CREATE VIEW IF NOT EXISTS v_conversations_summary AS
 SELECT
     c.id,
     c.conversation_id,
+    c.title,
     c.project_id,
     p.name AS project_name,
     c.source_file_type,
@@ -237,10 +476,20 @@ SELECT
     c.ended_at,
     c.duration_seconds,
     c.message_count,
+    c.compaction_count,
+    c.parent_conversation_id,
+    c.chain_root_id,
+    c.chain_relation,
     c.model_used,
     c.git_branch,
+    c.input_tokens,
+    c.output_tokens,
+    c.cache_creation_tokens,
+    c.cache_read_tokens,
+    c.estimated_cost_usd,
     COUNT(DISTINCT a.id) AS artifact_count,
-    COUNT(CASE WHEN a.outcome = 'error' THEN 1 END) AS error_count
+    COUNT(CASE WHEN a.outcome = 'error' THEN 1 END) AS error_count,
+    (SELECT COUNT(*) FROM session_findings f WHERE f.conversation_id = c.id) AS finding_count
 FROM conversations c
 LEFT JOIN projects p ON p.id = c.project_id
 LEFT JOIN artifacts a ON a.conversation_id = c.id
@@ -257,3 +506,50 @@ SELECT
 FROM artifacts a
 JOIN conversations c ON c.id = a.conversation_id
 LEFT JOIN projects p ON p.id = c.project_id;
+
+-- ============================================================
+-- FULL-TEXT SEARCH
+-- ============================================================
+
+-- Entry text, keyed by conversation_entries.id
+CREATE VIRTUAL TABLE IF NOT EXISTS entries_fts USING fts5(content);
+
+-- Artifact content and tool output, keyed by artifacts.id. Triggers index
+-- output_full or output_summary; the text of outputs in the blob store is
+-- indexed by searchService when the output is stored.
+CREATE VIRTUAL TABLE IF NOT EXISTS artifacts_fts USING fts5(content, output);
+
+-- Keep the search indexes in step with the tables they cover
+CREATE TRIGGER IF NOT EXISTS trg_entries_fts_insert AFTER INSERT ON conversation_entries BEGIN
+    INSERT INTO entries_fts (rowid, content) VALUES (new.id, new.content);
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_entries_fts_delete AFTER DELETE ON conversation_entries BEGIN
+    DELETE FROM entries_fts WHERE rowid = old.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_entries_fts_update AFTER UPDATE OF content ON conversation_entries BEGIN
+    DELETE FROM entries_fts WHERE rowid = old.id;
+    INSERT INTO entries_fts (rowid, content) VALUES (new.id, new.content);
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_artifacts_fts_insert AFTER INSERT ON artifacts BEGIN
+    INSERT INTO artifacts_fts (rowid, content, output)
+    VALUES (new.id, new.content, COALESCE(new.output_full, new.output_summary));
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_artifacts_fts_delete AFTER DELETE ON artifacts BEGIN
+    DELETE FROM artifacts_fts WHERE rowid = old.id;
+END;
+
+-- Output indexed from a blob (searchService.indexArtifactOutput) stays while the blob does;
+-- a new or pruned blob goes back to the inline output until the new blob is indexed
+CREATE TRIGGER IF NOT EXISTS trg_artifacts_fts_update AFTER UPDATE OF content, output_full, output_summary, output_blob_hash ON artifacts BEGIN
+    UPDATE artifacts_fts SET
+        content = new.content,
+        output = CASE
+            WHEN new.output_blob_hash IS NOT NULL AND new.output_blob_hash IS old.output_blob_hash THEN output
+            ELSE COALESCE(new.output_full, new.output_summary)
+        END
+    WHERE rowid = new.id;
+END;
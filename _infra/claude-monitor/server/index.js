@@ -7,8 +7,14 @@ import { fileURLToPath } from 'url';
 
 import config from './config.js';
 import db from './db/index.js';
+import migrations from './db/migrations.js';
 import logger from './services/logService.js';
 import scheduler from './services/schedulerService.js';
+import conversationWatcher from './services/conversationWatchService.js';
+import importService from './services/importService.js';
+import reprocessService from './services/reprocessService.js';
+import outputStore from './services/outputStoreService.js';
+import search from './services/searchService.js';
 import errorHandler from './middleware/errorHandler.js';
 
 // Import routes
@@ -19,16 +25,27 @@ import schedulerRouter from './routes/scheduler.js';
 import conversationsRouter from './routes/conversations.js';
 import artifactsRouter from './routes/artifacts.js';
 import configsRouter from './routes/configs.js';
+import usageRouter from './routes/usage.js';
+import blobsRouter from './routes/blobs.js';
+import hooksRouter from './routes/hooks.js';
+import importsRouter from './routes/imports.js';
+import reprocessRouter from './routes/reprocess.js';
+import filesTouchedRouter from './routes/filesTouched.js';
+import searchRouter from './routes/search.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
 
-// Initialize database
+// Initialize database, then bring tables created by earlier versions up to date
 db.init();
+migrations.migrate(db.getDb());
 logger.info('Database initialized');
 
+// Index rows stored before full-text search was added
+search.syncIndex();
+
 // Security middleware
 app.use(helmet({
     contentSecurityPolicy: false // Allow inline scripts for simple frontend
@@ -62,12 +79,20 @@ app.use(`${apiBase}/scheduler`, schedulerRouter);
 app.use(`${apiBase}/conversations`, conversationsRouter);
 app.use(`${apiBase}/artifacts`, artifactsRouter);
 app.use(`${apiBase}/config-snapshots`, configsRouter);
+app.use(`${apiBase}/usage`, usageRouter);
+app.use(`${apiBase}/blobs`, blobsRouter);
+app.use(`${apiBase}/hooks`, hooksRouter);
+app.use(`${apiBase}/imports`, importsRouter);
+app.use(`${apiBase}/reprocess`, reprocessRouter);
+app.use(`${apiBase}/files-touched`, filesTouchedRouter);
+app.use(`${apiBase}/search`, searchRouter);
 
 // Health check - includes scheduler status
 app.get(`${apiBase}/health`, (req, res) => {
     const database = db.getDb();
     const lastScan = database.prepare('SELECT scan_time FROM scans ORDER BY scan_time_iso DESC LIMIT 1').get();
     const schedulerStatus = scheduler.getStatus();
+    const watcherStatus = conversationWatcher.getStatus();
 
     res.json({
         status: 'ok',
@@ -81,6 +106,13 @@ app.get(`${apiBase}/health`, (req, res) => {
             nextRun: schedulerStatus.nextRun,
             runCount: schedulerStatus.runCount,
             errorCount: schedulerStatus.errorCount
+        },
+        liveWatch: {
+            running: watcherStatus.running,
+            paths: watcherStatus.paths,
+            filesProcessed: watcherStatus.filesProcessed,
+            entriesIngested: watcherStatus.entriesIngested,
+            errorCount: watcherStatus.errorCount
         }
     });
 });
@@ -97,6 +129,8 @@ app.use(errorHandler);
 function shutdown() {
     logger.info('Shutting down gracefully...', {}, true);
     scheduler.stop();
+    conversationWatcher.stop();
+    outputStore.stopRetention();
     db.close();
     process.exit(0);
 }
@@ -124,6 +158,25 @@ const server = app.listen(config.port, config.host, () => {
         logger.info('Auto-starting scheduler', { intervalMs: config.scanIntervalMs });
         scheduler.start();
     }
+
+    // Live conversation ingestion if configured
+    if (conversationWatcher.getSettings().enabled) {
+        conversationWatcher.start();
+    }
+
+    // Pick up import jobs interrupted by a restart
+    const pendingImports = importService.resumePendingImports();
+    if (pendingImports) {
+        logger.info(`Resuming ${pendingImports} import jobs`);
+    }
+
+    const pendingReprocess = reprocessService.resumePendingJobs();
+    if (pendingReprocess) {
+        logger.info(`Resuming ${pendingReprocess} reprocess jobs`);
+    }
+
+    // Apply tool output retention now and daily
+    outputStore.startRetention();
 });
 
 export default app;
@@ -0,0 +1,52 @@
+import crypto from 'crypto';
+import config from '../config.js';
+
+/**
+ * Hook Authentication Middleware
+ *
+ * Requires the shared hook token, sent as `Authorization: Bearer <token>`
+ * or `X-Hook-Token: <token>`. The token comes from
+ * `conversationCapture.hooks.token` in config.json or the
+ * CLAUDE_MONITOR_HOOK_TOKEN environment variable; without one the hook
+ * endpoint stays disabled.
+ */
+
+/**
+ * Get the configured hook token, if any
+ */
+function getHookToken() {
+    return config.conversationCapture?.hooks?.token || process.env.CLAUDE_MONITOR_HOOK_TOKEN || null;
+}
+
+/**
+ * Compare tokens in constant time
+ */
+function tokensMatch(provided, expected) {
+    const a = Buffer.from(provided);
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function requireHookToken(req, res, next) {
+    const expected = getHookToken();
+    if (!expected) {
+        const error = new Error('Hook ingestion is not configured');
+        error.statusCode = 503;
+        return next(error);
+    }
+
+    const authorization = req.get('Authorization') || '';
+    const provided = authorization.startsWith('Bearer ')
+        ? authorization.slice('Bearer '.length)
+        : req.get('X-Hook-Token') || '';
+
+    if (!tokensMatch(provided, expected)) {
+        const error = new Error('Invalid hook token');
+        error.statusCode = 401;
+        return next(error);
+    }
+
+    next();
+}
+
+export default requireHookToken;
@@ -1,5 +1,13 @@
 import express from 'express';
+import fs from 'fs';
+import zlib from 'zlib';
 import * as artifactExtractor from '../services/artifactExtractorService.js';
+import * as bashCommands from '../services/bashCommandService.js';
+import * as errorClassifier from '../services/errorClassifierService.js';
+import * as followUps from '../services/followUpService.js';
+import * as outputStore from '../services/outputStoreService.js';
+import * as jsonShapes from '../services/jsonShapeService.js';
+import * as contentIndex from '../services/contentIndexService.js';
 import config from '../config.js';
 
 const router = express.Router();
@@ -57,4 +65,391 @@ router.get('/stats', (req, res, next) => {
     }
 });
 
+/**
+ * GET /api/v1/artifacts/stats/latency
+ * Get tool call latency percentiles per tool and per project
+ *
+ * Query (all optional):
+ *   project_id - only this project's conversations
+ *   tool_name  - only this tool
+ *   since      - only calls started at or after this date
+ */
+router.get('/stats/latency', (req, res, next) => {
+    try {
+        const { project_id, tool_name, since } = req.query;
+
+        res.json(artifactExtractor.getToolLatencyStats({
+            projectId: project_id ? parseInt(project_id) : undefined,
+            toolName: tool_name,
+            since
+        }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/v1/artifacts/stats/bash
+ * Get Bash command statistics: most-used commands, failure rates per
+ * command, exit codes and commands that repeatedly time out
+ *
+ * Query (all optional):
+ *   project_id      - only this project's conversations
+ *   conversation_id - only this conversation
+ *   since           - only commands run at or after this date
+ *   limit           - rows per list (default 20)
+ */
+router.get('/stats/bash', (req, res, next) => {
+    try {
+        const { project_id, conversation_id, since, limit = 20 } = req.query;
+
+        res.json(bashCommands.getBashStats({
+            projectId: project_id ? parseInt(project_id) : undefined,
+            conversationId: conversation_id ? parseInt(conversation_id) : undefined,
+            since,
+            limit: Math.min(parseInt(limit), config.maxPageSize)
+        }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/v1/artifacts/stats/recovery
+ * Get what the agent did after failed tool calls, and how often it
+ * recovered, per error type
+ *
+ * Query (all optional):
+ *   project_id - only this project's conversations
+ *   tool_name  - only failures of this tool
+ *   since      - only failures at or after this date
+ */
+router.get('/stats/recovery', (req, res, next) => {
+    try {
+        const { project_id, tool_name, since } = req.query;
+
+        res.json({
+            data: followUps.getRecoveryStats({
+                projectId: project_id ? parseInt(project_id) : undefined,
+                toolName: tool_name,
+                since
+            })
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/v1/artifacts/json-shapes
+ * Group extracted JSON objects by shape (sorted key paths), most common first
+ *
+ * Query (all optional):
+ *   project_id      - only this project's conversations
+ *   conversation_id - only this conversation
+ *   tool_name       - only JSON from this tool's outputs
+ *   key             - only shapes with a key path containing this text
+ */
+router.get('/json-shapes', (req, res, next) => {
+    try {
+        const {
+            project_id,
+            conversation_id,
+            tool_name,
+            key,
+            page = 1,
+            limit = config.defaultPageSize
+        } = req.query;
+
+        const shapes = jsonShapes.getJsonShapes({
+            projectId: project_id ? parseInt(project_id) : undefined,
+            conversationId: conversation_id ? parseInt(conversation_id) : undefined,
+            toolName: tool_name,
+            keyPath: key,
+            limit: Math.min(parseInt(limit), config.maxPageSize),
+            offset: (parseInt(page) - 1) * parseInt(limit)
+        });
+
+        res.json({
+            data: shapes,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit)
+            }
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/v1/artifacts/json-shapes/:fingerprint
+ * List the JSON objects with one shape, newest first
+ *
+ * Query (all optional):
+ *   project_id      - only this project's conversations
+ *   conversation_id - only this conversation
+ *   tool_name       - only JSON from this tool's outputs
+ */
+router.get('/json-shapes/:fingerprint', (req, res, next) => {
+    try {
+        const { fingerprint } = req.params;
+        const {
+            project_id,
+            conversation_id,
+            tool_name,
+            page = 1,
+            limit = config.defaultPageSize
+        } = req.query;
+
+        const artifacts = jsonShapes.getShapeArtifacts(fingerprint, {
+            projectId: project_id ? parseInt(project_id) : undefined,
+            conversationId: conversation_id ? parseInt(conversation_id) : undefined,
+            toolName: tool_name,
+            limit: Math.min(parseInt(limit), config.maxPageSize),
+            offset: (parseInt(page) - 1) * parseInt(limit)
+        });
+
+        if (!artifacts.length && parseInt(page) === 1) {
+            const error = new Error('No JSON objects with this shape');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        res.json({
+            fingerprint,
+            data: artifacts,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit)
+            }
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/v1/artifacts/repeated
+ * List the code blocks, tool calls and JSON objects repeated most across
+ * conversations: candidates for scripts or slash commands
+ *
+ * Query (all optional):
+ *   type              - code_block, tool_call or json_object
+ *   tool_name         - only calls of this tool (e.g. Bash)
+ *   project_id        - only this project's conversations
+ *   since             - only occurrences seen at or after this date
+ *   min_conversations - conversations a content must occur in (default 2)
+ *   sort              - conversations (default), occurrences, errors or recent
+ */
+router.get('/repeated', (req, res, next) => {
+    try {
+        const {
+            type,
+            tool_name,
+            project_id,
+            since,
+            min_conversations = 2,
+            sort = 'conversations',
+            page = 1,
+            limit = config.defaultPageSize
+        } = req.query;
+
+        if (type && !contentIndex.INDEXED_TYPES.includes(type)) {
+            const error = new Error(`Invalid type: must be one of ${contentIndex.INDEXED_TYPES.join(', ')}`);
+            error.statusCode = 400;
+            throw error;
+        }
+
+        if (!contentIndex.SORTS.includes(sort)) {
+            const error = new Error(`Invalid sort: must be one of ${contentIndex.SORTS.join(', ')}`);
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const contents = contentIndex.getRepeatedContents({
+            type,
+            toolName: tool_name,
+            projectId: project_id ? parseInt(project_id) : undefined,
+            since,
+            minConversations: Math.max(1, parseInt(min_conversations) || 1),
+            sort,
+            limit: Math.min(parseInt(limit), config.maxPageSize),
+            offset: (parseInt(page) - 1) * parseInt(limit)
+        });
+
+        res.json({
+            data: contents,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit)
+            }
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/v1/artifacts/repeated/:hash
+ * Get one indexed content with its totals and every conversation it
+ * occurred in
+ */
+router.get('/repeated/:hash', (req, res, next) => {
+    try {
+        const content = contentIndex.getContentOccurrences(req.params.hash);
+
+        if (!content) {
+            const error = new Error('Content not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        res.json(content);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/v1/artifacts/error-rules
+ * List the effective error classification rules in evaluation order
+ */
+router.get('/error-rules', (req, res, next) => {
+    try {
+        res.json({ rules: errorClassifier.listRules() });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /api/v1/artifacts/classify
+ * Classify a sample error output, to try rules before reclassifying
+ *
+ * Body:
+ *   text      - error output (required)
+ *   tool_name - tool that produced it
+ */
+router.post('/classify', (req, res, next) => {
+    try {
+        const { text, tool_name } = req.body || {};
+
+        if (typeof text !== 'string' || !text) {
+            const error = new Error('Error output (text) is required');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const rule = errorClassifier.matchRule(text, tool_name || null);
+
+        res.json({
+            type: rule ? rule.type : 'unknown',
+            rule: rule ? { type: rule.type, pattern: rule.pattern, priority: rule.priority, source: rule.source } : null
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /api/v1/artifacts/reclassify
+ * Re-run error classification over stored error artifacts
+ *
+ * Body (all optional):
+ *   conversation_id - only this conversation
+ *   project_id      - only this project's conversations
+ *   dry_run         - report what would change without updating
+ */
+router.post('/reclassify', (req, res, next) => {
+    try {
+        const body = req.body || {};
+
+        res.json(errorClassifier.reclassifyErrors({
+            conversationId: body.conversation_id ? parseInt(body.conversation_id) : undefined,
+            projectId: body.project_id ? parseInt(body.project_id) : undefined,
+            dryRun: body.dry_run === true || body.dry_run === 'true'
+        }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/v1/artifacts/outputs/stats
+ * Get tool output blob store totals: blobs, raw and compressed bytes, references
+ */
+router.get('/outputs/stats', (req, res, next) => {
+    try {
+        res.json(outputStore.getStoreStats());
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /api/v1/artifacts/outputs/prune
+ * Apply tool output retention now instead of waiting for the daily run
+ */
+router.post('/outputs/prune', (req, res, next) => {
+    try {
+        res.json(outputStore.pruneOutputs());
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/v1/artifacts/:id/output
+ * Stream an artifact's full output as text, from the row or the blob store.
+ * Blobs are sent still gzipped when the client accepts gzip.
+ */
+router.get('/:id/output', (req, res, next) => {
+    try {
+        const artifact = artifactExtractor.getArtifact(parseInt(req.params.id));
+
+        if (!artifact) {
+            const error = new Error('Artifact not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        res.set('Content-Type', 'text/plain; charset=utf-8');
+
+        if (!artifact.output_blob_hash) {
+            if (artifact.output_full === null || artifact.output_full === undefined) {
+                const error = new Error(artifact.output_truncated ? 'Full output was not kept for this artifact' : 'Artifact has no output');
+                error.statusCode = 404;
+                throw error;
+            }
+            res.send(artifact.output_full);
+            return;
+        }
+
+        const blob = outputStore.getOutputBlob(artifact.output_blob_hash);
+        if (!blob) {
+            const error = new Error('Full output is no longer stored');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        // Blobs never change, so clients may cache them
+        res.set('Cache-Control', 'private, max-age=31536000, immutable');
+        res.set('Vary', 'Accept-Encoding');
+
+        const stream = fs.createReadStream(blob.file);
+        stream.on('error', next);
+
+        if (req.acceptsEncodings('gzip')) {
+            res.set('Content-Encoding', 'gzip');
+            res.set('Content-Length', blob.stored_bytes);
+            stream.pipe(res);
+        } else {
+            stream.pipe(zlib.createGunzip()).on('error', next).pipe(res);
+        }
+    } catch (err) {
+        next(err);
+    }
+});
+
 export default router;
@@ -0,0 +1,151 @@
+import { describe, test, expect, beforeAll, afterAll } from 'bun:test';
+import path from 'path';
+import { setupTestEnv, startApp, transcript, writeTranscript } from '../test/helpers.js';
+
+const { config, db, dir } = setupTestEnv();
+const { default: artifactsRouter } = await import('./artifacts.js');
+const { default: artifactExtractor } = await import('../services/artifactExtractorService.js');
+const { default: outputStore } = await import('../services/outputStoreService.js');
+const { default: conversationParser } = await import('../services/conversationParserService.js');
+
+describe('GET /api/v1/artifacts/:id/output', () => {
+    const large = 'ok\n'.repeat(200);
+    const ids = {};
+    let app;
+
+    beforeAll(async () => {
+        config.conversationCapture.outputStore.inlineMaxBytes = 100;
+
+        const conversationId = Number(db.getDb().prepare(`
+            INSERT INTO conversations (conversation_id, source_file_path, source_file_type)
+            VALUES ('session-1', '/work/session-1.jsonl', 'jsonl')
+        `).run().lastInsertRowid);
+
+        for (const [toolUseId, output] of [['small', 'done'], ['large', large], ['pending', undefined]]) {
+            artifactExtractor.recordToolCall({
+                conversationId,
+                toolUseId,
+                toolName: 'Bash',
+                input: { command: `echo ${toolUseId}` },
+                output,
+                timestamp: '2026-01-01T00:00:00.000Z'
+            });
+            ids[toolUseId] = db.getDb().prepare(`
+                SELECT id FROM artifacts WHERE json_extract(metadata, '$.toolUseId') = ?
+            `).get(toolUseId).id;
+        }
+
+        app = await startApp('/artifacts', artifactsRouter);
+    });
+
+    afterAll(() => app.close());
+
+    test('sends inline output as text', async () => {
+        const res = await fetch(`${app.url}/${ids.small}/output`);
+        expect(res.status).toBe(200);
+        expect(res.headers.get('content-type')).toStartWith('text/plain');
+        expect(await res.text()).toBe('done');
+    });
+
+    test('streams blob output gzipped or plain', async () => {
+        const gzipped = await fetch(`${app.url}/${ids.large}/output`, { headers: { 'Accept-Encoding': 'gzip' } });
+        expect(gzipped.headers.get('content-encoding')).toBe('gzip');
+        expect(gzipped.headers.get('cache-control')).toContain('immutable');
+        expect(await gzipped.text()).toBe(large);
+
+        const plain = await fetch(`${app.url}/${ids.large}/output`, { headers: { 'Accept-Encoding': 'identity' } });
+        expect(plain.headers.get('content-encoding')).toBeNull();
+        expect(await plain.text()).toBe(large);
+    });
+
+    test('responds 404 without output or once the blob is pruned', async () => {
+        const pending = await fetch(`${app.url}/${ids.pending}/output`);
+        expect(pending.status).toBe(404);
+        expect((await pending.json()).error).toBe('Artifact has no output');
+
+        config.conversationCapture.outputStore.maxStoreBytes = 1;
+        outputStore.pruneOutputs();
+
+        const pruned = await fetch(`${app.url}/${ids.large}/output`);
+        expect(pruned.status).toBe(404);
+        expect((await pruned.json()).error).toBe('Full output was not kept for this artifact');
+
+        const missing = await fetch(`${app.url}/999/output`);
+        expect(missing.status).toBe(404);
+    });
+});
+
+describe('GET /api/v1/artifacts/json-shapes', () => {
+    let app;
+
+    beforeAll(async () => {
+        const session = transcript('session-json');
+        const filePath = path.join(dir, 'session-json.jsonl');
+        writeTranscript(filePath, [
+            session.user('check the API'),
+            session.assistant('First {"status":"ok","data":{"count":2}} then {"status":"down","data":{"count":0}}')
+        ]);
+        const { conversationId } = conversationParser.processFile(filePath);
+        artifactExtractor.processConversationEntries(conversationId);
+
+        app = await startApp('/artifacts', artifactsRouter);
+    });
+
+    afterAll(() => app.close());
+
+    test('lists shapes and the objects of one shape', async () => {
+        const shapes = await (await fetch(`${app.url}/json-shapes?key=count`)).json();
+        expect(shapes.data).toHaveLength(1);
+        expect(shapes.data[0]).toMatchObject({ count: 2, key_paths: ['data', 'data.count', 'status'] });
+
+        const res = await fetch(`${app.url}/json-shapes/${shapes.data[0].fingerprint}?limit=1`);
+        const shape = await res.json();
+        expect(shape.data.map(artifact => artifact.content)).toEqual(['{"status":"down","data":{"count":0}}']);
+        expect(shape.pagination).toEqual({ page: 1, limit: 1 });
+    });
+
+    test('responds 404 for an unknown shape', async () => {
+        const res = await fetch(`${app.url}/json-shapes/0000000000000000`);
+        expect(res.status).toBe(404);
+        expect((await res.json()).error).toBe('No JSON objects with this shape');
+    });
+});
+
+// Uses the session ingested for the JSON shapes above
+describe('GET /api/v1/artifacts/repeated', () => {
+    let app;
+
+    beforeAll(async () => {
+        app = await startApp('/artifacts', artifactsRouter);
+    });
+
+    afterAll(() => app.close());
+
+    test('lists contents seen in at least min_conversations conversations', async () => {
+        const repeated = await (await fetch(`${app.url}/repeated?type=json_object`)).json();
+        expect(repeated.data).toEqual([]);
+
+        const res = await fetch(`${app.url}/repeated?type=json_object&min_conversations=1`);
+        const { data } = await res.json();
+        expect(data.map(content => content.content).sort()).toEqual([
+            '{"status":"down","data":{"count":0}}',
+            '{"status":"ok","data":{"count":2}}'
+        ]);
+
+        const content = await (await fetch(`${app.url}/repeated/${data[0].content_hash}`)).json();
+        expect(content.occurrences.map(occurrence => occurrence.session_id)).toEqual(['session-json']);
+    });
+
+    test('rejects an unknown type or sort and responds 404 for an unknown content', async () => {
+        const type = await fetch(`${app.url}/repeated?type=tool_result`);
+        expect(type.status).toBe(400);
+        expect((await type.json()).error).toBe('Invalid type: must be one of code_block, tool_call, json_object');
+
+        const sort = await fetch(`${app.url}/repeated?sort=size`);
+        expect(sort.status).toBe(400);
+
+        const missing = await fetch(`${app.url}/repeated/missing`);
+        expect(missing.status).toBe(404);
+        expect((await missing.json()).error).toBe('Content not found');
+    });
+});
@@ -0,0 +1,41 @@
+import express from 'express';
+import * as conversationParser from '../services/conversationParserService.js';
+
+const router = express.Router();
+
+// Blob media types come from transcripts and uploads; only these are shown
+// inline from this origin, anything else (HTML, SVG, ...) is downloaded
+const INLINE_MEDIA_TYPES = new Set(['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'application/pdf']);
+
+/**
+ * GET /api/v1/blobs/:hash
+ * Get raw image/document data referenced by an entry block. Raster images
+ * and PDFs are served inline, other types as attachments.
+ */
+router.get('/:hash', (req, res, next) => {
+    try {
+        const { hash } = req.params;
+        const blob = conversationParser.getContentBlob(hash);
+
+        if (!blob) {
+            const error = new Error('Blob not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        const mediaType = (blob.media_type || '').split(';')[0].trim().toLowerCase();
+        if (INLINE_MEDIA_TYPES.has(mediaType)) {
+            res.set('Content-Type', mediaType);
+        } else {
+            res.set('Content-Type', 'application/octet-stream');
+            res.set('Content-Disposition', `attachment; filename="${hash}"`);
+        }
+        res.set('X-Content-Type-Options', 'nosniff');
+        res.set('Cache-Control', 'public, max-age=31536000, immutable');
+        res.send(Buffer.from(blob.data));
+    } catch (err) {
+        next(err);
+    }
+});
+
+export default router;
@@ -0,0 +1,48 @@
+import { describe, test, expect, beforeAll, afterAll } from 'bun:test';
+import { setupTestEnv, startApp } from '../test/helpers.js';
+
+const { db } = setupTestEnv();
+const { default: blobsRouter } = await import('./blobs.js');
+
+const storeBlob = (hash, mediaType, data) => db.getDb().prepare(`
+    INSERT INTO content_blobs (hash, media_type, size_bytes, data) VALUES (?, ?, ?, ?)
+`).run(hash, mediaType, data.length, Buffer.from(data));
+
+describe('GET /api/v1/blobs/:hash', () => {
+    let app;
+
+    beforeAll(async () => {
+        storeBlob('png', 'image/png', 'png bytes');
+        storeBlob('pdf', 'Application/PDF', '%PDF-1.4');
+        storeBlob('html', 'text/html', '<script>alert(document.cookie)</script>');
+        storeBlob('svg', 'image/svg+xml', '<svg onload="alert(1)"/>');
+        storeBlob('untyped', null, 'bytes');
+        app = await startApp('/blobs', blobsRouter);
+    });
+
+    afterAll(() => app.close());
+
+    test('serves raster images and PDFs inline', async () => {
+        for (const [hash, type] of [['png', 'image/png'], ['pdf', 'application/pdf']]) {
+            const res = await fetch(`${app.url}/${hash}`);
+            expect(res.status).toBe(200);
+            expect(res.headers.get('content-type')).toStartWith(type);
+            expect(res.headers.get('content-disposition')).toBeNull();
+            expect(res.headers.get('x-content-type-options')).toBe('nosniff');
+        }
+    });
+
+    test('sends any other type as an attachment', async () => {
+        for (const hash of ['html', 'svg', 'untyped']) {
+            const res = await fetch(`${app.url}/${hash}`);
+            expect(res.status).toBe(200);
+            expect(res.headers.get('content-type')).toBe('application/octet-stream');
+            expect(res.headers.get('content-disposition')).toBe(`attachment; filename="${hash}"`);
+            expect(res.headers.get('x-content-type-options')).toBe('nosniff');
+        }
+    });
+
+    test('returns 404 for an unknown hash', async () => {
+        expect((await fetch(`${app.url}/missing`)).status).toBe(404);
+    });
+});
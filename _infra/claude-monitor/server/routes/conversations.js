@@ -1,13 +1,53 @@
 import express from 'express';
 import * as conversationParser from '../services/conversationParserService.js';
 import * as artifactExtractor from '../services/artifactExtractorService.js';
+import * as usage from '../services/usageService.js';
+import * as chains from '../services/conversationChainService.js';
+import * as live from '../services/liveEventService.js';
+import * as redaction from '../services/redactionService.js';
+import * as loopDetection from '../services/loopDetectionService.js';
 import config from '../config.js';
 
 const router = express.Router();
 
+const STREAM_HEARTBEAT_MS = 15000;
+const STREAM_RETRY_MS = 3000;
+
+/**
+ * Parse a comma-separated `types` query into known live event types
+ */
+function parseEventTypes(types) {
+    if (!types) return null;
+    return types.split(',').map(t => t.trim()).filter(t => live.EVENT_TYPES.includes(t));
+}
+
+/**
+ * Start a Server-Sent Events response and return a function that sends one event.
+ * Entry events carry the entry id as the SSE id so a reconnect can resume.
+ */
+function openEventStream(req, res) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+
+    const heartbeatMs = config.conversationCapture?.live?.heartbeatMs || STREAM_HEARTBEAT_MS;
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), heartbeatMs);
+    req.on('close', () => clearInterval(heartbeat));
+
+    return (event) => {
+        if (event.type === 'entry') res.write(`id: ${event.entryId}\n`);
+        res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+}
+
 /**
  * GET /api/v1/conversations
  * List conversations with filtering and pagination
+ * ?finding=any|retry_loop|edit_oscillation|error_streak keeps sessions with findings
  */
 router.get('/', (req, res, next) => {
     try {
@@ -15,14 +55,22 @@ router.get('/', (req, res, next) => {
             project_id,
             since,
             has_errors,
+            finding,
             page = 1,
             limit = config.defaultPageSize
         } = req.query;
 
+        if (finding && finding !== 'any' && !loopDetection.FINDING_TYPES.includes(finding)) {
+            const error = new Error(`finding must be any or one of: ${loopDetection.FINDING_TYPES.join(', ')}`);
+            error.statusCode = 400;
+            throw error;
+        }
+
         const conversations = conversationParser.listConversations({
             projectId: project_id ? parseInt(project_id) : undefined,
             since,
             hasErrors: has_errors === 'true',
+            finding,
             limit: Math.min(parseInt(limit), config.maxPageSize),
             offset: (parseInt(page) - 1) * parseInt(limit)
         });
@@ -39,6 +87,21 @@ router.get('/', (req, res, next) => {
     }
 });
 
+/**
+ * GET /api/v1/conversations/stream
+ * Server-Sent Events stream of ingestion activity across all conversations
+ * ?types=entry,tool_call,tool_error,conversation limits the event types
+ */
+router.get('/stream', (req, res, next) => {
+    try {
+        const send = openEventStream(req, res);
+        const unsubscribe = live.subscribe(send, { types: parseEventTypes(req.query.types) });
+        req.on('close', unsubscribe);
+    } catch (err) {
+        next(err);
+    }
+});
+
 /**
  * GET /api/v1/conversations/:id
  * Get single conversation with metadata
@@ -69,12 +132,18 @@ router.get('/:id/entries', (req, res, next) => {
         const { id } = req.params;
         const {
             role,
+            kind,
+            sidechain,
+            blocks,
             page = 1,
             limit = config.defaultPageSize
         } = req.query;
 
         const entries = conversationParser.getConversationEntries(parseInt(id), {
             role,
+            kind,
+            sidechain: sidechain === undefined ? undefined : sidechain === 'true',
+            blocks: blocks === 'true',
             limit: Math.min(parseInt(limit), config.maxPageSize),
             offset: (parseInt(page) - 1) * parseInt(limit)
         });
@@ -91,6 +160,125 @@ router.get('/:id/entries', (req, res, next) => {
     }
 });
 
+/**
+ * GET /api/v1/conversations/:id/stream
+ * Server-Sent Events stream of new entries, tool calls and errors for a conversation.
+ * Entries stored after ?after=<entry id> (or the Last-Event-ID header) are sent first.
+ */
+router.get('/:id/stream', (req, res, next) => {
+    try {
+        const id = parseInt(req.params.id);
+        const conversation = conversationParser.getConversation(id);
+
+        if (!conversation) {
+            const error = new Error('Conversation not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        const after = parseInt(req.get('Last-Event-ID') || req.query.after);
+        const types = parseEventTypes(req.query.types);
+        const send = openEventStream(req, res);
+
+        if (after && (!types?.length || types.includes('entry'))) {
+            const missed = conversationParser.getConversationEntries(id, {
+                afterId: after,
+                limit: config.maxPageSize
+            });
+            for (const entry of missed) {
+                send({ type: 'entry', conversationId: id, at: new Date().toISOString(), entryId: entry.id, entry });
+            }
+        }
+
+        const unsubscribe = live.subscribe(send, { conversationId: id, types });
+        req.on('close', unsubscribe);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/v1/conversations/:id/events
+ * Get transcript events: summaries, compaction boundaries, hook and system notices
+ */
+router.get('/:id/events', (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { kind } = req.query;
+
+        const conversation = conversationParser.getConversation(parseInt(id));
+        if (!conversation) {
+            const error = new Error('Conversation not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        res.json({
+            conversationId: parseInt(id),
+            data: conversationParser.getConversationEvents(parseInt(id), { kind })
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/v1/conversations/:id/tree
+ * Get conversation as a message tree (main thread plus nested subagent threads)
+ */
+router.get('/:id/tree', (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        const conversation = conversationParser.getConversation(parseInt(id));
+        if (!conversation) {
+            const error = new Error('Conversation not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        res.json(conversationParser.getConversationTree(parseInt(id)));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/v1/conversations/:id/chain
+ * Get the resume/continue chain a conversation belongs to as one logical session
+ */
+router.get('/:id/chain', (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const {
+            page = 1,
+            limit = config.defaultPageSize
+        } = req.query;
+
+        const chain = chains.getConversationChain(parseInt(id), {
+            limit: Math.min(parseInt(limit), config.maxPageSize),
+            offset: (parseInt(page) - 1) * parseInt(limit)
+        });
+
+        if (!chain) {
+            const error = new Error('Conversation not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        res.json({
+            conversationId: parseInt(id),
+            ...chain,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit)
+            }
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
 /**
  * GET /api/v1/conversations/:id/artifacts
  * Get artifacts for a conversation with filtering
@@ -102,6 +290,7 @@ router.get('/:id/artifacts', (req, res, next) => {
             type,
             tool_name,
             outcome,
+            file_path,
             page = 1,
             limit = config.defaultPageSize
         } = req.query;
@@ -110,6 +299,7 @@ router.get('/:id/artifacts', (req, res, next) => {
             type,
             toolName: tool_name,
             outcome,
+            filePath: file_path,
             limit: Math.min(parseInt(limit), config.maxPageSize),
             offset: (parseInt(page) - 1) * parseInt(limit)
         });
@@ -175,10 +365,107 @@ router.get('/:id/stats', (req, res, next) => {
         }
 
         const stats = artifactExtractor.getArtifactStats(parseInt(id));
+        const latency = artifactExtractor.getToolLatencyStats({ conversationId: parseInt(id) });
+
+        res.json({
+            conversationId: parseInt(id),
+            ...stats,
+            latency: {
+                overall: latency.overall,
+                byTool: latency.byTool
+            }
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/v1/conversations/:id/usage
+ * Get token usage and estimated cost for a conversation, by model
+ */
+router.get('/:id/usage', (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        const conversation = conversationParser.getConversation(parseInt(id));
+        if (!conversation) {
+            const error = new Error('Conversation not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        res.json(usage.getConversationUsage(parseInt(id)));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/v1/conversations/:id/redactions
+ * Get the redaction report: secrets masked before storage, by detector
+ */
+router.get('/:id/redactions', (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        const conversation = conversationParser.getConversation(parseInt(id));
+        if (!conversation) {
+            const error = new Error('Conversation not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        res.json(redaction.getRedactionReport(parseInt(id)));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/v1/conversations/:id/findings
+ * Get retry loops, oscillating edits and error streaks detected in the session
+ * ?type=retry_loop|edit_oscillation|error_streak limits the finding type
+ */
+router.get('/:id/findings', (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { type } = req.query;
+
+        const conversation = conversationParser.getConversation(parseInt(id));
+        if (!conversation) {
+            const error = new Error('Conversation not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        res.json({
+            conversationId: parseInt(id),
+            data: loopDetection.getConversationFindings(parseInt(id), { type })
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/v1/conversations/:id/resyncs
+ * Get resync events recorded when the source file was rewritten
+ */
+router.get('/:id/resyncs', (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        const conversation = conversationParser.getConversation(parseInt(id));
+        if (!conversation) {
+            const error = new Error('Conversation not found');
+            error.statusCode = 404;
+            throw error;
+        }
 
         res.json({
             conversationId: parseInt(id),
-            ...stats
+            events: conversationParser.getResyncEvents(parseInt(id))
         });
     } catch (err) {
         next(err);
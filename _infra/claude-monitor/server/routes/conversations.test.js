@@ -0,0 +1,80 @@
+import { describe, test, expect, beforeAll, afterAll } from 'bun:test';
+import fs from 'fs';
+import path from 'path';
+import { setupTestEnv, startApp, transcript, writeTranscript } from '../test/helpers.js';
+
+const { db, dir } = setupTestEnv();
+const { default: conversationsRouter } = await import('./conversations.js');
+const { default: conversationParser } = await import('../services/conversationParserService.js');
+
+/**
+ * Read a Server-Sent Events response until `count` events arrived,
+ * then close it. Returns the parsed events.
+ */
+async function readEvents(res, count) {
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    const events = [];
+    let buffer = '';
+
+    while (events.length < count) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+            const fields = Object.fromEntries(buffer.slice(0, end).split('\n')
+                .filter(line => /^(id|event|data):/.test(line))
+                .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 1).trim()]));
+            buffer = buffer.slice(end + 2);
+            if (fields.event) events.push({ ...fields, data: JSON.parse(fields.data) });
+        }
+    }
+
+    await reader.cancel();
+    return events;
+}
+
+describe('GET /api/v1/conversations/:id/stream', () => {
+    let app;
+    let session;
+    let filePath;
+    let conversationId;
+
+    beforeAll(async () => {
+        session = transcript();
+        filePath = path.join(dir, 'session.jsonl');
+        writeTranscript(filePath, [session.user('first'), session.assistant('second')]);
+        conversationId = conversationParser.processFile(filePath).conversationId;
+        app = await startApp('/conversations', conversationsRouter);
+    });
+
+    afterAll(() => app.close());
+
+    const entryIds = () => db.getDb().prepare('SELECT id FROM conversation_entries ORDER BY id').all().map(row => row.id);
+
+    test('sends the entries stored after the last event id, then new ones', async () => {
+        const [firstId, secondId] = entryIds();
+        const res = await fetch(`${app.url}/${conversationId}/stream?types=entry`, {
+            headers: { 'Last-Event-ID': String(firstId) }
+        });
+        expect(res.headers.get('content-type')).toStartWith('text/event-stream');
+
+        const reading = readEvents(res, 2);
+        await Bun.sleep(50);
+        fs.appendFileSync(filePath, JSON.stringify(session.user('third')) + '\n');
+        conversationParser.processFile(filePath);
+
+        const events = await reading;
+        expect(events.map(event => [event.event, event.id, event.data.entry.content])).toEqual([
+            ['entry', String(secondId), 'second'],
+            ['entry', String(entryIds()[2]), 'third']
+        ]);
+    });
+
+    test('answers 404 for an unknown conversation', async () => {
+        const res = await fetch(`${app.url}/999/stream`);
+        expect(res.status).toBe(404);
+    });
+});
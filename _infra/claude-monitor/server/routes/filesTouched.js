@@ -0,0 +1,88 @@
+import express from 'express';
+import * as fileChanges from '../services/fileChangeService.js';
+import config from '../config.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/v1/files-touched
+ * List files changed by Edit, MultiEdit and Write calls across conversations
+ *
+ * Query (all optional):
+ *   project_id      - only this project's conversations
+ *   conversation_id - only this conversation
+ *   q               - path substring
+ *   since           - only changes made at or after this date
+ */
+router.get('/', (req, res, next) => {
+    try {
+        const {
+            project_id,
+            conversation_id,
+            q,
+            since,
+            page = 1,
+            limit = config.defaultPageSize
+        } = req.query;
+
+        const files = fileChanges.listFilesTouched({
+            projectId: project_id ? parseInt(project_id) : undefined,
+            conversationId: conversation_id ? parseInt(conversation_id) : undefined,
+            path: q,
+            since,
+            limit: Math.min(parseInt(limit), config.maxPageSize),
+            offset: (parseInt(page) - 1) * parseInt(limit)
+        });
+
+        res.json({
+            data: files,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit)
+            }
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/v1/files-touched/history
+ * Get the ordered change history of one file, with diffs where reconstructable
+ *
+ * Query:
+ *   path            - file path as passed to the tool (required)
+ *   project_id      - only this project's conversations
+ *   conversation_id - only this conversation
+ */
+router.get('/history', (req, res, next) => {
+    try {
+        const { path, project_id, conversation_id } = req.query;
+
+        if (!path) {
+            const error = new Error('File path (path) is required');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const changes = fileChanges.getFileHistory(path, {
+            projectId: project_id ? parseInt(project_id) : undefined,
+            conversationId: conversation_id ? parseInt(conversation_id) : undefined
+        });
+
+        if (!changes.length) {
+            const error = new Error('No changes recorded for this file');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        res.json({
+            file_path: path,
+            data: changes
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+export default router;
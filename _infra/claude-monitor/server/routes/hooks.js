@@ -0,0 +1,25 @@
+import express from 'express';
+import * as hookIngest from '../services/hookIngestService.js';
+import requireHookToken from '../middleware/hookAuth.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/v1/hooks
+ * Ingest a Claude Code hook payload (SessionStart, UserPromptSubmit,
+ * PreToolUse, PostToolUse, Stop, ...). Requires the hook token.
+ *
+ * Example hook command:
+ *   curl -s -X POST -H "Authorization: Bearer $CLAUDE_MONITOR_HOOK_TOKEN" \
+ *        -H 'Content-Type: application/json' --data-binary @- \
+ *        http://localhost:<port>/api/v1/hooks
+ */
+router.post('/', requireHookToken, (req, res, next) => {
+    try {
+        res.json(hookIngest.ingestHookEvent(req.body));
+    } catch (err) {
+        next(err);
+    }
+});
+
+export default router;
@@ -0,0 +1,48 @@
+import { describe, test, expect, beforeAll, afterAll } from 'bun:test';
+import { setupTestEnv, startApp } from '../test/helpers.js';
+
+const { config, db } = setupTestEnv();
+const { default: hooksRouter } = await import('./hooks.js');
+
+describe('POST /api/v1/hooks', () => {
+    let app;
+
+    beforeAll(async () => {
+        app = await startApp('/hooks', hooksRouter);
+    });
+
+    afterAll(() => app.close());
+
+    const post = (headers) => fetch(app.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify({ session_id: 'session-1', cwd: '/work', hook_event_name: 'SessionStart', source: 'startup' })
+    });
+
+    test('is disabled until a token is configured', async () => {
+        const res = await post({ Authorization: 'Bearer secret' });
+        expect(res.status).toBe(503);
+        expect((await res.json()).error).toBe('Hook ingestion is not configured');
+    });
+
+    test('rejects a missing or wrong token', async () => {
+        config.conversationCapture.hooks = { token: 'secret' };
+
+        for (const headers of [{}, { Authorization: 'Bearer wrong' }, { 'X-Hook-Token': 'secrets' }]) {
+            const res = await post(headers);
+            expect(res.status).toBe(401);
+        }
+        expect(db.getDb().prepare('SELECT COUNT(*) AS count FROM conversation_entries').get().count).toBe(0);
+    });
+
+    test('ingests events sent with the token in either header', async () => {
+        config.conversationCapture.hooks = { token: 'secret' };
+
+        expect((await post({ Authorization: 'Bearer secret' })).status).toBe(200);
+        expect((await post({ 'X-Hook-Token': 'secret' })).status).toBe(200);
+
+        // The second delivery of the same event is a duplicate
+        expect(db.getDb().prepare("SELECT content FROM conversation_entries WHERE capture_source = 'hook'").all())
+            .toEqual([{ content: 'SessionStart (startup)' }]);
+    });
+});
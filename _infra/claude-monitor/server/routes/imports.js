@@ -0,0 +1,169 @@
+import express from 'express';
+import * as imports from '../services/importService.js';
+import config from '../config.js';
+
+const router = express.Router();
+
+const UPLOAD_TYPES = [
+    'multipart/form-data',
+    'application/zip',
+    'application/x-zip-compressed',
+    'application/x-ndjson',
+    'application/jsonl',
+    'application/octet-stream',
+    'text/plain'
+];
+
+const RAW_EXTENSIONS = {
+    'application/zip': '.zip',
+    'application/x-zip-compressed': '.zip',
+    'application/x-ndjson': '.jsonl',
+    'application/jsonl': '.jsonl',
+    'text/plain': '.txt'
+};
+
+/**
+ * Split a multipart/form-data body into fields and files
+ */
+function parseMultipart(body, contentType) {
+    const match = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+    if (!match) {
+        const error = new Error('Missing multipart boundary');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const delimiter = Buffer.from(`--${match[1] || match[2]}`);
+    const fields = {};
+    const files = [];
+
+    let position = body.indexOf(delimiter);
+    while (position !== -1) {
+        const partStart = position + delimiter.length;
+        if (body.subarray(partStart, partStart + 2).toString() === '--') break;
+
+        const next = body.indexOf(delimiter, partStart);
+        if (next === -1) break;
+
+        // Each part sits between "--boundary\r\n" and "\r\n--boundary"
+        const part = body.subarray(partStart + 2, next - 2);
+        const headerEnd = part.indexOf('\r\n\r\n');
+        if (headerEnd !== -1) {
+            const headers = part.subarray(0, headerEnd).toString('utf8');
+            const data = part.subarray(headerEnd + 4);
+            const name = headers.match(/name="([^"]*)"/i)?.[1];
+            const filename = headers.match(/filename="([^"]*)"/i)?.[1];
+
+            if (filename) {
+                files.push({ name: filename, data });
+            } else if (name) {
+                fields[name] = data.toString('utf8');
+            }
+        }
+
+        position = next;
+    }
+
+    return { fields, files };
+}
+
+/**
+ * GET /api/v1/imports
+ * List import jobs, newest first
+ */
+router.get('/', (req, res, next) => {
+    try {
+        const { page = 1, limit = config.defaultPageSize } = req.query;
+
+        res.json({
+            data: imports.listImports({
+                limit: Math.min(parseInt(limit), config.maxPageSize),
+                offset: (parseInt(page) - 1) * parseInt(limit)
+            }),
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit)
+            }
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/v1/imports/projects
+ * List projects that uploads can be assigned to
+ */
+router.get('/projects', (req, res, next) => {
+    try {
+        res.json({ data: imports.listProjects() });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /api/v1/imports
+ * Upload transcripts for background import.
+ *
+ * multipart/form-data: one or many JSONL/TXT/JSON/zip files, with optional
+ *   `project_id` or `project_name` fields.
+ * Raw body (application/x-ndjson, application/zip, text/plain): a single
+ *   file named by ?filename=, with ?project_id= or ?project_name=.
+ *
+ * Responds with the queued job; poll GET /imports/:id for results.
+ */
+router.post('/', express.raw({ type: UPLOAD_TYPES, limit: imports.getSettings().maxUploadBytes }), (req, res, next) => {
+    try {
+        const contentType = req.get('Content-Type') || '';
+        if (!Buffer.isBuffer(req.body)) {
+            const error = new Error(`Unsupported upload type: ${contentType || 'none'}`);
+            error.statusCode = 415;
+            throw error;
+        }
+
+        let fields = req.query;
+        let files;
+
+        if (contentType.startsWith('multipart/form-data')) {
+            const parsed = parseMultipart(req.body, contentType);
+            fields = { ...req.query, ...parsed.fields };
+            files = parsed.files;
+        } else {
+            const mediaType = contentType.split(';')[0].trim();
+            const name = req.query.filename || `upload${RAW_EXTENSIONS[mediaType] || ''}`;
+            files = req.body.length ? [{ name, data: req.body }] : [];
+        }
+
+        const job = imports.createImport(files, {
+            projectId: fields.project_id ? parseInt(fields.project_id) : undefined,
+            projectName: fields.project_name
+        });
+
+        res.json(job);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/v1/imports/:id
+ * Get an import job with per-file results and errors
+ */
+router.get('/:id', (req, res, next) => {
+    try {
+        const job = imports.getImport(parseInt(req.params.id));
+
+        if (!job) {
+            const error = new Error('Import not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        res.json(job);
+    } catch (err) {
+        next(err);
+    }
+});
+
+export default router;
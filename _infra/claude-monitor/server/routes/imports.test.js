@@ -0,0 +1,44 @@
+import { describe, test, expect, beforeAll, afterAll } from 'bun:test';
+import { setupTestEnv, startApp } from '../test/helpers.js';
+
+setupTestEnv();
+const { default: importsRouter } = await import('./imports.js');
+
+describe('POST /api/v1/imports', () => {
+    let app;
+
+    beforeAll(async () => {
+        app = await startApp('/imports', importsRouter);
+    });
+
+    afterAll(() => app.close());
+
+    const upload = (fields) => {
+        const form = new FormData();
+        for (const [name, value] of Object.entries(fields)) form.append(name, value);
+        form.append('files', new Blob(['{}\n']), 'session.jsonl');
+        return fetch(app.url, { method: 'POST', body: form });
+    };
+
+    test('queues uploaded files', async () => {
+        const res = await upload({ project_name: ' Imported ' });
+        const job = await res.json();
+
+        expect(res.status).toBe(200);
+        expect(job.project_name).toBe('Imported');
+        expect(job.files.map(file => file.file_name)).toEqual(['session.jsonl']);
+    });
+
+    test('rejects a blank project name with a 400', async () => {
+        for (const projectName of ['', '   ']) {
+            const res = await upload({ project_name: projectName });
+            expect(res.status).toBe(400);
+            expect((await res.json()).error).toBe('project_name must be a non-blank name');
+        }
+    });
+
+    test('rejects unsupported upload types with a 415', async () => {
+        const res = await fetch(app.url, { method: 'POST', headers: { 'Content-Type': 'image/png' }, body: 'png' });
+        expect(res.status).toBe(415);
+    });
+});
@@ -0,0 +1,113 @@
+import express from 'express';
+import * as reprocess from '../services/reprocessService.js';
+import config from '../config.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/v1/reprocess
+ * List reprocess jobs, newest first
+ */
+router.get('/', (req, res, next) => {
+    try {
+        const { page = 1, limit = config.defaultPageSize } = req.query;
+
+        res.json({
+            data: reprocess.listReprocessJobs({
+                limit: Math.min(parseInt(limit), config.maxPageSize),
+                offset: (parseInt(page) - 1) * parseInt(limit)
+            }),
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit)
+            }
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/v1/reprocess/versions
+ * Current parser/extractor versions and counts of rows built by older ones
+ */
+router.get('/versions', (req, res, next) => {
+    try {
+        res.json(reprocess.getVersionStatus());
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /api/v1/reprocess
+ * Start a background job rebuilding entries and artifacts.
+ *
+ * Body (all optional):
+ *   scope            - 'all' (re-parse sources and re-extract) or 'artifacts'
+ *   conversation_ids - only these conversations
+ *   project_id       - only this project's conversations
+ *   source_type      - only this source type (jsonl, txt, claude_ai, ...)
+ *   since            - only conversations started at or after this date
+ *   outdated_only    - only conversations with rows from older versions (default true)
+ */
+router.post('/', (req, res, next) => {
+    try {
+        const body = req.body || {};
+
+        const job = reprocess.createReprocessJob({
+            scope: body.scope,
+            conversationIds: Array.isArray(body.conversation_ids) ? body.conversation_ids.map(id => parseInt(id)) : null,
+            projectId: body.project_id ? parseInt(body.project_id) : null,
+            sourceType: body.source_type,
+            since: body.since,
+            outdatedOnly: body.outdated_only !== false && body.outdated_only !== 'false'
+        });
+
+        res.json(job);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/v1/reprocess/:id
+ * Get a reprocess job with its progress and errors
+ */
+router.get('/:id', (req, res, next) => {
+    try {
+        const job = reprocess.getReprocessJob(parseInt(req.params.id));
+
+        if (!job) {
+            const error = new Error('Reprocess job not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        res.json(job);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /api/v1/reprocess/:id/cancel
+ * Stop a queued or running job; conversations already rebuilt stay rebuilt
+ */
+router.post('/:id/cancel', (req, res, next) => {
+    try {
+        const job = reprocess.cancelReprocessJob(parseInt(req.params.id));
+
+        if (!job) {
+            const error = new Error('Reprocess job not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        res.json(job);
+    } catch (err) {
+        next(err);
+    }
+});
+
+export default router;
@@ -0,0 +1,94 @@
+import express from 'express';
+import * as search from '../services/searchService.js';
+import config from '../config.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/v1/search
+ * Full-text search over conversation entries and artifacts, ranked by
+ * BM25, with highlighted snippets and facet counts
+ *
+ * Query:
+ *   q               - words, "phrases", prefix*, OR, -excluded (required)
+ *   scope           - all (default), entries or artifacts
+ *   project_id      - only this project's conversations
+ *   conversation_id - only this conversation
+ *   role            - only entries with this role (user, assistant, ...)
+ *   tool_name       - only artifacts of this tool
+ *   type            - only artifacts of this type (code_block, tool_call, ...)
+ *   since           - only hits at or after this date
+ */
+router.get('/', (req, res, next) => {
+    try {
+        const {
+            q,
+            scope = 'all',
+            project_id,
+            conversation_id,
+            role,
+            tool_name,
+            type,
+            since,
+            page = 1,
+            limit = config.defaultPageSize
+        } = req.query;
+
+        if (!q || !q.trim()) {
+            const error = new Error('Search query (q) is required');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        if (!search.SCOPES.includes(scope)) {
+            const error = new Error(`Invalid scope: must be one of ${search.SCOPES.join(', ')}`);
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const results = search.search(q.trim(), {
+            scope,
+            projectId: project_id ? parseInt(project_id) : undefined,
+            conversationId: conversation_id ? parseInt(conversation_id) : undefined,
+            role,
+            toolName: tool_name,
+            type,
+            since,
+            limit: Math.min(parseInt(limit), config.maxPageSize),
+            offset: (parseInt(page) - 1) * parseInt(limit)
+        });
+
+        if (!results) {
+            const error = new Error('Search query (q) has no words to search for');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        res.json({
+            query: q.trim(),
+            total: results.total,
+            data: results.data,
+            facets: results.facets,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit)
+            }
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /api/v1/search/rebuild
+ * Rebuild the search indexes from the entries and artifacts tables
+ */
+router.post('/rebuild', (req, res, next) => {
+    try {
+        res.json(search.rebuildIndex());
+    } catch (err) {
+        next(err);
+    }
+});
+
+export default router;
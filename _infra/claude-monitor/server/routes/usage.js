@@ -0,0 +1,85 @@
+import express from 'express';
+import * as usage from '../services/usageService.js';
+import config from '../config.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/v1/usage/prices
+ * Get the effective price table (USD per million tokens)
+ */
+router.get('/prices', (req, res, next) => {
+    try {
+        res.json({ prices: usage.getPriceTable() });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/v1/usage/conversations
+ * Get token usage and estimated cost per conversation
+ */
+router.get('/conversations', (req, res, next) => {
+    try {
+        const {
+            project_id,
+            since,
+            page = 1,
+            limit = config.defaultPageSize
+        } = req.query;
+
+        const conversations = usage.getUsageByConversation({
+            projectId: project_id ? parseInt(project_id) : undefined,
+            since,
+            limit: Math.min(parseInt(limit), config.maxPageSize),
+            offset: (parseInt(page) - 1) * parseInt(limit)
+        });
+
+        res.json({
+            data: conversations,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit)
+            }
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/v1/usage/projects
+ * Get token usage and estimated cost per project
+ */
+router.get('/projects', (req, res, next) => {
+    try {
+        const { since } = req.query;
+
+        res.json({
+            data: usage.getUsageByProject({ since })
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/v1/usage/daily
+ * Get token usage and estimated cost per day
+ */
+router.get('/daily', (req, res, next) => {
+    try {
+        const { project_id, days = '30' } = req.query;
+        const data = usage.getUsageByDay({
+            projectId: project_id ? parseInt(project_id) : undefined,
+            days: /^\d+$/.test(days) ? Number(days) : NaN
+        });
+
+        res.json({ days: Number(days), data });
+    } catch (err) {
+        next(err);
+    }
+});
+
+export default router;
@@ -0,0 +1,29 @@
+import { describe, test, expect, beforeAll, afterAll } from 'bun:test';
+import { setupTestEnv, startApp } from '../test/helpers.js';
+
+setupTestEnv();
+const { default: usageRouter } = await import('./usage.js');
+
+describe('GET /api/v1/usage/daily', () => {
+    let app;
+
+    beforeAll(async () => {
+        app = await startApp('/usage', usageRouter);
+    });
+
+    afterAll(() => app.close());
+
+    test('defaults to the last 30 days', async () => {
+        const res = await fetch(`${app.url}/daily`);
+
+        expect(res.status).toBe(200);
+        expect(await res.json()).toEqual({ days: 30, data: [] });
+    });
+
+    test('rejects a days value that is not a positive integer with a 400', async () => {
+        for (const days of ['abc', '7d', '0', '-1']) {
+            const res = await fetch(`${app.url}/daily?days=${days}`);
+            expect(res.status).toBe(400);
+        }
+    });
+});
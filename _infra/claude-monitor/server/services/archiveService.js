@@ -0,0 +1,138 @@
+import zlib from 'zlib';
+
+/**
+ * Archive Service
+ *
+ * Minimal zip reader for uploaded transcript archives. Supports stored
+ * and deflated entries from a standard (non-Zip64) central directory,
+ * which covers archives made by zip, Finder, Windows Explorer and the
+ * Claude.ai data export. Entry sizes, the total inflated size and the
+ * number of entries are capped to guard against decompression bombs; the
+ * caps are checked against the central directory before anything is
+ * inflated, and no entry inflates past its declared size. Entries can be
+ * listed first and inflated one at a time.
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const EOCD_MIN_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+/**
+ * Check whether a buffer starts like a zip archive
+ */
+function isZip(buffer) {
+    return buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_SIGNATURE;
+}
+
+/**
+ * Locate the end of central directory record
+ */
+function findEndOfCentralDirectory(buffer) {
+    const stop = Math.max(0, buffer.length - EOCD_MIN_SIZE - MAX_COMMENT_SIZE);
+    for (let i = buffer.length - EOCD_MIN_SIZE; i >= stop; i--) {
+        if (buffer.readUInt32LE(i) === EOCD_SIGNATURE) return i;
+    }
+    throw new Error('Not a zip archive (no end of central directory)');
+}
+
+/**
+ * List the entries of a zip archive held in memory from its central
+ * directory, without inflating anything.
+ * Options: maxEntrySize (larger entries are listed with an error),
+ * maxTotalSize and maxEntries (larger archives are rejected).
+ * Returns `[{ name, size, error? }]` for files; directories are left out.
+ * Pass an entry to `readZipEntry` to inflate it.
+ */
+function listZipEntries(buffer, options = {}) {
+    const { maxEntrySize = Infinity, maxTotalSize = Infinity, maxEntries = Infinity } = options;
+    const eocd = findEndOfCentralDirectory(buffer);
+    const entryCount = buffer.readUInt16LE(eocd + 10);
+    let offset = buffer.readUInt32LE(eocd + 16);
+
+    if (offset === 0xffffffff || entryCount === 0xffff) {
+        throw new Error('Zip64 archives are not supported');
+    }
+    if (entryCount > maxEntries) {
+        throw new Error(`Archive has ${entryCount} entries, more than the limit of ${maxEntries}`);
+    }
+
+    const entries = [];
+    let totalSize = 0;
+
+    for (let i = 0; i < entryCount; i++) {
+        if (buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+            throw new Error('Corrupt zip central directory');
+        }
+
+        const flags = buffer.readUInt16LE(offset + 8);
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const size = buffer.readUInt32LE(offset + 24);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString(flags & 0x0800 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) continue;
+
+        if (flags & 0x0001) {
+            entries.push({ name, size, error: 'Encrypted entries are not supported' });
+        } else if (size > maxEntrySize) {
+            entries.push({ name, size, error: `Entry exceeds ${maxEntrySize} bytes` });
+        } else if (method !== METHOD_STORED && method !== METHOD_DEFLATE) {
+            entries.push({ name, size, error: `Unsupported compression method ${method}` });
+        } else {
+            entries.push({ name, size, method, compressedSize, localOffset });
+            totalSize += size;
+        }
+    }
+
+    if (totalSize > maxTotalSize) {
+        throw new Error(`Archive expands to ${totalSize} bytes, more than the limit of ${maxTotalSize}`);
+    }
+
+    return entries;
+}
+
+/**
+ * Inflate one entry listed by `listZipEntries`, never past its declared
+ * size. Throws if the entry cannot be read.
+ */
+function readZipEntry(buffer, entry) {
+    if (entry.error) throw new Error(entry.error);
+
+    const { name, method, compressedSize, size, localOffset } = entry;
+    if (buffer.readUInt32LE(localOffset) !== LOCAL_SIGNATURE) {
+        throw new Error(`Corrupt zip local header for ${name}`);
+    }
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === METHOD_STORED) return raw;
+
+    try {
+        return zlib.inflateRawSync(raw, { maxOutputLength: Math.max(size, 1) });
+    } catch (err) {
+        throw new Error(`Cannot inflate entry: ${err.message}`);
+    }
+}
+
+export {
+    isZip,
+    listZipEntries,
+    readZipEntry
+};
+
+export default {
+    isZip,
+    listZipEntries,
+    readZipEntry
+};
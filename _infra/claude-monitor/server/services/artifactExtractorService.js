@@ -2,20 +2,34 @@ import fs from 'fs';
 import crypto from 'crypto';
 import db from '../db/index.js';
 import logger from './logService.js';
+import redaction from './redactionService.js';
+import bashCommands from './bashCommandService.js';
+import errorClassifier from './errorClassifierService.js';
+import followUps from './followUpService.js';
+import loopDetection from './loopDetectionService.js';
+import outputStore from './outputStoreService.js';
+import jsonShapes from './jsonShapeService.js';
+import codeBlocks from './codeBlockService.js';
+import contentIndex from './contentIndexService.js';
+import search from './searchService.js';
+import conversationParser from './conversationParserService.js';
 
 /**
  * Artifact Extractor Service
  *
  * Extracts structured artifacts from conversation entries:
- * - Code blocks (with language detection)
+ * - Code blocks (with language detection and the file they were written for)
  * - Tool calls (with parameters and outcomes)
  * - Tool results (with error classification)
- * - JSON objects
+ * - JSON objects (from assistant text and tool outputs, with a schema fingerprint)
  *
- * Implements tiered storage for outputs based on size and type.
+ * Implements tiered storage for outputs based on size and type: small
+ * outputs inline, large ones in the output blob store (outputStoreService).
  */
 
-const MAX_OUTPUT_SIZE = 10240; // 10KB
+// Bump when artifact extraction or classification changes, so reprocess jobs can find stale rows
+const EXTRACTOR_VERSION = 9;
+
 const SUMMARY_LENGTH = 500;
 const PROMPT_CONTEXT_LENGTH = 200;
 
@@ -39,158 +53,192 @@ function artifactExists(conversationId, contentHash) {
 }
 
 /**
- * Store an artifact
+ * Milliseconds between a tool call and its result, or null when either
+ * timestamp is missing or they are out of order
+ */
+function measureLatency(startedAt, endedAt) {
+    const start = Date.parse(startedAt);
+    const end = Date.parse(endedAt);
+    if (Number.isNaN(start) || Number.isNaN(end) || end < start) return null;
+    return end - start;
+}
+
+/**
+ * Build tool call metadata. Bash calls also get their parsed command and,
+ * once the result is known, its exit code and stderr.
+ */
+function buildToolMetadata(toolUseId, toolName, input, output, isError = false) {
+    const metadata = {
+        toolUseId,
+        inputKeys: Object.keys(input || {})
+    };
+
+    if (toolName === 'Bash') {
+        const bash = bashCommands.describeBashCall(input);
+        if (bash) metadata.bash = { ...bash, ...bashCommands.describeBashResult(output, isError) };
+    }
+
+    return metadata;
+}
+
+/**
+ * Store an artifact. Text fields are redacted before storage;
+ * `contentHash` must be computed by the caller from the unredacted source.
  */
 function storeArtifact(artifact) {
     const database = db.getDb();
+    const report = {};
+    const redact = (text) => redaction.redactText(text, report);
+    const blobText = artifact.outputBlob ? redact(artifact.outputBlob) : null;
+    const blobHash = blobText ? outputStore.storeOutput(blobText) : null;
+    const content = redact(artifact.content) || null;
 
-    database.prepare(`
+    const result = database.prepare(`
         INSERT INTO artifacts (
             conversation_id, entry_id, artifact_type, language, tool_name,
             content, metadata, content_hash, outcome,
-            output_summary, output_full, output_size_bytes, output_truncated,
-            error_type, prompt_context, follow_up_action
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            output_summary, output_full, output_blob_hash, output_size_bytes, output_truncated,
+            error_type, prompt_context, follow_up_action, extractor_version,
+            result_entry_id, started_at, ended_at, latency_ms, schema_fingerprint, file_path,
+            global_hash
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `).run(
         artifact.conversationId,
         artifact.entryId || null,
         artifact.type,
         artifact.language || null,
         artifact.toolName || null,
-        artifact.content || null,
-        artifact.metadata ? JSON.stringify(artifact.metadata) : null,
+        content,
+        artifact.metadata ? JSON.stringify(redaction.redactValue(artifact.metadata, report, { entropy: false })) : null,
         artifact.contentHash,
         artifact.outcome || null,
-        artifact.outputSummary || null,
-        artifact.outputFull || null,
+        redact(artifact.outputSummary) || null,
+        redact(artifact.outputFull) || null,
+        blobHash,
         artifact.outputSizeBytes || null,
-        artifact.outputTruncated ? 1 : 0,
+        artifact.outputTruncated && !blobHash ? 1 : 0,
         artifact.errorType || null,
-        artifact.promptContext || null,
-        artifact.followUpAction || null
+        redact(artifact.promptContext) || null,
+        artifact.followUpAction || null,
+        EXTRACTOR_VERSION,
+        artifact.resultEntryId || null,
+        artifact.startedAt || null,
+        artifact.endedAt || null,
+        measureLatency(artifact.startedAt, artifact.endedAt),
+        artifact.schemaFingerprint || null,
+        artifact.filePath || null,
+        contentIndex.contentKey(artifact.type, artifact.toolName, content)
     );
+
+    if (blobHash) search.indexArtifactOutput(Number(result.lastInsertRowid), blobText);
+    redaction.recordFindings(artifact.conversationId, 'artifact', report);
 }
 
 /**
- * Extract code blocks from text content
+ * Extract code blocks from text content.
+ * `writes` are the file-writing calls later in the same turn, used to
+ * attribute blocks to files.
  */
-function extractCodeBlocks(text) {
-    const codeBlocks = [];
-    const regex = /```(\w*)\n([\s\S]*?)```/g;
-    let match;
-
-    while ((match = regex.exec(text)) !== null) {
-        codeBlocks.push({
-            language: match[1] || 'text',
-            content: match[2].trim(),
-            startIndex: match.index
-        });
-    }
+function extractCodeBlocks(text, writes = []) {
+    return codeBlocks.extractCodeBlocks(text, { writes });
+}
 
-    return codeBlocks;
+/**
+ * File-writing calls from an entry to the end of its turn (the next
+ * user prompt). `writes` are `{ position, name, input }` in order.
+ */
+function turnFileWrites(writes, promptPositions, position) {
+    const end = promptPositions.find(prompt => prompt > position) ?? Infinity;
+    return writes.filter(write => write.position >= position && write.position < end);
 }
 
 /**
- * Extract JSON objects from text
+ * Extract JSON objects (and arrays of objects) from text
  */
 function extractJsonObjects(text) {
-    const jsonObjects = [];
+    return jsonShapes.scanJson(text);
+}
 
-    // Look for JSON-like patterns
-    const jsonPatterns = [
-        /\{[\s\S]*?\}/g,  // Simple objects
-    ];
+/**
+ * Text of a tool output: strings as-is, text blocks of block arrays joined
+ */
+function outputText(output) {
+    if (typeof output === 'string') return output;
+    if (Array.isArray(output)) {
+        return output.filter(block => block?.type === 'text').map(block => block.text).join('\n');
+    }
+    return output ? JSON.stringify(output) : '';
+}
 
-    for (const pattern of jsonPatterns) {
-        let match;
-        while ((match = pattern.exec(text)) !== null) {
-            try {
-                const parsed = JSON.parse(match[0]);
-                // Only include if it's a meaningful object (not empty, has keys)
-                if (typeof parsed === 'object' && Object.keys(parsed).length > 0) {
-                    jsonObjects.push({
-                        content: match[0],
-                        parsed,
-                        startIndex: match.index
-                    });
-                }
-            } catch (e) {
-                // Not valid JSON, skip
-            }
+/**
+ * Store the JSON objects found in a piece of assistant text or tool output,
+ * skipping ones this conversation already has
+ */
+function storeJsonObjects(conversationId, source, results) {
+    for (const object of extractJsonObjects(source.text)) {
+        const contentHash = hashContent(JSON.stringify({ json: object.content }));
+
+        if (artifactExists(conversationId, contentHash)) {
+            results.skipped++;
+            continue;
         }
-    }
 
-    return jsonObjects;
+        const { fingerprint, keyPaths } = jsonShapes.fingerprintOf(object.parsed);
+
+        storeArtifact({
+            conversationId,
+            entryId: source.entryId,
+            type: 'json_object',
+            language: 'json',
+            toolName: source.toolName || null,
+            content: object.content,
+            metadata: {
+                origin: source.toolName ? 'tool_output' : 'assistant_text',
+                ...(source.toolUseId ? { toolUseId: source.toolUseId } : {}),
+                keyPaths
+            },
+            contentHash,
+            schemaFingerprint: fingerprint,
+            promptContext: source.promptContext || null
+        });
+        results.jsonObjects++;
+    }
 }
 
 /**
- * Determine output storage based on size and type
+ * Determine output storage based on size and type.
+ * `blob` is set when the full output belongs in the blob store; it is
+ * only truncated if the blob cannot be written.
  */
 function processOutput(output, isError = false) {
-    if (!output) return { summary: null, full: null, size: 0, truncated: false };
+    if (!output) return { summary: null, full: null, blob: null, size: 0, truncated: false };
 
     const outputStr = typeof output === 'string' ? output : JSON.stringify(output);
     const size = outputStr.length;
     const summary = outputStr.slice(0, SUMMARY_LENGTH);
+    const tier = outputStore.getTier(size, isError);
 
-    // Always store full output for errors
-    if (isError) {
+    // Errors and small outputs are stored in full
+    if (tier === 'inline') {
         return {
             summary,
             full: outputStr,
+            blob: null,
             size,
             truncated: false
         };
     }
 
-    // Store full if small enough
-    if (size <= MAX_OUTPUT_SIZE) {
-        return {
-            summary,
-            full: outputStr,
-            size,
-            truncated: false
-        };
-    }
-
-    // Large output - only summary
+    // Large output - summary inline, full output on disk or dropped
     return {
         summary,
         full: null,
+        blob: tier === 'blob' ? outputStr : null,
         size,
         truncated: true
     };
 }
 
-/**
- * Classify error type from output or error message
- */
-function classifyError(output, errorMessage) {
-    const text = (output || '') + (errorMessage || '');
-    const lowerText = text.toLowerCase();
-
-    if (lowerText.includes('permission denied') || lowerText.includes('access denied')) {
-        return 'permission';
-    }
-    if (lowerText.includes('not found') || lowerText.includes('no such file')) {
-        return 'not_found';
-    }
-    if (lowerText.includes('timeout') || lowerText.includes('timed out')) {
-        return 'timeout';
-    }
-    if (lowerText.includes('connection') || lowerText.includes('network')) {
-        return 'network';
-    }
-    if (lowerText.includes('syntax error') || lowerText.includes('parse error')) {
-        return 'syntax';
-    }
-    if (lowerText.includes('validation') || lowerText.includes('invalid')) {
-        return 'validation';
-    }
-
-    return 'unknown';
-}
-
 /**
  * Get prompt context (text before a position)
  */
@@ -206,7 +254,88 @@ function getPromptContext(entries, currentIndex) {
 }
 
 /**
- * Process a JSONL file to extract artifacts
+ * Map each transcript line to the entry the parser stored for it. JSONL
+ * entries are hashed from the raw line; uuids cover lines stored by an
+ * older parse whose hash no longer matches.
+ */
+function getLineEntryIds(conversationId, lines) {
+    const database = db.getDb();
+    const byHash = database.prepare(`
+        SELECT id FROM conversation_entries
+        WHERE conversation_id = ? AND entry_hash = ? AND capture_source = 'file'
+    `);
+    const byUuid = database.prepare(`
+        SELECT id FROM conversation_entries
+        WHERE conversation_id = ? AND entry_uuid = ? AND capture_source = 'file'
+    `);
+
+    return lines.map(line => {
+        const row = byHash.get(conversationId, hashContent(line));
+        if (row) return row.id;
+
+        try {
+            const uuid = JSON.parse(line).uuid;
+            return uuid ? byUuid.get(conversationId, uuid)?.id || null : null;
+        } catch (e) {
+            return null;
+        }
+    });
+}
+
+/**
+ * Byte offset to extract a transcript from: the start of the last turn
+ * extracted, which may still have been growing. Earlier turns are
+ * complete. 0 when the file was parsed for another conversation or has
+ * shrunk since.
+ */
+function getExtractOffset(filePath, conversationId, size) {
+    const state = db.getDb().prepare(`
+        SELECT conversation_id, extracted_byte_offset FROM conversation_parse_state WHERE file_path = ?
+    `).get(filePath);
+
+    if (!state || state.conversation_id !== conversationId) return 0;
+    const offset = state.extracted_byte_offset || 0;
+    return offset <= size ? offset : 0;
+}
+
+/**
+ * Read the lines of a transcript from a byte offset, with their offsets.
+ * An unterminated last line is included once it parses, as in the parser.
+ */
+function readTranscriptLines(filePath, startOffset, endOffset) {
+    const lines = [];
+    const offsets = [];
+
+    const reader = conversationParser.readLines(filePath, startOffset, endOffset);
+    let step = reader.next();
+    while (!step.done) {
+        if (step.value.line.trim()) {
+            lines.push(step.value.line);
+            offsets.push(step.value.offset);
+        }
+        step = reader.next();
+    }
+
+    const tail = step.value;
+    if (tail?.length) {
+        const line = tail.toString('utf8');
+        try {
+            JSON.parse(line);
+            lines.push(line);
+            offsets.push(endOffset - tail.length);
+        } catch (e) {
+            // Still being written
+        }
+    }
+
+    return { lines, offsets };
+}
+
+/**
+ * Process a JSONL file to extract artifacts.
+ * Only the turns added since the last extraction are read: extraction
+ * resumes at the start of the last turn, so a turn's calls, results and
+ * writes are always seen together.
  */
 function processJSONLFile(filePath, conversationId) {
     if (!fs.existsSync(filePath)) {
@@ -214,8 +343,10 @@ function processJSONLFile(filePath, conversationId) {
         return { success: false, error: 'File not found' };
     }
 
-    const content = fs.readFileSync(filePath, 'utf8');
-    const lines = content.split('\n').filter(line => line.trim());
+    const database = db.getDb();
+    const { size } = fs.statSync(filePath);
+    const startOffset = getExtractOffset(filePath, conversationId, size);
+    const { lines, offsets } = readTranscriptLines(filePath, startOffset, size);
 
     const results = {
         codeBlocks: 0,
@@ -226,89 +357,125 @@ function processJSONLFile(filePath, conversationId) {
     };
 
     // Track tool calls and their results for outcome tracking
-    const toolCallMap = new Map(); // id -> { name, input, lineIndex }
+    const toolCallMap = new Map(); // id -> { name, input, lineIndex, timestamp, result, resultLineIndex, resultTimestamp }
 
-    // First pass: collect tool calls and results
-    for (let i = 0; i < lines.length; i++) {
+    const entries = lines.map(line => {
         try {
-            const entry = JSON.parse(lines[i]);
-
-            // Find tool_use blocks in assistant messages
-            if (entry.type === 'assistant' && Array.isArray(entry.message?.content)) {
-                for (const block of entry.message.content) {
-                    if (block.type === 'tool_use') {
-                        toolCallMap.set(block.id, {
-                            name: block.name,
-                            input: block.input,
-                            lineIndex: i,
-                            timestamp: entry.timestamp
-                        });
-                    }
+            return JSON.parse(line);
+        } catch (e) {
+            return null;
+        }
+    });
+
+    // First pass: collect tool calls and results
+    for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i];
+        if (!entry) continue;
+
+        // Find tool_use blocks in assistant messages
+        if (entry.type === 'assistant' && Array.isArray(entry.message?.content)) {
+            for (const block of entry.message.content) {
+                if (block?.type === 'tool_use') {
+                    toolCallMap.set(block.id, {
+                        name: block.name,
+                        input: block.input,
+                        lineIndex: i,
+                        timestamp: entry.timestamp
+                    });
                 }
             }
+        }
 
-            // Find tool_result blocks in user messages
-            if (entry.type === 'user' && Array.isArray(entry.message?.content)) {
-                for (const block of entry.message.content) {
-                    if (block.type === 'tool_result') {
-                        const call = toolCallMap.get(block.tool_use_id);
-                        if (call) {
-                            call.result = block.content;
-                            call.isError = block.is_error;
-                            call.resultLineIndex = i;
-                        }
+        // Find tool_result blocks in user messages
+        if (entry.type === 'user' && Array.isArray(entry.message?.content)) {
+            for (const block of entry.message.content) {
+                if (block?.type === 'tool_result') {
+                    const call = toolCallMap.get(block.tool_use_id);
+                    if (call) {
+                        call.result = block.content;
+                        call.isError = block.is_error;
+                        call.resultLineIndex = i;
+                        call.resultTimestamp = entry.timestamp;
                     }
                 }
             }
-        } catch (e) {
-            // Skip malformed lines
         }
     }
 
     // Second pass: extract and store artifacts
-    const entries = [];
-    for (let i = 0; i < lines.length; i++) {
-        try {
-            const entry = JSON.parse(lines[i]);
-            entries.push(entry);
-        } catch (e) {
-            entries.push(null);
-        }
-    }
+    const lineEntryIds = getLineEntryIds(conversationId, lines);
+
+    // Writes and prompts, for attributing code blocks to the file they went to
+    const fileWrites = [...toolCallMap.values()]
+        .filter(call => codeBlocks.FILE_TOOLS.includes(call.name))
+        .map(call => ({ position: call.lineIndex, name: call.name, input: call.input }))
+        .sort((a, b) => a.position - b.position);
+    const promptPositions = [];
+    entries.forEach((entry, i) => {
+        const content = entry?.type === 'user' ? entry.message?.content : null;
+        const isToolResult = Array.isArray(content) && content.some(block => block.type === 'tool_result');
+        if (content && !isToolResult) promptPositions.push(i);
+    });
 
     // Process tool calls
     for (const [toolId, call] of toolCallMap) {
         const contentHash = hashContent(JSON.stringify({ id: toolId, input: call.input }));
+        const isError = call.isError === true;
+        const outputData = processOutput(call.result, isError);
+        const resultEntryId = call.result ? lineEntryIds[call.resultLineIndex] : null;
 
-        if (artifactExists(conversationId, contentHash)) {
+        const existing = database.prepare(`
+            SELECT id, outcome, started_at, ended_at, metadata FROM artifacts
+            WHERE conversation_id = ? AND content_hash = ?
+        `).get(conversationId, contentHash);
+        const startedAt = call.timestamp || null;
+        const endedAt = call.result ? call.resultTimestamp || null : null;
+
+        // Stored from this transcript already, with everything it says about the call so far
+        if (existing && existing.started_at === startedAt && existing.ended_at === endedAt) {
             results.skipped++;
             continue;
         }
 
-        const isError = call.isError === true;
-        const outputData = processOutput(call.result, isError);
-
-        const artifact = {
-            conversationId,
-            type: 'tool_call',
-            toolName: call.name,
-            content: JSON.stringify(call.input),
-            metadata: {
-                toolUseId: toolId,
-                inputKeys: Object.keys(call.input || {})
-            },
-            contentHash,
-            outcome: isError ? 'error' : (call.result ? 'success' : 'pending'),
-            outputSummary: outputData.summary,
-            outputFull: outputData.full,
-            outputSizeBytes: outputData.size,
-            outputTruncated: outputData.truncated,
-            errorType: isError ? classifyError(call.result) : null,
-            promptContext: getPromptContext(entries, call.lineIndex)
-        };
-
-        storeArtifact(artifact);
-        results.toolCalls++;
+        if (existing && call.result) {
+            // The result was appended after the call was extracted, or a hook stored the call first
+            completeToolCall(existing, {
+                conversationId,
+                output: call.result,
+                outputData,
+                isError,
+                errorType: errorClassifier.classifyError(call.result, call.name),
+                entryId: lineEntryIds[call.lineIndex],
+                resultEntryId,
+                startedAt,
+                endedAt
+            });
+        } else if (existing) {
+            // A hook stored the call first; the transcript's time replaces the time it arrived
+            retimeToolCall(existing, lineEntryIds[call.lineIndex], startedAt);
+        } else {
+            storeArtifact({
+                conversationId,
+                entryId: lineEntryIds[call.lineIndex],
+                resultEntryId,
+                type: 'tool_call',
+                toolName: call.name,
+                content: JSON.stringify(call.input),
+                metadata: buildToolMetadata(toolId, call.name, call.input, call.result, isError),
+                contentHash,
+                outcome: isError ? 'error' : (call.result ? 'success' : 'pending'),
+                outputSummary: outputData.summary,
+                outputFull: outputData.full,
+                outputBlob: outputData.blob,
+                outputSizeBytes: outputData.size,
+                outputTruncated: outputData.truncated,
+                errorType: isError ? errorClassifier.classifyError(call.result, call.name) : null,
+                promptContext: getPromptContext(entries, call.lineIndex),
+                startedAt: call.timestamp,
+                endedAt: call.result ? call.resultTimestamp : null
+            });
+            results.toolCalls++;
+        }
 
         // Also store the result as a separate artifact if it exists
         if (call.result) {
@@ -317,6 +484,7 @@ function processJSONLFile(filePath, conversationId) {
             if (!artifactExists(conversationId, resultHash)) {
                 storeArtifact({
                     conversationId,
+                    entryId: resultEntryId,
                     type: 'tool_result',
                     toolName: call.name,
                     content: outputData.summary,
@@ -325,16 +493,25 @@ function processJSONLFile(filePath, conversationId) {
                     outcome: isError ? 'error' : 'success',
                     outputSummary: outputData.summary,
                     outputFull: outputData.full,
+                    outputBlob: outputData.blob,
                     outputSizeBytes: outputData.size,
                     outputTruncated: outputData.truncated,
-                    errorType: isError ? classifyError(call.result) : null
+                    errorType: isError ? errorClassifier.classifyError(call.result, call.name) : null,
+                    endedAt: call.resultTimestamp
                 });
                 results.toolResults++;
             }
+
+            storeJsonObjects(conversationId, {
+                entryId: resultEntryId,
+                text: outputText(call.result),
+                toolName: call.name,
+                toolUseId: toolId
+            }, results);
         }
     }
 
-    // Extract code blocks from assistant text content
+    // Extract code blocks and JSON objects from assistant text content
     for (let i = 0; i < entries.length; i++) {
         const entry = entries[i];
         if (!entry || entry.type !== 'assistant') continue;
@@ -355,8 +532,8 @@ function processJSONLFile(filePath, conversationId) {
         }
 
         // Extract code blocks
-        const codeBlocks = extractCodeBlocks(textContent);
-        for (const block of codeBlocks) {
+        const blocks = extractCodeBlocks(textContent, turnFileWrites(fileWrites, promptPositions, i));
+        for (const block of blocks) {
             const contentHash = hashContent(block.content);
 
             if (artifactExists(conversationId, contentHash)) {
@@ -366,21 +543,273 @@ function processJSONLFile(filePath, conversationId) {
 
             storeArtifact({
                 conversationId,
+                entryId: lineEntryIds[i],
                 type: 'code_block',
                 language: block.language,
                 content: block.content,
+                metadata: block.metadata,
                 contentHash,
-                promptContext: getPromptContext(entries, i)
+                promptContext: getPromptContext(entries, i),
+                filePath: block.filePath
             });
             results.codeBlocks++;
         }
+
+        storeJsonObjects(conversationId, {
+            entryId: lineEntryIds[i],
+            text: textContent,
+            promptContext: getPromptContext(entries, i)
+        }, results);
     }
 
-    logger.info(`Extracted artifacts from ${filePath}: ${results.toolCalls} tool calls, ${results.toolResults} results, ${results.codeBlocks} code blocks`);
+    // Resume from the last prompt next time; its turn may still grow
+    const turnStart = promptPositions.length ? offsets[promptPositions[promptPositions.length - 1]] : startOffset;
+    database.prepare(`
+        UPDATE conversation_parse_state SET extracted_byte_offset = ? WHERE file_path = ? AND conversation_id = ?
+    `).run(turnStart, filePath, conversationId);
+
+    logger.info(`Extracted artifacts from ${filePath}: ${results.toolCalls} tool calls, ${results.toolResults} results, ${results.codeBlocks} code blocks, ${results.jsonObjects} JSON objects`);
 
     return { success: true, ...results };
 }
 
+/**
+ * Extract tool call and result artifacts from stored entry blocks.
+ * Used for sources without a JSONL file (TXT transcripts, exports),
+ * whose parsers store tool_use and tool_result blocks paired by id.
+ * Returns the calls found, by tool_use_id.
+ */
+function processToolBlocks(conversationId, entries, results) {
+    const database = db.getDb();
+
+    const blocks = database.prepare(`
+        SELECT entry_id, kind, text, tool_name, tool_use_id, metadata
+        FROM entry_blocks
+        WHERE conversation_id = ? AND kind IN ('tool_use', 'tool_result') AND tool_use_id IS NOT NULL
+        ORDER BY entry_id ASC, block_index ASC
+    `).all(conversationId);
+
+    const entryPositions = new Map(entries.map((entry, i) => [entry.id, i]));
+    const calls = new Map(); // tool_use_id -> { name, input, entryId, result, resultEntryId, isError }
+
+    for (const block of blocks) {
+        if (block.kind === 'tool_use') {
+            let input;
+            try {
+                input = JSON.parse(block.text);
+            } catch (e) {
+                input = { raw: block.text };
+            }
+            calls.set(block.tool_use_id, { name: block.tool_name, input, entryId: block.entry_id });
+        } else {
+            const call = calls.get(block.tool_use_id);
+            if (call && call.result === undefined) {
+                call.result = block.text;
+                call.resultEntryId = block.entry_id;
+                call.isError = !!(block.metadata && JSON.parse(block.metadata).isError);
+            }
+        }
+    }
+
+    for (const [toolId, call] of calls) {
+        const contentHash = hashContent(JSON.stringify({ id: toolId, input: call.input }));
+
+        if (call.result) {
+            storeJsonObjects(conversationId, {
+                entryId: call.resultEntryId,
+                text: call.result,
+                toolName: call.name,
+                toolUseId: toolId
+            }, results);
+        }
+
+        if (artifactExists(conversationId, contentHash)) {
+            results.skipped++;
+            continue;
+        }
+
+        const isError = call.isError === true;
+        const outputData = processOutput(call.result, isError);
+        const position = entryPositions.get(call.entryId);
+        const prevContent = position > 0 ? entries[position - 1].content : null;
+        const startedAt = position !== undefined ? entries[position].timestamp : null;
+        const resultPosition = call.result ? entryPositions.get(call.resultEntryId) : undefined;
+        // These sources stamp whole turns; a result sharing its call's timestamp was not timed
+        const resultAt = resultPosition !== undefined ? entries[resultPosition].timestamp : null;
+        const endedAt = resultAt !== startedAt ? resultAt : null;
+
+        storeArtifact({
+            conversationId,
+            entryId: call.entryId,
+            resultEntryId: call.resultEntryId,
+            type: 'tool_call',
+            toolName: call.name,
+            content: JSON.stringify(call.input),
+            metadata: buildToolMetadata(toolId, call.name, call.input, call.result, isError),
+            contentHash,
+            outcome: isError ? 'error' : (call.result ? 'success' : 'pending'),
+            outputSummary: outputData.summary,
+            outputFull: outputData.full,
+            outputBlob: outputData.blob,
+            outputSizeBytes: outputData.size,
+            outputTruncated: outputData.truncated,
+            errorType: isError ? errorClassifier.classifyError(call.result, call.name) : null,
+            promptContext: prevContent ? prevContent.slice(-PROMPT_CONTEXT_LENGTH) : null,
+            startedAt,
+            endedAt
+        });
+        results.toolCalls++;
+
+        if (call.result) {
+            const resultHash = hashContent(JSON.stringify({ id: toolId, result: call.result }));
+
+            if (!artifactExists(conversationId, resultHash)) {
+                storeArtifact({
+                    conversationId,
+                    entryId: call.resultEntryId,
+                    type: 'tool_result',
+                    toolName: call.name,
+                    content: outputData.summary,
+                    metadata: { toolUseId: toolId },
+                    contentHash: resultHash,
+                    outcome: isError ? 'error' : 'success',
+                    outputSummary: outputData.summary,
+                    outputFull: outputData.full,
+                    outputBlob: outputData.blob,
+                    outputSizeBytes: outputData.size,
+                    outputTruncated: outputData.truncated,
+                    errorType: isError ? errorClassifier.classifyError(call.result, call.name) : null,
+                    endedAt
+                });
+                results.toolResults++;
+            }
+        }
+    }
+
+    return calls;
+}
+
+/**
+ * Fill in the outcome of a stored tool call once its result is seen,
+ * measuring latency from the call's stored start time. A transcript
+ * passes its own `startedAt` and `entryId`, which replace what a hook
+ * stored when it delivered the call first.
+ */
+function completeToolCall(existing, completion) {
+    const database = db.getDb();
+    const { conversationId, output, outputData, isError, errorType, entryId, resultEntryId, endedAt } = completion;
+    const startedAt = completion.startedAt !== undefined ? completion.startedAt : existing.started_at;
+    const report = {};
+    const blobText = outputData.blob ? redaction.redactText(outputData.blob, report) : null;
+    const blobHash = blobText ? outputStore.storeOutput(blobText) : null;
+
+    const metadata = existing.metadata ? JSON.parse(existing.metadata) : null;
+    if (metadata?.bash) {
+        metadata.bash = { ...metadata.bash, ...bashCommands.describeBashResult(output, isError) };
+    }
+
+    database.prepare(`
+        UPDATE artifacts SET
+            outcome = ?, output_summary = ?, output_full = ?, output_blob_hash = ?,
+            output_size_bytes = ?, output_truncated = ?, error_type = ?,
+            entry_id = COALESCE(?, entry_id), result_entry_id = ?,
+            started_at = ?, ended_at = ?, latency_ms = ?,
+            metadata = ?, extractor_version = ?
+        WHERE id = ?
+    `).run(
+        isError ? 'error' : 'success',
+        redaction.redactText(outputData.summary, report),
+        redaction.redactText(outputData.full, report),
+        blobHash,
+        outputData.size || null,
+        outputData.truncated && !blobHash ? 1 : 0,
+        isError ? errorType : null,
+        entryId || null,
+        resultEntryId || null,
+        startedAt || null,
+        endedAt || null,
+        measureLatency(startedAt, endedAt),
+        metadata ? JSON.stringify(redaction.redactValue(metadata, report, { entropy: false })) : null,
+        EXTRACTOR_VERSION,
+        existing.id
+    );
+    if (blobHash) search.indexArtifactOutput(existing.id, blobText);
+    redaction.recordFindings(conversationId, 'artifact', report);
+}
+
+/**
+ * Move a stored tool call onto its transcript entry and start time, for
+ * a call a hook delivered before the transcript recorded it
+ */
+function retimeToolCall(existing, entryId, startedAt) {
+    const database = db.getDb();
+    database.prepare(`
+        UPDATE artifacts SET entry_id = COALESCE(?, entry_id), started_at = ?, latency_ms = ?
+        WHERE id = ?
+    `).run(entryId || null, startedAt, measureLatency(startedAt, existing.ended_at), existing.id);
+}
+
+/**
+ * Record a tool call seen outside a transcript, such as a hook event.
+ * Uses the same content hash as transcript extraction so the call is not
+ * stored twice when the transcript is processed later. Recording the same
+ * call again with its output fills in the outcome.
+ * Returns 'created', 'updated' or false if nothing changed.
+ */
+function recordToolCall(call) {
+    const database = db.getDb();
+    const {
+        conversationId, entryId, resultEntryId, toolUseId, toolName,
+        input, output, isError = false, promptContext, timestamp
+    } = call;
+    const contentHash = hashContent(JSON.stringify({ id: toolUseId, input }));
+    const outputData = processOutput(output, isError);
+    const outcome = isError ? 'error' : (output !== undefined ? 'success' : 'pending');
+
+    const existing = database.prepare(`
+        SELECT id, outcome, started_at, metadata FROM artifacts
+        WHERE conversation_id = ? AND content_hash = ?
+    `).get(conversationId, contentHash);
+
+    if (existing) {
+        if (output === undefined || existing.outcome !== 'pending') return false;
+
+        completeToolCall(existing, {
+            conversationId,
+            output,
+            outputData,
+            isError,
+            errorType: errorClassifier.classifyError(outputData.full || outputData.summary, toolName),
+            resultEntryId,
+            endedAt: timestamp
+        });
+        return 'updated';
+    }
+
+    storeArtifact({
+        conversationId,
+        entryId,
+        type: 'tool_call',
+        toolName,
+        content: JSON.stringify(input),
+        metadata: buildToolMetadata(toolUseId, toolName, input, output, isError),
+        contentHash,
+        outcome,
+        outputSummary: outputData.summary,
+        outputFull: outputData.full,
+        outputBlob: outputData.blob,
+        outputSizeBytes: outputData.size,
+        outputTruncated: outputData.truncated,
+        errorType: isError ? errorClassifier.classifyError(outputData.full || outputData.summary, toolName) : null,
+        promptContext,
+        resultEntryId,
+        // A call first seen with its output only has an end time
+        startedAt: output === undefined ? timestamp : null,
+        endedAt: output !== undefined ? timestamp : null
+    });
+    return 'created';
+}
+
 /**
  * Process conversation entries directly from database
  */
@@ -397,7 +826,13 @@ function processConversationEntries(conversationId) {
 
     // If source is JSONL, process the file directly for richer extraction
     if (conversation.source_file_type === 'jsonl' && fs.existsSync(conversation.source_file_path)) {
-        return processJSONLFile(conversation.source_file_path, conversationId);
+        const result = processJSONLFile(conversation.source_file_path, conversationId);
+        if (result.success) {
+            followUps.analyzeFollowUps(conversationId);
+            loopDetection.detectFindings(conversationId);
+            contentIndex.indexConversation(conversationId);
+        }
+        return result;
     }
 
     // For TXT or other sources, extract from stored entries
@@ -409,17 +844,47 @@ function processConversationEntries(conversationId) {
 
     const results = {
         codeBlocks: 0,
+        toolCalls: 0,
+        toolResults: 0,
         jsonObjects: 0,
         skipped: 0
     };
 
+    const calls = processToolBlocks(conversationId, entries, results);
+
+    // JSON is looked for in text blocks only; entry content also holds tool inputs
+    const textBlocks = new Map();
+    const toolResultEntries = new Set();
+    for (const block of database.prepare(`
+        SELECT entry_id, kind, text FROM entry_blocks
+        WHERE conversation_id = ?
+        ORDER BY entry_id ASC, block_index ASC
+    `).all(conversationId)) {
+        if (!textBlocks.has(block.entry_id)) textBlocks.set(block.entry_id, []);
+        if (block.kind === 'text') textBlocks.get(block.entry_id).push(block.text);
+        if (block.kind === 'tool_result') toolResultEntries.add(block.entry_id);
+    }
+
+    // Writes and prompts, for attributing code blocks to the file they went to
+    const entryPositions = new Map(entries.map((entry, i) => [entry.id, i]));
+    const fileWrites = [...calls.values()]
+        .filter(call => codeBlocks.FILE_TOOLS.includes(call.name) && entryPositions.has(call.entryId))
+        .map(call => ({ position: entryPositions.get(call.entryId), name: call.name, input: call.input }))
+        .sort((a, b) => a.position - b.position);
+    const promptPositions = [];
+    entries.forEach((entry, i) => {
+        if (entry.role === 'user' && !toolResultEntries.has(entry.id)) promptPositions.push(i);
+    });
+
     for (let i = 0; i < entries.length; i++) {
         const entry = entries[i];
         if (entry.role !== 'assistant') continue;
 
+        const prevContent = i > 0 ? entries[i - 1].content : null;
+
         // Extract code blocks
-        const codeBlocks = extractCodeBlocks(entry.content);
-        for (const block of codeBlocks) {
+        const blocks = extractCodeBlocks(entry.content, turnFileWrites(fileWrites, promptPositions, i));
+        for (const block of blocks) {
             const contentHash = hashContent(block.content);
 
             if (artifactExists(conversationId, contentHash)) {
@@ -427,30 +892,87 @@ function processConversationEntries(conversationId) {
                 continue;
             }
 
-            const prevContent = i > 0 ? entries[i - 1].content : null;
-
             storeArtifact({
                 conversationId,
                 entryId: entry.id,
                 type: 'code_block',
                 language: block.language,
                 content: block.content,
+                metadata: block.metadata,
                 contentHash,
-                promptContext: prevContent ? prevContent.slice(-PROMPT_CONTEXT_LENGTH) : null
+                promptContext: prevContent ? prevContent.slice(-PROMPT_CONTEXT_LENGTH) : null,
+                filePath: block.filePath
             });
             results.codeBlocks++;
         }
+
+        storeJsonObjects(conversationId, {
+            entryId: entry.id,
+            text: textBlocks.has(entry.id) ? textBlocks.get(entry.id).join('\n') : entry.content,
+            promptContext: prevContent ? prevContent.slice(-PROMPT_CONTEXT_LENGTH) : null
+        }, results);
     }
 
+    followUps.analyzeFollowUps(conversationId);
+    loopDetection.detectFindings(conversationId);
+    contentIndex.indexConversation(conversationId);
+
     return { success: true, ...results };
 }
 
+/**
+ * Remove a conversation's extracted artifacts so they can be rebuilt.
+ * Tool calls recorded from hook entries are kept, and so are the
+ * artifacts of the entries in `keepEntryIds`; they have no source to be
+ * extracted from again.
+ * Returns the number of artifacts removed.
+ */
+function clearArtifacts(conversationId, keepEntryIds = []) {
+    const database = db.getDb();
+    const keep = JSON.stringify(keepEntryIds);
+    const rebuildable = `
+        conversation_id = ?
+        AND (entry_id IS NULL OR (
+            entry_id NOT IN (
+                SELECT id FROM conversation_entries WHERE conversation_id = ? AND capture_source = 'hook'
+            )
+            AND entry_id NOT IN (SELECT value FROM json_each(?))
+        ))
+    `;
+
+    // Findings and the content index point at artifacts; they are rebuilt after extraction
+    loopDetection.clearFindings(conversationId);
+    contentIndex.clearConversation(conversationId);
+
+    // Extract the whole transcript again
+    database.prepare(`
+        UPDATE conversation_parse_state SET extracted_byte_offset = 0 WHERE conversation_id = ?
+    `).run(conversationId);
+
+    // Kept hook calls are re-linked when follow-ups are analysed again
+    database.prepare(`
+        UPDATE artifacts SET follow_up_artifact_id = NULL
+        WHERE conversation_id = ? AND follow_up_artifact_id IN (SELECT id FROM artifacts WHERE ${rebuildable})
+    `).run(conversationId, conversationId, conversationId, keep);
+
+    const result = database.prepare(`DELETE FROM artifacts WHERE ${rebuildable}`).run(conversationId, conversationId, keep);
+    return result.changes;
+}
+
+/**
+ * Get a single artifact
+ */
+function getArtifact(id) {
+    const database = db.getDb();
+    return database.prepare('SELECT * FROM artifacts WHERE id = ?').get(id);
+}
+
 /**
  * Get artifacts for a conversation
  */
 function getConversationArtifacts(conversationId, options = {}) {
     const database = db.getDb();
-    const { type, toolName, outcome, limit = 100, offset = 0 } = options;
+    const { type, toolName, outcome, filePath, limit = 100, offset = 0 } = options;
 
     let sql = 'SELECT * FROM artifacts WHERE conversation_id = ?';
     const params = [conversationId];
@@ -470,6 +992,11 @@ function getConversationArtifacts(conversationId, options = {}) {
         params.push(outcome);
     }
 
+    if (filePath) {
+        sql += ' AND file_path = ?';
+        params.push(filePath);
+    }
+
     sql += ' ORDER BY id ASC LIMIT ? OFFSET ?';
     params.push(limit, offset);
 
@@ -482,37 +1009,10 @@ function getConversationArtifacts(conversationId, options = {}) {
 }
 
 /**
- * Search artifacts across all conversations
+ * Search artifacts across all conversations, best matches first
  */
 function searchArtifacts(query, options = {}) {
-    const database = db.getDb();
-    const { projectId, type, limit = 50, offset = 0 } = options;
-
-    let sql = `
-        SELECT a.*, c.project_id, p.name as project_name
-        FROM artifacts a
-        JOIN conversations c ON c.id = a.conversation_id
-        LEFT JOIN projects p ON p.id = c.project_id
-        WHERE a.content LIKE ?
-    `;
-    const params = [`%${query}%`];
-
-    if (projectId) {
-        sql += ' AND c.project_id = ?';
-        params.push(projectId);
-    }
-
-    if (type) {
-        sql += ' AND a.artifact_type = ?';
-        params.push(type);
-    }
-
-    sql += ' ORDER BY a.created_at DESC LIMIT ? OFFSET ?';
-    params.push(limit, offset);
-
-    const results = database.prepare(sql).all(...params);
-
-    return results.map(row => ({
+    return search.searchArtifactRows(query, options).map(row => ({
         ...row,
         metadata: row.metadata ? JSON.parse(row.metadata) : null
     }));
@@ -541,22 +1041,118 @@ function getArtifactStats(conversationId = null) {
     return stats;
 }
 
+/**
+ * Summarize a sorted list of latencies with nearest-rank percentiles
+ */
+function summarizeLatencies(latencies) {
+    const percentile = (p) => latencies[Math.max(0, Math.ceil(p / 100 * latencies.length) - 1)];
+
+    return {
+        count: latencies.length,
+        avg_ms: Math.round(latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length),
+        p50_ms: percentile(50),
+        p90_ms: percentile(90),
+        p95_ms: percentile(95),
+        p99_ms: percentile(99),
+        max_ms: latencies[latencies.length - 1]
+    };
+}
+
+/**
+ * Get tool call latency percentiles per tool and per project, slowest first.
+ * Only calls with both a call and a result timestamp are counted.
+ */
+function getToolLatencyStats(options = {}) {
+    const database = db.getDb();
+    const { conversationId, projectId, toolName, since } = options;
+
+    let sql = `
+        SELECT a.tool_name, a.latency_ms, c.project_id, p.name as project_name
+        FROM artifacts a
+        JOIN conversations c ON c.id = a.conversation_id
+        LEFT JOIN projects p ON p.id = c.project_id
+        WHERE a.artifact_type = 'tool_call' AND a.latency_ms IS NOT NULL
+    `;
+    const params = [];
+
+    if (conversationId) {
+        sql += ' AND a.conversation_id = ?';
+        params.push(conversationId);
+    }
+
+    if (projectId) {
+        sql += ' AND c.project_id = ?';
+        params.push(projectId);
+    }
+
+    if (toolName) {
+        sql += ' AND a.tool_name = ?';
+        params.push(toolName);
+    }
+
+    if (since) {
+        sql += ' AND a.started_at >= ?';
+        params.push(since);
+    }
+
+    sql += ' ORDER BY a.latency_ms ASC';
+
+    const rows = database.prepare(sql).all(...params);
+    const byTool = new Map();
+    const byProject = new Map();
+
+    for (const row of rows) {
+        if (!byTool.has(row.tool_name)) byTool.set(row.tool_name, []);
+        byTool.get(row.tool_name).push(row.latency_ms);
+
+        if (!byProject.has(row.project_id)) {
+            byProject.set(row.project_id, { name: row.project_name, latencies: [] });
+        }
+        byProject.get(row.project_id).latencies.push(row.latency_ms);
+    }
+
+    const slowestFirst = (a, b) => b.p95_ms - a.p95_ms;
+
+    return {
+        overall: rows.length ? summarizeLatencies(rows.map(row => row.latency_ms)) : null,
+        byTool: [...byTool].map(([name, latencies]) => ({
+            tool_name: name,
+            ...summarizeLatencies(latencies)
+        })).sort(slowestFirst),
+        byProject: [...byProject].map(([id, project]) => ({
+            project_id: id,
+            project_name: project.name,
+            ...summarizeLatencies(project.latencies)
+        })).sort(slowestFirst)
+    };
+}
+
 export {
+    EXTRACTOR_VERSION,
     processJSONLFile,
     processConversationEntries,
+    recordToolCall,
+    clearArtifacts,
+    getArtifact,
     getConversationArtifacts,
     searchArtifacts,
     getArtifactStats,
+    getToolLatencyStats,
     extractCodeBlocks,
     extractJsonObjects
 };
 
 export default {
+    EXTRACTOR_VERSION,
     processJSONLFile,
     processConversationEntries,
+    recordToolCall,
+    clearArtifacts,
+    getArtifact,
     getConversationArtifacts,
     searchArtifacts,
     getArtifactStats,
+    getToolLatencyStats,
     extractCodeBlocks,
     extractJsonObjects
 };
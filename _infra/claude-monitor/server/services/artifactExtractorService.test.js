@@ -0,0 +1,130 @@
+import { describe, test, expect, beforeEach } from 'bun:test';
+import fs from 'fs';
+import path from 'path';
+import { setupTestEnv, transcript } from '../test/helpers.js';
+
+const { db, dir } = setupTestEnv();
+const { default: conversationParser } = await import('./conversationParserService.js');
+const { default: artifactExtractor } = await import('./artifactExtractorService.js');
+
+const toolCalls = () => db.getDb().prepare(`
+    SELECT tool_name, outcome, started_at, ended_at, latency_ms, result_entry_id
+    FROM artifacts WHERE artifact_type = 'tool_call' ORDER BY id
+`).all();
+
+describe('tool call timeline', () => {
+    let session;
+    let filePath;
+    let conversationId;
+
+    /**
+     * Append lines to the transcript, then parse and extract it
+     */
+    function ingest(lines) {
+        fs.appendFileSync(filePath, lines.map(line => JSON.stringify(line) + '\n').join(''));
+        conversationId = conversationParser.processFile(filePath).conversationId;
+        artifactExtractor.processConversationEntries(conversationId);
+    }
+
+    beforeEach(() => {
+        db.init();
+        session = transcript();
+        filePath = path.join(dir, `${crypto.randomUUID()}.jsonl`);
+
+        ingest([
+            session.user('check the repo'),
+            session.toolUse('toolu_read', 'Read', { file_path: 'README.md' }),
+            session.toolUse('toolu_ls', 'Bash', { command: 'ls' }),
+            session.toolResult('toolu_ls', 'README.md'),
+            session.toolResult('toolu_read', 'No such file', true)
+        ]);
+    });
+
+    test('pairs results with their calls, out of order, and measures latency', () => {
+        const resultEntries = db.getDb().prepare(`
+            SELECT id FROM conversation_entries WHERE entry_index IN (3, 4) ORDER BY entry_index
+        `).all().map(row => row.id);
+
+        expect(toolCalls()).toEqual([
+            {
+                tool_name: 'Read',
+                outcome: 'error',
+                started_at: '2026-01-01T00:00:01.000Z',
+                ended_at: '2026-01-01T00:00:04.000Z',
+                latency_ms: 3000,
+                result_entry_id: resultEntries[1]
+            },
+            {
+                tool_name: 'Bash',
+                outcome: 'success',
+                started_at: '2026-01-01T00:00:02.000Z',
+                ended_at: '2026-01-01T00:00:03.000Z',
+                latency_ms: 1000,
+                result_entry_id: resultEntries[0]
+            }
+        ]);
+    });
+
+    test('completes a pending call when its result is appended', () => {
+        ingest([session.toolUse('toolu_test', 'Bash', { command: 'npm test' })]);
+        expect(toolCalls()[2]).toMatchObject({ outcome: 'pending', latency_ms: null });
+
+        ingest([session.toolResult('toolu_test', 'all passed')]);
+        expect(toolCalls()[2]).toMatchObject({ outcome: 'success', latency_ms: 1000 });
+        expect(toolCalls()).toHaveLength(3);
+    });
+
+    test('summarizes latency per tool, slowest first', () => {
+        const stats = artifactExtractor.getToolLatencyStats({ conversationId });
+
+        expect(stats.overall).toMatchObject({ count: 2, avg_ms: 2000, p50_ms: 1000, max_ms: 3000 });
+        expect(stats.byTool.map(tool => [tool.tool_name, tool.p95_ms])).toEqual([['Read', 3000], ['Bash', 1000]]);
+        expect(artifactExtractor.getToolLatencyStats({ toolName: 'Write' }).overall).toBeNull();
+    });
+});
+
+describe('incremental extraction', () => {
+    let session;
+    let filePath;
+    let conversationId;
+
+    /**
+     * Append lines to the transcript, then parse and extract it
+     */
+    function ingest(lines) {
+        fs.appendFileSync(filePath, lines.map(line => JSON.stringify(line) + '\n').join(''));
+        conversationId = conversationParser.processFile(filePath).conversationId;
+        artifactExtractor.processConversationEntries(conversationId);
+    }
+
+    const codeBlocks = () => db.getDb().prepare(`
+        SELECT content FROM artifacts WHERE artifact_type = 'code_block' ORDER BY id
+    `).all().map(row => row.content);
+
+    beforeEach(() => {
+        db.init();
+        session = transcript();
+        filePath = path.join(dir, `${crypto.randomUUID()}.jsonl`);
+
+        ingest([
+            session.user('first'),
+            session.assistant('```sh\nnpm ci\n```'),
+            session.user('second'),
+            session.assistant('```sh\nnpm test\n```')
+        ]);
+    });
+
+    test('resumes at the start of the last turn', () => {
+        const firstTurn = Buffer.byteLength(fs.readFileSync(filePath, 'utf8').split('\n').slice(0, 2).join('\n') + '\n');
+        const { extracted_byte_offset: offset } = db.getDb().prepare(`
+            SELECT extracted_byte_offset FROM conversation_parse_state WHERE conversation_id = ?
+        `).get(conversationId);
+        expect(offset).toBe(firstTurn);
+
+        // A block removed from an earlier turn is not extracted again
+        db.getDb().prepare("DELETE FROM artifacts WHERE content = 'npm ci'").run();
+        ingest([session.assistant('```sh\nnpm run build\n```')]);
+
+        expect(codeBlocks()).toEqual(['npm test', 'npm run build']);
+    });
+});
@@ -0,0 +1,426 @@
+import db from '../db/index.js';
+
+/**
+ * Bash Command Service
+ *
+ * Parses Bash tool calls into the program that ran, its subcommand and
+ * flags, and reads the exit code and stderr back out of the result. The
+ * artifact extractor stores both under `metadata.bash` of each Bash tool
+ * call; the stats here aggregate over them.
+ *
+ * Commands are split on pipes, `&&`/`||` chains, `;` and newlines. A
+ * leading `cd dir &&` is recorded as the working directory, and env
+ * assignments and wrappers like `sudo` or `time` are skipped, so
+ * `cd web && NODE_ENV=test npm run test -- --watch` reads as `npm run test`.
+ * Heredoc bodies are input, not commands, and are skipped through their
+ * closing delimiter line.
+ */
+
+const STDERR_LENGTH = 500;
+
+// Programs whose first argument names what they do
+const SUBCOMMAND_PROGRAMS = new Set([
+    'git', 'gh', 'npm', 'npx', 'yarn', 'pnpm', 'bun', 'deno', 'cargo', 'go', 'pip', 'pip3', 'uv',
+    'poetry', 'docker', 'docker-compose', 'kubectl', 'helm', 'terraform', 'make', 'dotnet', 'brew',
+    'apt', 'apt-get', 'systemctl', 'aws', 'gcloud', 'az', 'rails', 'bundle', 'mix', 'composer'
+]);
+
+// Package managers where `run <script>` is the meaningful unit
+const SCRIPT_RUNNERS = new Set(['npm', 'yarn', 'pnpm', 'bun']);
+
+// Options that take a value before the subcommand, like `git -C dir status`
+const VALUE_OPTIONS = new Set(['-C', '-c', '-f', '--prefix', '--cwd', '--dir', '--git-dir', '--work-tree']);
+
+// Prefixes that run the next word as the command
+const WRAPPERS = new Set(['sudo', 'time', 'nohup', 'env', 'exec', 'command', 'nice']);
+
+const OPERATORS = ['&&', '||', '|&', ';;', '|', ';', '&', '\n'];
+
+// `<<WORD`, `<<-WORD`, `<<'WORD'` or `<<"WORD"`; `<<<` is a here-string
+const HEREDOC = /^<<(-?)[ \t]*(?:'([^']*)'|"([^"]*)"|\\?([^\s;&|<>()]+))/;
+
+/**
+ * Skip the bodies of pending heredocs, starting at the line after their
+ * redirections. Returns the index after the last closing delimiter line.
+ */
+function skipHeredocs(command, start, heredocs) {
+    let i = start;
+
+    for (const { delimiter, stripTabs } of heredocs) {
+        while (i < command.length) {
+            const end = command.indexOf('\n', i);
+            const lineEnd = end === -1 ? command.length : end;
+            const line = command.slice(i, lineEnd);
+            i = lineEnd + 1;
+            if ((stripTabs ? line.replace(/^\t+/, '') : line) === delimiter) break;
+        }
+    }
+
+    return Math.min(i, command.length);
+}
+
+/**
+ * Split a command line into words, operators and redirections, honouring
+ * quotes and backslash escapes. Quoted text is kept as one word without
+ * its quotes; heredoc bodies are dropped.
+ */
+function tokenize(command) {
+    const tokens = [];
+    let heredocs = [];
+    let word = null;
+    let i = 0;
+
+    const flush = () => {
+        if (word !== null) tokens.push({ word });
+        word = null;
+    };
+
+    while (i < command.length) {
+        const ch = command[i];
+
+        if (ch === '\\' && i + 1 < command.length) {
+            if (command[i + 1] !== '\n') word = (word ?? '') + command[i + 1];
+            i += 2;
+            continue;
+        }
+
+        if (ch === '\'' || ch === '"') {
+            const end = command.indexOf(ch, i + 1);
+            const close = end === -1 ? command.length : end;
+            word = (word ?? '') + command.slice(i + 1, close);
+            i = close + 1;
+            continue;
+        }
+
+        if (ch === '#' && word === null) {
+            // Comment to end of line
+            while (i < command.length && command[i] !== '\n') i++;
+            continue;
+        }
+
+        if (ch === '>' || ch === '<' || command.startsWith('&>', i)) {
+            // A number right before the redirection is the file descriptor
+            if (word !== null && /^\d+$/.test(word)) word = null;
+            flush();
+
+            const heredoc = command.slice(i).match(HEREDOC);
+            if (heredoc) {
+                heredocs.push({ delimiter: heredoc[2] ?? heredoc[3] ?? heredoc[4], stripTabs: heredoc[1] === '-' });
+                tokens.push({ redirect: true, target: false });
+                i += heredoc[0].length;
+                continue;
+            }
+
+            let end = ch === '&' ? i + 1 : i;
+            while (command[end] === '>' || command[end] === '<') end++;
+
+            // `2>&1` duplicates a descriptor; anything else redirects to the next word
+            const duplicate = command[end] === '&';
+            if (duplicate) {
+                end++;
+                while (/[\d-]/.test(command[end] || '')) end++;
+            }
+
+            tokens.push({ redirect: true, target: !duplicate });
+            i = end;
+            continue;
+        }
+
+        const operator = OPERATORS.find(op => command.startsWith(op, i));
+        if (operator) {
+            flush();
+            tokens.push({ operator });
+            i += operator.length;
+            if (operator === '\n' && heredocs.length) {
+                i = skipHeredocs(command, i, heredocs);
+                heredocs = [];
+            }
+            continue;
+        }
+
+        if (/\s/.test(ch)) {
+            flush();
+        } else {
+            word = (word ?? '') + ch;
+        }
+        i++;
+    }
+
+    flush();
+    return tokens;
+}
+
+/**
+ * Group tokens into simple commands, dropping redirections and their targets
+ */
+function splitSegments(tokens) {
+    const segments = [[]];
+    let skipNext = false;
+
+    for (const token of tokens) {
+        if (token.operator) {
+            if (segments[segments.length - 1].length) segments.push([]);
+        } else if (token.redirect) {
+            skipNext = token.target;
+        } else if (skipNext) {
+            skipNext = false;
+        } else {
+            segments[segments.length - 1].push(token.word);
+        }
+    }
+
+    return segments.filter(words => words.length);
+}
+
+/**
+ * Strip env assignments and wrappers from the front of a simple command
+ */
+function unwrap(words) {
+    let i = 0;
+    while (i < words.length) {
+        if (/^[A-Za-z_][A-Za-z0-9_]*=/.test(words[i])) {
+            i++;
+        } else if (WRAPPERS.has(words[i])) {
+            i++;
+            // Wrapper options, like `sudo -u root` or `nice -n 10`
+            while (i < words.length && words[i].startsWith('-')) i += /^-[un]$/.test(words[i]) ? 2 : 1;
+        } else {
+            break;
+        }
+    }
+    return words.slice(i);
+}
+
+/**
+ * Parse a command line into its main program, subcommand, flags, the
+ * programs of every segment, and the directory of a leading `cd`
+ */
+function parseCommand(command) {
+    if (typeof command !== 'string' || !command.trim()) return null;
+
+    const segments = splitSegments(tokenize(command)).map(unwrap).filter(words => words.length);
+    let cwd = null;
+    const commands = [];
+
+    for (const words of segments) {
+        if (words[0] === 'cd' || words[0] === 'pushd') {
+            if (!commands.length) cwd = words[1] || '~';
+            continue;
+        }
+        commands.push(words);
+    }
+
+    if (!commands.length) {
+        return { program: cwd !== null ? 'cd' : null, subcommand: null, flags: [], programs: [], cwd };
+    }
+
+    const [words] = commands;
+    const program = words[0].split('/').pop();
+    const args = words.slice(1);
+    let subcommand = null;
+
+    if (SUBCOMMAND_PROGRAMS.has(program)) {
+        const index = args.findIndex((arg, i) => !arg.startsWith('-') && !VALUE_OPTIONS.has(args[i - 1]));
+        if (index !== -1) {
+            subcommand = args[index];
+            if (SCRIPT_RUNNERS.has(program) && subcommand === 'run' && args[index + 1]) {
+                subcommand = `run ${args[index + 1]}`;
+            }
+        }
+    }
+
+    // Flag names only; values can be paths or secrets
+    const flags = [...new Set(args.filter(arg => /^--?[A-Za-z]/.test(arg)).map(arg => arg.split('=')[0]))];
+
+    return {
+        program,
+        subcommand,
+        flags,
+        programs: commands.map(segment => segment[0].split('/').pop()),
+        cwd
+    };
+}
+
+/**
+ * Describe a Bash tool call input for artifact metadata
+ */
+function describeBashCall(input) {
+    const parsed = parseCommand(input?.command);
+    if (!parsed) return null;
+
+    return {
+        ...parsed,
+        description: input.description || null,
+        timeoutMs: Number.isFinite(input.timeout) ? input.timeout : null,
+        runInBackground: input.run_in_background === true
+    };
+}
+
+/**
+ * Read the exit code, stderr and timeout/interrupt state from a Bash
+ * result. Transcript results are text, prefixed with `Exit code N` on
+ * failure, so a successful one exited 0; hook results are
+ * `{ stdout, stderr, interrupted }` objects, whose exit code stays null
+ * unless they carry one.
+ */
+function describeBashResult(output, isError = false) {
+    if (output === null || output === undefined) return {};
+
+    let text = typeof output === 'string' ? output : JSON.stringify(output);
+    let stderr = null;
+    let exitCode = null;
+    let interrupted = false;
+    let structured = false;
+
+    if (/^[[{]/.test(text)) {
+        try {
+            const parsed = JSON.parse(text);
+            if (Array.isArray(parsed)) {
+                text = parsed.filter(block => block.type === 'text').map(block => block.text).join('\n');
+            } else if ('stdout' in parsed || 'stderr' in parsed) {
+                structured = true;
+                stderr = parsed.stderr || null;
+                interrupted = parsed.interrupted === true;
+                if (Number.isInteger(parsed.exitCode)) exitCode = parsed.exitCode;
+                text = [parsed.stdout, parsed.stderr].filter(Boolean).join('\n');
+            }
+        } catch (e) {
+            // Plain text output that happens to start with a bracket
+        }
+    }
+
+    const exitMatch = text.match(/^Exit code (\d+)\n?/);
+    if (exitMatch) {
+        exitCode = parseInt(exitMatch[1]);
+        if (stderr === null) stderr = text.slice(exitMatch[0].length) || null;
+    } else if (isError && stderr === null) {
+        stderr = text || null;
+    }
+
+    const timedOut = /\bCommand timed out after\b/.test(text);
+    interrupted = interrupted || text.includes('[Request interrupted by user');
+
+    if (exitCode === null && !structured && !isError && !timedOut && !interrupted) exitCode = 0;
+
+    return {
+        exitCode,
+        stderr: stderr ? stderr.slice(0, STDERR_LENGTH) : null,
+        timedOut,
+        interrupted
+    };
+}
+
+/**
+ * Build the WHERE clause shared by the stats queries
+ */
+function buildFilters(options) {
+    const { projectId, conversationId, since } = options;
+    let sql = `
+        FROM artifacts a
+        JOIN conversations c ON c.id = a.conversation_id
+        WHERE a.artifact_type = 'tool_call' AND a.tool_name = 'Bash'
+          AND json_extract(a.metadata, '$.bash.program') IS NOT NULL
+    `;
+    const params = [];
+
+    if (projectId) {
+        sql += ' AND c.project_id = ?';
+        params.push(projectId);
+    }
+
+    if (conversationId) {
+        sql += ' AND a.conversation_id = ?';
+        params.push(conversationId);
+    }
+
+    if (since) {
+        sql += ' AND COALESCE(a.started_at, a.created_at) >= ?';
+        params.push(since);
+    }
+
+    return { sql, params };
+}
+
+/**
+ * Get Bash command statistics: most-used commands, failure rates per
+ * command and commands that timed out more than once.
+ * Options: projectId, conversationId, since, limit.
+ */
+function getBashStats(options = {}) {
+    const database = db.getDb();
+    const { limit = 20 } = options;
+    const { sql, params } = buildFilters(options);
+
+    const totals = database.prepare(`
+        SELECT
+            COUNT(*) AS total,
+            COUNT(CASE WHEN a.outcome = 'error' THEN 1 END) AS errors,
+            COUNT(CASE WHEN json_extract(a.metadata, '$.bash.timedOut') = 1 THEN 1 END) AS timeouts,
+            COUNT(CASE WHEN json_extract(a.metadata, '$.bash.interrupted') = 1 THEN 1 END) AS interrupted
+        ${sql}
+    `).get(...params);
+
+    const commands = database.prepare(`
+        SELECT
+            json_extract(a.metadata, '$.bash.program') AS program,
+            json_extract(a.metadata, '$.bash.subcommand') AS subcommand,
+            COUNT(*) AS count,
+            COUNT(CASE WHEN a.outcome = 'error' THEN 1 END) AS error_count,
+            COUNT(CASE WHEN json_extract(a.metadata, '$.bash.timedOut') = 1 THEN 1 END) AS timeout_count,
+            ROUND(AVG(a.latency_ms)) AS avg_latency_ms,
+            MAX(a.latency_ms) AS max_latency_ms
+        ${sql}
+        GROUP BY program, subcommand
+    `).all(...params).map(row => ({
+        ...row,
+        failure_rate: Math.round(row.error_count / row.count * 1000) / 1000
+    }));
+
+    const exitCodes = database.prepare(`
+        SELECT json_extract(a.metadata, '$.bash.exitCode') AS exit_code, COUNT(*) AS count
+        ${sql} AND json_extract(a.metadata, '$.bash.exitCode') IS NOT NULL
+        GROUP BY exit_code
+        ORDER BY count DESC
+    `).all(...params);
+
+    const timeouts = database.prepare(`
+        SELECT
+            json_extract(a.content, '$.command') AS command,
+            json_extract(a.metadata, '$.bash.program') AS program,
+            json_extract(a.metadata, '$.bash.subcommand') AS subcommand,
+            COUNT(*) AS count,
+            COUNT(CASE WHEN json_extract(a.metadata, '$.bash.timedOut') = 1 THEN 1 END) AS timeout_count,
+            MAX(json_extract(a.metadata, '$.bash.timeoutMs')) AS max_timeout_ms,
+            COUNT(DISTINCT a.conversation_id) AS conversation_count
+        ${sql} AND json_valid(a.content)
+        GROUP BY command
+        HAVING timeout_count > 1
+        ORDER BY timeout_count DESC
+        LIMIT ?
+    `).all(...params, limit);
+
+    return {
+        ...totals,
+        mostUsed: [...commands].sort((a, b) => b.count - a.count).slice(0, limit),
+        mostFailing: commands
+            .filter(row => row.error_count > 0)
+            .sort((a, b) => b.failure_rate - a.failure_rate || b.error_count - a.error_count)
+            .slice(0, limit),
+        exitCodes,
+        repeatedTimeouts: timeouts
+    };
+}
+
+export {
+    parseCommand,
+    describeBashCall,
+    describeBashResult,
+    getBashStats
+};
+
+export default {
+    parseCommand,
+    describeBashCall,
+    describeBashResult,
+    getBashStats
+};
@@ -0,0 +1,110 @@
+import { describe, test, expect, beforeAll } from 'bun:test';
+import path from 'path';
+import { setupTestEnv, transcript, writeTranscript } from '../test/helpers.js';
+
+const { dir } = setupTestEnv();
+const { default: conversationParser } = await import('./conversationParserService.js');
+const { default: artifactExtractor } = await import('./artifactExtractorService.js');
+const { default: bashCommands } = await import('./bashCommandService.js');
+
+describe('parseCommand', () => {
+    test('reads the program and subcommand past cd, env and wrappers', () => {
+        expect(bashCommands.parseCommand('cd web && NODE_ENV=test sudo npm run test -- --watch')).toEqual({
+            program: 'npm',
+            subcommand: 'run test',
+            flags: ['--watch'],
+            programs: ['npm'],
+            cwd: 'web'
+        });
+    });
+
+    test('lists every program of a pipeline and keeps flag names only', () => {
+        expect(bashCommands.parseCommand('git -C repo log --format=%h | head -5 ; echo "a | b"')).toEqual({
+            program: 'git',
+            subcommand: 'log',
+            flags: ['-C', '--format'],
+            programs: ['git', 'head', 'echo'],
+            cwd: null
+        });
+    });
+
+    test('skips heredoc bodies', () => {
+        const parsed = bashCommands.parseCommand("cat <<'EOF' > notes.txt\nrm -rf /\nEOF\nls -la");
+        expect(parsed.programs).toEqual(['cat', 'ls']);
+    });
+
+    test('returns null for an empty command', () => {
+        expect(bashCommands.parseCommand('  ')).toBeNull();
+        expect(bashCommands.parseCommand(undefined)).toBeNull();
+    });
+});
+
+describe('describeBashResult', () => {
+    test('reads the exit code and stderr of a failed command', () => {
+        expect(bashCommands.describeBashResult('Exit code 2\nnpm ERR! missing script', true)).toEqual({
+            exitCode: 2,
+            stderr: 'npm ERR! missing script',
+            timedOut: false,
+            interrupted: false
+        });
+    });
+
+    test('treats a transcript result without an exit code as success', () => {
+        expect(bashCommands.describeBashResult('ok')).toMatchObject({ exitCode: 0, stderr: null });
+    });
+
+    test('flags timeouts and interruptions', () => {
+        expect(bashCommands.describeBashResult('Command timed out after 2m 0.0s', true)).toMatchObject({ exitCode: null, timedOut: true });
+        expect(bashCommands.describeBashResult({ stdout: '', stderr: '', interrupted: true })).toMatchObject({ exitCode: null, interrupted: true });
+    });
+});
+
+describe('getBashStats', () => {
+    let conversationId;
+
+    beforeAll(() => {
+        const session = transcript();
+        const lines = [];
+        const run = (id, command, result, isError = false) => lines.push(
+            session.toolUse(id, 'Bash', { command, timeout: 120000 }),
+            session.toolResult(id, result, isError)
+        );
+
+        run('toolu_1', 'npm test', 'Exit code 1\n1 failing', true);
+        run('toolu_2', 'npm test', '3 passing');
+        run('toolu_6', 'npm test', '3 passing');
+        run('toolu_3', 'npm run build', 'Command timed out after 2m 0.0s', true);
+        run('toolu_4', 'npm run build', 'Command timed out after 2m 0.0s', true);
+        run('toolu_5', 'git status', 'clean');
+
+        const filePath = path.join(dir, 'session.jsonl');
+        writeTranscript(filePath, lines);
+        conversationId = conversationParser.processFile(filePath).conversationId;
+        artifactExtractor.processConversationEntries(conversationId);
+    });
+
+    test('counts commands, failures and exit codes', () => {
+        const stats = bashCommands.getBashStats({ conversationId });
+
+        expect(stats).toMatchObject({ total: 6, errors: 3, timeouts: 2, interrupted: 0 });
+        expect(stats.mostUsed.map(row => [row.program, row.subcommand, row.count])).toEqual([
+            ['npm', 'test', 3],
+            ['npm', 'run build', 2],
+            ['git', 'status', 1]
+        ]);
+        expect(stats.mostFailing.map(row => [row.subcommand, row.failure_rate])).toEqual([['run build', 1], ['test', 0.333]]);
+        expect(stats.exitCodes).toEqual([{ exit_code: 0, count: 3 }, { exit_code: 1, count: 1 }]);
+    });
+
+    test('lists commands that timed out more than once', () => {
+        expect(bashCommands.getBashStats({ conversationId }).repeatedTimeouts).toEqual([{
+            command: 'npm run build',
+            program: 'npm',
+            subcommand: 'run build',
+            count: 2,
+            timeout_count: 2,
+            max_timeout_ms: 120000,
+            conversation_count: 1
+        }]);
+    });
+});
@@ -0,0 +1,431 @@
+import path from 'path';
+
+/**
+ * Code Block Service
+ *
+ * Parses fenced code blocks out of assistant text, works out their
+ * language and, where possible, the file they were written for.
+ *
+ * Fences follow CommonMark: three or more backticks or tildes open a
+ * block, and only a fence of the same character that is at least as long
+ * closes it, so a four-backtick block can show a three-backtick one
+ * inside. Fences indented in list items are accepted, and a block left
+ * open runs to the end of the text.
+ *
+ * Languages come from, in order: the fence tag (`c++`, `shell script`,
+ * `js:src/app.js`), normalized through LANGUAGE_ALIASES; the extension of
+ * the attributed file; heuristics on the code itself. Blocks nothing
+ * matches are `text`.
+ *
+ * A block is attributed to a file from, in order: a path in the fence
+ * info (`python title=app.py`, `js:src/app.js`); a Write or Edit later in
+ * the same turn whose written text contains the block; a comment on the
+ * block's first line naming a path (`// src/app.js`); the last path
+ * mentioned in the text just before the fence.
+ */
+
+// Tools whose input writes code to a file
+const FILE_TOOLS = ['Write', 'Edit', 'MultiEdit', 'NotebookEdit'];
+
+// Share of a block's lines a written file must contain to claim the block
+const LINE_OVERLAP = 0.6;
+// Edits shorter than this are too small to match inside a block
+const MIN_EDIT_LENGTH = 40;
+// Lines of text before a fence searched for a file path
+const CONTEXT_LINES = 2;
+
+const LANGUAGE_ALIASES = {
+    javascript: ['js', 'javascript', 'node', 'nodejs', 'mjs', 'cjs', 'jsx', 'es6'],
+    typescript: ['ts', 'typescript', 'tsx', 'mts', 'cts'],
+    python: ['py', 'python', 'python3', 'py3', 'python2', 'ipython'],
+    shell: ['sh', 'bash', 'zsh', 'fish', 'shell', 'shellscript', 'shell script', 'shell-script', 'shell-session',
+        'console', 'terminal', 'command', 'commands', 'cmd line', 'command line'],
+    powershell: ['ps', 'ps1', 'pwsh', 'powershell'],
+    batch: ['bat', 'batch', 'cmd'],
+    c: ['c', 'h'],
+    cpp: ['cpp', 'c++', 'cxx', 'cc', 'hpp', 'hxx', 'h++'],
+    csharp: ['cs', 'c#', 'csharp'],
+    java: ['java'],
+    kotlin: ['kt', 'kts', 'kotlin'],
+    go: ['go', 'golang'],
+    rust: ['rs', 'rust'],
+    ruby: ['rb', 'ruby'],
+    php: ['php'],
+    swift: ['swift'],
+    sql: ['sql', 'sqlite', 'postgres', 'postgresql', 'pgsql', 'mysql', 'plsql'],
+    html: ['html', 'htm', 'xhtml', 'vue', 'svelte'],
+    xml: ['xml', 'svg', 'plist'],
+    css: ['css'],
+    scss: ['scss', 'sass', 'less'],
+    json: ['json', 'jsonc', 'json5', 'jsonl'],
+    yaml: ['yaml', 'yml'],
+    toml: ['toml'],
+    ini: ['ini', 'cfg', 'conf', 'properties', 'env', 'dotenv'],
+    markdown: ['md', 'markdown', 'mdx'],
+    dockerfile: ['dockerfile', 'docker'],
+    makefile: ['makefile', 'make', 'mk'],
+    diff: ['diff', 'patch', 'udiff'],
+    text: ['text', 'txt', 'plaintext', 'plain', 'output', 'log']
+};
+
+const ALIAS_LANGUAGES = new Map(
+    Object.entries(LANGUAGE_ALIASES).flatMap(([language, aliases]) => aliases.map(alias => [alias, language]))
+);
+
+const EXTENSION_LANGUAGES = {
+    js: 'javascript', mjs: 'javascript', cjs: 'javascript', jsx: 'javascript',
+    ts: 'typescript', mts: 'typescript', cts: 'typescript', tsx: 'typescript',
+    py: 'python', pyi: 'python',
+    sh: 'shell', bash: 'shell', zsh: 'shell', fish: 'shell',
+    ps1: 'powershell', bat: 'batch', cmd: 'batch',
+    c: 'c', h: 'c',
+    cpp: 'cpp', cc: 'cpp', cxx: 'cpp', hpp: 'cpp', hxx: 'cpp',
+    cs: 'csharp', java: 'java', kt: 'kotlin', kts: 'kotlin',
+    go: 'go', rs: 'rust', rb: 'ruby', php: 'php', swift: 'swift',
+    sql: 'sql',
+    html: 'html', htm: 'html', vue: 'html', svelte: 'html',
+    xml: 'xml', svg: 'xml', plist: 'xml',
+    css: 'css', scss: 'scss', sass: 'scss', less: 'scss',
+    json: 'json', jsonc: 'json', jsonl: 'json',
+    yaml: 'yaml', yml: 'yaml', toml: 'toml',
+    ini: 'ini', cfg: 'ini', conf: 'ini', properties: 'ini', env: 'ini',
+    md: 'markdown', mdx: 'markdown',
+    diff: 'diff', patch: 'diff',
+    txt: 'text', log: 'text'
+};
+
+const BASENAME_LANGUAGES = {
+    dockerfile: 'dockerfile',
+    makefile: 'makefile',
+    gemfile: 'ruby',
+    rakefile: 'ruby',
+    '.env': 'ini',
+    '.bashrc': 'shell',
+    '.zshrc': 'shell'
+};
+
+const SHEBANG_LANGUAGES = {
+    python: 'python', python3: 'python', node: 'javascript', deno: 'typescript', bun: 'javascript',
+    bash: 'shell', sh: 'shell', zsh: 'shell', ruby: 'ruby', php: 'php'
+};
+
+// Heuristics for untagged blocks, tried in order; the first match wins
+const LANGUAGE_RULES = [
+    { language: 'php', test: /^<\?php/ },
+    { language: 'diff', test: /^(diff --git |--- \S[\s\S]*^\+\+\+ \S|@@ -\d+(,\d+)? \+\d+)/m },
+    { language: 'xml', test: /^<\?xml\b/ },
+    { language: 'html', test: /^<(!DOCTYPE\s+html|html|head|body|div|span|template|section|form|ul|table)\b/i },
+    { language: 'sql', test: /^\s*(SELECT\s[\s\S]+?\sFROM\s|INSERT\s+INTO\s|UPDATE\s+\w+\s+SET\s|DELETE\s+FROM\s|CREATE\s+(TABLE|INDEX|VIEW|UNIQUE\s+INDEX)\s|ALTER\s+TABLE\s|WITH\s+\w+\s+AS\s*\()/i },
+    { language: 'dockerfile', test: /^FROM\s+\S+(\s+AS\s+\w+)?\s*$[\s\S]*^(RUN|COPY|CMD|ENTRYPOINT|WORKDIR|ENV)\s/m },
+    { language: 'python', test: /^\s*(def \w+\(.*\)\s*(->\s*[^:]+)?:|class \w+(\(.*\))?:|from [\w.]+ import \w|import \w+(\.\w+)*(\s+as \w+)?$|if __name__ == ['"]__main__['"]:|print\(.*\)$)/m },
+    { language: 'go', test: /^(package \w+$|func (\(\w+ \*?\w+\) )?\w+\(.*\).*\{$)/m },
+    { language: 'rust', test: /^\s*((pub )?fn \w+(<.*>)?\(|use \w+(::\w+)+|impl(<.*>)? \w+|let mut \w+)/m },
+    { language: 'typescript', test: /^\s*((export )?(interface|type) \w+(<.*>)? [={]|(const|let) \w+: \w+(\[\])? =|(export )?function \w+\(.*\w+: \w+.*\)(: \w+)?\s*\{)/m },
+    { language: 'javascript', test: /^\s*((const|let|var) \w+ = |(export )?(async )?function\*? ?\w*\(|import .+ from ['"]|export (default|const|function|class) |module\.exports\b|\w+\.\w+\(.*\);$|console\.log\()/m },
+    { language: 'css', test: /^[\w.#:*\-\s,>~+[\]="']+\{\s*$\s*^\s*[\w-]+\s*:\s*[^;{}]+;/m },
+    { language: 'shell', test: /^\s*(\$ |sudo |npm |npx |yarn |pnpm |bun |git |cd |ls |mkdir |rm |cp |mv |curl |wget |pip3? |brew |apt(-get)? |docker |kubectl |export \w+=|echo |cat |chmod |source |\.\/\S)/m },
+    { language: 'yaml', test: /^(---\s*\n)?(\s*(- )?[\w.-]+:( .*)?(\n|$)){2,}/ }
+];
+
+// Library names that read like file names in prose
+const NOT_PATHS = new Set([
+    'node.js', 'vue.js', 'next.js', 'nuxt.js', 'react.js', 'express.js', 'nest.js', 'd3.js', 'three.js',
+    'chart.js', 'ember.js', 'angular.js', 'backbone.js', 'alpine.js', 'socket.io'
+]);
+
+// Comments on a block's first line that name its file: `// src/app.js`, `# file: app.py`
+const PATH_COMMENT = /^\s*(?:\/\/|#|--|\/\*|<!--|;|%)\s*(?:(?:file(?:name)?|path)\s*:\s*)?([\w.@~/\\-]+)\s*(?:\*\/|-->)?\s*$/i;
+
+// Path-like tokens in prose: `backticked` or bare with an extension or directory
+const PATH_TOKEN = /`([^`\s]+)`|(?:^|[\s(])((?:\.{0,2}\/)?(?:[\w@.-]+\/)*[\w@-][\w@.-]*)(?=[\s:,;)]|\.(?:\s|$)|$)/g;
+
+/**
+ * Normalize a fence tag to a canonical language name, or null if the
+ * tag is not a language
+ */
+function normalizeLanguage(tag) {
+    const normalized = (tag || '').trim().toLowerCase();
+    if (!normalized) return null;
+    if (ALIAS_LANGUAGES.has(normalized)) return ALIAS_LANGUAGES.get(normalized);
+
+    const word = normalized.split(/[\s,{]/)[0];
+    if (ALIAS_LANGUAGES.has(word)) return ALIAS_LANGUAGES.get(word);
+
+    // An unknown but plausible language name is kept as written
+    return /^[a-z][\w#+.-]*$/.test(word) ? word : null;
+}
+
+/**
+ * Language of a file from its extension or name, or null
+ */
+function languageForPath(filePath) {
+    if (!filePath) return null;
+
+    const base = path.basename(filePath).toLowerCase();
+    if (BASENAME_LANGUAGES[base]) return BASENAME_LANGUAGES[base];
+
+    const ext = path.extname(base).slice(1);
+    return EXTENSION_LANGUAGES[ext] || null;
+}
+
+/**
+ * Check whether a token looks like a file path rather than a word,
+ * version number or URL
+ */
+function looksLikePath(token) {
+    if (!token || token.length > 260 || token.includes('://')) return false;
+    if (NOT_PATHS.has(token.toLowerCase())) return false;
+    if (BASENAME_LANGUAGES[path.basename(token).toLowerCase()]) return true;
+    if (!/\.[A-Za-z][\w-]*$/.test(token)) return false;
+    return token.includes('/') || Boolean(languageForPath(token));
+}
+
+/**
+ * Guess the language of untagged code
+ */
+function inferLanguage(content) {
+    const text = (content || '').trim();
+    if (!text) return 'text';
+
+    const shebang = text.match(/^#!\s*(\S+)(?:[ \t]+(\S+))?/);
+    if (shebang) {
+        // `#!/usr/bin/env python3` names the interpreter after env
+        const program = path.basename(shebang[1]) === 'env' && shebang[2] ? shebang[2] : path.basename(shebang[1]);
+        const language = SHEBANG_LANGUAGES[program] || SHEBANG_LANGUAGES[program.replace(/[\d.]+$/, '')];
+        if (language) return language;
+    }
+
+    if (/^[[{]/.test(text)) {
+        try {
+            JSON.parse(text);
+            return 'json';
+        } catch (e) {
+            // Not JSON; the rules below may still match
+        }
+    }
+
+    const rule = LANGUAGE_RULES.find(candidate => candidate.test.test(text));
+    return rule ? rule.language : 'text';
+}
+
+/**
+ * Split a fence's info string into its language tag and any file path
+ * it names: `python title="app.py"`, `js:src/app.js`, `{.python}`,
+ * or a bare path like `src/app.js`
+ */
+function parseInfo(info) {
+    let tag = info.trim().replace(/^\{\.?/, '').replace(/\}$/, '').trim();
+    let filePath = null;
+
+    const attribute = tag.match(/\b(?:title|file|filename|path)=(?:"([^"]+)"|'([^']+)'|(\S+))/i);
+    if (attribute) {
+        filePath = attribute[1] || attribute[2] || attribute[3];
+        tag = tag.replace(attribute[0], '').trim();
+    }
+
+    const prefixed = tag.match(/^([^\s:]+):(\S+)$/);
+    if (prefixed && looksLikePath(prefixed[2])) {
+        tag = prefixed[1];
+        filePath = filePath || prefixed[2];
+    } else if (!filePath && !/\s/.test(tag) && looksLikePath(tag) && !ALIAS_LANGUAGES.has(tag.toLowerCase())) {
+        filePath = tag;
+        tag = '';
+    }
+
+    return { tag, filePath };
+}
+
+/**
+ * Find fenced code blocks in text.
+ * Returns `[{ info, content, startIndex, closed }]` in order of appearance.
+ */
+function parseFences(text) {
+    if (!text) return [];
+
+    const blocks = [];
+    const lines = text.split('\n');
+    let open = null;
+    let offset = 0;
+
+    for (const line of lines) {
+        if (!open) {
+            const fence = line.match(/^([ \t]*)(`{3,}|~{3,})(.*)$/);
+            // Backtick fences cannot have backticks in their info string
+            if (fence && !(fence[2][0] === '`' && fence[3].includes('`'))) {
+                open = {
+                    indent: fence[1].length,
+                    char: fence[2][0],
+                    length: fence[2].length,
+                    info: fence[3].trim(),
+                    startIndex: offset,
+                    lines: []
+                };
+            }
+        } else {
+            const close = line.match(/^[ \t]*(`{3,}|~{3,})[ \t]*$/);
+            if (close && close[1][0] === open.char && close[1].length >= open.length) {
+                blocks.push(toBlock(open, true));
+                open = null;
+            } else {
+                // Drop the opening fence's indentation, as list items indent both
+                const indent = line.match(/^[ \t]*/)[0].length;
+                open.lines.push(line.slice(Math.min(indent, open.indent)));
+            }
+        }
+        offset += line.length + 1;
+    }
+
+    if (open) blocks.push(toBlock(open, false));
+    return blocks;
+}
+
+/**
+ * Turn an open fence's collected lines into a block
+ */
+function toBlock(open, closed) {
+    return {
+        info: open.info,
+        content: open.lines.join('\n').trim(),
+        startIndex: open.startIndex,
+        closed
+    };
+}
+
+/**
+ * The code a file-writing call wrote, and the file it went to
+ */
+function describeWrite(call) {
+    const input = call.input || {};
+    const filePath = input.file_path || input.notebook_path || null;
+
+    switch (call.name) {
+        case 'Write':
+            return { filePath, written: input.content || '', partial: false };
+        case 'Edit':
+            return { filePath, written: input.new_string || '', partial: true };
+        case 'MultiEdit':
+            return { filePath, written: (input.edits || []).map(edit => edit.new_string || '').join('\n'), partial: true };
+        case 'NotebookEdit':
+            return { filePath, written: input.new_source || '', partial: true };
+        default:
+            return { filePath: null, written: '', partial: false };
+    }
+}
+
+/**
+ * Check whether written code contains a block: verbatim, by most of its
+ * lines, or (for edits) as a sizeable part of it
+ */
+function writeContains(write, content) {
+    const written = write.written.trim();
+    if (!written) return false;
+    if (written.includes(content)) return true;
+    if (write.partial && written.length >= MIN_EDIT_LENGTH && content.includes(written)) return true;
+
+    const lines = content.split('\n').map(line => line.trim()).filter(line => line.length > 3);
+    if (!lines.length) return false;
+
+    const writtenLines = new Set(written.split('\n').map(line => line.trim()));
+    const shared = lines.filter(line => writtenLines.has(line)).length;
+    return shared / lines.length >= LINE_OVERLAP;
+}
+
+/**
+ * Last file path mentioned in the lines of text just before a fence
+ */
+function pathBefore(text, startIndex) {
+    const lines = text.slice(0, startIndex).split('\n').filter(line => line.trim());
+    const context = lines.slice(-CONTEXT_LINES).join('\n');
+
+    let found = null;
+    for (const match of context.matchAll(PATH_TOKEN)) {
+        const token = (match[1] || match[2]).replace(/[.:,]+$/, '');
+        if (looksLikePath(token)) found = token;
+    }
+    return found;
+}
+
+/**
+ * Work out which file a code block was written for.
+ * `writes` are the file-writing calls after the block in the same turn,
+ * as `{ name, input }`. Returns `{ filePath, source }` or null.
+ */
+function attributeFile(text, block, infoPath, writes = []) {
+    if (infoPath) return { filePath: infoPath, source: 'fence' };
+
+    for (const call of writes) {
+        const write = describeWrite(call);
+        if (write.filePath && writeContains(write, block.content)) {
+            return { filePath: write.filePath, source: 'tool_call' };
+        }
+    }
+
+    const firstLine = block.content.split('\n')[0];
+    const comment = firstLine.match(PATH_COMMENT);
+    if (comment && looksLikePath(comment[1])) return { filePath: comment[1], source: 'comment' };
+
+    const mentioned = pathBefore(text, block.startIndex);
+    if (mentioned) return { filePath: mentioned, source: 'text' };
+
+    return null;
+}
+
+/**
+ * Extract code blocks from text with their language and target file.
+ * Options: writes (file-writing calls later in the same turn).
+ * Returns `[{ language, content, startIndex, filePath, metadata }]`.
+ */
+function extractCodeBlocks(text, options = {}) {
+    const { writes = [] } = options;
+
+    return parseFences(text).filter(block => block.content).map(block => {
+        const { tag, filePath: infoPath } = parseInfo(block.info);
+        const attribution = attributeFile(text, block, infoPath, writes);
+        const filePath = attribution?.filePath || null;
+
+        let language = normalizeLanguage(tag);
+        let languageSource = 'tag';
+        if (!language && languageForPath(filePath)) {
+            language = languageForPath(filePath);
+            languageSource = 'path';
+        } else if (!language) {
+            language = inferLanguage(block.content);
+            languageSource = 'content';
+        }
+
+        return {
+            language,
+            content: block.content,
+            startIndex: block.startIndex,
+            filePath,
+            metadata: {
+                ...(block.info ? { info: block.info } : {}),
+                languageSource,
+                ...(attribution ? { fileSource: attribution.source } : {}),
+                ...(block.closed ? {} : { unclosed: true })
+            }
+        };
+    });
+}
+
+export {
+    FILE_TOOLS,
+    LANGUAGE_ALIASES,
+    normalizeLanguage,
+    languageForPath,
+    inferLanguage,
+    parseFences,
+    attributeFile,
+    extractCodeBlocks
+};
+
+export default {
+    FILE_TOOLS,
+    LANGUAGE_ALIASES,
+    normalizeLanguage,
+    languageForPath,
+    inferLanguage,
+    parseFences,
+    attributeFile,
+    extractCodeBlocks
+};
@@ -0,0 +1,136 @@
+import { describe, test, expect, beforeEach } from 'bun:test';
+import path from 'path';
+import { setupTestEnv, transcript, writeTranscript } from '../test/helpers.js';
+
+const { db, dir } = setupTestEnv();
+const { default: codeBlocks } = await import('./codeBlockService.js');
+const { default: conversationParser } = await import('./conversationParserService.js');
+const { default: artifactExtractor } = await import('./artifactExtractorService.js');
+
+describe('parseFences', () => {
+    test('reads tilde fences and longer fences around shorter ones', () => {
+        const text = [
+            '~~~python',
+            'print(1)',
+            '~~~',
+            '````markdown',
+            '```js',
+            'x()',
+            '```',
+            '````'
+        ].join('\n');
+
+        expect(codeBlocks.parseFences(text).map(block => [block.info, block.content])).toEqual([
+            ['python', 'print(1)'],
+            ['markdown', '```js\nx()\n```']
+        ]);
+    });
+
+    test('drops list indentation and runs an unclosed block to the end', () => {
+        const [indented, unclosed] = codeBlocks.parseFences('1. Run:\n   ```sh\n   npm test\n   ```\n```\nleft open');
+
+        expect(indented.content).toBe('npm test');
+        expect(indented.closed).toBe(true);
+        expect(unclosed).toMatchObject({ content: 'left open', closed: false });
+    });
+
+    test('does not close a block with a different fence character', () => {
+        expect(codeBlocks.parseFences('```\na\n~~~\nb\n```')[0].content).toBe('a\n~~~\nb');
+    });
+});
+
+describe('languages', () => {
+    test('normalizes tag aliases', () => {
+        expect(codeBlocks.normalizeLanguage('c++')).toBe('cpp');
+        expect(codeBlocks.normalizeLanguage('Shell Script')).toBe('shell');
+        expect(codeBlocks.normalizeLanguage('C#')).toBe('csharp');
+        expect(codeBlocks.normalizeLanguage('ts {1,3}')).toBe('typescript');
+        expect(codeBlocks.normalizeLanguage('elixir')).toBe('elixir');
+        expect(codeBlocks.normalizeLanguage('')).toBeNull();
+    });
+
+    test('infers the language of untagged code', () => {
+        expect(codeBlocks.inferLanguage('#!/usr/bin/env python3\nx = 1')).toBe('python');
+        expect(codeBlocks.inferLanguage('{"a": [1, 2]}')).toBe('json');
+        expect(codeBlocks.inferLanguage('def main():\n    pass')).toBe('python');
+        expect(codeBlocks.inferLanguage('SELECT id FROM users WHERE id = 1')).toBe('sql');
+        expect(codeBlocks.inferLanguage('interface User { name: string }')).toBe('typescript');
+        expect(codeBlocks.inferLanguage('const x = require("y");')).toBe('javascript');
+        expect(codeBlocks.inferLanguage('$ npm install\n$ npm test')).toBe('shell');
+        expect(codeBlocks.inferLanguage('name: app\nversion: 2')).toBe('yaml');
+        expect(codeBlocks.inferLanguage('All 12 tests passed')).toBe('text');
+    });
+
+    test('takes the language of an attributed file before guessing', () => {
+        const [block] = codeBlocks.extractCodeBlocks('Update `Dockerfile`:\n```\nRUN make\n```');
+
+        expect(block).toMatchObject({ language: 'dockerfile', filePath: 'Dockerfile' });
+        expect(block.metadata).toMatchObject({ languageSource: 'path', fileSource: 'text' });
+    });
+});
+
+describe('file attribution', () => {
+    const attributed = (text, writes) => codeBlocks.extractCodeBlocks(text, { writes })
+        .map(block => [block.filePath, block.metadata.fileSource]);
+
+    test('reads paths from the fence info', () => {
+        expect(attributed('```python title="app.py"\nx = 1\n```')).toEqual([['app.py', 'fence']]);
+        expect(attributed('```js:src/app.js\nrun();\n```')).toEqual([['src/app.js', 'fence']]);
+        expect(attributed('```src/util.ts\nexport {};\n```')).toEqual([['src/util.ts', 'fence']]);
+    });
+
+    test('prefers a later Write or Edit that contains the block over the text', () => {
+        const text = 'Change `src/wrong.js` like this:\n```js\nfunction add(a, b) {\n    return a + b;\n}\n```';
+        const writes = [
+            { name: 'Write', input: { file_path: '/work/other.js', content: 'unrelated();' } },
+            { name: 'Edit', input: { file_path: '/work/src/math.js', new_string: 'function add(a, b) {\n    return a + b;\n}' } }
+        ];
+
+        expect(attributed(text, writes)).toEqual([['/work/src/math.js', 'tool_call']]);
+        expect(attributed(text, [])).toEqual([['src/wrong.js', 'text']]);
+    });
+
+    test('reads a path comment on the first line', () => {
+        expect(attributed('```\n# file: scripts/build.py\nprint(1)\n```')).toEqual([['scripts/build.py', 'comment']]);
+        expect(attributed('```js\n// lib/index.js\nexport {};\n```')).toEqual([['lib/index.js', 'comment']]);
+    });
+
+    test('ignores library names and versions in prose', () => {
+        expect(attributed('This needs Node.js 20.1 or later:\n```sh\nnode -v\n```')).toEqual([[null, undefined]]);
+    });
+});
+
+describe('code_block artifacts', () => {
+    beforeEach(() => {
+        db.init();
+    });
+
+    test('store the language and target file of each block', () => {
+        const session = transcript();
+        const filePath = path.join(dir, `${crypto.randomUUID()}.jsonl`);
+        const code = 'export function greet(name) {\n    return `Hello ${name}`;\n}';
+
+        writeTranscript(filePath, [
+            session.user('add a greeting'),
+            session.assistant(`Here is the helper:\n\`\`\`\n${code}\n\`\`\`\nand the C++ version:\n~~~c++\nint main() {}\n~~~`),
+            session.toolUse('toolu_1', 'Write', { file_path: '/work/src/greet.js', content: `${code}\n` }),
+            session.toolResult('toolu_1', 'File created successfully at: /work/src/greet.js')
+        ]);
+
+        const { conversationId } = conversationParser.processFile(filePath);
+        artifactExtractor.processConversationEntries(conversationId);
+
+        const blocks = db.getDb().prepare(`
+            SELECT language, file_path, json_extract(metadata, '$.fileSource') AS file_source
+            FROM artifacts WHERE artifact_type = 'code_block' ORDER BY id
+        `).all();
+
+        expect(blocks).toEqual([
+            { language: 'javascript', file_path: '/work/src/greet.js', file_source: 'tool_call' },
+            { language: 'cpp', file_path: null, file_source: null }
+        ]);
+
+        const forFile = artifactExtractor.getConversationArtifacts(conversationId, { filePath: '/work/src/greet.js', type: 'code_block' });
+        expect(forFile.map(artifact => artifact.language)).toEqual(['javascript']);
+    });
+});
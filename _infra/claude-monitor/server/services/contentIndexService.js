@@ -0,0 +1,312 @@
+import crypto from 'crypto';
+import db from '../db/index.js';
+
+/**
+ * Content Index Service
+ *
+ * Tracks identical artifacts across conversations. Artifacts are
+ * deduplicated per conversation by `content_hash`, which for tool calls
+ * includes the call id; `global_hash` instead hashes only what was written
+ * or run, so the same helper script or failing command links up wherever
+ * it appears:
+ * - artifact_content_occurrences: per conversation, how often a content
+ *   occurred (and failed), with first and last seen times
+ * - artifact_contents: totals per content across conversations and
+ *   projects, with a sample artifact to show it
+ *
+ * Occurrences are rebuilt whenever a conversation's artifacts change, and
+ * the totals of every content that conversation touched are recomputed.
+ * Entries replayed from an earlier session of a chain are not counted.
+ */
+
+// Artifact types worth finding again; tool results are covered by their calls
+const INDEXED_TYPES = ['code_block', 'tool_call', 'json_object'];
+const SORTS = ['conversations', 'occurrences', 'errors', 'recent'];
+
+const SORT_ORDER = {
+    conversations: 'conversation_count DESC, occurrences DESC',
+    occurrences: 'occurrences DESC, conversation_count DESC',
+    errors: 'errors DESC, conversation_count DESC',
+    recent: 'last_seen_at DESC'
+};
+
+/**
+ * Global hash of an artifact's stored content, or null for types that
+ * are not indexed. Tool calls drop their description, which is the
+ * agent's note about the call rather than what it ran.
+ */
+function contentKey(type, toolName, content) {
+    if (!INDEXED_TYPES.includes(type) || !content) return null;
+
+    let normalized = content;
+    if (type === 'tool_call') {
+        try {
+            const input = JSON.parse(content);
+            if (input && typeof input === 'object' && !Array.isArray(input)) {
+                delete input.description;
+                normalized = JSON.stringify(input);
+            }
+        } catch (e) {
+            // Unparsed input is hashed as stored
+        }
+    }
+
+    return crypto.createHash('sha256').update(`${type}\n${toolName || ''}\n${normalized}`).digest('hex');
+}
+
+/**
+ * Recompute the cross-conversation totals of the given contents,
+ * removing those that no longer occur anywhere
+ */
+function refreshContents(hashes) {
+    const database = db.getDb();
+
+    const totals = database.prepare(`
+        SELECT
+            SUM(occurrences) AS occurrences,
+            SUM(errors) AS errors,
+            COUNT(*) AS conversation_count,
+            COUNT(DISTINCT project_id) AS project_count,
+            MIN(first_artifact_id) AS sample_artifact_id,
+            MIN(first_seen_at) AS first_seen_at,
+            MAX(last_seen_at) AS last_seen_at
+        FROM artifact_content_occurrences
+        WHERE content_hash = ?
+    `);
+    const sample = database.prepare('SELECT artifact_type, tool_name, language FROM artifacts WHERE id = ?');
+    const upsert = database.prepare(`
+        INSERT INTO artifact_contents (
+            content_hash, artifact_type, tool_name, language, sample_artifact_id,
+            occurrence_count, error_count, conversation_count, project_count,
+            first_seen_at, last_seen_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(content_hash) DO UPDATE SET
+            artifact_type = excluded.artifact_type,
+            tool_name = excluded.tool_name,
+            language = excluded.language,
+            sample_artifact_id = excluded.sample_artifact_id,
+            occurrence_count = excluded.occurrence_count,
+            error_count = excluded.error_count,
+            conversation_count = excluded.conversation_count,
+            project_count = excluded.project_count,
+            first_seen_at = excluded.first_seen_at,
+            last_seen_at = excluded.last_seen_at,
+            updated_at = datetime('now')
+    `);
+    const remove = database.prepare('DELETE FROM artifact_contents WHERE content_hash = ?');
+
+    for (const hash of hashes) {
+        const total = totals.get(hash);
+        const artifact = total.conversation_count ? sample.get(total.sample_artifact_id) : null;
+
+        if (!artifact) {
+            remove.run(hash);
+            continue;
+        }
+
+        upsert.run(
+            hash,
+            artifact.artifact_type,
+            artifact.tool_name,
+            artifact.language,
+            total.sample_artifact_id,
+            total.occurrences,
+            total.errors,
+            total.conversation_count,
+            total.project_count,
+            total.first_seen_at,
+            total.last_seen_at
+        );
+    }
+}
+
+/**
+ * Rebuild a conversation's occurrences from its artifacts and refresh the
+ * totals of every content it had or has.
+ * Returns the number of distinct contents in the conversation.
+ */
+function indexConversation(conversationId) {
+    const database = db.getDb();
+
+    const previous = database.prepare(`
+        SELECT content_hash FROM artifact_content_occurrences WHERE conversation_id = ?
+    `).all(conversationId).map(row => row.content_hash);
+
+    let current = [];
+    const run = database.transaction(() => {
+        database.prepare('DELETE FROM artifact_content_occurrences WHERE conversation_id = ?').run(conversationId);
+
+        database.prepare(`
+            INSERT INTO artifact_content_occurrences (
+                content_hash, conversation_id, project_id, occurrences, errors,
+                first_artifact_id, first_seen_at, last_seen_at
+            )
+            SELECT
+                a.global_hash,
+                a.conversation_id,
+                c.project_id,
+                COUNT(*),
+                COUNT(CASE WHEN a.outcome = 'error' THEN 1 END),
+                MIN(a.id),
+                MIN(COALESCE(a.started_at, e.timestamp, a.created_at)),
+                MAX(COALESCE(a.started_at, e.timestamp, a.created_at))
+            FROM artifacts a
+            JOIN conversations c ON c.id = a.conversation_id
+            LEFT JOIN conversation_entries e ON e.id = a.entry_id
+            WHERE a.conversation_id = ? AND a.global_hash IS NOT NULL
+              AND (e.is_replay IS NULL OR e.is_replay = 0)
+            GROUP BY a.global_hash
+        `).run(conversationId);
+
+        current = database.prepare(`
+            SELECT content_hash FROM artifact_content_occurrences WHERE conversation_id = ?
+        `).all(conversationId).map(row => row.content_hash);
+
+        refreshContents(new Set([...previous, ...current]));
+    });
+    run();
+
+    return current.length;
+}
+
+/**
+ * Remove a conversation from the index, before its artifacts are rebuilt
+ */
+function clearConversation(conversationId) {
+    const database = db.getDb();
+
+    const hashes = database.prepare(`
+        SELECT content_hash FROM artifact_content_occurrences WHERE conversation_id = ?
+    `).all(conversationId).map(row => row.content_hash);
+
+    const run = database.transaction(() => {
+        database.prepare('DELETE FROM artifact_content_occurrences WHERE conversation_id = ?').run(conversationId);
+        refreshContents(hashes);
+    });
+    run();
+}
+
+/**
+ * List the most repeated contents: code blocks, commands and JSON seen
+ * again and again. Counts are over the matching occurrences, so a project
+ * or date filter counts only that project or period.
+ * Options: type, toolName, projectId, since, minConversations, sort, limit, offset.
+ */
+function getRepeatedContents(options = {}) {
+    const database = db.getDb();
+    const {
+        type, toolName, projectId, since,
+        minConversations = 2, sort = 'conversations', limit = 50, offset = 0
+    } = options;
+
+    let sql = `
+        SELECT
+            ac.content_hash,
+            ac.artifact_type,
+            ac.tool_name,
+            ac.language,
+            ac.sample_artifact_id,
+            SUM(o.occurrences) AS occurrences,
+            SUM(o.errors) AS errors,
+            COUNT(*) AS conversation_count,
+            COUNT(DISTINCT o.project_id) AS project_count,
+            GROUP_CONCAT(DISTINCT p.name) AS projects,
+            MIN(o.first_seen_at) AS first_seen_at,
+            MAX(o.last_seen_at) AS last_seen_at
+        FROM artifact_content_occurrences o
+        JOIN artifact_contents ac ON ac.content_hash = o.content_hash
+        LEFT JOIN projects p ON p.id = o.project_id
+        WHERE 1 = 1
+    `;
+    const params = [];
+
+    if (type) {
+        sql += ' AND ac.artifact_type = ?';
+        params.push(type);
+    }
+
+    if (toolName) {
+        sql += ' AND ac.tool_name = ?';
+        params.push(toolName);
+    }
+
+    if (projectId) {
+        sql += ' AND o.project_id = ?';
+        params.push(projectId);
+    }
+
+    if (since) {
+        sql += ' AND o.last_seen_at >= ?';
+        params.push(since);
+    }
+
+    sql += ` GROUP BY ac.content_hash HAVING COUNT(*) >= ?`;
+    sql += ` ORDER BY ${SORT_ORDER[sort] || SORT_ORDER.conversations} LIMIT ? OFFSET ?`;
+    params.push(minConversations, limit, offset);
+
+    const sample = database.prepare('SELECT content FROM artifacts WHERE id = ?');
+
+    return database.prepare(sql).all(...params).map(row => ({
+        ...row,
+        projects: row.projects ? row.projects.split(',') : [],
+        content: sample.get(row.sample_artifact_id)?.content ?? null
+    }));
+}
+
+/**
+ * Get one content with its totals and every conversation it occurred in,
+ * most recent first, or null if it is not indexed
+ */
+function getContentOccurrences(hash) {
+    const database = db.getDb();
+
+    const content = database.prepare(`
+        SELECT ac.*, a.content
+        FROM artifact_contents ac
+        LEFT JOIN artifacts a ON a.id = ac.sample_artifact_id
+        WHERE ac.content_hash = ?
+    `).get(hash);
+
+    if (!content) return null;
+
+    const occurrences = database.prepare(`
+        SELECT
+            o.conversation_id,
+            c.conversation_id AS session_id,
+            c.title,
+            o.project_id,
+            p.name AS project_name,
+            o.occurrences,
+            o.errors,
+            o.first_artifact_id,
+            o.first_seen_at,
+            o.last_seen_at
+        FROM artifact_content_occurrences o
+        JOIN conversations c ON c.id = o.conversation_id
+        LEFT JOIN projects p ON p.id = o.project_id
+        WHERE o.content_hash = ?
+        ORDER BY o.last_seen_at DESC
+    `).all(hash);
+
+    return { ...content, occurrences };
+}
+
+export {
+    INDEXED_TYPES,
+    SORTS,
+    contentKey,
+    indexConversation,
+    clearConversation,
+    getRepeatedContents,
+    getContentOccurrences
+};
+
+export default {
+    INDEXED_TYPES,
+    SORTS,
+    contentKey,
+    indexConversation,
+    clearConversation,
+    getRepeatedContents,
+    getContentOccurrences
+};
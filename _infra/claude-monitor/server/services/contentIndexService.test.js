@@ -0,0 +1,122 @@
+import { describe, test, expect, beforeEach } from 'bun:test';
+import path from 'path';
+import { setupTestEnv, transcript, writeTranscript } from '../test/helpers.js';
+
+const { db, dir } = setupTestEnv();
+const { default: contentIndex } = await import('./contentIndexService.js');
+const { default: conversationParser } = await import('./conversationParserService.js');
+const { default: artifactExtractor } = await import('./artifactExtractorService.js');
+
+describe('contentKey', () => {
+    test('ignores the description of a tool call', () => {
+        const key = contentIndex.contentKey('tool_call', 'Bash', '{"command":"npm test","description":"Run tests"}');
+
+        expect(contentIndex.contentKey('tool_call', 'Bash', '{"command":"npm test"}')).toBe(key);
+        expect(contentIndex.contentKey('tool_call', 'Bash', '{"command":"npm run lint"}')).not.toBe(key);
+        expect(contentIndex.contentKey('code_block', 'Bash', '{"command":"npm test"}')).not.toBe(key);
+    });
+
+    test('skips types that are not indexed', () => {
+        expect(contentIndex.contentKey('tool_result', 'Bash', 'ok')).toBeNull();
+        expect(contentIndex.contentKey('code_block', null, '')).toBeNull();
+    });
+});
+
+describe('repeated contents', () => {
+    const helper = 'Use this helper:\n```sh\n#!/bin/sh\nset -e\nnpm ci && npm test\n```';
+    let projects;
+    let conversations;
+
+    /**
+     * Parse and extract a session in a project
+     */
+    function ingest(sessionId, projectId, build) {
+        const session = transcript(sessionId);
+        const filePath = path.join(dir, `${sessionId}.jsonl`);
+        writeTranscript(filePath, build(session));
+
+        const { conversationId } = conversationParser.processFile(filePath, projectId);
+        artifactExtractor.processConversationEntries(conversationId);
+        return conversationId;
+    }
+
+    const addProject = (name) => Number(db.getDb().prepare(`
+        INSERT INTO projects (path, name, root, first_seen_at, last_seen_at)
+        VALUES (?, ?, ?, datetime('now'), datetime('now'))
+    `).run(`/work/${name}`, name, `/work/${name}`).lastInsertRowid);
+
+    const npmTest = (session, id, description, result, isError) => [
+        session.toolUse(id, 'Bash', { command: 'npm test', description }),
+        session.toolResult(id, result, isError)
+    ];
+
+    const summary = (rows) => rows.map(row => [row.artifact_type, row.conversation_count, row.occurrences, row.errors]);
+
+    beforeEach(() => {
+        db.init();
+        projects = { alpha: addProject('alpha'), beta: addProject('beta') };
+
+        conversations = {
+            a: ingest('session-a', projects.alpha, session => [
+                session.user('run the tests'),
+                ...npmTest(session, 'toolu_a1', 'Run tests', 'Exit code 1\n1 failing', true),
+                ...npmTest(session, 'toolu_a2', 'Run the tests again', '3 passing', false),
+                session.assistant(helper)
+            ]),
+            b: ingest('session-b', projects.beta, session => [
+                session.user('check the build'),
+                ...npmTest(session, 'toolu_b1', 'Test', 'Exit code 1\n2 failing', true),
+                session.assistant(helper)
+            ]),
+            c: ingest('session-c', projects.alpha, session => [
+                session.user('what is here?'),
+                session.toolUse('toolu_c1', 'Bash', { command: 'ls' }),
+                session.toolResult('toolu_c1', 'src')
+            ])
+        };
+    });
+
+    test('counts a content across conversations and projects', () => {
+        const repeated = contentIndex.getRepeatedContents();
+
+        expect(summary(repeated)).toEqual([
+            ['tool_call', 2, 3, 2],
+            ['code_block', 2, 2, 0]
+        ]);
+        expect(repeated[0]).toMatchObject({ tool_name: 'Bash', project_count: 2 });
+        expect(repeated[0].projects.sort()).toEqual(['alpha', 'beta']);
+        expect(JSON.parse(repeated[0].content).command).toBe('npm test');
+        expect(repeated[1]).toMatchObject({ language: 'shell', content: '#!/bin/sh\nset -e\nnpm ci && npm test' });
+    });
+
+    test('filters by type, project and conversation count', () => {
+        expect(summary(contentIndex.getRepeatedContents({ type: 'code_block' }))).toEqual([['code_block', 2, 2, 0]]);
+        expect(contentIndex.getRepeatedContents({ projectId: projects.alpha })).toEqual([]);
+
+        const alpha = contentIndex.getRepeatedContents({ projectId: projects.alpha, minConversations: 1, sort: 'errors' });
+        expect(alpha).toHaveLength(3);
+        expect(summary(alpha)[0]).toEqual(['tool_call', 1, 2, 1]);
+    });
+
+    test('lists every conversation a content occurred in', () => {
+        const [command] = contentIndex.getRepeatedContents({ type: 'tool_call' });
+        const content = contentIndex.getContentOccurrences(command.content_hash);
+
+        expect(content).toMatchObject({ occurrence_count: 3, error_count: 2, conversation_count: 2, project_count: 2 });
+        expect(content.occurrences.map(occurrence => [occurrence.session_id, occurrence.project_name, occurrence.occurrences]).sort())
+            .toEqual([['session-a', 'alpha', 2], ['session-b', 'beta', 1]]);
+        expect(contentIndex.getContentOccurrences('missing')).toBeNull();
+    });
+
+    test('drops a conversation from the totals when it is cleared', () => {
+        const [command] = contentIndex.getRepeatedContents({ type: 'tool_call' });
+
+        artifactExtractor.clearArtifacts(conversations.b);
+
+        expect(contentIndex.getRepeatedContents()).toEqual([]);
+        expect(contentIndex.getContentOccurrences(command.content_hash)).toMatchObject({ occurrence_count: 2, conversation_count: 1 });
+
+        artifactExtractor.clearArtifacts(conversations.a);
+        expect(contentIndex.getContentOccurrences(command.content_hash)).toBeNull();
+    });
+});
@@ -0,0 +1,273 @@
+import db from '../db/index.js';
+import logger from './logService.js';
+
+/**
+ * Conversation Chain Service
+ *
+ * Links resumed and continued Claude Code sessions into chains.
+ * A resumed session writes a new JSONL file that replays earlier messages
+ * (same uuids) and may start with summary lines pointing at the previous
+ * session's leaf. Either signal links the new conversation to the one it
+ * continues. Replayed copies are flagged with is_replay so they are not
+ * counted twice.
+ */
+
+/**
+ * Find other conversations that already hold an entry with this uuid
+ */
+function findConversationsSharingUuid(conversationId, uuid) {
+    const database = db.getDb();
+    return database.prepare(`
+        SELECT DISTINCT conversation_id FROM conversation_entries
+        WHERE entry_uuid = ? AND conversation_id != ?
+    `).all(uuid, conversationId).map(row => row.conversation_id);
+}
+
+/**
+ * Find the other conversation holding a summary's leaf entry
+ */
+function findConversationByLeaf(conversationId, leafUuid) {
+    const database = db.getDb();
+    const row = database.prepare(`
+        SELECT conversation_id FROM conversation_entries
+        WHERE entry_uuid = ? AND conversation_id != ?
+        LIMIT 1
+    `).get(leafUuid, conversationId);
+    return row ? row.conversation_id : null;
+}
+
+/**
+ * Find other conversations whose summary lines point at one of these leaf uuids
+ */
+function findConversationsSummarizing(conversationId, uuids) {
+    if (!uuids.size) return [];
+
+    const database = db.getDb();
+    const rows = database.prepare(`
+        SELECT conversation_id, metadata FROM conversation_entries
+        WHERE kind = 'summary' AND conversation_id != ? AND metadata IS NOT NULL
+    `).all(conversationId);
+
+    const found = new Set();
+    for (const row of rows) {
+        const { leafUuid } = JSON.parse(row.metadata);
+        if (leafUuid && uuids.has(leafUuid)) found.add(row.conversation_id);
+    }
+    return [...found];
+}
+
+/**
+ * Count entries of one conversation whose uuid the other does not have
+ */
+function ownEntryStats(conversationId, otherId) {
+    const database = db.getDb();
+    return database.prepare(`
+        SELECT COUNT(*) AS own, MIN(timestamp) AS first_own
+        FROM conversation_entries
+        WHERE conversation_id = ?
+          AND entry_uuid IS NOT NULL
+          AND entry_uuid NOT IN (
+              SELECT entry_uuid FROM conversation_entries
+              WHERE conversation_id = ? AND entry_uuid IS NOT NULL
+          )
+    `).get(conversationId, otherId);
+}
+
+/**
+ * Decide which of two conversations sharing entries is the original.
+ * The one with nothing of its own beyond the shared entries was replayed
+ * into the other; otherwise the one whose own entries start first wins.
+ */
+function resolveDirection(a, b) {
+    const statsA = ownEntryStats(a, b);
+    const statsB = ownEntryStats(b, a);
+
+    if (statsA.own === 0 && statsB.own > 0) return { parentId: a, childId: b };
+    if (statsB.own === 0 && statsA.own > 0) return { parentId: b, childId: a };
+
+    if (statsA.first_own && statsB.first_own && statsA.first_own !== statsB.first_own) {
+        return statsA.first_own < statsB.first_own
+            ? { parentId: a, childId: b }
+            : { parentId: b, childId: a };
+    }
+
+    return a < b ? { parentId: a, childId: b } : { parentId: b, childId: a };
+}
+
+/**
+ * Check whether `ancestorId` is already in the ancestry of `conversationId`
+ */
+function isAncestor(ancestorId, conversationId) {
+    const database = db.getDb();
+    const row = database.prepare(`
+        WITH RECURSIVE ancestors(id) AS (
+            SELECT parent_conversation_id FROM conversations WHERE id = ?
+            UNION
+            SELECT c.parent_conversation_id FROM conversations c
+            JOIN ancestors a ON c.id = a.id
+            WHERE c.parent_conversation_id IS NOT NULL
+        )
+        SELECT 1 AS found FROM ancestors WHERE id = ?
+    `).get(conversationId, ancestorId);
+    return !!row;
+}
+
+/**
+ * Re-flag replayed entries of a conversation against its parent
+ */
+function refreshReplays(conversationId) {
+    const database = db.getDb();
+
+    database.prepare(`
+        UPDATE conversation_entries SET is_replay = 0
+        WHERE conversation_id = ? AND is_replay = 1
+    `).run(conversationId);
+
+    database.prepare(`
+        UPDATE conversation_entries SET is_replay = 1
+        WHERE conversation_id = ?
+          AND entry_uuid IN (
+              SELECT e.entry_uuid FROM conversation_entries e
+              JOIN conversations c ON c.parent_conversation_id = e.conversation_id
+              WHERE c.id = ? AND e.entry_uuid IS NOT NULL
+          )
+    `).run(conversationId, conversationId);
+}
+
+/**
+ * Set a conversation's parent and propagate the chain root to its descendants
+ */
+function setParent(childId, parentId, relation) {
+    const database = db.getDb();
+
+    const parent = database.prepare('SELECT id, chain_root_id FROM conversations WHERE id = ?').get(parentId);
+    const rootId = parent.chain_root_id || parent.id;
+
+    database.prepare(`
+        UPDATE conversations SET parent_conversation_id = ?, chain_relation = ?
+        WHERE id = ?
+    `).run(parentId, relation, childId);
+
+    database.prepare(`
+        UPDATE conversations SET chain_root_id = ?
+        WHERE id IN (
+            WITH RECURSIVE descendants(id) AS (
+                SELECT ?
+                UNION
+                SELECT c.id FROM conversations c
+                JOIN descendants d ON c.parent_conversation_id = d.id
+            )
+            SELECT id FROM descendants
+        )
+    `).run(rootId, childId);
+}
+
+/**
+ * Link a conversation to the sessions it shares entries with or continues.
+ *
+ * `candidates` maps other conversation ids to the link detected:
+ * `{ relation: 'resume' }` for replayed entries (direction resolved by
+ * content) or `{ relation: 'continue', parentId }` for a summary whose
+ * leaf lives in the parent conversation.
+ * Returns the ids of conversations whose entries or chain changed.
+ */
+function linkSessions(conversationId, candidates) {
+    const database = db.getDb();
+    const affected = new Set();
+
+    for (const [otherId, { relation, parentId: knownParentId }] of candidates) {
+        const { parentId, childId } = knownParentId
+            ? { parentId: knownParentId, childId: knownParentId === otherId ? conversationId : otherId }
+            : resolveDirection(conversationId, otherId);
+
+        const child = database.prepare('SELECT parent_conversation_id FROM conversations WHERE id = ?').get(childId);
+        if (child?.parent_conversation_id === parentId) {
+            refreshReplays(childId);
+            affected.add(childId);
+            continue;
+        }
+
+        if (isAncestor(childId, parentId)) {
+            logger.debug(`Skipping chain link ${childId} -> ${parentId}: would create a cycle`);
+            continue;
+        }
+
+        setParent(childId, parentId, relation);
+        refreshReplays(childId);
+        refreshReplays(parentId);
+        affected.add(childId);
+        affected.add(parentId);
+
+        logger.info(`Linked conversation ${childId} to ${parentId} (${relation})`);
+    }
+
+    return [...affected];
+}
+
+/**
+ * Get the whole chain a conversation belongs to, as one logical session.
+ * Members are ordered by start time; entries exclude replayed copies.
+ */
+function getConversationChain(conversationId, options = {}) {
+    const database = db.getDb();
+    const { limit = 100, offset = 0 } = options;
+
+    const conversation = database.prepare('SELECT id, chain_root_id FROM conversations WHERE id = ?').get(conversationId);
+    if (!conversation) return null;
+
+    const rootId = conversation.chain_root_id || conversation.id;
+
+    const members = database.prepare(`
+        WITH RECURSIVE chain(id) AS (
+            SELECT ?
+            UNION
+            SELECT c.id FROM conversations c
+            JOIN chain ch ON c.parent_conversation_id = ch.id
+        )
+        SELECT c.id, c.conversation_id, c.title, c.parent_conversation_id, c.chain_relation,
+               c.source_file_path, c.started_at, c.ended_at, c.message_count
+        FROM conversations c
+        JOIN chain ch ON ch.id = c.id
+        ORDER BY c.started_at ASC, c.id ASC
+    `).all(rootId);
+
+    const memberIds = members.map(m => m.id);
+    const placeholders = memberIds.map(() => '?').join(', ');
+
+    const entries = database.prepare(`
+        SELECT e.*
+        FROM conversation_entries e
+        JOIN conversations c ON c.id = e.conversation_id
+        WHERE e.conversation_id IN (${placeholders}) AND e.is_replay = 0
+        ORDER BY c.started_at ASC, c.id ASC, e.entry_index ASC
+        LIMIT ? OFFSET ?
+    `).all(...memberIds, limit, offset);
+
+    const { total } = database.prepare(`
+        SELECT COUNT(*) AS total FROM conversation_entries
+        WHERE conversation_id IN (${placeholders}) AND is_replay = 0
+    `).get(...memberIds);
+
+    return {
+        rootId,
+        conversations: members,
+        totalEntries: total,
+        entries
+    };
+}
+
+export {
+    findConversationsSharingUuid,
+    findConversationByLeaf,
+    findConversationsSummarizing,
+    linkSessions,
+    getConversationChain
+};
+
+export default {
+    findConversationsSharingUuid,
+    findConversationByLeaf,
+    findConversationsSummarizing,
+    linkSessions,
+    getConversationChain
+};
@@ -0,0 +1,101 @@
+import { describe, test, expect, beforeEach } from 'bun:test';
+import path from 'path';
+import { setupTestEnv, transcript, writeTranscript } from '../test/helpers.js';
+
+const { db, dir } = setupTestEnv();
+const { default: conversationParser } = await import('./conversationParserService.js');
+const { default: chains } = await import('./conversationChainService.js');
+
+/**
+ * Write lines to a new transcript file and parse it
+ */
+function ingest(lines) {
+    const filePath = path.join(dir, `${crypto.randomUUID()}.jsonl`);
+    writeTranscript(filePath, lines);
+    return conversationParser.processFile(filePath).conversationId;
+}
+
+const conversation = (id) => db.getDb().prepare(`
+    SELECT parent_conversation_id, chain_relation, chain_root_id FROM conversations WHERE id = ?
+`).get(id);
+
+const contents = (chain) => chain.entries.map(entry => entry.content);
+
+describe('conversation chains', () => {
+    let first;
+    let resumed;
+
+    beforeEach(() => {
+        db.init();
+        const original = transcript('session-a');
+        first = [original.user('start the migration'), original.assistant('migration started')];
+
+        // A resumed session replays the earlier lines under its own session id
+        const next = transcript('session-b');
+        resumed = [
+            ...first.map(line => ({ ...line, sessionId: 'session-b' })),
+            { ...next.user('is it done?'), timestamp: '2026-01-02T00:00:00.000Z' }
+        ];
+    });
+
+    test('links a resumed session to the one it replays', () => {
+        const parentId = ingest(first);
+        const childId = ingest(resumed);
+
+        expect(conversation(childId)).toEqual({
+            parent_conversation_id: parentId,
+            chain_relation: 'resume',
+            chain_root_id: parentId
+        });
+
+        const chain = chains.getConversationChain(childId);
+        expect(chain.conversations.map(member => member.id)).toEqual([parentId, childId]);
+        expect(contents(chain)).toEqual(['start the migration', 'migration started', 'is it done?']);
+        expect(chain.totalEntries).toBe(3);
+    });
+
+    test('finds the same direction when the resumed session is ingested first', () => {
+        const childId = ingest(resumed);
+        const parentId = ingest(first);
+
+        expect(conversation(childId).parent_conversation_id).toBe(parentId);
+        expect(conversation(parentId).parent_conversation_id).toBeNull();
+        expect(contents(chains.getConversationChain(parentId))).toEqual([
+            'start the migration',
+            'migration started',
+            'is it done?'
+        ]);
+    });
+
+    test('links a session continued from a summary of the earlier leaf', () => {
+        const parentId = ingest(first);
+        const next = transcript('session-c');
+        const childId = ingest([
+            { type: 'summary', summary: 'Database migration', leafUuid: first[1].uuid },
+            { ...next.user('carry on'), timestamp: '2026-01-03T00:00:00.000Z' }
+        ]);
+
+        expect(conversation(childId)).toMatchObject({ parent_conversation_id: parentId, chain_relation: 'continue' });
+    });
+
+    test('propagates the chain root to later sessions', () => {
+        const rootId = ingest(first);
+        const middleId = ingest(resumed);
+        const last = transcript('session-c');
+        const lastId = ingest([
+            { type: 'summary', summary: 'Checking the migration', leafUuid: resumed[2].uuid },
+            { ...last.user('and now?'), timestamp: '2026-01-03T00:00:00.000Z' }
+        ]);
+
+        expect(conversation(lastId)).toMatchObject({ parent_conversation_id: middleId, chain_root_id: rootId });
+        expect(chains.getConversationChain(lastId).conversations.map(member => member.id)).toEqual([rootId, middleId, lastId]);
+    });
+
+    test('never links a conversation to its own descendant', () => {
+        const parentId = ingest(first);
+        const childId = ingest(resumed);
+
+        expect(chains.linkSessions(parentId, new Map([[childId, { relation: 'continue', parentId: childId }]]))).toEqual([]);
+        expect(conversation(parentId).parent_conversation_id).toBeNull();
+    });
+});
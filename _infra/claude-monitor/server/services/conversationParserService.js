@@ -2,14 +2,33 @@ import fs from 'fs';
 import crypto from 'crypto';
 import db from '../db/index.js';
 import logger from './logService.js';
+import usage from './usageService.js';
+import chains from './conversationChainService.js';
+import formats from './formatRegistryService.js';
+import claudeAiExportFormat from './formats/claudeAiExportFormat.js';
+import txtGrammar from './formats/txtTranscriptGrammar.js';
+import live from './liveEventService.js';
+import redaction from './redactionService.js';
 
 /**
  * Conversation Parser Service
  *
  * Parses JSONL and TXT conversation files from Claude Code sessions.
  * Implements hash-based deduplication for incremental processing.
+ * JSONL files are streamed from the last stored byte offset, so each
+ * scan only reads what was appended since the previous one.
  */
 
+// Bump when entry or block extraction changes, so reprocess jobs can find stale rows
+const PARSER_VERSION = 1;
+
+const READ_CHUNK_SIZE = 1024 * 1024; // 1MB
+const NEWLINE = 0x0a;
+const UNKNOWN_BLOCK_MAX_SIZE = 2048;
+
+// Entry kinds that are transcript events rather than conversational messages
+const EVENT_KINDS = ['summary', 'compact_boundary', 'hook', 'system'];
+
 /**
  * Generate SHA256 hash of content for deduplication
  */
@@ -17,6 +36,18 @@ function hashContent(content) {
     return crypto.createHash('sha256').update(content).digest('hex');
 }
 
+/**
+ * Whether a line is complete JSON
+ */
+function isJson(line) {
+    try {
+        JSON.parse(line);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
 /**
  * Get or create parse state for a file
  */
@@ -30,16 +61,206 @@ function getParseState(filePath) {
 /**
  * Update parse state after processing
  */
-function updateParseState(filePath, lineNumber, entryHash) {
+function updateParseState(filePath, state) {
     const database = db.getDb();
     database.prepare(`
-        INSERT INTO conversation_parse_state (file_path, last_line_number, last_entry_hash, last_parsed_at)
-        VALUES (?, ?, ?, datetime('now'))
+        INSERT INTO conversation_parse_state (
+            file_path, last_line_number, last_entry_hash, last_byte_offset,
+            partial_line, file_inode, file_size, last_line_offset, last_line_hash,
+            conversation_id, last_parsed_at
+        ) VALUES (?, ?, ?, ?, NULL, ?, ?, ?, ?, ?, datetime('now'))
         ON CONFLICT(file_path) DO UPDATE SET
             last_line_number = excluded.last_line_number,
             last_entry_hash = excluded.last_entry_hash,
+            last_byte_offset = excluded.last_byte_offset,
+            partial_line = excluded.partial_line,
+            file_inode = excluded.file_inode,
+            file_size = excluded.file_size,
+            last_line_offset = excluded.last_line_offset,
+            last_line_hash = excluded.last_line_hash,
+            conversation_id = excluded.conversation_id,
             last_parsed_at = excluded.last_parsed_at
-    `).run(filePath, lineNumber, entryHash);
+    `).run(
+        filePath,
+        state.lineNumber || 0,
+        state.entryHash || null,
+        state.byteOffset || 0,
+        state.inode != null ? String(state.inode) : null,
+        state.size ?? null,
+        state.lastLineOffset ?? null,
+        state.lastLineHash || null,
+        state.conversationId || null
+    );
+}
+
+/**
+ * Stream complete lines from a byte range of a file.
+ * Splits on raw newline bytes so multi-byte characters never straddle a chunk,
+ * yields each complete line with its starting byte offset and returns the
+ * unterminated tail bytes.
+ */
+function* readLines(filePath, startOffset, endOffset, carry = null) {
+    const fd = fs.openSync(filePath, 'r');
+    const chunk = Buffer.alloc(READ_CHUNK_SIZE);
+    let pending = carry?.length ? Buffer.from(carry) : Buffer.alloc(0);
+    let position = startOffset;
+
+    try {
+        while (position < endOffset) {
+            const bytesRead = fs.readSync(
+                fd, chunk, 0, Math.min(READ_CHUNK_SIZE, endOffset - position), position
+            );
+            if (bytesRead === 0) break;
+
+            const dataOffset = position - pending.length;
+            position += bytesRead;
+
+            const data = pending.length
+                ? Buffer.concat([pending, chunk.subarray(0, bytesRead)])
+                : chunk.subarray(0, bytesRead);
+
+            let lineStart = 0;
+            let newline;
+            while ((newline = data.indexOf(NEWLINE, lineStart)) !== -1) {
+                yield {
+                    line: data.toString('utf8', lineStart, newline),
+                    offset: dataOffset + lineStart
+                };
+                lineStart = newline + 1;
+            }
+
+            // Copy the tail out, the chunk buffer is reused on the next read
+            pending = Buffer.from(data.subarray(lineStart));
+        }
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    return pending;
+}
+
+/**
+ * Read the single line starting at a byte offset, or null if out of range.
+ * An unterminated last line is returned as it stands.
+ */
+function readLineAt(filePath, offset, endOffset) {
+    if (offset < 0 || offset >= endOffset) return null;
+
+    const lines = readLines(filePath, offset, endOffset);
+    const first = lines.next();
+    lines.return();
+
+    if (!first.done) return first.value.line;
+    return first.value?.length ? first.value.toString('utf8') : null;
+}
+
+/**
+ * Check whether a file still matches the parse state it was read with.
+ * Returns the reason a resync is needed, or null when it is safe to
+ * continue from the stored byte offset.
+ */
+function detectResync(filePath, parseState, stat) {
+    if (parseState.file_inode != null && parseState.file_inode !== String(stat.ino)) {
+        return 'rotated';
+    }
+    if (parseState.file_size != null && stat.size < parseState.file_size) {
+        return 'truncated';
+    }
+    if (parseState.last_line_hash && parseState.last_line_offset != null) {
+        const line = readLineAt(filePath, parseState.last_line_offset, parseState.last_byte_offset);
+        if (line === null || hashContent(line) !== parseState.last_line_hash) {
+            return 'rewritten';
+        }
+    }
+    return null;
+}
+
+/**
+ * Record that a file had to be reconciled against stored entries
+ */
+function recordResyncEvent(conversationId, filePath, reason, details) {
+    const database = db.getDb();
+    database.prepare(`
+        INSERT INTO conversation_resync_events (
+            conversation_id, file_path, reason, previous_size, current_size,
+            entries_matched, entries_added, entries_retained
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        conversationId,
+        filePath,
+        reason,
+        details.previousSize ?? null,
+        details.currentSize ?? null,
+        details.matched || 0,
+        details.added || 0,
+        details.retained || 0
+    );
+
+    logger.warn(`Resynced ${filePath} (${reason}): ${details.matched} matched, ${details.added} added, ${details.retained} retained`);
+}
+
+/**
+ * Re-number entry_index after a resync.
+ *
+ * Entries that were already stored keep their relative order. Entries added
+ * by the resync are slotted in directly after the stored entry that precedes
+ * them in the file, so the timeline follows the file without dropping
+ * anything that is no longer in it.
+ */
+function realignEntries(conversationId, fileHashes, insertedHashes) {
+    const database = db.getDb();
+
+    const rows = database.prepare(`
+        SELECT id, entry_hash, entry_index FROM conversation_entries
+        WHERE conversation_id = ?
+        ORDER BY entry_index ASC, id ASC
+    `).all(conversationId);
+
+    const byHash = new Map(rows.map(row => [row.entry_hash, row]));
+    const head = [];
+    const followers = new Map();
+    let anchor = null;
+
+    for (const hash of fileHashes) {
+        if (!insertedHashes.has(hash)) {
+            if (byHash.has(hash)) anchor = hash;
+            continue;
+        }
+        const row = byHash.get(hash);
+        if (!row) continue;
+        if (anchor) {
+            if (!followers.has(anchor)) followers.set(anchor, []);
+            followers.get(anchor).push(row);
+        } else {
+            head.push(row);
+        }
+    }
+
+    const ordered = [...head];
+    for (const row of rows) {
+        if (insertedHashes.has(row.entry_hash)) continue;
+        ordered.push(row, ...(followers.get(row.entry_hash) || []));
+    }
+
+    const update = database.prepare('UPDATE conversation_entries SET entry_index = ? WHERE id = ?');
+    database.transaction(() => {
+        ordered.forEach((row, index) => {
+            if (row.entry_index !== index) update.run(index, row.id);
+        });
+    })();
+}
+
+/**
+ * Get the next free entry index for a conversation
+ */
+function getNextEntryIndex(conversationId) {
+    const database = db.getDb();
+    const row = database.prepare(`
+        SELECT COALESCE(MAX(entry_index), -1) + 1 AS next_index
+        FROM conversation_entries
+        WHERE conversation_id = ?
+    `).get(conversationId);
+    return row.next_index;
 }
 
 /**
@@ -56,8 +277,8 @@ function findOrCreateConversation(sessionId, filePath, fileType, metadata = {})
         database.prepare(`
             INSERT INTO conversations (
                 conversation_id, source_file_path, source_file_type,
-                model_used, claude_code_version, git_branch, working_directory
-            ) VALUES (?, ?, ?, ?, ?, ?, ?)
+                model_used, claude_code_version, git_branch, working_directory, title
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
         `).run(
             sessionId,
             filePath,
@@ -65,7 +286,8 @@ function findOrCreateConversation(sessionId, filePath, fileType, metadata = {})
             metadata.model || null,
             metadata.version || null,
             metadata.gitBranch || null,
-            metadata.cwd || null
+            metadata.cwd || null,
+            redaction.redactText(metadata.title) || null
         );
 
         conversation = database.prepare(`
@@ -76,20 +298,62 @@ function findOrCreateConversation(sessionId, filePath, fileType, metadata = {})
     return conversation;
 }
 
+/**
+ * Set a conversation's project if provided and not already set
+ */
+function assignProject(conversation, projectId) {
+    if (!projectId || conversation.project_id) return;
+
+    const database = db.getDb();
+    database.prepare('UPDATE conversations SET project_id = ? WHERE id = ?')
+        .run(projectId, conversation.id);
+}
+
 /**
  * Insert a conversation entry if not duplicate
- * Returns true if inserted, false if duplicate
+ * Returns the new entry id if inserted, false if duplicate
+ *
+ * `details` carries the entry kind and event metadata, the message tree
+ * position (uuid, parentUuid, isSidechain, agentId), token usage
+ * (messageId, model, token counts) when known, and the capture source
+ * ('file' by default, 'hook' for entries received from hook events)
+ *
+ * Content and metadata are redacted before storage; `entryHash` must be
+ * computed by the caller from the unredacted source.
  */
-function insertEntry(conversationId, entryHash, entryIndex, role, content, timestamp) {
+function insertEntry(conversationId, entryHash, entryIndex, role, content, timestamp, details = {}) {
     const database = db.getDb();
+    const report = {};
+    const storedContent = redaction.redactText(content, report);
+    const metadata = details.metadata ? redaction.redactValue(details.metadata, report, { entropy: false }) : null;
 
     try {
-        database.prepare(`
+        const result = database.prepare(`
             INSERT INTO conversation_entries (
-                conversation_id, entry_hash, entry_index, role, content, timestamp
-            ) VALUES (?, ?, ?, ?, ?, ?)
-        `).run(conversationId, entryHash, entryIndex, role, content, timestamp);
-        return true;
+                conversation_id, entry_hash, entry_index, role, content, timestamp,
+                kind, metadata, entry_uuid, parent_uuid, is_sidechain, agent_id,
+                capture_source, message_id, model, input_tokens, output_tokens,
+                cache_creation_tokens, cache_read_tokens, parser_version
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            conversationId, entryHash, entryIndex, role, storedContent, timestamp,
+            details.kind || 'message',
+            metadata ? JSON.stringify(metadata) : null,
+            details.uuid || null,
+            details.parentUuid || null,
+            details.isSidechain ? 1 : 0,
+            details.agentId || null,
+            details.captureSource || 'file',
+            details.messageId || null,
+            details.model || null,
+            details.inputTokens ?? null,
+            details.outputTokens ?? null,
+            details.cacheCreationTokens ?? null,
+            details.cacheReadTokens ?? null,
+            PARSER_VERSION
+        );
+        redaction.recordFindings(conversationId, 'entry', report);
+        return Number(result.lastInsertRowid);
     } catch (err) {
         // UNIQUE constraint violation means duplicate
         if (err.message?.includes('UNIQUE constraint')) {
@@ -99,6 +363,186 @@ function insertEntry(conversationId, entryHash, entryIndex, role, content, times
     }
 }
 
+/**
+ * Check whether a conversation holds entries received from hook events
+ */
+function hasHookEntries(conversationId) {
+    const database = db.getDb();
+    const row = database.prepare(`
+        SELECT 1 AS found FROM conversation_entries
+        WHERE conversation_id = ? AND capture_source = 'hook'
+        LIMIT 1
+    `).get(conversationId);
+    return !!row;
+}
+
+/**
+ * Replace hook-captured entries with the file entry that records the same
+ * thing: a user prompt with the same text, or a tool call or result with
+ * the same tool_use id. Artifacts pointing at the hook entry, as their
+ * source or their tool result, move to the file entry.
+ */
+function supersedeHookEntries(conversationId, entryId, role, content, blocks) {
+    const database = db.getDb();
+    const hookIds = new Set();
+
+    if (role === 'user' && !blocks.some(block => block.toolUseId)) {
+        const prompt = database.prepare(`
+            SELECT id FROM conversation_entries
+            WHERE conversation_id = ? AND capture_source = 'hook' AND role = 'user' AND content = ?
+            ORDER BY entry_index ASC
+            LIMIT 1
+        `).get(conversationId, redaction.redactText(content));
+        if (prompt) hookIds.add(prompt.id);
+    }
+
+    const findToolEntries = database.prepare(`
+        SELECT e.id FROM entry_blocks b
+        JOIN conversation_entries e ON e.id = b.entry_id
+        WHERE b.conversation_id = ? AND b.tool_use_id = ? AND b.kind = ? AND e.capture_source = 'hook'
+    `);
+    for (const block of blocks) {
+        if (!block.toolUseId || (block.kind !== 'tool_use' && block.kind !== 'tool_result')) continue;
+        for (const row of findToolEntries.all(conversationId, block.toolUseId, block.kind)) {
+            hookIds.add(row.id);
+        }
+    }
+
+    if (!hookIds.size) return 0;
+
+    const ids = [...hookIds];
+    const placeholders = ids.map(() => '?').join(', ');
+
+    database.prepare(`UPDATE artifacts SET entry_id = ? WHERE entry_id IN (${placeholders})`).run(entryId, ...ids);
+    database.prepare(`UPDATE artifacts SET result_entry_id = ? WHERE result_entry_id IN (${placeholders})`).run(entryId, ...ids);
+    database.prepare(`DELETE FROM entry_blocks WHERE entry_id IN (${placeholders})`).run(...ids);
+    database.prepare(`DELETE FROM conversation_entries WHERE id IN (${placeholders})`).run(...ids);
+
+    logger.debug(`Replaced ${ids.length} hook entries with file entry ${entryId}`);
+    return ids.length;
+}
+
+/**
+ * Hashes of a transcript's lines in file order, as entry_hash stores them
+ */
+function readLineHashes(filePath) {
+    const lines = readLines(filePath, 0, fs.statSync(filePath).size);
+    const hashes = [];
+
+    let step = lines.next();
+    while (!step.done) {
+        if (step.value.line.trim()) hashes.push(hashContent(step.value.line));
+        step = lines.next();
+    }
+
+    const tail = step.value?.length ? step.value.toString('utf8') : null;
+    if (tail && isJson(tail)) hashes.push(hashContent(tail));
+
+    return hashes;
+}
+
+/**
+ * Ids of entries parsed from a JSONL file whose lines are no longer in it.
+ * A resync keeps them, and the file cannot recreate them.
+ */
+function getRetainedEntryIds(filePath) {
+    if (!fs.existsSync(filePath)) return [];
+
+    const database = db.getDb();
+    const inFile = new Set(readLineHashes(filePath));
+
+    return database.prepare(`
+        SELECT e.id, e.entry_hash FROM conversation_entries e
+        JOIN conversations c ON c.id = e.conversation_id
+        WHERE c.source_file_path = ? AND c.source_file_type = 'jsonl' AND e.capture_source = 'file'
+    `).all(filePath)
+        .filter(row => !inFile.has(row.entry_hash))
+        .map(row => row.id);
+}
+
+/**
+ * Remove the file-captured entries of every conversation parsed from a
+ * source file, along with the file's parse state, so the next parse
+ * rebuilds them from scratch. Hook entries and the entries in
+ * `keepEntryIds` are kept.
+ * Returns the ids of the affected conversations.
+ */
+function clearSourceEntries(filePath, keepEntryIds = []) {
+    const database = db.getDb();
+    const conversationIds = database.prepare(`
+        SELECT id FROM conversations WHERE source_file_path = ?
+    `).all(filePath).map(row => row.id);
+
+    const cleared = `
+        SELECT id FROM conversation_entries
+        WHERE conversation_id = ? AND capture_source = 'file'
+          AND id NOT IN (SELECT value FROM json_each(?))
+    `;
+    const deleteBlocks = database.prepare(`DELETE FROM entry_blocks WHERE entry_id IN (${cleared})`);
+    // Kept hook tool calls may have been paired with a result from the file
+    const unlinkResults = database.prepare(`
+        UPDATE artifacts SET result_entry_id = NULL WHERE result_entry_id IN (${cleared})
+    `);
+    const deleteEntries = database.prepare(`DELETE FROM conversation_entries WHERE id IN (${cleared})`);
+    const keep = JSON.stringify(keepEntryIds);
+
+    for (const conversationId of conversationIds) {
+        deleteBlocks.run(conversationId, keep);
+        unlinkResults.run(conversationId, keep);
+        deleteEntries.run(conversationId, keep);
+    }
+    database.prepare('DELETE FROM conversation_parse_state WHERE file_path = ?').run(filePath);
+
+    return conversationIds;
+}
+
+/**
+ * Parse a source file again from scratch with the current parser. Entries
+ * whose lines are still in the file are rebuilt; entries a resync retained
+ * after their lines left the file keep their content and their place in
+ * the timeline. Returns the parse result plus the retained entry ids.
+ */
+function rebuildSourceEntries(filePath, projectId = null) {
+    const database = db.getDb();
+    const retainedEntryIds = getRetainedEntryIds(filePath);
+
+    // Where each rebuilt line sat before, to restore the order around the retained entries
+    const previousIndexes = new Map();
+    if (retainedEntryIds.length) {
+        const rows = database.prepare(`
+            SELECT e.conversation_id, e.entry_hash, e.entry_index FROM conversation_entries e
+            JOIN conversations c ON c.id = e.conversation_id
+            WHERE c.source_file_path = ? AND e.capture_source = 'file'
+        `).all(filePath);
+
+        for (const row of rows) {
+            if (!previousIndexes.has(row.conversation_id)) previousIndexes.set(row.conversation_id, new Map());
+            previousIndexes.get(row.conversation_id).set(row.entry_hash, row.entry_index);
+        }
+    }
+
+    clearSourceEntries(filePath, retainedEntryIds);
+
+    const parsed = processFile(filePath, projectId);
+    if (!parsed.success || !retainedEntryIds.length) return { ...parsed, retainedEntryIds };
+
+    const fileHashes = readLineHashes(filePath);
+    const restoreIndex = database.prepare(`
+        UPDATE conversation_entries SET entry_index = ?
+        WHERE conversation_id = ? AND entry_hash = ? AND capture_source = 'file'
+    `);
+
+    for (const [conversationId, indexes] of previousIndexes) {
+        for (const [hash, index] of indexes) restoreIndex.run(index, conversationId, hash);
+
+        // Lines stored for the first time now go after the line before them
+        const added = new Set(fileHashes.filter(hash => !indexes.has(hash)));
+        realignEntries(conversationId, fileHashes, added);
+    }
+
+    return { ...parsed, retainedEntryIds };
+}
+
 /**
  * Update conversation statistics
  */
@@ -107,12 +551,13 @@ function updateConversationStats(conversationId) {
 
     const stats = database.prepare(`
         SELECT
-            COUNT(*) as message_count,
+            COUNT(CASE WHEN kind NOT IN (${EVENT_KINDS.map(() => '?').join(', ')}) THEN 1 END) as message_count,
+            COUNT(CASE WHEN kind = 'compact_boundary' THEN 1 END) as compaction_count,
             MIN(timestamp) as started_at,
             MAX(timestamp) as ended_at
         FROM conversation_entries
-        WHERE conversation_id = ?
-    `).get(conversationId);
+        WHERE conversation_id = ? AND is_replay = 0
+    `).get(...EVENT_KINDS, conversationId);
 
     let durationSeconds = null;
     if (stats.started_at && stats.ended_at) {
@@ -124,11 +569,21 @@ function updateConversationStats(conversationId) {
     database.prepare(`
         UPDATE conversations SET
             message_count = ?,
+            compaction_count = ?,
             started_at = ?,
             ended_at = ?,
             duration_seconds = ?
         WHERE id = ?
-    `).run(stats.message_count, stats.started_at, stats.ended_at, durationSeconds, conversationId);
+    `).run(
+        stats.message_count,
+        stats.compaction_count,
+        stats.started_at,
+        stats.ended_at,
+        durationSeconds,
+        conversationId
+    );
+
+    usage.rollupConversationUsage(conversationId);
 }
 
 /**
@@ -142,37 +597,372 @@ function extractRole(entry) {
     return 'system';
 }
 
+/**
+ * Classify a JSONL line into an entry kind, or null if it is not stored.
+ *
+ * - message: user/assistant/tool turns
+ * - compact_summary: the user turn carrying the summary after a compaction
+ * - meta: injected user turns (caveats, command output)
+ * - summary: leaf summary lines (used as the conversation title)
+ * - compact_boundary: the point where context was compacted
+ * - hook: hook output and hook status notices
+ * - system: any other system notice
+ */
+function classifyEntry(entry) {
+    switch (entry.type) {
+        case 'user':
+            if (entry.isCompactSummary) return 'compact_summary';
+            if (entry.isMeta) return 'meta';
+            return 'message';
+        case 'assistant':
+        case 'tool_result':
+            return 'message';
+        case 'summary':
+            return 'summary';
+        case 'system':
+            if (entry.subtype === 'compact_boundary') return 'compact_boundary';
+            if (entry.subtype?.includes('hook') || entry.hookEvent || entry.hookName) return 'hook';
+            return 'system';
+        default:
+            return null;
+    }
+}
+
+/**
+ * Build content and metadata for summary, compaction and system lines
+ */
+function extractEventContent(entry, kind) {
+    switch (kind) {
+        case 'summary':
+            return {
+                content: entry.summary || null,
+                metadata: { leafUuid: entry.leafUuid || null }
+            };
+        case 'compact_boundary': {
+            const compact = entry.compactMetadata || {};
+            return {
+                content: entry.content || 'Conversation compacted',
+                metadata: {
+                    subtype: entry.subtype,
+                    trigger: compact.trigger || null,
+                    preTokens: compact.preTokens ?? null,
+                    logicalParentUuid: entry.logicalParentUuid || null
+                }
+            };
+        }
+        default: {
+            const content = typeof entry.content === 'string'
+                ? entry.content
+                : extractContent(entry) || (entry.content ? JSON.stringify(entry.content) : null);
+            return {
+                content: content || (entry.subtype ? `[${entry.subtype}]` : null),
+                metadata: {
+                    subtype: entry.subtype || null,
+                    level: entry.level || null,
+                    hookEvent: entry.hookEvent || null,
+                    toolUseId: entry.toolUseID || null
+                }
+            };
+        }
+    }
+}
+
+/**
+ * Set the conversation title from leaf summaries.
+ * Prefers the latest summary whose leaf is an entry of this conversation;
+ * falls back to the latest summary seen.
+ */
+function updateConversationTitle(conversationId, summaries) {
+    if (!summaries.length) return;
+
+    const database = db.getDb();
+    const hasLeaf = database.prepare(`
+        SELECT 1 FROM conversation_entries WHERE conversation_id = ? AND entry_uuid = ?
+    `);
+
+    const own = [...summaries].reverse().find(s => s.leafUuid && hasLeaf.get(conversationId, s.leafUuid));
+    const chosen = own || summaries[summaries.length - 1];
+
+    database.prepare('UPDATE conversations SET title = ? WHERE id = ?')
+        .run(redaction.redactText(chosen.summary), conversationId);
+}
+
+/**
+ * Link a conversation to the sessions it resumes, continues or is continued by
+ */
+function linkChains(conversationId, summaries, passUuids, candidates) {
+    for (const { leafUuid } of summaries) {
+        if (!leafUuid) continue;
+        const parentId = chains.findConversationByLeaf(conversationId, leafUuid);
+        if (parentId && !candidates.has(parentId)) {
+            candidates.set(parentId, { relation: 'continue', parentId });
+        }
+    }
+
+    // A later session may have been ingested before the one it continues
+    for (const childId of chains.findConversationsSummarizing(conversationId, passUuids)) {
+        if (!candidates.has(childId)) {
+            candidates.set(childId, { relation: 'continue', parentId: conversationId });
+        }
+    }
+
+    if (!candidates.size) return;
+
+    for (const affectedId of chains.linkSessions(conversationId, candidates)) {
+        if (affectedId !== conversationId) updateConversationStats(affectedId);
+    }
+}
+
+/**
+ * Normalize the content of a JSONL entry into typed blocks.
+ *
+ * Each block has a `kind` (text, thinking, redacted_thinking, tool_use,
+ * tool_result, image, document or unknown) and the text worth searching.
+ * Base64 images and documents are returned as `blob` buffers so they can
+ * be stored once in content_blobs instead of inline in the entry text.
+ */
+function extractBlocks(entry) {
+    const content = entry.message?.content;
+    if (!content) return [];
+
+    if (!Array.isArray(content)) {
+        const text = typeof content === 'string' ? content : JSON.stringify(content);
+        return [{ kind: 'text', text }];
+    }
+
+    const blocks = [];
+    for (const block of content) {
+        if (typeof block === 'string') {
+            blocks.push({ kind: 'text', text: block });
+            continue;
+        }
+
+        switch (block.type) {
+            case 'text':
+                blocks.push({ kind: 'text', text: block.text });
+                break;
+            case 'thinking':
+                blocks.push({ kind: 'thinking', text: block.thinking });
+                break;
+            case 'redacted_thinking':
+                blocks.push({ kind: 'redacted_thinking', text: null });
+                break;
+            case 'tool_use':
+                blocks.push({
+                    kind: 'tool_use',
+                    text: JSON.stringify(block.input, null, 2),
+                    toolName: block.name,
+                    toolUseId: block.id
+                });
+                break;
+            case 'tool_result': {
+                // Tool results can themselves carry text and image blocks
+                const inner = Array.isArray(block.content)
+                    ? extractBlocks({ message: { content: block.content } })
+                    : [];
+                const text = typeof block.content === 'string'
+                    ? block.content
+                    : inner.filter(b => b.kind === 'text').map(b => b.text).join('\n');
+
+                blocks.push({
+                    kind: 'tool_result',
+                    text,
+                    toolUseId: block.tool_use_id,
+                    metadata: block.is_error ? { isError: true } : null
+                });
+                for (const nested of inner) {
+                    if (nested.kind === 'text') continue;
+                    blocks.push({ ...nested, toolUseId: block.tool_use_id });
+                }
+                break;
+            }
+            case 'image':
+            case 'document':
+                blocks.push(extractMediaBlock(block));
+                break;
+            default: {
+                // Keep small unknown blocks for inspection, never large payloads
+                const raw = JSON.stringify(block);
+                blocks.push({
+                    kind: 'unknown',
+                    text: null,
+                    metadata: {
+                        type: block.type || null,
+                        raw: raw.length <= UNKNOWN_BLOCK_MAX_SIZE ? block : null
+                    }
+                });
+            }
+        }
+    }
+
+    return blocks;
+}
+
+/**
+ * Turn an image or document block into a block referencing blob data
+ */
+function extractMediaBlock(block) {
+    const source = block.source || {};
+    const result = {
+        kind: block.type,
+        text: block.title || null,
+        metadata: { mediaType: source.media_type || null, sourceType: source.type || null }
+    };
+
+    if (source.type === 'base64' && source.data) {
+        result.blob = {
+            data: Buffer.from(source.data, 'base64'),
+            mediaType: source.media_type || null,
+            isText: /^text\//i.test(source.media_type || '')
+        };
+    } else if (source.type === 'text' && source.data) {
+        result.blob = {
+            data: Buffer.from(source.data, 'utf8'),
+            mediaType: source.media_type || 'text/plain',
+            isText: true
+        };
+    } else if (source.url) {
+        result.metadata.url = source.url;
+    }
+
+    return result;
+}
+
+/**
+ * Render typed blocks into the entry's readable content string
+ */
+function renderBlocks(blocks) {
+    return blocks.map(block => {
+        switch (block.kind) {
+            case 'text':
+                return block.text;
+            case 'thinking':
+                return `[Thinking]\n${block.text}`;
+            case 'redacted_thinking':
+                return '[Redacted thinking]';
+            case 'tool_use':
+                return `[Tool: ${block.toolName}]\n${block.text}`;
+            case 'tool_result':
+                return `[Tool Result: ${block.toolUseId}]\n${block.text}`;
+            case 'image':
+            case 'document': {
+                const label = block.kind === 'image' ? 'Image' : 'Document';
+                const size = block.blob ? `, ${block.blob.data.length} bytes` : '';
+                return `[${label}: ${block.metadata?.mediaType || 'unknown'}${size}]`;
+            }
+            default:
+                return `[Unsupported block: ${block.metadata?.type || 'unknown'}]`;
+        }
+    }).join('\n\n');
+}
+
 /**
  * Extract content from JSONL entry
  */
 function extractContent(entry) {
     if (!entry.message?.content) return null;
+    return renderBlocks(extractBlocks(entry));
+}
 
-    const content = entry.message.content;
+/**
+ * Store blob data once, keyed by its SHA256 hash
+ */
+function storeContentBlob(data, mediaType) {
+    const database = db.getDb();
+    const hash = crypto.createHash('sha256').update(data).digest('hex');
 
-    // Handle array content (assistant messages with tool use)
-    if (Array.isArray(content)) {
-        return content.map(block => {
-            if (typeof block === 'string') return block;
-            if (block.type === 'text') return block.text;
-            if (block.type === 'tool_use') {
-                return `[Tool: ${block.name}]\n${JSON.stringify(block.input, null, 2)}`;
-            }
-            if (block.type === 'tool_result') {
-                const result = typeof block.content === 'string'
-                    ? block.content
-                    : JSON.stringify(block.content);
-                return `[Tool Result: ${block.tool_use_id}]\n${result}`;
-            }
-            return JSON.stringify(block);
-        }).join('\n\n');
+    database.prepare(`
+        INSERT INTO content_blobs (hash, media_type, size_bytes, data)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT(hash) DO NOTHING
+    `).run(hash, mediaType || null, data.length, data);
+
+    return hash;
+}
+
+/**
+ * Get the blob data of a block to store. Text documents are redacted
+ * like the entry text; binary media is kept as is.
+ */
+function blobData(blob, report) {
+    if (!blob.isText) return blob.data;
+    return Buffer.from(redaction.redactText(blob.data.toString('utf8'), report), 'utf8');
+}
+
+/**
+ * Store the typed blocks of an inserted entry
+ */
+function storeEntryBlocks(conversationId, entryId, blocks) {
+    const database = db.getDb();
+    const report = {};
+    const insert = database.prepare(`
+        INSERT INTO entry_blocks (
+            conversation_id, entry_id, block_index, kind, text,
+            tool_name, tool_use_id, blob_hash, metadata
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    blocks.forEach((block, index) => {
+        const data = block.blob ? blobData(block.blob, report) : null;
+        const blobHash = data ? storeContentBlob(data, block.blob.mediaType) : null;
+        const metadata = data ? { ...block.metadata, sizeBytes: data.length } : block.metadata;
+
+        insert.run(
+            conversationId,
+            entryId,
+            index,
+            block.kind,
+            redaction.redactText(block.text, report) ?? null,
+            block.toolName || null,
+            block.toolUseId || null,
+            blobHash,
+            metadata ? JSON.stringify(redaction.redactValue(metadata, report, { entropy: false })) : null
+        );
+    });
+
+    redaction.recordFindings(conversationId, 'block', report);
+}
+
+/**
+ * Get a stored content blob by hash
+ */
+function getContentBlob(hash) {
+    const database = db.getDb();
+    return database.prepare('SELECT * FROM content_blobs WHERE hash = ?').get(hash);
+}
+
+/**
+ * Get typed blocks for a set of entries, grouped by entry id
+ */
+function getEntryBlocks(entryIds) {
+    const blocksByEntry = new Map();
+    if (!entryIds.length) return blocksByEntry;
+
+    const database = db.getDb();
+    const rows = database.prepare(`
+        SELECT id, entry_id, block_index, kind, text, tool_name, tool_use_id, blob_hash, metadata
+        FROM entry_blocks
+        WHERE entry_id IN (${entryIds.map(() => '?').join(', ')})
+        ORDER BY entry_id ASC, block_index ASC
+    `).all(...entryIds);
+
+    for (const row of rows) {
+        if (!blocksByEntry.has(row.entry_id)) blocksByEntry.set(row.entry_id, []);
+        blocksByEntry.get(row.entry_id).push({
+            ...row,
+            metadata: row.metadata ? JSON.parse(row.metadata) : null
+        });
     }
 
-    return typeof content === 'string' ? content : JSON.stringify(content);
+    return blocksByEntry;
 }
 
 /**
  * Parse a JSONL conversation file
+ *
+ * Reads only the bytes appended since the last parse. If the file was
+ * replaced, truncated or rewritten in place, the whole file is reconciled
+ * against the stored entries by entry_hash and a resync event is recorded.
  */
 function parseJSONL(filePath, projectId = null) {
     if (!fs.existsSync(filePath)) {
@@ -180,104 +970,258 @@ function parseJSONL(filePath, projectId = null) {
         return { success: false, error: 'File not found' };
     }
 
+    const stat = fs.statSync(filePath);
     const parseState = getParseState(filePath);
-    const startLine = parseState?.last_line_number || 0;
-
-    const content = fs.readFileSync(filePath, 'utf8');
-    const lines = content.split('\n').filter(line => line.trim());
+    const resyncReason = parseState?.last_byte_offset
+        ? detectResync(filePath, parseState, stat)
+        : null;
 
-    if (lines.length <= startLine) {
+    if (!resyncReason && parseState && stat.size === parseState.last_byte_offset) {
         logger.debug(`No new lines in ${filePath}`);
         return { success: true, newEntries: 0, skipped: 0 };
     }
 
+    const resume = parseState && !resyncReason && parseState.last_byte_offset > 0;
+    const startOffset = resume ? parseState.last_byte_offset : 0;
+    const lineNumber = resume ? parseState.last_line_number || 0 : 0;
+
     let sessionId = null;
-    let metadata = {};
+    let conversationId = resume ? parseState.conversation_id || null : null;
     let newEntries = 0;
     let skipped = 0;
-    let conversationId = null;
-    let entryIndex = startLine;
-    let lastHash = null;
+    let linesRead = 0;
+    let entryIndex = 0;
+    let hookCaptured = false;
+    let lastHash = resume ? parseState.last_entry_hash : null;
+    let lastLineOffset = resume ? parseState.last_line_offset : null;
+    let lastLineHash = resume ? parseState.last_line_hash : null;
 
-    // First pass: find session info from any line
-    for (const line of lines) {
-        try {
-            const entry = JSON.parse(line);
-            if (entry.sessionId && !sessionId) {
-                sessionId = entry.sessionId;
-                metadata = {
-                    version: entry.version,
-                    gitBranch: entry.gitBranch,
-                    cwd: entry.cwd,
-                    model: entry.model
-                };
+    // Only needed to re-align entries when reconciling
+    const fileHashes = [];
+    const insertedHashes = new Set();
+
+    // Lines seen before the session is known are held until it is
+    const pendingLines = [];
+
+    // Leaf summaries seen in this pass, candidates for the title
+    const summaries = [];
+
+    // Sessions this one resumes or continues, keyed by conversation id
+    const chainCandidates = new Map();
+    const passUuids = new Set();
+
+    const attachConversation = (metadata) => {
+        const conversation = findOrCreateConversation(sessionId, filePath, 'jsonl', metadata);
+        conversationId = conversation.id;
+        assignProject(conversation, projectId);
+
+        entryIndex = getNextEntryIndex(conversationId);
+        hookCaptured = hasHookEntries(conversationId);
+    };
+
+    const processLine = (line, entry) => {
+        // Skip line types we do not store (snapshots, progress, queue operations)
+        const kind = classifyEntry(entry);
+        if (!kind) return;
+
+        const role = extractRole(entry);
+        let blocks = [];
+        let content;
+        let metadata = null;
+
+        if (EVENT_KINDS.includes(kind)) {
+            ({ content, metadata } = extractEventContent(entry, kind));
+        } else {
+            blocks = extractBlocks(entry);
+            content = blocks.length ? renderBlocks(blocks) : null;
+        }
+
+        if (!content) return;
+
+        if (kind === 'summary') {
+            summaries.push({ summary: content, leafUuid: entry.leafUuid || null });
+        }
+
+        const lineHash = hashContent(line);
+        const inserted = insertEntry(
+            conversationId,
+            lineHash,
+            entryIndex,
+            role,
+            content,
+            entry.timestamp || null,
+            {
+                uuid: entry.uuid,
+                parentUuid: entry.parentUuid,
+                isSidechain: entry.isSidechain === true,
+                agentId: entry.agentId,
+                kind,
+                metadata,
+                ...(role === 'assistant' ? usage.extractUsage(entry) : {})
             }
-        } catch (e) {
-            // Skip malformed lines
+        );
+
+        if (inserted) {
+            storeEntryBlocks(conversationId, inserted, blocks);
+            if (hookCaptured) supersedeHookEntries(conversationId, inserted, role, content, blocks);
+            live.publishEntry(conversationId, {
+                id: inserted,
+                conversation_id: conversationId,
+                entry_index: entryIndex,
+                role,
+                kind,
+                content,
+                timestamp: entry.timestamp || null,
+                entry_uuid: entry.uuid || null,
+                parent_uuid: entry.parentUuid || null,
+                is_sidechain: entry.isSidechain === true ? 1 : 0,
+                agent_id: entry.agentId || null
+            }, blocks);
+            newEntries++;
+            entryIndex++;
+        } else {
+            skipped++;
         }
-    }
 
-    // Generate session ID from filename if not found
-    if (!sessionId) {
-        const basename = filePath.split(/[/\\]/).pop().replace('.jsonl', '');
-        sessionId = basename;
-    }
+        // Entries replayed from an earlier session share its uuids
+        if (inserted && entry.uuid) {
+            passUuids.add(entry.uuid);
+            for (const otherId of chains.findConversationsSharingUuid(conversationId, entry.uuid)) {
+                if (!chainCandidates.has(otherId)) chainCandidates.set(otherId, { relation: 'resume' });
+            }
+        }
 
-    // Create/find conversation
-    const conversation = findOrCreateConversation(sessionId, filePath, 'jsonl', metadata);
-    conversationId = conversation.id;
+        if (resyncReason) {
+            fileHashes.push(lineHash);
+            if (inserted) insertedHashes.add(lineHash);
+        }
 
-    // Update project_id if provided and not set
-    if (projectId && !conversation.project_id) {
-        const database = db.getDb();
-        database.prepare('UPDATE conversations SET project_id = ? WHERE id = ?')
-            .run(projectId, conversationId);
+        lastHash = lineHash;
+    };
+
+    if (conversationId) {
+        const conversation = getConversation(conversationId);
+        sessionId = conversation?.conversation_id || null;
+        if (conversation) {
+            entryIndex = getNextEntryIndex(conversationId);
+            hookCaptured = hasHookEntries(conversationId);
+        } else {
+            conversationId = null;
+        }
     }
 
-    // Process new lines
-    for (let i = startLine; i < lines.length; i++) {
-        const line = lines[i];
-        const lineHash = hashContent(line);
+    const handleLine = (line, offset) => {
+        if (!line.trim()) return;
+        linesRead++;
+        lastLineOffset = offset;
+        lastLineHash = hashContent(line);
 
+        let entry;
         try {
-            const entry = JSON.parse(line);
+            entry = JSON.parse(line);
+        } catch (e) {
+            logger.debug(`Skipping malformed line ${lineNumber + linesRead} in ${filePath}: ${e.message}`);
+            return;
+        }
 
-            // Skip non-message types
-            if (!['user', 'assistant', 'tool_result'].includes(entry.type)) {
-                continue;
+        if (!conversationId) {
+            if (!entry.sessionId) {
+                pendingLines.push({ line, entry });
+                return;
             }
 
-            const role = extractRole(entry);
-            const content = extractContent(entry);
+            sessionId = entry.sessionId;
+            attachConversation({
+                version: entry.version,
+                gitBranch: entry.gitBranch,
+                cwd: entry.cwd,
+                model: entry.message?.model
+            });
 
-            if (!content) continue;
+            for (const pending of pendingLines.splice(0)) {
+                processLine(pending.line, pending.entry);
+            }
+        }
 
-            const inserted = insertEntry(
-                conversationId,
-                lineHash,
-                entryIndex,
-                role,
-                content,
-                entry.timestamp || null
-            );
+        processLine(line, entry);
+    };
 
-            if (inserted) {
-                newEntries++;
-            } else {
-                skipped++;
-            }
+    const lines = readLines(filePath, startOffset, stat.size, resume ? parseState.partial_line : null);
+    let step = lines.next();
 
-            entryIndex++;
-            lastHash = lineHash;
-        } catch (e) {
-            logger.debug(`Skipping malformed line ${i} in ${filePath}: ${e.message}`);
+    while (!step.done) {
+        handleLine(step.value.line, step.value.offset);
+        step = lines.next();
+    }
+
+    // A last line without a newline is ingested when it parses: finished and
+    // imported transcripts often end that way. Otherwise it is still being
+    // written, and the stored offset stays at its start so the next parse
+    // reads it again once it is complete.
+    let byteOffset = stat.size;
+    const tail = step.value;
+    if (tail?.length) {
+        const line = tail.toString('utf8');
+        if (isJson(line)) {
+            handleLine(line, stat.size - tail.length);
+        } else {
+            byteOffset = stat.size - tail.length;
         }
     }
 
+    // Generate session ID from filename if no line carried one
+    if (!conversationId) {
+        const basename = filePath.split(/[/\\]/).pop().replace('.jsonl', '');
+        sessionId = basename;
+        attachConversation({});
+
+        for (const pending of pendingLines.splice(0)) {
+            processLine(pending.line, pending.entry);
+        }
+    }
+
+    if (resyncReason) {
+        realignEntries(conversationId, fileHashes, insertedHashes);
+
+        const inFile = new Set(fileHashes).size;
+        const { stored } = db.getDb().prepare(`
+            SELECT COUNT(*) AS stored FROM conversation_entries WHERE conversation_id = ?
+        `).get(conversationId);
+
+        recordResyncEvent(conversationId, filePath, resyncReason, {
+            previousSize: parseState.file_size,
+            currentSize: stat.size,
+            matched: inFile - insertedHashes.size,
+            added: insertedHashes.size,
+            retained: stored - inFile
+        });
+    }
+
+    updateConversationTitle(conversationId, summaries);
+    linkChains(conversationId, summaries, passUuids, chainCandidates);
+
     // Update parse state and conversation stats
-    if (newEntries > 0 || lines.length > startLine) {
-        updateParseState(filePath, lines.length, lastHash);
-        updateConversationStats(conversationId);
+    updateParseState(filePath, {
+        lineNumber: lineNumber + linesRead,
+        entryHash: lastHash,
+        byteOffset,
+        inode: stat.ino,
+        size: stat.size,
+        lastLineOffset,
+        lastLineHash,
+        conversationId
+    });
+    updateConversationStats(conversationId);
+
+    // Offsets into the old content mean nothing in the new
+    if (resyncReason) {
+        db.getDb().prepare(`
+            UPDATE conversation_parse_state SET extracted_byte_offset = 0 WHERE file_path = ?
+        `).run(filePath);
+    }
+
+    if (newEntries) {
+        live.publish('conversation', conversationId, { sessionId, newEntries, filePath });
     }
 
     logger.info(`Parsed ${filePath}: ${newEntries} new entries, ${skipped} duplicates`);
@@ -288,10 +1232,25 @@ function parseJSONL(filePath, projectId = null) {
         sessionId,
         newEntries,
         skipped,
-        totalLines: lines.length
+        resync: resyncReason,
+        linesRead,
+        bytesRead: stat.size - startOffset,
+        totalLines: lineNumber + linesRead
     };
 }
 
+/**
+ * Get resync events recorded for a conversation
+ */
+function getResyncEvents(conversationId) {
+    const database = db.getDb();
+    return database.prepare(`
+        SELECT * FROM conversation_resync_events
+        WHERE conversation_id = ?
+        ORDER BY created_at DESC, id DESC
+    `).all(conversationId);
+}
+
 /**
  * Parse a TXT conversation file (human-readable transcript)
  */
@@ -315,62 +1274,53 @@ function parseTXT(filePath, projectId = null) {
     const basename = filePath.split(/[/\\]/).pop().replace('.txt', '');
     const sessionId = `txt-${basename}`;
 
+    const transcript = txtGrammar.parseTranscript(content);
+
     // Create/find conversation
-    const conversation = findOrCreateConversation(sessionId, filePath, 'txt', {});
+    const conversation = findOrCreateConversation(sessionId, filePath, 'txt', transcript.metadata);
     const conversationId = conversation.id;
-
-    // Update project_id if provided
-    if (projectId && !conversation.project_id) {
-        const database = db.getDb();
-        database.prepare('UPDATE conversations SET project_id = ? WHERE id = ?')
-            .run(projectId, conversationId);
-    }
-
-    // Split on role markers
-    const rolePattern = /^(Human:|Assistant:|>)\s*/gm;
-    const blocks = content.split(rolePattern).filter(s => s.trim());
+    assignProject(conversation, projectId);
 
     let newEntries = 0;
     let skipped = 0;
-    let currentRole = 'user';
-    let entryIndex = 0;
-
-    for (let i = 0; i < blocks.length; i++) {
-        const block = blocks[i].trim();
-
-        // Check if this is a role marker
-        if (block === 'Human:' || block === '>') {
-            currentRole = 'user';
-            continue;
-        }
-        if (block === 'Assistant:') {
-            currentRole = 'assistant';
-            continue;
-        }
+    let toolUseId = null;
+
+    transcript.entries.forEach((entry, entryIndex) => {
+        // Tool calls get a synthetic id so their results can be paired
+        const blocks = entry.blocks.map(block => {
+            if (block.kind === 'tool_use') {
+                toolUseId = `txt-${entryIndex}`;
+                return { ...block, toolUseId };
+            }
+            if (block.kind === 'tool_result') {
+                return { ...block, toolUseId };
+            }
+            return block;
+        });
 
-        if (!block) continue;
+        const content = renderBlocks(blocks);
 
-        const blockHash = hashContent(block);
-        const inserted = insertEntry(
+        // Include position so repeated identical messages are kept
+        const entryHash = hashContent(`${entryIndex}\n${entry.role}\n${content}`);
+        const entryId = insertEntry(
             conversationId,
-            blockHash,
+            entryHash,
             entryIndex,
-            currentRole,
-            block,
-            null
+            entry.role,
+            content,
+            entry.timestamp
         );
 
-        if (inserted) {
+        if (entryId) {
+            storeEntryBlocks(conversationId, entryId, blocks);
             newEntries++;
         } else {
             skipped++;
         }
-
-        entryIndex++;
-    }
+    });
 
     // Update parse state and conversation stats
-    updateParseState(filePath, 0, contentHash);
+    updateParseState(filePath, { entryHash: contentHash, conversationId });
     updateConversationStats(conversationId);
 
     logger.info(`Parsed TXT ${filePath}: ${newEntries} new entries, ${skipped} duplicates`);
@@ -385,19 +1335,55 @@ function parseTXT(filePath, projectId = null) {
 }
 
 /**
- * Process a conversation file (auto-detect format)
+ * Helpers handed to format adapters so they can map their records onto
+ * conversations and entries the same way the built-in parsers do
+ */
+const ingest = {
+    hashContent,
+    getParseState,
+    updateParseState,
+    findOrCreateConversation,
+    assignProject,
+    getNextEntryIndex,
+    insertEntry,
+    extractBlocks,
+    renderBlocks,
+    storeEntryBlocks,
+    updateConversationStats
+};
+
+formats.registerFormat({
+    name: 'jsonl',
+    description: 'Claude Code session transcript (JSON lines)',
+    pathPatterns: [/\.jsonl$/i],
+    parse: (filePath, { projectId }) => parseJSONL(filePath, projectId)
+});
+
+formats.registerFormat({
+    name: 'txt',
+    description: 'Plain text transcript (Human:/Assistant: or Claude Code /export)',
+    pathPatterns: [/\.txt$/i],
+    parse: (filePath, { projectId }) => parseTXT(filePath, projectId)
+});
+
+formats.registerFormat(claudeAiExportFormat);
+
+/**
+ * Process a conversation file, dispatching to the detected format adapter
  */
 function processFile(filePath, projectId = null) {
-    const ext = filePath.toLowerCase().split('.').pop();
+    if (!fs.existsSync(filePath)) {
+        logger.warn(`Conversation file not found: ${filePath}`);
+        return { success: false, error: 'File not found' };
+    }
 
-    if (ext === 'jsonl') {
-        return parseJSONL(filePath, projectId);
-    } else if (ext === 'txt') {
-        return parseTXT(filePath, projectId);
-    } else {
+    const format = formats.detectFormat(filePath);
+    if (!format) {
         logger.warn(`Unknown file format: ${filePath}`);
         return { success: false, error: 'Unknown format' };
     }
+
+    return { format: format.name, ...format.parse(filePath, { projectId, ingest }) };
 }
 
 /**
@@ -415,7 +1401,7 @@ function getConversation(id) {
  */
 function getConversationEntries(conversationId, options = {}) {
     const database = db.getDb();
-    const { role, limit = 100, offset = 0 } = options;
+    const { role, kind, sidechain, afterId, blocks = false, limit = 100, offset = 0 } = options;
 
     let sql = `
         SELECT * FROM conversation_entries
@@ -423,15 +1409,151 @@ function getConversationEntries(conversationId, options = {}) {
     `;
     const params = [conversationId];
 
+    if (afterId) {
+        sql += ' AND id > ?';
+        params.push(afterId);
+    }
+
     if (role) {
         sql += ' AND role = ?';
         params.push(role);
     }
 
+    if (kind) {
+        sql += ' AND kind = ?';
+        params.push(kind);
+    }
+
+    if (sidechain !== undefined) {
+        sql += ' AND is_sidechain = ?';
+        params.push(sidechain ? 1 : 0);
+    }
+
     sql += ' ORDER BY entry_index ASC LIMIT ? OFFSET ?';
     params.push(limit, offset);
 
-    return database.prepare(sql).all(...params);
+    const entries = database.prepare(sql).all(...params);
+
+    if (!blocks) return entries;
+
+    const blocksByEntry = getEntryBlocks(entries.map(entry => entry.id));
+    return entries.map(entry => ({
+        ...entry,
+        blocks: blocksByEntry.get(entry.id) || []
+    }));
+}
+
+/**
+ * Get transcript events (summaries, compactions, hook and system notices)
+ */
+function getConversationEvents(conversationId, options = {}) {
+    const database = db.getDb();
+    const { kind } = options;
+
+    let sql = `
+        SELECT id, entry_index, kind, role, content, metadata, timestamp, entry_uuid
+        FROM conversation_entries
+        WHERE conversation_id = ?
+          AND kind IN (${EVENT_KINDS.map(() => '?').join(', ')})
+    `;
+    const params = [conversationId, ...EVENT_KINDS];
+
+    if (kind) {
+        sql += ' AND kind = ?';
+        params.push(kind);
+    }
+
+    sql += ' ORDER BY entry_index ASC';
+
+    return database.prepare(sql).all(...params).map(row => ({
+        ...row,
+        metadata: row.metadata ? JSON.parse(row.metadata) : null
+    }));
+}
+
+/**
+ * Get a conversation as a message tree
+ *
+ * Main-thread entries are returned in order. Sidechain entries are grouped
+ * into subagent threads (by agent id when the transcript records one,
+ * otherwise by following parent links), and each thread is attached to
+ * the entry it branched from, nesting threads spawned inside other threads.
+ */
+function getConversationTree(conversationId) {
+    const database = db.getDb();
+
+    const entries = database.prepare(`
+        SELECT * FROM conversation_entries
+        WHERE conversation_id = ?
+        ORDER BY entry_index ASC
+    `).all(conversationId);
+
+    const byUuid = new Map();
+    for (const entry of entries) {
+        if (entry.entry_uuid) byUuid.set(entry.entry_uuid, entry);
+    }
+
+    const main = [];
+    const threads = new Map();
+    const threadOf = new Map(); // entry id -> thread
+    let previous = null;
+
+    for (const entry of entries) {
+        if (!entry.is_sidechain) {
+            main.push(entry);
+            previous = entry;
+            continue;
+        }
+
+        const parent = entry.parent_uuid ? byUuid.get(entry.parent_uuid) : null;
+        let thread = null;
+
+        if (entry.agent_id) {
+            thread = threads.get(`agent:${entry.agent_id}`);
+        } else if (parent?.is_sidechain) {
+            thread = threadOf.get(parent.id);
+        } else if (entry.parent_uuid && !parent && previous?.is_sidechain) {
+            // Parent was a line we do not store, stay with the running thread
+            thread = threadOf.get(previous.id);
+        }
+
+        if (!thread) {
+            const key = entry.agent_id ? `agent:${entry.agent_id}` : `root:${entry.id}`;
+            thread = {
+                id: key,
+                agentId: entry.agent_id || null,
+                rootUuid: entry.entry_uuid,
+                parentUuid: entry.parent_uuid,
+                startedAt: entry.timestamp,
+                entries: [],
+                threads: []
+            };
+            threads.set(key, thread);
+        }
+
+        thread.entries.push(entry);
+        threadOf.set(entry.id, thread);
+        previous = entry;
+    }
+
+    // Attach each thread under the thread it branched from, if any
+    const roots = [];
+    for (const thread of threads.values()) {
+        const anchor = thread.parentUuid ? byUuid.get(thread.parentUuid) : null;
+        const owner = anchor ? threadOf.get(anchor.id) : null;
+
+        if (owner && owner !== thread) {
+            owner.threads.push(thread);
+        } else {
+            roots.push(thread);
+        }
+    }
+
+    return {
+        conversationId,
+        main,
+        threads: roots
+    };
 }
 
 /**
@@ -439,7 +1561,7 @@ function getConversationEntries(conversationId, options = {}) {
  */
 function listConversations(options = {}) {
     const database = db.getDb();
-    const { projectId, since, hasErrors, limit = 50, offset = 0 } = options;
+    const { projectId, since, hasErrors, finding, limit = 50, offset = 0 } = options;
 
     let sql = 'SELECT * FROM v_conversations_summary WHERE 1=1';
     const params = [];
@@ -458,6 +1580,14 @@ function listConversations(options = {}) {
         sql += ' AND error_count > 0';
     }
 
+    // 'any' or a finding type such as retry_loop
+    if (finding === 'any') {
+        sql += ' AND finding_count > 0';
+    } else if (finding) {
+        sql += ' AND id IN (SELECT conversation_id FROM session_findings WHERE finding_type = ?)';
+        params.push(finding);
+    }
+
     sql += ' ORDER BY started_at DESC LIMIT ? OFFSET ?';
     params.push(limit, offset);
 
@@ -465,21 +1595,41 @@ function listConversations(options = {}) {
 }
 
 export {
+    PARSER_VERSION,
     processFile,
     parseJSONL,
     parseTXT,
     getConversation,
     getConversationEntries,
+    getConversationTree,
+    getConversationEvents,
+    getContentBlob,
     listConversations,
-    hashContent
+    getResyncEvents,
+    clearSourceEntries,
+    rebuildSourceEntries,
+    getRetainedEntryIds,
+    hashContent,
+    readLines,
+    ingest
 };
 
 export default {
+    PARSER_VERSION,
     processFile,
     parseJSONL,
     parseTXT,
     getConversation,
     getConversationEntries,
+    getConversationTree,
+    getConversationEvents,
+    getContentBlob,
     listConversations,
-    hashContent
+    getResyncEvents,
+    clearSourceEntries,
+    rebuildSourceEntries,
+    getRetainedEntryIds,
+    hashContent,
+    readLines,
+    ingest
 };
@@ -0,0 +1,329 @@
+import { describe, test, expect, beforeEach } from 'bun:test';
+import fs from 'fs';
+import path from 'path';
+import { setupTestEnv, transcript, writeTranscript } from '../test/helpers.js';
+
+const { db, dir } = setupTestEnv();
+const { default: conversationParser } = await import('./conversationParserService.js');
+
+const entries = () => db.getDb().prepare(`
+    SELECT role, content FROM conversation_entries ORDER BY entry_index
+`).all();
+
+describe('parseJSONL', () => {
+    let filePath;
+    let session;
+
+    beforeEach(() => {
+        db.init();
+        session = transcript();
+        filePath = path.join(dir, `${crypto.randomUUID()}.jsonl`);
+    });
+
+    test('reads only lines appended since the last parse', () => {
+        writeTranscript(filePath, [session.user('first question')]);
+        expect(conversationParser.processFile(filePath).newEntries).toBe(1);
+
+        fs.appendFileSync(filePath, JSON.stringify(session.assistant('first answer')) + '\n');
+        const result = conversationParser.processFile(filePath);
+
+        expect(result.newEntries).toBe(1);
+        expect(result.skipped).toBe(0);
+        expect(entries().map(entry => entry.content)).toEqual(['first question', 'first answer']);
+    });
+
+    test('ingests an unterminated last line that parses', () => {
+        fs.writeFileSync(filePath, JSON.stringify(session.user('no newline at the end')));
+
+        expect(conversationParser.processFile(filePath).newEntries).toBe(1);
+        expect(entries()).toEqual([{ role: 'user', content: 'no newline at the end' }]);
+    });
+
+    test('parses a split last line once the rest is appended', () => {
+        const second = JSON.stringify(session.assistant('the answer'));
+        const half = Math.floor(second.length / 2);
+        fs.writeFileSync(filePath, JSON.stringify(session.user('the question')) + '\n' + second.slice(0, half));
+
+        expect(conversationParser.processFile(filePath).newEntries).toBe(1);
+
+        fs.appendFileSync(filePath, second.slice(half) + '\n');
+        const result = conversationParser.processFile(filePath);
+
+        expect(result.newEntries).toBe(1);
+        expect(result.resync).toBeNull();
+        expect(entries()).toEqual([
+            { role: 'user', content: 'the question' },
+            { role: 'assistant', content: 'the answer' }
+        ]);
+    });
+
+    test('never stores the bytes of an unfinished line', () => {
+        fs.writeFileSync(filePath, JSON.stringify(session.user('hello')) + '\n{"type":"user","message":{"content":"sk-');
+        conversationParser.processFile(filePath);
+
+        const state = db.getDb().prepare('SELECT * FROM conversation_parse_state WHERE file_path = ?').get(filePath);
+        expect(state.partial_line).toBeNull();
+        expect(state.last_byte_offset).toBe(fs.readFileSync(filePath, 'utf8').indexOf('\n') + 1);
+    });
+
+    test('redacts text documents before storing them as blobs', () => {
+        const secret = 'ghp_' + 'a1B2c3D4e5F6g7H8i9J0'.repeat(2);
+        writeTranscript(filePath, [{
+            ...session.user('see attached'),
+            message: {
+                role: 'user',
+                content: [
+                    { type: 'document', source: { type: 'text', media_type: 'text/plain', data: `GITHUB_TOKEN=${secret}` } },
+                    { type: 'document', source: { type: 'base64', media_type: 'text/plain', data: Buffer.from(secret).toString('base64') } }
+                ]
+            }
+        }]);
+        conversationParser.processFile(filePath);
+
+        const blobs = db.getDb().prepare('SELECT data, size_bytes FROM content_blobs').all();
+        expect(blobs).toHaveLength(2);
+        for (const blob of blobs) {
+            const text = Buffer.from(blob.data).toString('utf8');
+            expect(text).not.toContain(secret);
+            expect(text).toContain('[REDACTED:');
+            expect(blob.size_bytes).toBe(blob.data.length);
+        }
+    });
+});
+
+describe('resync', () => {
+    let filePath;
+    let lines;
+
+    beforeEach(() => {
+        db.init();
+        const session = transcript();
+        lines = [session.user('one'), session.assistant('two'), session.user('three'), session.assistant('four')];
+        filePath = path.join(dir, `${crypto.randomUUID()}.jsonl`);
+    });
+
+    const resyncEvents = () => db.getDb().prepare(`
+        SELECT reason, entries_matched, entries_added, entries_retained FROM conversation_resync_events
+    `).all();
+
+    test('keeps entries a truncated file no longer holds', () => {
+        writeTranscript(filePath, lines.slice(0, 3));
+        conversationParser.processFile(filePath);
+
+        writeTranscript(filePath, lines.slice(0, 2));
+        expect(conversationParser.processFile(filePath).resync).toBe('truncated');
+
+        expect(entries().map(entry => entry.content)).toEqual(['one', 'two', 'three']);
+        expect(resyncEvents()).toEqual([
+            { reason: 'truncated', entries_matched: 2, entries_added: 0, entries_retained: 1 }
+        ]);
+    });
+
+    test('slots lines a rewrite inserted after the entry before them', () => {
+        writeTranscript(filePath, [lines[0], lines[1], lines[3]]);
+        conversationParser.processFile(filePath);
+
+        writeTranscript(filePath, [lines[0], lines[1], lines[2], { ...lines[3], extra: true }]);
+        expect(conversationParser.processFile(filePath).resync).toBe('rewritten');
+
+        expect(entries().map(entry => entry.content)).toEqual(['one', 'two', 'three', 'four', 'four']);
+        expect(resyncEvents()).toEqual([
+            { reason: 'rewritten', entries_matched: 2, entries_added: 2, entries_retained: 1 }
+        ]);
+    });
+
+    test('reconciles a file replaced by a new one', () => {
+        writeTranscript(filePath, lines.slice(0, 2));
+        conversationParser.processFile(filePath);
+
+        const replacement = `${filePath}.new`;
+        writeTranscript(replacement, lines);
+        fs.renameSync(replacement, filePath);
+
+        const result = conversationParser.processFile(filePath);
+        expect(result.resync).toBe('rotated');
+        expect(result.newEntries).toBe(2);
+        expect(result.skipped).toBe(2);
+        expect(entries().map(entry => entry.content)).toEqual(['one', 'two', 'three', 'four']);
+    });
+
+    test('reads appended lines without a resync', () => {
+        writeTranscript(filePath, lines.slice(0, 2));
+        conversationParser.processFile(filePath);
+
+        fs.appendFileSync(filePath, JSON.stringify(lines[2]) + '\n');
+        expect(conversationParser.processFile(filePath).resync).toBeNull();
+        expect(resyncEvents()).toEqual([]);
+    });
+});
+
+describe('message tree', () => {
+    let conversationId;
+
+    beforeEach(() => {
+        db.init();
+        const session = transcript();
+        const chain = [];
+        const add = (line, extra = {}) => {
+            const parent = extra.parent ?? chain[chain.length - 1];
+            delete extra.parent;
+            const entry = { ...line, parentUuid: parent?.uuid ?? null, ...extra };
+            chain.push(entry);
+            return entry;
+        };
+
+        add(session.user('run the review'));
+        const task = add(session.assistant('handing over to a reviewer'));
+        add(session.user('review the diff'), { parent: task, isSidechain: true, agentId: 'reviewer' });
+        const finding = add(session.assistant('found an issue'), { isSidechain: true, agentId: 'reviewer' });
+        add(session.user('check the tests'), { parent: finding, isSidechain: true, agentId: 'tester' });
+        add(session.assistant('the review is done'), { parent: task });
+
+        const filePath = path.join(dir, `${crypto.randomUUID()}.jsonl`);
+        writeTranscript(filePath, chain);
+        conversationId = conversationParser.processFile(filePath).conversationId;
+    });
+
+    test('stores parent links, sidechain flags and agent ids', () => {
+        const stored = conversationParser.getConversationEntries(conversationId, { sidechain: true });
+
+        expect(stored.map(entry => [entry.content, entry.agent_id])).toEqual([
+            ['review the diff', 'reviewer'],
+            ['found an issue', 'reviewer'],
+            ['check the tests', 'tester']
+        ]);
+        expect(stored[1].parent_uuid).toBe(stored[0].entry_uuid);
+    });
+
+    test('nests subagent threads under the entry they branched from', () => {
+        const tree = conversationParser.getConversationTree(conversationId);
+
+        expect(tree.main.map(entry => entry.content)).toEqual([
+            'run the review',
+            'handing over to a reviewer',
+            'the review is done'
+        ]);
+        expect(tree.threads).toHaveLength(1);
+
+        const [reviewer] = tree.threads;
+        expect(reviewer.agentId).toBe('reviewer');
+        expect(reviewer.parentUuid).toBe(tree.main[1].entry_uuid);
+        expect(reviewer.entries.map(entry => entry.content)).toEqual(['review the diff', 'found an issue']);
+        expect(reviewer.threads.map(thread => thread.agentId)).toEqual(['tester']);
+    });
+});
+
+describe('content blocks', () => {
+    const png = Buffer.from('png bytes').toString('base64');
+    const image = { type: 'image', source: { type: 'base64', media_type: 'image/png', data: png } };
+    let conversationId;
+
+    beforeEach(() => {
+        db.init();
+        const session = transcript();
+        const withContent = (line, content) => ({ ...line, message: { ...line.message, content } });
+
+        const filePath = path.join(dir, `${crypto.randomUUID()}.jsonl`);
+        writeTranscript(filePath, [
+            withContent(session.assistant(''), [
+                { type: 'thinking', thinking: 'check the screenshot first' },
+                { type: 'redacted_thinking', data: 'opaque' },
+                { type: 'text', text: 'Taking a screenshot' },
+                { type: 'server_tool_use', id: 'srv_1' }
+            ]),
+            withContent(session.toolResult('toolu_1', ''), [{
+                type: 'tool_result',
+                tool_use_id: 'toolu_1',
+                content: [{ type: 'text', text: 'saved screenshot.png' }, image]
+            }]),
+            withContent(session.user(''), ['what is wrong here?', image])
+        ]);
+        conversationId = conversationParser.processFile(filePath).conversationId;
+    });
+
+    const storedEntries = () => conversationParser.getConversationEntries(conversationId, { blocks: true });
+    const kinds = (entry) => entry.blocks.map(block => block.kind);
+
+    test('renders every block kind into the entry text', () => {
+        expect(storedEntries().map(entry => entry.content)).toEqual([
+            '[Thinking]\ncheck the screenshot first\n\n[Redacted thinking]\n\nTaking a screenshot\n\n[Unsupported block: server_tool_use]',
+            '[Tool Result: toolu_1]\nsaved screenshot.png\n\n[Image: image/png, 9 bytes]',
+            'what is wrong here?\n\n[Image: image/png, 9 bytes]'
+        ]);
+    });
+
+    test('keeps typed blocks, with images nested in tool results', () => {
+        const [assistant, result, user] = storedEntries();
+
+        expect(kinds(assistant)).toEqual(['thinking', 'redacted_thinking', 'text', 'unknown']);
+        expect(assistant.blocks[3].metadata).toEqual({ type: 'server_tool_use', raw: { type: 'server_tool_use', id: 'srv_1' } });
+        expect(kinds(result)).toEqual(['tool_result', 'image']);
+        expect(result.blocks[1].tool_use_id).toBe('toolu_1');
+        expect(kinds(user)).toEqual(['text', 'image']);
+    });
+
+    test('stores image data once, outside the entry text', () => {
+        const [, result, user] = storedEntries();
+        const blobs = db.getDb().prepare('SELECT hash, media_type, data FROM content_blobs').all();
+
+        expect(blobs).toHaveLength(1);
+        expect(Buffer.from(blobs[0].data).toString()).toBe('png bytes');
+        expect(blobs[0].media_type).toBe('image/png');
+        expect(result.blocks[1].blob_hash).toBe(blobs[0].hash);
+        expect(user.blocks[1].blob_hash).toBe(blobs[0].hash);
+        expect(user.blocks[1].metadata.sizeBytes).toBe(9);
+        expect(user.content).not.toContain(png);
+    });
+});
+
+describe('transcript events', () => {
+    let conversationId;
+
+    beforeEach(() => {
+        db.init();
+        const session = transcript();
+        const question = session.user('fix the build');
+        const system = (subtype, content, extra = {}) => ({ ...session.user(''), type: 'system', subtype, content, message: undefined, ...extra });
+
+        const filePath = path.join(dir, `${crypto.randomUUID()}.jsonl`);
+        writeTranscript(filePath, [
+            { type: 'summary', summary: 'Fixing the build', leafUuid: question.uuid },
+            question,
+            { type: 'file-history-snapshot', snapshot: {} },
+            system('compact_boundary', 'Conversation compacted', {
+                compactMetadata: { trigger: 'auto', preTokens: 150000 },
+                logicalParentUuid: question.uuid
+            }),
+            { ...session.user('Summary of the earlier conversation'), isCompactSummary: true },
+            { ...session.user('<local-command-stdout>ok</local-command-stdout>'), isMeta: true },
+            system('stop_hook_summary', 'Stop hook ran', { hookEvent: 'Stop' }),
+            system('informational', 'Model switched', { level: 'info' })
+        ]);
+        conversationId = conversationParser.processFile(filePath).conversationId;
+    });
+
+    test('stores summaries, compactions and notices with their kind', () => {
+        expect(db.getDb().prepare('SELECT kind, role, content FROM conversation_entries ORDER BY entry_index').all()).toEqual([
+            { kind: 'summary', role: 'system', content: 'Fixing the build' },
+            { kind: 'message', role: 'user', content: 'fix the build' },
+            { kind: 'compact_boundary', role: 'system', content: 'Conversation compacted' },
+            { kind: 'compact_summary', role: 'user', content: 'Summary of the earlier conversation' },
+            { kind: 'meta', role: 'user', content: '<local-command-stdout>ok</local-command-stdout>' },
+            { kind: 'hook', role: 'system', content: 'Stop hook ran' },
+            { kind: 'system', role: 'system', content: 'Model switched' }
+        ]);
+    });
+
+    test('lists events with their metadata', () => {
+        const events = conversationParser.getConversationEvents(conversationId);
+
+        expect(events.map(event => event.kind)).toEqual(['summary', 'compact_boundary', 'hook', 'system']);
+        expect(events[1].metadata).toMatchObject({ trigger: 'auto', preTokens: 150000 });
+        expect(events[2].metadata).toMatchObject({ subtype: 'stop_hook_summary', hookEvent: 'Stop' });
+        expect(conversationParser.getConversationEvents(conversationId, { kind: 'hook' })).toHaveLength(1);
+    });
+
+    test('titles the conversation with the summary of its own leaf', () => {
+        expect(conversationParser.getConversation(conversationId).title).toBe('Fixing the build');
+    });
+});
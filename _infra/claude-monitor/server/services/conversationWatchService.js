@@ -0,0 +1,177 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import config from '../config.js';
+import db from '../db/index.js';
+import logger from './logService.js';
+import conversationParser from './conversationParserService.js';
+import formats from './formatRegistryService.js';
+
+/**
+ * Conversation Watch Service
+ *
+ * Live ingestion path alongside the scheduled scan: watches transcript
+ * directories and re-parses a file shortly after it changes. The JSONL
+ * parser resumes from its stored byte offset, so each change only reads
+ * the lines appended since the last pass, and the parser publishes the
+ * new entries to the live event streams.
+ *
+ * Configure with `conversationCapture.live` in config.json:
+ *   { "enabled": true, "paths": ["~/.claude/projects"], "debounceMs": 250 }
+ */
+
+const DEFAULT_WATCH_PATHS = [path.join(os.homedir(), '.claude', 'projects')];
+const DEFAULT_DEBOUNCE_MS = 250;
+
+const watchers = new Map(); // root path -> fs.FSWatcher
+const pending = new Map(); // file path -> timeout
+
+const status = {
+    running: false,
+    startedAt: null,
+    filesProcessed: 0,
+    entriesIngested: 0,
+    errorCount: 0,
+    lastEvent: null,
+    lastError: null
+};
+
+/**
+ * Get live ingestion settings with defaults
+ */
+function getSettings() {
+    const live = config.conversationCapture?.live || {};
+    return {
+        enabled: live.enabled === true,
+        paths: (live.paths || DEFAULT_WATCH_PATHS).map(expandHome),
+        debounceMs: live.debounceMs ?? DEFAULT_DEBOUNCE_MS
+    };
+}
+
+/**
+ * Expand a leading ~ to the home directory
+ */
+function expandHome(p) {
+    return p.startsWith('~') ? path.join(os.homedir(), p.slice(1)) : p;
+}
+
+/**
+ * Look up the project a tracked file belongs to
+ */
+function findProjectId(filePath) {
+    const database = db.getDb();
+    const row = database.prepare('SELECT project_id FROM tracked_files WHERE path = ?').get(filePath);
+    return row?.project_id || null;
+}
+
+/**
+ * Parse a changed file and record the outcome
+ */
+function ingestFile(filePath) {
+    pending.delete(filePath);
+    if (!fs.existsSync(filePath)) return;
+
+    try {
+        const result = conversationParser.processFile(filePath, findProjectId(filePath));
+        status.filesProcessed++;
+        status.entriesIngested += result.newEntries || 0;
+        status.lastEvent = { filePath, at: new Date().toISOString(), newEntries: result.newEntries || 0 };
+    } catch (err) {
+        status.errorCount++;
+        status.lastError = { filePath, message: err.message, at: new Date().toISOString() };
+        logger.error('Live ingestion failed', { filePath, error: err.message });
+    }
+}
+
+/**
+ * Queue a file for parsing once it has been quiet for the debounce interval
+ */
+function scheduleFile(filePath, debounceMs) {
+    if (!formats.isSupportedFile(filePath)) return;
+
+    clearTimeout(pending.get(filePath));
+    pending.set(filePath, setTimeout(() => ingestFile(filePath), debounceMs));
+}
+
+/**
+ * Start watching the configured directories
+ */
+function start() {
+    if (status.running) {
+        return { success: false, message: 'Watcher already running' };
+    }
+
+    const { paths, debounceMs } = getSettings();
+
+    for (const root of paths) {
+        if (!fs.existsSync(root)) {
+            logger.warn(`Live watch path not found: ${root}`);
+            continue;
+        }
+
+        try {
+            const watcher = fs.watch(root, { recursive: true }, (eventType, filename) => {
+                if (filename) scheduleFile(path.join(root, filename.toString()), debounceMs);
+            });
+            watcher.on('error', (err) => {
+                status.errorCount++;
+                status.lastError = { filePath: root, message: err.message, at: new Date().toISOString() };
+                logger.error('Live watcher error', { root, error: err.message });
+            });
+            watchers.set(root, watcher);
+        } catch (err) {
+            logger.error('Failed to watch path', { root, error: err.message });
+        }
+    }
+
+    if (!watchers.size) {
+        return { success: false, message: 'No watch paths available' };
+    }
+
+    status.running = true;
+    status.startedAt = new Date().toISOString();
+    logger.info('Live conversation watcher started', { paths: [...watchers.keys()] });
+
+    return { success: true, message: 'Watcher started' };
+}
+
+/**
+ * Stop watching and drop queued files
+ */
+function stop() {
+    for (const watcher of watchers.values()) watcher.close();
+    watchers.clear();
+
+    for (const timeout of pending.values()) clearTimeout(timeout);
+    pending.clear();
+
+    if (status.running) logger.info('Live conversation watcher stopped');
+    status.running = false;
+
+    return { success: true, message: 'Watcher stopped' };
+}
+
+/**
+ * Get watcher status
+ */
+function getStatus() {
+    return {
+        ...status,
+        paths: [...watchers.keys()],
+        pendingFiles: pending.size
+    };
+}
+
+export {
+    getSettings,
+    start,
+    stop,
+    getStatus
+};
+
+export default {
+    getSettings,
+    start,
+    stop,
+    getStatus
+};
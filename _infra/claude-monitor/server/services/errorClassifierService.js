@@ -0,0 +1,214 @@
+import config from '../config.js';
+import db from '../db/index.js';
+import logger from './logService.js';
+
+/**
+ * Error Classifier Service
+ *
+ * Assigns an error type to failed tool calls and results from ordered
+ * regex rules. Rules are tried by descending priority, then in the order
+ * they are listed; the first match wins, so specific causes (an Edit whose
+ * old_string was not found) are checked before broad ones (anything
+ * mentioning "not found"). Rules can be scoped to tool names.
+ *
+ * Configure with `conversationCapture.errorClassification` in config.json:
+ *   {
+ *     "rules": [
+ *       { "type": "migration_failed", "pattern": "alembic.*Error", "flags": "i",
+ *         "tools": ["Bash"], "priority": 120 }
+ *     ],
+ *     "replaceDefaults": false
+ *   }
+ * Configured rules come before default rules of the same priority. After
+ * changing rules, POST /api/v1/artifacts/reclassify updates stored errors.
+ */
+
+const DEFAULT_PRIORITY = 50;
+const UNKNOWN_TYPE = 'unknown';
+
+// Specific causes at 100, tool-agnostic categories at 10
+const DEFAULT_RULES = [
+    { type: 'edit_string_not_found', pattern: 'String to replace not found|old_string (?:was )?not found', tools: ['Edit', 'MultiEdit'], priority: 100 },
+    { type: 'edit_ambiguous_match', pattern: 'Found \\d+ matches of the string to replace', tools: ['Edit', 'MultiEdit'], priority: 100 },
+    { type: 'file_not_read', pattern: 'File has not been read yet|Read it first before writing', priority: 100 },
+    { type: 'file_modified_since_read', pattern: 'File has been (?:unexpectedly )?modified since (?:it was )?read', priority: 100 },
+    { type: 'user_rejected', pattern: "The user doesn't want to (?:proceed|take this action)|tool use was rejected|Permission to use \\S+ has been denied", flags: 'i', priority: 100 },
+    { type: 'hook_blocked', pattern: '(?:PreToolUse|PostToolUse|\\w+) hook (?:error|blocked)|blocked by (?:a )?hook|hook returned blocking error', flags: 'i', priority: 100 },
+    { type: 'interrupted', pattern: '\\[Request interrupted by user', priority: 100 },
+    { type: 'command_not_found', pattern: 'command not found|is not recognized as an internal or external command|^Exit code 127\\b', flags: 'im', tools: ['Bash'], priority: 100 },
+    { type: 'type_error', pattern: '\\berror TS\\d{4}\\b|is not assignable to (?:type|parameter)|Found \\d+ errors? in \\d+ files?|: error: .*\\[[a-z-]+\\]$', flags: 'm', tools: ['Bash'], priority: 90 },
+    { type: 'lint_failure', pattern: '✖ \\d+ problems?|\\d+ problems? \\(\\d+ errors?|^\\S+:\\d+:\\d+: [A-Z]{1,3}\\d{3,4}\\b|\\d+ offenses? detected', flags: 'm', tools: ['Bash'], priority: 80 },
+    { type: 'test_failure', pattern: '\\b\\d+ (?:failed|failing)\\b|Tests?:\\s+\\d+ failed|^FAIL\\b|AssertionError|FAILED \\S+::|npm ERR! Test failed|test result: FAILED', flags: 'm', tools: ['Bash'], priority: 70 },
+    { type: 'timeout', pattern: 'timed out|timeout', flags: 'i', priority: 10 },
+    { type: 'permission', pattern: 'permission denied|access denied|EACCES|EPERM|operation not permitted', flags: 'i', priority: 10 },
+    { type: 'not_found', pattern: 'not found|no such file|ENOENT|does not exist', flags: 'i', priority: 10 },
+    { type: 'syntax', pattern: 'syntax ?error|parse error|unexpected token', flags: 'i', priority: 10 },
+    { type: 'network', pattern: 'ECONNREFUSED|ECONNRESET|ENOTFOUND|connection (?:refused|reset)|network (?:error|is unreachable)|could not resolve host', flags: 'i', priority: 10 },
+    { type: 'validation', pattern: 'InputValidationError|validation (?:error|failed)|invalid (?:argument|input|parameter|value)', flags: 'i', priority: 10 }
+];
+
+let compiled = null;
+
+/**
+ * Get classification settings with defaults
+ */
+function getSettings() {
+    const settings = config.conversationCapture?.errorClassification || {};
+    return {
+        rules: settings.rules || [],
+        replaceDefaults: settings.replaceDefaults === true
+    };
+}
+
+/**
+ * A rule's priority as a number. Numeric strings ("120") are accepted;
+ * anything else falls back to the default with a warning.
+ */
+function rulePriority(rule) {
+    if (rule.priority === undefined || rule.priority === null) return DEFAULT_PRIORITY;
+
+    const priority = typeof rule.priority === 'string' && rule.priority.trim()
+        ? Number(rule.priority)
+        : rule.priority;
+    if (typeof priority === 'number' && Number.isFinite(priority)) return priority;
+
+    logger.warn(`Error classification rule ${rule.type} has invalid priority, using ${DEFAULT_PRIORITY}`, { priority: rule.priority });
+    return DEFAULT_PRIORITY;
+}
+
+/**
+ * Build the ordered rule list from settings, once per settings object
+ */
+function getRules() {
+    const source = config.conversationCapture?.errorClassification;
+    if (compiled && compiled.source === source) return compiled.rules;
+
+    const settings = getSettings();
+    const sources = [
+        ...settings.rules.map(rule => ({ ...rule, source: 'config' })),
+        ...(settings.replaceDefaults ? [] : DEFAULT_RULES.map(rule => ({ ...rule, source: 'default' })))
+    ];
+
+    const rules = [];
+    for (const rule of sources) {
+        if (!rule.type || !rule.pattern) {
+            logger.warn('Ignoring error classification rule without type or pattern', { rule });
+            continue;
+        }
+        try {
+            rules.push({
+                type: rule.type,
+                pattern: rule.pattern,
+                regex: new RegExp(rule.pattern, (rule.flags || '').replace('g', '')),
+                tools: Array.isArray(rule.tools) && rule.tools.length ? rule.tools : null,
+                priority: rulePriority(rule),
+                source: rule.source
+            });
+        } catch (err) {
+            logger.warn(`Ignoring invalid error classification rule ${rule.type}`, { error: err.message });
+        }
+    }
+
+    // Array sort is stable, so listed order breaks priority ties
+    compiled = { source, rules: rules.sort((a, b) => b.priority - a.priority) };
+    return compiled.rules;
+}
+
+/**
+ * Find the first rule matching an error output, or null
+ */
+function matchRule(output, toolName = null) {
+    if (output === null || output === undefined) return null;
+    const text = typeof output === 'string' ? output : JSON.stringify(output);
+
+    return getRules().find(rule =>
+        (!rule.tools || rule.tools.includes(toolName)) && rule.regex.test(text)
+    ) || null;
+}
+
+/**
+ * Classify an error output from a tool
+ */
+function classifyError(output, toolName = null) {
+    return matchRule(output, toolName)?.type || UNKNOWN_TYPE;
+}
+
+/**
+ * List the effective rules in evaluation order
+ */
+function listRules() {
+    return getRules().map(({ type, pattern, regex, tools, priority, source }) => ({
+        type,
+        pattern,
+        flags: regex.flags,
+        tools,
+        priority,
+        source
+    }));
+}
+
+/**
+ * Re-run classification over stored error artifacts and update the ones
+ * whose type changed. Options: conversationId, projectId, dryRun.
+ */
+function reclassifyErrors(options = {}) {
+    const database = db.getDb();
+    const { conversationId, projectId, dryRun = false } = options;
+
+    let sql = `
+        SELECT a.id, a.tool_name, a.error_type, a.output_full, a.output_summary
+        FROM artifacts a
+        JOIN conversations c ON c.id = a.conversation_id
+        WHERE a.outcome = 'error'
+    `;
+    const params = [];
+
+    if (conversationId) {
+        sql += ' AND a.conversation_id = ?';
+        params.push(conversationId);
+    }
+
+    if (projectId) {
+        sql += ' AND c.project_id = ?';
+        params.push(projectId);
+    }
+
+    const update = database.prepare('UPDATE artifacts SET error_type = ? WHERE id = ?');
+    const changes = {};
+    let examined = 0;
+    let changed = 0;
+
+    const run = database.transaction(() => {
+        for (const row of database.prepare(sql).all(...params)) {
+            examined++;
+            const type = classifyError(row.output_full || row.output_summary || '', row.tool_name);
+            if (type === row.error_type) continue;
+
+            changed++;
+            const key = `${row.error_type || 'none'} -> ${type}`;
+            changes[key] = (changes[key] || 0) + 1;
+            if (!dryRun) update.run(type, row.id);
+        }
+    });
+    run();
+
+    if (!dryRun && changed) logger.info(`Reclassified ${changed} of ${examined} error artifacts`);
+
+    return { examined, changed, dryRun, changes };
+}
+
+export {
+    getSettings,
+    classifyError,
+    matchRule,
+    listRules,
+    reclassifyErrors
+};
+
+export default {
+    getSettings,
+    classifyError,
+    matchRule,
+    listRules,
+    reclassifyErrors
+};
@@ -0,0 +1,97 @@
+import { describe, test, expect, beforeEach } from 'bun:test';
+import path from 'path';
+import { setupTestEnv, transcript, writeTranscript } from '../test/helpers.js';
+
+const { config, db, dir, logged } = setupTestEnv();
+const { default: conversationParser } = await import('./conversationParserService.js');
+const { default: artifactExtractor } = await import('./artifactExtractorService.js');
+const { default: errorClassifier } = await import('./errorClassifierService.js');
+
+const configure = (errorClassification) => {
+    config.conversationCapture.errorClassification = errorClassification;
+};
+
+describe('classifyError', () => {
+    beforeEach(() => configure(undefined));
+
+    test('prefers specific causes over broad categories', () => {
+        expect(errorClassifier.classifyError('String to replace not found in file.', 'Edit')).toBe('edit_string_not_found');
+        expect(errorClassifier.classifyError('File not found: src/a.js', 'Read')).toBe('not_found');
+        expect(errorClassifier.classifyError('Exit code 1\nTests: 2 failed, 10 passed', 'Bash')).toBe('test_failure');
+        expect(errorClassifier.classifyError('something odd', 'Bash')).toBe('unknown');
+    });
+
+    test('applies tool-scoped rules to those tools only', () => {
+        expect(errorClassifier.classifyError('bash: foo: command not found', 'Bash')).toBe('command_not_found');
+        expect(errorClassifier.classifyError('bash: foo: command not found', 'Read')).toBe('not_found');
+    });
+
+    test('tries configured rules before defaults of the same priority', () => {
+        configure({
+            rules: [
+                { type: 'migration_failed', pattern: 'alembic.*Error', flags: 'i', tools: ['Bash'], priority: '120' },
+                { type: 'flaky_network', pattern: 'ECONNRESET', priority: 10 }
+            ]
+        });
+
+        expect(errorClassifier.classifyError('ALEMBIC OperationalError: timeout', 'Bash')).toBe('migration_failed');
+        expect(errorClassifier.classifyError('read ECONNRESET', 'WebFetch')).toBe('flaky_network');
+        expect(errorClassifier.listRules()[0]).toMatchObject({ type: 'migration_failed', priority: 120, source: 'config', flags: 'i' });
+    });
+
+    test('ignores broken rules with a warning', () => {
+        logged.length = 0;
+        configure({
+            rules: [
+                { type: 'broken', pattern: '(' },
+                { pattern: 'no type' },
+                { type: 'odd_priority', pattern: 'odd', priority: 'high' }
+            ],
+            replaceDefaults: true
+        });
+
+        expect(errorClassifier.listRules().map(rule => [rule.type, rule.priority])).toEqual([['odd_priority', 50]]);
+        expect(logged.filter(entry => entry.level === 'warn')).toHaveLength(3);
+        expect(errorClassifier.classifyError('File not found')).toBe('unknown');
+    });
+});
+
+describe('reclassifyErrors', () => {
+    let conversationId;
+
+    beforeEach(() => {
+        db.init();
+        configure(undefined);
+
+        const session = transcript();
+        const filePath = path.join(dir, `${crypto.randomUUID()}.jsonl`);
+        writeTranscript(filePath, [
+            session.toolUse('toolu_1', 'Bash', { command: 'alembic upgrade head' }),
+            session.toolResult('toolu_1', 'Exit code 1\nalembic.util.exc.CommandError: Can\'t locate revision', true),
+            session.toolUse('toolu_2', 'Bash', { command: 'npm test' }),
+            session.toolResult('toolu_2', 'Exit code 1\n1 failing', true)
+        ]);
+        conversationId = conversationParser.processFile(filePath).conversationId;
+        artifactExtractor.processConversationEntries(conversationId);
+    });
+
+    const errorTypes = () => db.getDb().prepare(`
+        SELECT error_type FROM artifacts WHERE artifact_type = 'tool_call' ORDER BY id
+    `).all().map(row => row.error_type);
+
+    test('updates stored errors after the rules change', () => {
+        expect(errorTypes()).toEqual(['unknown', 'test_failure']);
+        configure({ rules: [{ type: 'migration_failed', pattern: 'alembic', tools: ['Bash'], priority: 120 }] });
+
+        expect(errorClassifier.reclassifyErrors({ conversationId, dryRun: true })).toMatchObject({
+            examined: 4,
+            changed: 2,
+            dryRun: true,
+            changes: { 'unknown -> migration_failed': 2 }
+        });
+        expect(errorTypes()).toEqual(['unknown', 'test_failure']);
+
+        expect(errorClassifier.reclassifyErrors({ conversationId }).changed).toBe(2);
+        expect(errorTypes()).toEqual(['migration_failed', 'test_failure']);
+    });
+});
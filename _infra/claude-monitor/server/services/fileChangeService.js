@@ -0,0 +1,386 @@
+import db from '../db/index.js';
+import outputStore from './outputStoreService.js';
+
+/**
+ * File Change Service
+ *
+ * Reads the per-file change log out of Edit, MultiEdit and Write tool
+ * call artifacts. Each call becomes a change with its path, old/new
+ * strings or written content, outcome from the paired result, and session.
+ *
+ * Diffs are reconstructed by replaying a file's history in order: a Write
+ * or a full Read of the file establishes its content, and each successful
+ * edit is applied on top. While the content is unknown (the file was never
+ * read or written, or an edit's old_string no longer matches) changes are
+ * listed without a diff. Tool inputs are stored redacted, so replay works
+ * on redacted text.
+ */
+
+const EDIT_TOOLS = ['Edit', 'MultiEdit', 'Write'];
+const DIFF_CONTEXT = 3;
+
+// Above this many line pairs the changed region is shown as replaced wholesale
+const MAX_DIFF_CELLS = 2000000;
+
+const FILE_PATH_SQL = `CASE WHEN json_valid(a.content) THEN json_extract(a.content, '$.file_path') END`;
+
+// Tool calls replayed from an earlier session of a chain are counted once, in that session
+const NOT_REPLAYED_SQL = `(a.entry_id IS NULL OR a.entry_id NOT IN (
+    SELECT id FROM conversation_entries WHERE is_replay = 1
+))`;
+
+/**
+ * Split text into lines, ignoring a single trailing newline
+ */
+function splitLines(text) {
+    if (!text) return [];
+    return text.replace(/\n$/, '').split('\n');
+}
+
+/**
+ * Line diff of two arrays as a list of [' ' | '-' | '+', line] operations.
+ * Common leading and trailing lines are trimmed before the LCS table is
+ * built, so typical edits only compare the lines they touched.
+ */
+function diffLines(a, b) {
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const ops = a.slice(0, start).map(line => [' ', line]);
+    const n = endA - start;
+    const m = endB - start;
+
+    if (n * m > MAX_DIFF_CELLS) {
+        for (let i = start; i < endA; i++) ops.push(['-', a[i]]);
+        for (let j = start; j < endB; j++) ops.push(['+', b[j]]);
+    } else {
+        // lcs[i * (m + 1) + j] = LCS length of a[start + i..] and b[start + j..]
+        const lcs = new Uint32Array((n + 1) * (m + 1));
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lcs[i * (m + 1) + j] = a[start + i] === b[start + j]
+                    ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+                    : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < n || j < m) {
+            if (i < n && j < m && a[start + i] === b[start + j]) {
+                ops.push([' ', a[start + i]]);
+                i++;
+                j++;
+            } else if (j < m && (i === n || lcs[i * (m + 1) + j + 1] > lcs[(i + 1) * (m + 1) + j])) {
+                ops.push(['+', b[start + j]]);
+                j++;
+            } else {
+                ops.push(['-', a[start + i]]);
+                i++;
+            }
+        }
+    }
+
+    for (let i = endA; i < a.length; i++) ops.push([' ', a[i]]);
+    return ops;
+}
+
+/**
+ * Build a unified diff between two versions of a file. `before` is null
+ * for a newly created file. Returns '' when nothing changed.
+ */
+function unifiedDiff(filePath, before, after) {
+    const ops = diffLines(splitLines(before), splitLines(after));
+    if (!ops.some(([type]) => type !== ' ')) return '';
+
+    // Line numbers in the old and new file before each operation
+    const oldLine = [];
+    const newLine = [];
+    let o = 0;
+    let n = 0;
+    for (const [type] of ops) {
+        oldLine.push(o);
+        newLine.push(n);
+        if (type !== '+') o++;
+        if (type !== '-') n++;
+    }
+
+    const label = filePath.startsWith('/') ? filePath : `/${filePath}`;
+    const lines = [
+        `--- ${before === null ? '/dev/null' : `a${label}`}`,
+        `+++ b${label}`
+    ];
+
+    // Group changed operations into hunks with shared context
+    const hunks = [];
+    ops.forEach(([type], index) => {
+        if (type === ' ') return;
+        const hunk = hunks[hunks.length - 1];
+        if (hunk && index - hunk.last <= DIFF_CONTEXT * 2) {
+            hunk.last = index;
+        } else {
+            hunks.push({ first: index, last: index });
+        }
+    });
+
+    for (const hunk of hunks) {
+        const from = Math.max(0, hunk.first - DIFF_CONTEXT);
+        const to = Math.min(ops.length, hunk.last + DIFF_CONTEXT + 1);
+        const body = ops.slice(from, to);
+        const oldCount = body.filter(([type]) => type !== '+').length;
+        const newCount = body.filter(([type]) => type !== '-').length;
+        const oldStart = oldCount ? oldLine[from] + 1 : oldLine[from];
+        const newStart = newCount ? newLine[from] + 1 : newLine[from];
+
+        lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+        for (const [type, text] of body) lines.push(type + text);
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Apply Edit/MultiEdit replacements to file content.
+ * Returns null when an old_string is not found, as the edit tools would fail.
+ */
+function applyEdits(content, edits) {
+    let result = content;
+
+    for (const edit of edits) {
+        const oldString = edit.old_string ?? '';
+        const newString = edit.new_string ?? '';
+
+        if (!oldString) {
+            // An empty old_string creates the file
+            if (result) return null;
+            result = newString;
+            continue;
+        }
+
+        const index = result.indexOf(oldString);
+        if (index === -1) return null;
+
+        result = edit.replace_all
+            ? result.split(oldString).join(newString)
+            : result.slice(0, index) + newString + result.slice(index + oldString.length);
+    }
+
+    return result;
+}
+
+/**
+ * Recover file content from the output of a full Read. Read prints
+ * `cat -n` style numbered lines; hook payloads carry the file object.
+ * Returns null when the output is not a complete listing.
+ */
+function parseReadOutput(output) {
+    if (!output) return null;
+
+    let text = output;
+    if (/^[[{]/.test(output)) {
+        try {
+            const parsed = JSON.parse(output);
+            if (Array.isArray(parsed)) {
+                text = parsed.filter(block => block.type === 'text').map(block => block.text).join('\n');
+            } else if (parsed.file && typeof parsed.file.content === 'string') {
+                const { startLine = 1, numLines, totalLines } = parsed.file;
+                if (startLine > 1 || (totalLines !== undefined && numLines < totalLines)) return null;
+                return parsed.file.content;
+            }
+        } catch (e) {
+            // Plain text output that happens to start with a bracket
+        }
+    }
+
+    text = text.replace(/\n*<system-reminder>[\s\S]*?<\/system-reminder>\s*$/, '');
+
+    const lines = [];
+    for (const line of text.split('\n')) {
+        const match = line.match(/^\s*\d+(?:\t|→)(.*)$/);
+        if (!match) return null;
+        lines.push(match[1]);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * List files changed by Edit, MultiEdit and Write calls, most recent first.
+ * Options: projectId, conversationId, path (substring), since, limit, offset.
+ */
+function listFilesTouched(options = {}) {
+    const database = db.getDb();
+    const { projectId, conversationId, path, since, limit = 50, offset = 0 } = options;
+
+    let sql = `
+        SELECT
+            ${FILE_PATH_SQL} AS file_path,
+            COUNT(*) AS change_count,
+            COUNT(CASE WHEN a.tool_name = 'Write' THEN 1 END) AS write_count,
+            COUNT(CASE WHEN a.outcome = 'error' THEN 1 END) AS error_count,
+            COUNT(DISTINCT a.conversation_id) AS conversation_count,
+            MIN(COALESCE(a.started_at, a.created_at)) AS first_changed_at,
+            MAX(COALESCE(a.started_at, a.created_at)) AS last_changed_at
+        FROM artifacts a
+        JOIN conversations c ON c.id = a.conversation_id
+        WHERE a.artifact_type = 'tool_call'
+          AND a.tool_name IN (${EDIT_TOOLS.map(() => '?').join(', ')})
+          AND ${NOT_REPLAYED_SQL}
+    `;
+    const params = [...EDIT_TOOLS];
+
+    if (projectId) {
+        sql += ' AND c.project_id = ?';
+        params.push(projectId);
+    }
+
+    if (conversationId) {
+        sql += ' AND a.conversation_id = ?';
+        params.push(conversationId);
+    }
+
+    if (path) {
+        sql += ` AND ${FILE_PATH_SQL} LIKE ?`;
+        params.push(`%${path}%`);
+    }
+
+    if (since) {
+        sql += ' AND COALESCE(a.started_at, a.created_at) >= ?';
+        params.push(since);
+    }
+
+    // Grouped by the expression: in GROUP BY, `file_path` would name the artifacts column
+    sql += ` GROUP BY ${FILE_PATH_SQL} HAVING ${FILE_PATH_SQL} IS NOT NULL ORDER BY last_changed_at DESC LIMIT ? OFFSET ?`;
+    params.push(limit, offset);
+
+    return database.prepare(sql).all(...params);
+}
+
+/**
+ * Get the ordered change history of one file, with reconstructed diffs.
+ * Options: projectId, conversationId.
+ */
+function getFileHistory(filePath, options = {}) {
+    const database = db.getDb();
+    const { projectId, conversationId } = options;
+    const tools = [...EDIT_TOOLS, 'Read'];
+
+    let sql = `
+        SELECT
+            a.id, a.conversation_id, c.conversation_id AS session_id,
+            c.project_id, p.name AS project_name, a.tool_name, a.content,
+            a.outcome, a.error_type, a.output_summary, a.output_full, a.output_blob_hash, a.output_truncated,
+            a.started_at, a.ended_at, a.latency_ms, a.created_at
+        FROM artifacts a
+        JOIN conversations c ON c.id = a.conversation_id
+        LEFT JOIN projects p ON p.id = c.project_id
+        WHERE a.artifact_type = 'tool_call'
+          AND a.tool_name IN (${tools.map(() => '?').join(', ')})
+          AND ${FILE_PATH_SQL} = ?
+          AND ${NOT_REPLAYED_SQL}
+    `;
+    const params = [...tools, filePath];
+
+    if (projectId) {
+        sql += ' AND c.project_id = ?';
+        params.push(projectId);
+    }
+
+    if (conversationId) {
+        sql += ' AND a.conversation_id = ?';
+        params.push(conversationId);
+    }
+
+    sql += ' ORDER BY COALESCE(a.started_at, a.created_at) ASC, a.id ASC';
+
+    const changes = [];
+    let content = null; // Known file content at this point in the history, or null
+
+    for (const row of database.prepare(sql).all(...params)) {
+        const input = JSON.parse(row.content);
+        const output = row.output_full || row.output_summary;
+
+        if (row.tool_name === 'Read') {
+            if (row.outcome === 'success' && !row.output_truncated && !input.offset && !input.limit) {
+                // Large reads are kept in the output blob store
+                const full = row.output_blob_hash ? outputStore.readOutput(row.output_blob_hash) : output;
+                content = parseReadOutput(full) ?? content;
+            }
+            continue;
+        }
+
+        const change = {
+            artifact_id: row.id,
+            conversation_id: row.conversation_id,
+            session_id: row.session_id,
+            project_id: row.project_id,
+            project_name: row.project_name,
+            tool_name: row.tool_name,
+            file_path: filePath,
+            changed_at: row.started_at || row.created_at,
+            outcome: row.outcome,
+            error_type: row.error_type,
+            latency_ms: row.latency_ms,
+            diff: null
+        };
+
+        let after = null;
+        if (row.tool_name === 'Write') {
+            change.content = input.content ?? '';
+            after = change.content;
+
+            // Without earlier content only a newly created file can be diffed
+            const created = /^File created successfully/.test(output || '');
+            if ((content !== null || created) && row.outcome !== 'error') {
+                change.diff = unifiedDiff(filePath, created ? null : content, after);
+            }
+        } else {
+            const edits = row.tool_name === 'MultiEdit' ? (input.edits || []) : [input];
+            if (row.tool_name === 'MultiEdit') {
+                change.edits = edits.map(edit => ({
+                    old_string: edit.old_string,
+                    new_string: edit.new_string,
+                    replace_all: edit.replace_all === true
+                }));
+            } else {
+                change.old_string = input.old_string;
+                change.new_string = input.new_string;
+                change.replace_all = input.replace_all === true;
+            }
+
+            if (content !== null && row.outcome !== 'error') {
+                after = applyEdits(content, edits);
+                if (after !== null) change.diff = unifiedDiff(filePath, content, after);
+            }
+        }
+
+        // Failed calls leave the file as it was; unconfirmed ones leave it unknown
+        if (row.outcome === 'success') content = after;
+        else if (row.outcome !== 'error') content = null;
+
+        change.reconstructed = change.diff !== null;
+        changes.push(change);
+    }
+
+    return changes;
+}
+
+export {
+    EDIT_TOOLS,
+    unifiedDiff,
+    listFilesTouched,
+    getFileHistory
+};
+
+export default {
+    EDIT_TOOLS,
+    unifiedDiff,
+    listFilesTouched,
+    getFileHistory
+};
@@ -0,0 +1,90 @@
+import { describe, test, expect, beforeAll } from 'bun:test';
+import path from 'path';
+import { setupTestEnv, transcript, writeTranscript } from '../test/helpers.js';
+
+const { db, dir } = setupTestEnv();
+const { default: conversationParser } = await import('./conversationParserService.js');
+const { default: artifactExtractor } = await import('./artifactExtractorService.js');
+const { default: fileChanges } = await import('./fileChangeService.js');
+
+describe('unifiedDiff', () => {
+    test('diffs changed lines with context', () => {
+        expect(fileChanges.unifiedDiff('src/a.js', 'one\ntwo\nthree\n', 'one\n2\nthree\n')).toBe([
+            '--- a/src/a.js',
+            '+++ b/src/a.js',
+            '@@ -1,3 +1,3 @@',
+            ' one',
+            '-two',
+            '+2',
+            ' three',
+            ''
+        ].join('\n'));
+    });
+
+    test('diffs a new file against /dev/null and nothing for no change', () => {
+        expect(fileChanges.unifiedDiff('/tmp/new.txt', null, 'hello')).toBe('--- /dev/null\n+++ b/tmp/new.txt\n@@ -0,0 +1,1 @@\n+hello\n');
+        expect(fileChanges.unifiedDiff('a.txt', 'same', 'same')).toBe('');
+    });
+});
+
+describe('file history', () => {
+    let conversationId;
+
+    beforeAll(() => {
+        const session = transcript();
+        const lines = [];
+        let calls = 0;
+        const call = (name, input, result, isError = false) => {
+            const id = `toolu_${++calls}`;
+            lines.push(session.toolUse(id, name, input), session.toolResult(id, result, isError));
+        };
+
+        call('Write', { file_path: 'src/a.js', content: 'one\ntwo\nthree\n' }, 'File created successfully at: src/a.js');
+        call('Edit', { file_path: 'src/a.js', old_string: 'two', new_string: 'dos' }, 'The file src/a.js has been updated.');
+        call('Edit', { file_path: 'src/a.js', old_string: 'missing', new_string: 'x' }, 'String to replace not found in file.', true);
+        call('MultiEdit', {
+            file_path: 'src/a.js',
+            edits: [{ old_string: 'one', new_string: 'uno' }, { old_string: 'three', new_string: 'tres' }]
+        }, 'Applied 2 edits to src/a.js');
+        call('Edit', { file_path: 'src/b.js', old_string: 'b', new_string: 'B' }, 'The file src/b.js has been updated.');
+        call('Read', { file_path: 'src/b.js' }, '     1\tB\n     2\tend');
+        call('Edit', { file_path: 'src/b.js', old_string: 'end', new_string: 'done' }, 'The file src/b.js has been updated.');
+
+        const filePath = path.join(dir, 'session.jsonl');
+        writeTranscript(filePath, lines);
+        conversationId = conversationParser.processFile(filePath).conversationId;
+        artifactExtractor.processConversationEntries(conversationId);
+    });
+
+    test('replays writes and edits into diffs', () => {
+        const history = fileChanges.getFileHistory('src/a.js');
+
+        expect(history.map(change => [change.tool_name, change.outcome, change.reconstructed])).toEqual([
+            ['Write', 'success', true],
+            ['Edit', 'success', true],
+            ['Edit', 'error', false],
+            ['MultiEdit', 'success', true]
+        ]);
+        expect(history[0].diff).toStartWith('--- /dev/null\n');
+        expect(history[1].diff).toContain('-two\n+dos\n');
+        expect(history[3].edits).toHaveLength(2);
+        expect(history[3].diff).toContain('-one\n+uno\n dos\n-three\n+tres\n');
+    });
+
+    test('starts reconstructing once a full read shows the content', () => {
+        const history = fileChanges.getFileHistory('src/b.js', { conversationId });
+
+        expect(history.map(change => change.reconstructed)).toEqual([false, true]);
+        expect(history[1].diff).toContain(' B\n-end\n+done\n');
+    });
+
+    test('lists touched files with their change counts', () => {
+        const files = fileChanges.listFilesTouched({ conversationId });
+
+        expect(files.map(file => [file.file_path, file.change_count, file.write_count, file.error_count]).sort()).toEqual([
+            ['src/a.js', 4, 1, 1],
+            ['src/b.js', 2, 0, 0]
+        ]);
+        expect(fileChanges.listFilesTouched({ path: 'b.js' }).map(file => file.file_path)).toEqual(['src/b.js']);
+    });
+});
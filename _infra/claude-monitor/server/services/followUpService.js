@@ -0,0 +1,201 @@
+import db from '../db/index.js';
+
+/**
+ * Follow-up Service
+ *
+ * Works out what the agent did after each failed tool call and stores it
+ * in `artifacts.follow_up_action`, with `follow_up_artifact_id` pointing
+ * at the related call that followed:
+ * - retry_same:     the same tool called again with identical input
+ * - retry_modified: the same tool called again on the same target
+ *                   (file path, Bash program) with different input
+ * - switched_tool:  carried on with a different tool
+ * - asked_user:     stopped and asked the user (a question, or AskUserQuestion)
+ * - gave_up:        ended its turn without retrying or asking
+ *
+ * Only the agent's own calls are compared: subagent calls are matched
+ * within the same agent. Follow-ups are recomputed whenever a
+ * conversation's artifacts change, so a failure at the end of a transcript
+ * that is still being written is reclassified once the agent's next call
+ * arrives.
+ */
+
+// How many later calls are searched for a retry of the failed one
+const RETRY_WINDOW = 5;
+
+const ASK_TOOLS = ['AskUserQuestion'];
+
+/**
+ * Parse a tool call's stored input, or null
+ */
+function parseInput(content) {
+    try {
+        return JSON.parse(content);
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * What a tool call acts on, for telling retries from unrelated calls
+ */
+function callTarget(call) {
+    const input = parseInput(call.content);
+    if (!input) return null;
+
+    const metadata = call.metadata ? JSON.parse(call.metadata) : null;
+    if (metadata?.bash?.program) return `${metadata.bash.program} ${metadata.bash.subcommand || ''}`.trim();
+
+    return input.file_path || input.notebook_path || input.path || input.url || input.pattern || input.query || null;
+}
+
+/**
+ * Check whether an assistant message ends by asking the user something
+ */
+function asksQuestion(content) {
+    return /\?\s*$/.test((content || '').trim());
+}
+
+/**
+ * Classify what followed a failed call, given the calls and entries after it
+ */
+function classifyFollowUp(failed, laterCalls, entriesBetween) {
+    // The agent's turn ended before its next call: it asked or stopped
+    const userTurn = entriesBetween.findIndex(entry => entry.role === 'user' && entry.kind === 'message' && !entry.is_tool_result);
+    if (userTurn !== -1 || !laterCalls.length) {
+        const stop = userTurn === -1 ? entriesBetween.length : userTurn;
+        const lastText = entriesBetween.slice(0, stop).reverse().find(entry => entry.role === 'assistant' && !entry.is_tool_use);
+        return { action: lastText && asksQuestion(lastText.content) ? 'asked_user' : 'gave_up', next: null };
+    }
+
+    const next = laterCalls[0];
+    if (ASK_TOOLS.includes(next.tool_name)) return { action: 'asked_user', next };
+
+    const target = callTarget(failed);
+    const retry = laterCalls.slice(0, RETRY_WINDOW).find(call =>
+        call.tool_name === failed.tool_name && (call.content === failed.content || (target && callTarget(call) === target))
+    );
+    if (retry) return { action: retry.content === failed.content ? 'retry_same' : 'retry_modified', next: retry };
+
+    if (next.tool_name === failed.tool_name) return { action: 'retry_modified', next };
+    return { action: 'switched_tool', next };
+}
+
+/**
+ * Recompute follow-up actions for a conversation's failed tool calls.
+ * Returns the number of failed calls analysed.
+ */
+function analyzeFollowUps(conversationId) {
+    const database = db.getDb();
+
+    const calls = database.prepare(`
+        SELECT a.id, a.tool_name, a.content, a.metadata, a.outcome, a.entry_id, a.result_entry_id,
+               e.entry_index, e.agent_id, r.entry_index AS result_index
+        FROM artifacts a
+        LEFT JOIN conversation_entries e ON e.id = a.entry_id
+        LEFT JOIN conversation_entries r ON r.id = a.result_entry_id
+        WHERE a.conversation_id = ? AND a.artifact_type = 'tool_call'
+        ORDER BY e.entry_index IS NULL, e.entry_index ASC, a.id ASC
+    `).all(conversationId);
+
+    if (!calls.some(call => call.outcome === 'error')) return 0;
+
+    // Messages in order, to see whether the agent's turn ended after a failure
+    const entries = database.prepare(`
+        SELECT e.entry_index, e.role, e.kind, e.content, e.agent_id,
+            EXISTS (SELECT 1 FROM entry_blocks b WHERE b.entry_id = e.id AND b.kind = 'tool_result') AS is_tool_result,
+            EXISTS (SELECT 1 FROM entry_blocks b WHERE b.entry_id = e.id AND b.kind = 'tool_use') AS is_tool_use
+        FROM conversation_entries e
+        WHERE e.conversation_id = ? AND e.kind = 'message'
+        ORDER BY e.entry_index ASC
+    `).all(conversationId);
+
+    const update = database.prepare(`
+        UPDATE artifacts SET follow_up_action = ?, follow_up_artifact_id = ? WHERE id = ?
+    `);
+
+    let analysed = 0;
+    const run = database.transaction(() => {
+        calls.forEach((call, i) => {
+            if (call.outcome !== 'error') return;
+
+            const laterCalls = calls.slice(i + 1).filter(later => (later.agent_id || null) === (call.agent_id || null));
+            const from = call.result_index ?? call.entry_index;
+            const until = laterCalls[0]?.entry_index ?? Infinity;
+            const entriesBetween = from === null || from === undefined
+                ? []
+                : entries.filter(entry =>
+                    entry.entry_index > from && entry.entry_index < until &&
+                    (entry.agent_id || null) === (call.agent_id || null)
+                );
+
+            const { action, next } = classifyFollowUp(call, laterCalls, entriesBetween);
+            update.run(action, next ? next.id : null, call.id);
+            analysed++;
+        });
+    });
+    run();
+
+    return analysed;
+}
+
+/**
+ * Get recovery statistics per error type: how often each follow-up
+ * action was taken and how often the follow-up call succeeded.
+ * Options: projectId, toolName, since.
+ */
+function getRecoveryStats(options = {}) {
+    const database = db.getDb();
+    const { projectId, toolName, since } = options;
+
+    let sql = `
+        SELECT
+            COALESCE(a.error_type, 'unknown') AS error_type,
+            COUNT(*) AS errors,
+            COUNT(CASE WHEN a.follow_up_action = 'retry_same' THEN 1 END) AS retry_same,
+            COUNT(CASE WHEN a.follow_up_action = 'retry_modified' THEN 1 END) AS retry_modified,
+            COUNT(CASE WHEN a.follow_up_action = 'switched_tool' THEN 1 END) AS switched_tool,
+            COUNT(CASE WHEN a.follow_up_action = 'asked_user' THEN 1 END) AS asked_user,
+            COUNT(CASE WHEN a.follow_up_action = 'gave_up' THEN 1 END) AS gave_up,
+            COUNT(CASE WHEN f.outcome = 'success' THEN 1 END) AS recovered
+        FROM artifacts a
+        JOIN conversations c ON c.id = a.conversation_id
+        LEFT JOIN artifacts f ON f.id = a.follow_up_artifact_id
+        WHERE a.artifact_type = 'tool_call' AND a.outcome = 'error' AND a.follow_up_action IS NOT NULL
+    `;
+    const params = [];
+
+    if (projectId) {
+        sql += ' AND c.project_id = ?';
+        params.push(projectId);
+    }
+
+    if (toolName) {
+        sql += ' AND a.tool_name = ?';
+        params.push(toolName);
+    }
+
+    if (since) {
+        sql += ' AND COALESCE(a.started_at, a.created_at) >= ?';
+        params.push(since);
+    }
+
+    sql += ' GROUP BY 1 ORDER BY errors DESC';
+
+    return database.prepare(sql).all(...params).map(row => ({
+        ...row,
+        recovery_rate: Math.round(row.recovered / row.errors * 1000) / 1000
+    }));
+}
+
+export {
+    callTarget,
+    analyzeFollowUps,
+    getRecoveryStats
+};
+
+export default {
+    callTarget,
+    analyzeFollowUps,
+    getRecoveryStats
+};
@@ -0,0 +1,108 @@
+import { describe, test, expect, beforeEach } from 'bun:test';
+import fs from 'fs';
+import path from 'path';
+import { setupTestEnv, transcript } from '../test/helpers.js';
+
+const { db, dir } = setupTestEnv();
+const { default: conversationParser } = await import('./conversationParserService.js');
+const { default: artifactExtractor } = await import('./artifactExtractorService.js');
+const { default: followUps } = await import('./followUpService.js');
+
+describe('follow-up actions', () => {
+    let session;
+    let filePath;
+    let calls;
+
+    /**
+     * Append lines to the transcript, then parse and extract it
+     */
+    function ingest(lines) {
+        fs.appendFileSync(filePath, lines.map(line => JSON.stringify(line) + '\n').join(''));
+        const { conversationId } = conversationParser.processFile(filePath);
+        artifactExtractor.processConversationEntries(conversationId);
+    }
+
+    const call = (name, input, result, isError = false) => {
+        const id = `toolu_${++calls}`;
+        return [session.toolUse(id, name, input), session.toolResult(id, result, isError)];
+    };
+
+    const actions = () => db.getDb().prepare(`
+        SELECT a.tool_name, json_extract(a.content, '$.command') AS command,
+               a.follow_up_action, f.tool_name AS follow_up_tool
+        FROM artifacts a
+        LEFT JOIN artifacts f ON f.id = a.follow_up_artifact_id
+        WHERE a.artifact_type = 'tool_call' AND a.outcome = 'error'
+        ORDER BY a.id
+    `).all();
+
+    beforeEach(() => {
+        db.init();
+        session = transcript();
+        calls = 0;
+        filePath = path.join(dir, `${crypto.randomUUID()}.jsonl`);
+    });
+
+    test('tells retries, tool switches, questions and giving up apart', () => {
+        ingest([
+            session.user('ship it'),
+            ...call('Bash', { command: 'npm test' }, 'Exit code 1\n1 failing', true),
+            ...call('Bash', { command: 'npm test' }, '2 passing'),
+            ...call('Edit', { file_path: 'a.js', old_string: 'x', new_string: 'y' }, 'String to replace not found in file.', true),
+            ...call('Edit', { file_path: 'a.js', old_string: 'z', new_string: 'y' }, 'The file a.js has been updated.'),
+            ...call('Read', { file_path: 'b.js' }, 'File does not exist.', true),
+            ...call('Glob', { pattern: '**/b.js' }, 'src/b.js'),
+            ...call('Bash', { command: 'make' }, 'Exit code 127\nbash: make: command not found', true),
+            session.assistant('make is missing. Should I install it?'),
+            session.user('no, use npm'),
+            ...call('Bash', { command: 'npm run deploy' }, 'Exit code 1\nECONNREFUSED', true),
+            session.assistant('The deploy failed.')
+        ]);
+
+        expect(actions()).toEqual([
+            { tool_name: 'Bash', command: 'npm test', follow_up_action: 'retry_same', follow_up_tool: 'Bash' },
+            { tool_name: 'Edit', command: null, follow_up_action: 'retry_modified', follow_up_tool: 'Edit' },
+            { tool_name: 'Read', command: null, follow_up_action: 'switched_tool', follow_up_tool: 'Glob' },
+            { tool_name: 'Bash', command: 'make', follow_up_action: 'asked_user', follow_up_tool: null },
+            { tool_name: 'Bash', command: 'npm run deploy', follow_up_action: 'gave_up', follow_up_tool: null }
+        ]);
+    });
+
+    test('reclassifies a failure at the end once the next call arrives', () => {
+        ingest(call('Bash', { command: 'npm run build' }, 'Exit code 2\nerror TS2322: nope', true));
+        expect(actions()[0].follow_up_action).toBe('gave_up');
+
+        ingest(call('Bash', { command: 'npm run build -- --force' }, 'built'));
+        expect(actions()[0]).toMatchObject({ follow_up_action: 'retry_modified', follow_up_tool: 'Bash' });
+    });
+
+    test('summarizes recovery per error type', () => {
+        ingest([
+            ...call('Bash', { command: 'npm test' }, 'Exit code 1\n1 failing', true),
+            ...call('Bash', { command: 'npm test' }, '2 passing'),
+            ...call('Bash', { command: 'npm test' }, 'Exit code 1\n3 failing', true),
+            session.assistant('Giving up on the tests.')
+        ]);
+
+        expect(followUps.getRecoveryStats()).toEqual([{
+            error_type: 'test_failure',
+            errors: 2,
+            retry_same: 1,
+            retry_modified: 0,
+            switched_tool: 0,
+            asked_user: 0,
+            gave_up: 1,
+            recovered: 1,
+            recovery_rate: 0.5
+        }]);
+    });
+
+    test('reads the target of a call from its input', () => {
+        expect(followUps.callTarget({ content: '{"file_path":"src/a.js"}' })).toBe('src/a.js');
+        expect(followUps.callTarget({
+            content: '{"command":"git push"}',
+            metadata: '{"bash":{"program":"git","subcommand":"push"}}'
+        })).toBe('git push');
+        expect(followUps.callTarget({ content: 'not json' })).toBeNull();
+    });
+});
@@ -0,0 +1,132 @@
+import fs from 'fs';
+import logger from './logService.js';
+
+/**
+ * Format Registry Service
+ *
+ * Keeps the transcript format adapters the parser dispatches to.
+ * An adapter declares which files it handles and how to ingest them:
+ *
+ *   {
+ *     name: 'jsonl',                 // unique adapter name
+ *     fileType: 'jsonl',             // stored as conversations.source_file_type
+ *     description: 'Claude Code session transcript',
+ *     pathPatterns: [/\.jsonl$/i],   // candidate files by path
+ *     sniff: (head, filePath) => bool, // optional check on the first bytes
+ *     priority: 0,                   // higher is tried first
+ *     parse: (filePath, context) => result
+ *   }
+ *
+ * `context` carries the project id and the parser's ingest helpers, so
+ * adapters map their records onto conversations and entries without
+ * reaching into the database themselves.
+ */
+
+const SNIFF_SIZE = 8192;
+
+const formats = [];
+
+/**
+ * Register a format adapter, replacing any adapter with the same name
+ */
+function registerFormat(adapter) {
+    if (!adapter?.name || typeof adapter.parse !== 'function') {
+        throw new Error('Format adapter needs a name and a parse function');
+    }
+    if (!Array.isArray(adapter.pathPatterns) || !adapter.pathPatterns.length) {
+        throw new Error(`Format adapter ${adapter.name} needs at least one path pattern`);
+    }
+
+    const existing = formats.findIndex(f => f.name === adapter.name);
+    if (existing !== -1) formats.splice(existing, 1);
+
+    formats.push({ priority: 0, fileType: adapter.name, ...adapter });
+    formats.sort((a, b) => b.priority - a.priority);
+
+    logger.debug(`Registered transcript format: ${adapter.name}`);
+}
+
+/**
+ * Get a registered adapter by name
+ */
+function getFormat(name) {
+    return formats.find(f => f.name === name) || null;
+}
+
+/**
+ * List registered adapters
+ */
+function listFormats() {
+    return formats.map(f => ({
+        name: f.name,
+        fileType: f.fileType,
+        description: f.description || null,
+        pathPatterns: f.pathPatterns.map(p => p.toString()),
+        sniffs: typeof f.sniff === 'function',
+        priority: f.priority
+    }));
+}
+
+/**
+ * Get adapters whose path patterns match a file
+ */
+function matchPath(filePath) {
+    return formats.filter(f => f.pathPatterns.some(pattern => pattern.test(filePath)));
+}
+
+/**
+ * Check whether any adapter may handle a file, by path only
+ */
+function isSupportedFile(filePath) {
+    return matchPath(filePath).length > 0;
+}
+
+/**
+ * Read the first bytes of a file as text for content sniffing
+ */
+function readHead(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(SNIFF_SIZE);
+        const bytesRead = fs.readSync(fd, buffer, 0, SNIFF_SIZE, 0);
+        return buffer.subarray(0, bytesRead).toString('utf8');
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Detect the adapter for a file: the highest priority adapter whose path
+ * pattern matches and whose sniff (if any) accepts the file's first bytes
+ */
+function detectFormat(filePath) {
+    const candidates = matchPath(filePath);
+    if (!candidates.length) return null;
+
+    let head = null;
+    for (const format of candidates) {
+        if (typeof format.sniff !== 'function') return format;
+
+        if (head === null) head = readHead(filePath);
+
+        if (format.sniff(head, filePath)) return format;
+    }
+
+    return null;
+}
+
+export {
+    registerFormat,
+    getFormat,
+    listFormats,
+    isSupportedFile,
+    detectFormat
+};
+
+export default {
+    registerFormat,
+    getFormat,
+    listFormats,
+    isSupportedFile,
+    detectFormat
+};
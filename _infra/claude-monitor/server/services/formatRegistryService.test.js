@@ -0,0 +1,66 @@
+import { describe, test, expect } from 'bun:test';
+import fs from 'fs';
+import path from 'path';
+import { setupTestEnv } from '../test/helpers.js';
+
+const { dir } = setupTestEnv();
+const { default: formats } = await import('./formatRegistryService.js');
+
+const parse = () => ({ success: true });
+
+/**
+ * Write a file with the test-only .fmt extension
+ */
+function writeFile(text) {
+    const filePath = path.join(dir, `${crypto.randomUUID()}.fmt`);
+    fs.writeFileSync(filePath, text);
+    return filePath;
+}
+
+describe('format registry', () => {
+    formats.registerFormat({ name: 'fmt-plain', pathPatterns: [/\.fmt$/i], parse });
+    formats.registerFormat({
+        name: 'fmt-tagged',
+        fileType: 'tagged',
+        pathPatterns: [/\.fmt$/i],
+        sniff: (head) => head.startsWith('#tagged'),
+        priority: 10,
+        parse
+    });
+
+    test('rejects adapters without a name, parse function or path pattern', () => {
+        expect(() => formats.registerFormat({ pathPatterns: [/x/], parse })).toThrow('needs a name and a parse function');
+        expect(() => formats.registerFormat({ name: 'broken', pathPatterns: [/x/] })).toThrow('needs a name and a parse function');
+        expect(() => formats.registerFormat({ name: 'broken', pathPatterns: [], parse })).toThrow('needs at least one path pattern');
+        expect(formats.getFormat('broken')).toBeNull();
+    });
+
+    test('tries higher priority adapters first and sniffs their content', () => {
+        expect(formats.detectFormat(writeFile('#tagged\nbody')).name).toBe('fmt-tagged');
+        expect(formats.detectFormat(writeFile('plain body')).name).toBe('fmt-plain');
+        expect(formats.detectFormat(path.join(dir, 'notes.md'))).toBeNull();
+    });
+
+    test('checks support by path only', () => {
+        expect(formats.isSupportedFile('/data/session.fmt')).toBe(true);
+        expect(formats.isSupportedFile('/data/session.md')).toBe(false);
+    });
+
+    test('defaults the file type to the adapter name', () => {
+        const listed = formats.listFormats().filter(format => format.name.startsWith('fmt-'));
+
+        expect(listed).toEqual([
+            { name: 'fmt-tagged', fileType: 'tagged', description: null, pathPatterns: ['/\\.fmt$/i'], sniffs: true, priority: 10 },
+            { name: 'fmt-plain', fileType: 'fmt-plain', description: null, pathPatterns: ['/\\.fmt$/i'], sniffs: false, priority: 0 }
+        ]);
+    });
+
+    test('replaces an adapter registered under the same name', () => {
+        formats.registerFormat({ name: 'fmt-replaced', pathPatterns: [/\.old$/i], parse });
+        formats.registerFormat({ name: 'fmt-replaced', pathPatterns: [/\.new$/i], parse });
+
+        expect(formats.listFormats().filter(format => format.name === 'fmt-replaced')).toHaveLength(1);
+        expect(formats.isSupportedFile('/data/session.old')).toBe(false);
+        expect(formats.isSupportedFile('/data/session.new')).toBe(true);
+    });
+});
@@ -0,0 +1,170 @@
+import fs from 'fs';
+import logger from '../logService.js';
+
+/**
+ * Claude.ai Export Format
+ *
+ * Reads the `conversations.json` file from a Claude.ai data export: a JSON
+ * array of chats, each with a `chat_messages` list of human and assistant
+ * messages. Every chat becomes one conversation with source_file_type
+ * `claude_ai`. Exports are rewritten whole, so the file is skipped while
+ * its hash is unchanged and messages already stored are deduplicated by
+ * uuid and content.
+ */
+
+const SESSION_PREFIX = 'claudeai-';
+
+// Claude.ai marks root messages with an all-zero parent uuid
+const ROOT_PARENT_UUID = '00000000-0000-4000-8000-000000000000';
+
+/**
+ * Check the first bytes of a .json file for a chat export array
+ */
+function sniff(head) {
+    const text = head.trimStart();
+    if (!text.startsWith('[')) return false;
+    return text.includes('"chat_messages"') || /^\[\s*\]\s*$/.test(text);
+}
+
+/**
+ * Map a Claude.ai sender onto an entry role
+ */
+function mapRole(sender) {
+    if (sender === 'human') return 'user';
+    if (sender === 'assistant') return 'assistant';
+    return 'system';
+}
+
+/**
+ * Build typed blocks for a chat message, including attachment text
+ */
+function messageBlocks(message, ingest) {
+    const content = Array.isArray(message.content) && message.content.length
+        ? message.content
+        : message.text;
+    const blocks = ingest.extractBlocks({ message: { content } });
+
+    for (const attachment of message.attachments || []) {
+        blocks.push({
+            kind: 'text',
+            text: `[Attachment: ${attachment.file_name || 'unnamed'}]\n${attachment.extracted_content || ''}`,
+            metadata: {
+                attachment: attachment.file_name || null,
+                fileType: attachment.file_type || null,
+                fileSize: attachment.file_size ?? null
+            }
+        });
+    }
+
+    for (const file of message.files || []) {
+        blocks.push({
+            kind: 'text',
+            text: `[File: ${file.file_name || 'unnamed'}]`,
+            metadata: { file: file.file_name || null }
+        });
+    }
+
+    return blocks;
+}
+
+/**
+ * Store one chat as a conversation and its messages as entries
+ */
+function ingestChat(chat, filePath, projectId, ingest) {
+    const conversation = ingest.findOrCreateConversation(
+        `${SESSION_PREFIX}${chat.uuid}`,
+        filePath,
+        'claude_ai',
+        { title: chat.name || null }
+    );
+    ingest.assignProject(conversation, projectId);
+
+    let newEntries = 0;
+    let skipped = 0;
+
+    chat.chat_messages.forEach((message, index) => {
+        const blocks = messageBlocks(message, ingest);
+        const content = ingest.renderBlocks(blocks);
+        const entryHash = ingest.hashContent(`${message.uuid || index}\n${content}`);
+
+        const parentUuid = message.parent_message_uuid && message.parent_message_uuid !== ROOT_PARENT_UUID
+            ? message.parent_message_uuid
+            : null;
+
+        const entryId = ingest.insertEntry(
+            conversation.id,
+            entryHash,
+            index,
+            mapRole(message.sender),
+            content,
+            message.created_at || null,
+            { uuid: message.uuid || null, parentUuid }
+        );
+
+        if (entryId) {
+            ingest.storeEntryBlocks(conversation.id, entryId, blocks);
+            newEntries++;
+        } else {
+            skipped++;
+        }
+    });
+
+    ingest.updateConversationStats(conversation.id);
+
+    return { newEntries, skipped };
+}
+
+/**
+ * Parse a Claude.ai conversations.json export
+ */
+function parse(filePath, { projectId = null, ingest }) {
+    const raw = fs.readFileSync(filePath, 'utf8');
+    const fileHash = ingest.hashContent(raw);
+
+    const parseState = ingest.getParseState(filePath);
+    if (parseState?.last_entry_hash === fileHash) {
+        logger.debug(`No changes in ${filePath}`);
+        return { success: true, conversations: 0, newEntries: 0, skipped: 0 };
+    }
+
+    let chats;
+    try {
+        chats = JSON.parse(raw);
+    } catch (err) {
+        logger.warn(`Invalid Claude.ai export ${filePath}: ${err.message}`);
+        return { success: false, error: 'Invalid JSON' };
+    }
+
+    if (!Array.isArray(chats)) {
+        return { success: false, error: 'Expected an array of conversations' };
+    }
+
+    const results = { conversations: 0, newEntries: 0, skipped: 0, invalid: 0 };
+
+    for (const chat of chats) {
+        if (!chat?.uuid || !Array.isArray(chat.chat_messages)) {
+            results.invalid++;
+            continue;
+        }
+
+        const { newEntries, skipped } = ingestChat(chat, filePath, projectId, ingest);
+        results.conversations++;
+        results.newEntries += newEntries;
+        results.skipped += skipped;
+    }
+
+    ingest.updateParseState(filePath, { entryHash: fileHash });
+
+    logger.info(`Parsed Claude.ai export ${filePath}: ${results.conversations} conversations, ${results.newEntries} new entries, ${results.skipped} duplicates`);
+
+    return { success: true, ...results };
+}
+
+export default {
+    name: 'claude_ai',
+    fileType: 'claude_ai',
+    description: 'Claude.ai data export (conversations.json)',
+    pathPatterns: [/\.json$/i],
+    sniff,
+    parse
+};
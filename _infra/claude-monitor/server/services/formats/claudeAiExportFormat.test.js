@@ -0,0 +1,87 @@
+import { describe, test, expect, beforeEach } from 'bun:test';
+import fs from 'fs';
+import path from 'path';
+import { setupTestEnv } from '../../test/helpers.js';
+
+const { db, dir } = setupTestEnv();
+const { default: conversationParser } = await import('../conversationParserService.js');
+
+const ROOT_PARENT_UUID = '00000000-0000-4000-8000-000000000000';
+
+const chat = (uuid, name, messages) => ({
+    uuid,
+    name,
+    chat_messages: messages.map(([id, sender, text, extra = {}], index) => ({
+        uuid: id,
+        sender,
+        text,
+        content: [],
+        created_at: `2026-01-01T00:00:0${index}.000Z`,
+        parent_message_uuid: index ? messages[index - 1][0] : ROOT_PARENT_UUID,
+        ...extra
+    }))
+});
+
+describe('Claude.ai export', () => {
+    let filePath;
+    let chats;
+
+    beforeEach(() => {
+        db.init();
+        filePath = path.join(dir, `${crypto.randomUUID()}-conversations.json`);
+        chats = [
+            chat('chat-1', 'Trip planning', [
+                ['m1', 'human', 'plan a trip', {
+                    attachments: [{ file_name: 'notes.txt', file_type: 'txt', file_size: 5, extracted_content: 'Lisbon' }]
+                }],
+                ['m2', 'assistant', 'here is a plan']
+            ]),
+            chat('chat-2', 'Recipes', [['m3', 'human', 'a soup recipe']])
+        ];
+        fs.writeFileSync(filePath, JSON.stringify(chats));
+    });
+
+    const conversations = () => db.getDb().prepare(`
+        SELECT conversation_id, source_file_type, title FROM conversations ORDER BY id
+    `).all();
+
+    test('stores each chat as a conversation', () => {
+        const result = conversationParser.processFile(filePath);
+
+        expect(result).toMatchObject({ format: 'claude_ai', success: true, conversations: 2, newEntries: 3 });
+        expect(conversations()).toEqual([
+            { conversation_id: 'claudeai-chat-1', source_file_type: 'claude_ai', title: 'Trip planning' },
+            { conversation_id: 'claudeai-chat-2', source_file_type: 'claude_ai', title: 'Recipes' }
+        ]);
+    });
+
+    test('keeps message roles, parents and attachment text', () => {
+        conversationParser.processFile(filePath);
+
+        const entries = db.getDb().prepare(`
+            SELECT role, content, entry_uuid, parent_uuid FROM conversation_entries ORDER BY id
+        `).all();
+        expect(entries).toEqual([
+            { role: 'user', content: 'plan a trip\n\n[Attachment: notes.txt]\nLisbon', entry_uuid: 'm1', parent_uuid: null },
+            { role: 'assistant', content: 'here is a plan', entry_uuid: 'm2', parent_uuid: 'm1' },
+            { role: 'user', content: 'a soup recipe', entry_uuid: 'm3', parent_uuid: null }
+        ]);
+    });
+
+    test('skips an unchanged export and adds only new messages to a changed one', () => {
+        conversationParser.processFile(filePath);
+        expect(conversationParser.processFile(filePath)).toMatchObject({ conversations: 0, newEntries: 0 });
+
+        chats[1].chat_messages.push({ uuid: 'm4', sender: 'assistant', text: 'tomato soup', content: [] });
+        fs.writeFileSync(filePath, JSON.stringify(chats));
+
+        expect(conversationParser.processFile(filePath)).toMatchObject({ conversations: 2, newEntries: 1, skipped: 3 });
+    });
+
+    test('leaves other JSON files to the other adapters', () => {
+        const other = path.join(dir, 'settings.json');
+        fs.writeFileSync(other, JSON.stringify({ theme: 'dark' }));
+
+        expect(conversationParser.processFile(other)).toEqual({ success: false, error: 'Unknown format' });
+    });
+});
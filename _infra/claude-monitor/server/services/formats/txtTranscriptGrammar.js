@@ -0,0 +1,246 @@
+/**
+ * TXT Transcript Grammar
+ *
+ * Turns a plain text transcript into a list of entries. Understands both
+ * `Human:` / `Assistant:` transcripts and Claude Code `/export` output:
+ *
+ *   > prompt                      user message (column 0)
+ *   ⏺ text                        assistant message
+ *   ⏺ Bash(npm test)              tool call
+ *     ⎿  output                   tool result for the preceding call
+ *   ✻ Thinking…                   assistant thinking
+ *   2024-01-05 10:32:00           time header, applies to following entries
+ *
+ * Indented lines continue the current entry. The welcome banner is read
+ * for the working directory. Pure functions only; storage is up to the
+ * caller.
+ */
+
+const USER_MARKER = /^(?:Human|User):\s?(.*)$/;
+const ASSISTANT_MARKER = /^(?:Assistant|Claude):\s?(.*)$/;
+const PROMPT_MARKER = /^>\s?(.*)$/;
+const BULLET_MARKER = /^⏺\s?(.*)$/;
+const THINKING_MARKER = /^✻\s?(.*)$/;
+const RESULT_MARKER = /^(\s*⎿\s*)(.*)$/;
+const BANNER_LINE = /^[╭│╰]/;
+const BANNER_CWD = /cwd:\s*(.+?)\s*│?\s*$/;
+
+// A tool call is a bare tool name (or an "(MCP)" label) directly followed by "("
+const TOOL_CALL = /^([A-Za-z][\w-]*(?:[.:][\w-]+)*|[^()]+? \(MCP\))\(([\s\S]*)$/;
+
+const TIMESTAMP = '(\\d{4}-\\d{2}-\\d{2}[T ]\\d{2}:\\d{2}(?::\\d{2}(?:\\.\\d+)?)?(?:Z|[+-]\\d{2}:?\\d{2})?)';
+const TIME_HEADER = new RegExp(`^[\\s\\[(─—=-]*${TIMESTAMP}[\\s\\])─—=-]*$`);
+const TIME_PREFIX = new RegExp(`^\\[${TIMESTAMP}\\]\\s*`);
+
+const CONTINUATION_INDENT = 2;
+
+// Claude Code shows some tools under display names
+const TOOL_ALIASES = {
+    Update: 'Edit',
+    Search: 'Grep',
+    List: 'LS',
+    Fetch: 'WebFetch'
+};
+
+// Input key for tools whose display shows a single bare argument
+const TOOL_ARGUMENT_KEYS = {
+    Bash: 'command',
+    Read: 'file_path',
+    Write: 'file_path',
+    Edit: 'file_path',
+    MultiEdit: 'file_path',
+    NotebookEdit: 'notebook_path',
+    Grep: 'pattern',
+    Glob: 'pattern',
+    LS: 'path',
+    WebFetch: 'url',
+    WebSearch: 'query',
+    Task: 'description'
+};
+
+/**
+ * Normalize a transcript timestamp to ISO 8601, or null if unparseable
+ */
+function normalizeTimestamp(value) {
+    const date = new Date(value.replace(' ', 'T'));
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Remove up to `count` leading spaces
+ */
+function dedent(line, count) {
+    let i = 0;
+    while (i < count && line[i] === ' ') i++;
+    return line.slice(i);
+}
+
+/**
+ * Parse displayed tool arguments into an input object.
+ * `key: "value", other: value` lists become keys; a bare argument is
+ * stored under the tool's usual input key.
+ */
+function parseToolArgs(toolName, raw) {
+    const args = raw.trim();
+    if (!args) return {};
+
+    if (/^\w+:\s/.test(args)) {
+        const input = {};
+        const pairPattern = /(\w+):\s*("(?:[^"\\]|\\.)*"|[^,]*)(?:,\s*|$)/g;
+        let match;
+        while ((match = pairPattern.exec(args)) !== null && match[0]) {
+            let value = match[2].trim();
+            if (value.startsWith('"')) {
+                try {
+                    value = JSON.parse(value);
+                } catch (e) {
+                    value = value.slice(1, -1);
+                }
+            }
+            input[match[1]] = value;
+        }
+        if (Object.keys(input).length) return input;
+    }
+
+    return { [TOOL_ARGUMENT_KEYS[toolName] || 'args']: args };
+}
+
+/**
+ * Turn a finished raw entry into its role and typed blocks
+ */
+function finishEntry(raw) {
+    const text = raw.lines.join('\n').replace(/^(?:[ \t]*\n)+/, '').replace(/\s+$/, '');
+
+    switch (raw.type) {
+        case 'user':
+            return text ? { role: 'user', blocks: [{ kind: 'text', text }] } : null;
+        case 'assistant':
+            return text ? { role: 'assistant', blocks: [{ kind: 'text', text }] } : null;
+        case 'thinking':
+            return { role: 'assistant', blocks: [{ kind: 'thinking', text }] };
+        case 'tool_call': {
+            const displayName = raw.toolName;
+            const toolName = TOOL_ALIASES[displayName] || displayName;
+            const args = text.replace(/\)\s*$/, '');
+            const input = parseToolArgs(toolName, args);
+            return {
+                role: 'assistant',
+                blocks: [{
+                    kind: 'tool_use',
+                    toolName,
+                    text: JSON.stringify(input, null, 2),
+                    metadata: displayName !== toolName ? { displayName } : null
+                }]
+            };
+        }
+        case 'tool_result':
+            return {
+                role: 'tool',
+                blocks: [{
+                    kind: 'tool_result',
+                    text,
+                    metadata: /^Error\b/.test(text) ? { isError: true } : null
+                }]
+            };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Parse a TXT transcript into entries and session metadata.
+ * Returns `{ metadata: { cwd }, entries: [{ role, blocks, timestamp }] }`;
+ * tool result entries follow the tool call entry they belong to.
+ */
+function parseTranscript(content) {
+    const lines = content.replace(/\r\n?/g, '\n').split('\n');
+    const metadata = {};
+    const entries = [];
+
+    let current = null;
+    let timestamp = null;
+    let inBanner = false;
+
+    const flush = () => {
+        if (!current) return;
+        const entry = finishEntry(current);
+        if (entry) entries.push({ ...entry, timestamp: current.timestamp });
+        current = null;
+    };
+
+    const start = (type, firstLine, extra = {}) => {
+        flush();
+        current = { type, lines: [firstLine], indent: CONTINUATION_INDENT, timestamp, ...extra };
+    };
+
+    for (let line of lines) {
+        if (BANNER_LINE.test(line) && (inBanner || !current)) {
+            inBanner = !line.startsWith('╰');
+            const cwd = line.match(BANNER_CWD);
+            if (cwd) metadata.cwd = cwd[1];
+            continue;
+        }
+        inBanner = false;
+
+        const header = line.match(TIME_HEADER);
+        if (header) {
+            timestamp = normalizeTimestamp(header[1]) || timestamp;
+            continue;
+        }
+
+        const prefix = line.match(TIME_PREFIX);
+        if (prefix) {
+            timestamp = normalizeTimestamp(prefix[1]) || timestamp;
+            line = line.slice(prefix[0].length);
+        }
+
+        const result = line.match(RESULT_MARKER);
+        if (result) {
+            if (current?.type === 'tool_result') {
+                current.lines.push(result[2]);
+            } else {
+                start('tool_result', result[2], { indent: result[1].length });
+            }
+            continue;
+        }
+
+        let match;
+        if ((match = line.match(USER_MARKER)) || (match = line.match(PROMPT_MARKER))) {
+            start('user', match[1]);
+        } else if ((match = line.match(ASSISTANT_MARKER))) {
+            start('assistant', match[1]);
+        } else if ((match = line.match(THINKING_MARKER))) {
+            start('thinking', '');
+        } else if ((match = line.match(BULLET_MARKER))) {
+            const toolCall = match[1].match(TOOL_CALL);
+            if (toolCall) {
+                start('tool_call', toolCall[2], { toolName: toolCall[1] });
+            } else {
+                start('assistant', match[1]);
+            }
+        } else if (current) {
+            if (current.type === 'tool_result' && line.trim() && !line.startsWith(' ')) {
+                // An unindented line ends a tool result; treat it as assistant text
+                start('assistant', line);
+            } else {
+                current.lines.push(dedent(line, current.indent));
+            }
+        } else if (line.trim()) {
+            start('user', line);
+        }
+    }
+
+    flush();
+
+    return { metadata, entries };
+}
+
+export {
+    parseTranscript,
+    parseToolArgs
+};
+
+export default {
+    parseTranscript,
+    parseToolArgs
+};
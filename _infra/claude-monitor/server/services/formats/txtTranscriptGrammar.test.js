@@ -0,0 +1,97 @@
+import { describe, test, expect } from 'bun:test';
+import fs from 'fs';
+import path from 'path';
+import { setupTestEnv } from '../../test/helpers.js';
+
+const { db, dir } = setupTestEnv();
+const { default: grammar } = await import('./txtTranscriptGrammar.js');
+const { default: conversationParser } = await import('../conversationParserService.js');
+const { default: artifactExtractor } = await import('../artifactExtractorService.js');
+
+const EXPORT = [
+    '╭───────────────────────────────────────╮',
+    '│ ✻ Welcome to Claude Code!             │',
+    '│   cwd: /work/app                      │',
+    '╰───────────────────────────────────────╯',
+    '',
+    '2026-01-05 10:32:00',
+    '',
+    '> run the tests',
+    '  and fix them',
+    '',
+    '✻ Thinking…',
+    '  the suite is in test/',
+    '',
+    '⏺ Bash(npm test)',
+    '  ⎿  Error: 2 failing',
+    '     expected 1 to be 2',
+    '',
+    '⏺ Update(file_path: "src/sum.js", old_string: "a - b")',
+    '  ⎿  Updated src/sum.js',
+    '',
+    '[2026-01-05 10:33:00] ⏺ Fixed the subtraction.'
+].join('\n');
+
+describe('parseTranscript', () => {
+    const { metadata, entries } = grammar.parseTranscript(EXPORT);
+
+    test('reads the working directory from the banner', () => {
+        expect(metadata).toEqual({ cwd: '/work/app' });
+    });
+
+    test('splits /export output into typed entries', () => {
+        expect(entries.map(entry => [entry.role, entry.blocks[0].kind, entry.blocks[0].text])).toEqual([
+            ['user', 'text', 'run the tests\nand fix them'],
+            ['assistant', 'thinking', 'the suite is in test/'],
+            ['assistant', 'tool_use', '{\n  "command": "npm test"\n}'],
+            ['tool', 'tool_result', 'Error: 2 failing\nexpected 1 to be 2'],
+            ['assistant', 'tool_use', '{\n  "file_path": "src/sum.js",\n  "old_string": "a - b"\n}'],
+            ['tool', 'tool_result', 'Updated src/sum.js'],
+            ['assistant', 'text', 'Fixed the subtraction.']
+        ]);
+    });
+
+    test('maps display names to tools and flags error results', () => {
+        expect(entries[4].blocks[0]).toMatchObject({ toolName: 'Edit', metadata: { displayName: 'Update' } });
+        expect(entries[3].blocks[0].metadata).toEqual({ isError: true });
+        expect(entries[5].blocks[0].metadata).toBeNull();
+    });
+
+    test('applies time headers and prefixes to the entries after them', () => {
+        expect(entries[0].timestamp).toBe(new Date('2026-01-05T10:32:00').toISOString());
+        expect(entries[6].timestamp).toBe(new Date('2026-01-05T10:33:00').toISOString());
+    });
+
+    test('reads Human: and Assistant: transcripts', () => {
+        const parsed = grammar.parseTranscript('Human: hi\nthere\n\nAssistant: hello');
+
+        expect(parsed.entries.map(entry => [entry.role, entry.blocks[0].text])).toEqual([
+            ['user', 'hi\nthere'],
+            ['assistant', 'hello']
+        ]);
+    });
+
+    test('parses displayed tool arguments', () => {
+        expect(grammar.parseToolArgs('Read', 'src/app.js')).toEqual({ file_path: 'src/app.js' });
+        expect(grammar.parseToolArgs('Grep', 'pattern: "a, b", path: src')).toEqual({ pattern: 'a, b', path: 'src' });
+        expect(grammar.parseToolArgs('mcp.tool', 'x')).toEqual({ args: 'x' });
+    });
+});
+
+describe('TXT transcripts', () => {
+    test('store tool calls paired with their results as artifacts', () => {
+        const filePath = path.join(dir, 'export.txt');
+        fs.writeFileSync(filePath, EXPORT);
+
+        const { conversationId } = conversationParser.processFile(filePath);
+        artifactExtractor.processConversationEntries(conversationId);
+
+        const calls = db.getDb().prepare(`
+            SELECT tool_name, outcome, output_summary FROM artifacts WHERE artifact_type = 'tool_call' ORDER BY id
+        `).all();
+        expect(calls).toEqual([
+            { tool_name: 'Bash', outcome: 'error', output_summary: 'Error: 2 failing\nexpected 1 to be 2' },
+            { tool_name: 'Edit', outcome: 'success', output_summary: 'Updated src/sum.js' }
+        ]);
+    });
+});
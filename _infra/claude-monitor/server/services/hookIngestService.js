@@ -0,0 +1,346 @@
+import db from '../db/index.js';
+import logger from './logService.js';
+import conversationParser from './conversationParserService.js';
+import artifactExtractor from './artifactExtractorService.js';
+import followUps from './followUpService.js';
+import loopDetection from './loopDetectionService.js';
+import contentIndex from './contentIndexService.js';
+import live from './liveEventService.js';
+import redaction from './redactionService.js';
+
+/**
+ * Hook Ingest Service
+ *
+ * Second capture channel next to transcript files: Claude Code hook
+ * payloads (SessionStart, UserPromptSubmit, PreToolUse, PostToolUse,
+ * Stop, ...) are mapped onto the same conversation rows, keyed by the
+ * session id the transcript also carries.
+ *
+ * Entries stored from hooks are marked capture_source = 'hook'. A hook
+ * entry is skipped when the transcript already holds the same prompt for
+ * the current turn or the same tool_use id, and the transcript parser
+ * replaces hook entries with its own when it reaches them, so both
+ * channels can run together.
+ * Hook payloads usually carry no timestamp, so entries are keyed by their
+ * place in the session instead: a prompt delivered again before the next
+ * Stop or prompt, or a lifecycle event delivered again before any other
+ * hook entry, is the same event, not a new one.
+ * Tool calls become artifacts with the same content hash the transcript
+ * extractor uses; once the transcript records a call, its timestamps and
+ * result replace what the hook stored.
+ */
+
+const SESSION_PATH_PREFIX = 'hook://';
+const PROMPT_CONTEXT_LENGTH = 200;
+
+/**
+ * Build an error carrying an HTTP status code
+ */
+function invalid(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+}
+
+/**
+ * Find or create the conversation for a hook payload's session
+ */
+function attachConversation(payload) {
+    const database = db.getDb();
+    const { ingest } = conversationParser;
+    const transcriptPath = payload.transcript_path || null;
+
+    const conversation = ingest.findOrCreateConversation(
+        payload.session_id,
+        transcriptPath || `${SESSION_PATH_PREFIX}${payload.session_id}`,
+        transcriptPath ? 'jsonl' : 'hook',
+        { cwd: payload.cwd }
+    );
+
+    // A session first seen without a transcript path gets it once a payload carries one
+    if (transcriptPath && conversation.source_file_type === 'hook') {
+        database.prepare(`
+            UPDATE conversations SET source_file_path = ?, source_file_type = 'jsonl'
+            WHERE id = ?
+        `).run(transcriptPath, conversation.id);
+    }
+
+    if (payload.cwd) {
+        const project = database.prepare('SELECT id FROM projects WHERE path = ?').get(payload.cwd);
+        if (project) ingest.assignProject(conversation, project.id);
+    }
+
+    return conversation;
+}
+
+/**
+ * Get the time a hook event happened: the payload's own timestamp when it
+ * carries one, otherwise now
+ */
+function eventTimestamp(payload) {
+    const value = payload.timestamp;
+    if (value === undefined || value === null || value === '') return new Date().toISOString();
+
+    const time = typeof value === 'string' || typeof value === 'number' ? new Date(value) : null;
+    if (!time || Number.isNaN(time.getTime())) throw invalid('Invalid timestamp');
+    return time.toISOString();
+}
+
+/**
+ * Check whether the transcript already recorded this prompt for the
+ * current turn: its latest prompt has the same text and was written
+ * after the turn `boundary` the hooks last saw
+ */
+function fileHasPrompt(conversationId, prompt, boundary) {
+    const database = db.getDb();
+    const latest = database.prepare(`
+        SELECT content, timestamp FROM conversation_entries e
+        WHERE conversation_id = ? AND capture_source = 'file' AND role = 'user' AND kind = 'message'
+          AND NOT EXISTS (SELECT 1 FROM entry_blocks b WHERE b.entry_id = e.id AND b.kind = 'tool_result')
+        ORDER BY entry_index DESC
+        LIMIT 1
+    `).get(conversationId);
+
+    if (!latest || latest.content !== redaction.redactText(prompt)) return false;
+    return !boundary || !(Date.parse(latest.timestamp) <= Date.parse(boundary.timestamp));
+}
+
+/**
+ * Get the latest hook entry that opened or closed a turn: a submitted
+ * prompt or a Stop event
+ */
+function getLastTurnBoundary(conversationId) {
+    const database = db.getDb();
+    return database.prepare(`
+        SELECT id, content, timestamp, json_extract(metadata, '$.event') AS event
+        FROM conversation_entries
+        WHERE conversation_id = ? AND capture_source = 'hook'
+          AND json_extract(metadata, '$.event') IN ('UserPromptSubmit', 'Stop')
+        ORDER BY entry_index DESC
+        LIMIT 1
+    `).get(conversationId) || null;
+}
+
+/**
+ * Get the latest hook entry of a conversation with the delivery it was
+ * stored from
+ */
+function getLastHookEntry(conversationId) {
+    const database = db.getDb();
+    return database.prepare(`
+        SELECT id, json_extract(metadata, '$.delivery') AS delivery
+        FROM conversation_entries
+        WHERE conversation_id = ? AND capture_source = 'hook'
+        ORDER BY entry_index DESC
+        LIMIT 1
+    `).get(conversationId) || null;
+}
+
+/**
+ * Check whether the transcript already recorded a tool block with this id
+ */
+function fileHasToolBlock(conversationId, toolUseId, kind) {
+    if (!toolUseId) return false;
+
+    const database = db.getDb();
+    const row = database.prepare(`
+        SELECT b.id FROM entry_blocks b
+        JOIN conversation_entries e ON e.id = b.entry_id
+        WHERE b.conversation_id = ? AND b.tool_use_id = ? AND b.kind = ? AND e.capture_source = 'file'
+        LIMIT 1
+    `).get(conversationId, toolUseId, kind);
+    return !!row;
+}
+
+/**
+ * Get the text of the latest user prompt, for tool call context
+ */
+function getPromptContext(conversationId) {
+    const database = db.getDb();
+    const row = database.prepare(`
+        SELECT content FROM conversation_entries
+        WHERE conversation_id = ? AND role = 'user' AND kind = 'message'
+        ORDER BY entry_index DESC
+        LIMIT 1
+    `).get(conversationId);
+    return row ? row.content.slice(-PROMPT_CONTEXT_LENGTH) : null;
+}
+
+/**
+ * Store one hook-derived entry. `key` identifies what the entry records,
+ * so repeated deliveries of the same hook map onto the same entry hash.
+ * Returns the new entry id, or false if already stored.
+ */
+function storeHookEntry(conversationId, key, role, blocks, timestamp, details = {}) {
+    const { ingest } = conversationParser;
+    const content = ingest.renderBlocks(blocks);
+    const entryIndex = ingest.getNextEntryIndex(conversationId);
+
+    const entryId = ingest.insertEntry(
+        conversationId,
+        ingest.hashContent(`hook:${key}`),
+        entryIndex,
+        role,
+        content,
+        timestamp,
+        { ...details, captureSource: 'hook' }
+    );
+
+    if (entryId) {
+        ingest.storeEntryBlocks(conversationId, entryId, blocks);
+        live.publishEntry(conversationId, {
+            id: entryId,
+            conversation_id: conversationId,
+            entry_index: entryIndex,
+            role,
+            kind: details.kind || 'message',
+            content,
+            timestamp,
+            capture_source: 'hook'
+        }, blocks);
+    }
+
+    return entryId;
+}
+
+/**
+ * Store the tool_use entry for a tool hook unless already captured
+ */
+function storeToolUse(conversationId, payload, timestamp) {
+    const toolUseId = payload.tool_use_id || null;
+    if (fileHasToolBlock(conversationId, toolUseId, 'tool_use')) return false;
+
+    const { ingest } = conversationParser;
+    const key = toolUseId || ingest.hashContent(JSON.stringify([payload.tool_name, payload.tool_input]));
+
+    return storeHookEntry(conversationId, `tool_use:${key}`, 'assistant', [{
+        kind: 'tool_use',
+        text: JSON.stringify(payload.tool_input, null, 2),
+        toolName: payload.tool_name,
+        toolUseId
+    }], timestamp, { metadata: { event: payload.hook_event_name } });
+}
+
+/**
+ * Decide whether a PostToolUse response reports a failure
+ */
+function isErrorResponse(response) {
+    if (!response) return false;
+    if (typeof response === 'string') return /^Error\b/.test(response);
+    return response.is_error === true || response.success === false || !!response.error;
+}
+
+/**
+ * Ingest one hook payload.
+ * Returns the conversation id and what was stored.
+ */
+function ingestHookEvent(payload) {
+    if (!payload || typeof payload !== 'object') throw invalid('Expected a JSON hook payload');
+    if (!payload.session_id) throw invalid('Missing session_id');
+    if (!payload.hook_event_name) throw invalid('Missing hook_event_name');
+
+    const { ingest } = conversationParser;
+    const event = payload.hook_event_name;
+    const timestamp = eventTimestamp(payload);
+    const conversation = attachConversation(payload);
+    const conversationId = conversation.id;
+
+    const result = { success: true, conversationId, event, entries: 0, artifact: false };
+    const count = (entryId) => { if (entryId) result.entries++; };
+
+    switch (event) {
+        case 'UserPromptSubmit': {
+            const prompt = typeof payload.prompt === 'string' ? payload.prompt : '';
+            const boundary = getLastTurnBoundary(conversationId);
+            if (!prompt || fileHasPrompt(conversationId, prompt, boundary)) break;
+
+            // A retry finds its own prompt as the open turn; a new prompt is keyed by the turn before it
+            if (boundary?.event === event && boundary.content === redaction.redactText(prompt)) break;
+
+            count(storeHookEntry(conversationId, `prompt:${boundary?.id ?? 0}:${prompt}`, 'user',
+                [{ kind: 'text', text: prompt }], timestamp, { metadata: { event } }));
+            break;
+        }
+        case 'PreToolUse':
+        case 'PostToolUse': {
+            if (!payload.tool_name) throw invalid('Missing tool_name');
+
+            const entryId = storeToolUse(conversationId, payload, timestamp);
+            count(entryId);
+
+            const isPost = event === 'PostToolUse';
+            const response = payload.tool_response;
+            const isError = isPost && isErrorResponse(response);
+            let resultEntryId = null;
+
+            if (isPost && !fileHasToolBlock(conversationId, payload.tool_use_id, 'tool_result')) {
+                const text = typeof response === 'string' ? response : JSON.stringify(response ?? null, null, 2);
+                const key = payload.tool_use_id || ingest.hashContent(JSON.stringify([payload.tool_name, payload.tool_input, response]));
+
+                resultEntryId = storeHookEntry(conversationId, `tool_result:${key}`, 'user', [{
+                    kind: 'tool_result',
+                    text,
+                    toolUseId: payload.tool_use_id || null,
+                    metadata: isError ? { isError: true } : null
+                }], timestamp, { metadata: { event } });
+                count(resultEntryId);
+            }
+
+            result.artifact = artifactExtractor.recordToolCall({
+                conversationId,
+                entryId: entryId || null,
+                resultEntryId: resultEntryId || null,
+                toolUseId: payload.tool_use_id,
+                toolName: payload.tool_name,
+                input: payload.tool_input,
+                output: isPost ? (response ?? null) : undefined,
+                isError,
+                promptContext: getPromptContext(conversationId),
+                timestamp
+            });
+            if (result.artifact) {
+                followUps.analyzeFollowUps(conversationId);
+                loopDetection.detectFindings(conversationId);
+                contentIndex.indexConversation(conversationId);
+            }
+            break;
+        }
+        default: {
+            // Session lifecycle and other notices are stored as hook events
+            const detail = payload.source || payload.reason || payload.message || null;
+            const delivery = ingest.hashContent(JSON.stringify(payload));
+            const metadata = {
+                event,
+                source: payload.source || null,
+                reason: payload.reason || null,
+                message: payload.message || null,
+                delivery
+            };
+
+            // A retry finds itself as the latest hook entry; a new event is keyed by the entry before it
+            const last = getLastHookEntry(conversationId);
+            if (last?.delivery === delivery) break;
+
+            count(storeHookEntry(conversationId, `${event}:${last?.id ?? 0}:${delivery}`, 'system',
+                [{ kind: 'text', text: detail ? `${event} (${detail})` : event }], timestamp, { kind: 'hook', metadata }));
+        }
+    }
+
+    ingest.updateConversationStats(conversationId);
+
+    if (result.entries) {
+        live.publish('conversation', conversationId, { sessionId: payload.session_id, newEntries: result.entries, event });
+    }
+
+    logger.debug(`Hook ${event} for session ${payload.session_id}: ${result.entries} entries`);
+
+    return result;
+}
+
+export {
+    ingestHookEvent
+};
+
+export default {
+    ingestHookEvent
+};
@@ -0,0 +1,183 @@
+import { describe, test, expect, beforeEach } from 'bun:test';
+import path from 'path';
+import { setupTestEnv, transcript, writeTranscript } from '../test/helpers.js';
+
+const { db, dir } = setupTestEnv();
+const { default: hookIngest } = await import('./hookIngestService.js');
+const { default: conversationParser } = await import('./conversationParserService.js');
+const { default: artifactExtractor } = await import('./artifactExtractorService.js');
+
+const artifacts = (conversationId) => db.getDb().prepare(`
+    SELECT a.artifact_type, a.outcome, a.started_at, a.ended_at, a.latency_ms, a.output_full, e.capture_source
+    FROM artifacts a
+    LEFT JOIN conversation_entries e ON e.id = a.entry_id
+    WHERE a.conversation_id = ?
+    ORDER BY a.id
+`).all(conversationId);
+
+describe('hook tool calls and the transcript', () => {
+    let filePath;
+    let session;
+
+    beforeEach(() => {
+        db.init();
+        session = transcript();
+        filePath = path.join(dir, `${crypto.randomUUID()}.jsonl`);
+    });
+
+    const hook = (event, extra = {}) => hookIngest.ingestHookEvent({
+        session_id: 'session-1',
+        transcript_path: filePath,
+        cwd: '/work',
+        hook_event_name: event,
+        tool_name: 'Bash',
+        tool_use_id: 'toolu_1',
+        tool_input: { command: 'npm test' },
+        ...extra
+    });
+
+    const call = () => session.toolUse('toolu_1', 'Bash', { command: 'npm test' });
+    const result = () => ({ ...session.toolResult('toolu_1', 'all tests passed'), timestamp: '2026-01-01T00:00:03.000Z' });
+
+    test('take their timing and result from the transcript when hooks came first', () => {
+        hook('PreToolUse');
+        const { conversationId } = hook('PostToolUse', { tool_response: { stdout: 'all tests passed' } });
+        expect(artifacts(conversationId)[0].started_at).not.toStartWith('2026-01-01');
+
+        writeTranscript(filePath, [session.user('run the tests'), call(), result()]);
+        conversationParser.processFile(filePath);
+        artifactExtractor.processConversationEntries(conversationId);
+
+        expect(artifacts(conversationId)).toEqual([
+            {
+                artifact_type: 'tool_call',
+                outcome: 'success',
+                started_at: '2026-01-01T00:00:01.000Z',
+                ended_at: '2026-01-01T00:00:03.000Z',
+                latency_ms: 2000,
+                output_full: 'all tests passed',
+                capture_source: 'file'
+            },
+            {
+                artifact_type: 'tool_result',
+                outcome: 'success',
+                started_at: null,
+                ended_at: '2026-01-01T00:00:03.000Z',
+                latency_ms: null,
+                output_full: 'all tests passed',
+                capture_source: 'file'
+            }
+        ]);
+    });
+
+    test('take the start time of a call the transcript has no result for yet', () => {
+        const { conversationId } = hook('PreToolUse');
+        const lines = [session.user('run the tests'), call()];
+
+        writeTranscript(filePath, lines);
+        conversationParser.processFile(filePath);
+        artifactExtractor.processConversationEntries(conversationId);
+
+        const [stored] = artifacts(conversationId);
+        expect(stored.outcome).toBe('pending');
+        expect(stored.started_at).toBe('2026-01-01T00:00:01.000Z');
+        expect(stored.capture_source).toBe('file');
+
+        // The result reaches the transcript later
+        writeTranscript(filePath, [...lines, result()]);
+        conversationParser.processFile(filePath);
+        artifactExtractor.processConversationEntries(conversationId);
+
+        expect(artifacts(conversationId).map(row => [row.artifact_type, row.latency_ms])).toEqual([
+            ['tool_call', 2000],
+            ['tool_result', null]
+        ]);
+    });
+});
+
+describe('ingestHookEvent', () => {
+    let session;
+
+    beforeEach(() => {
+        db.init();
+        session = transcript();
+    });
+
+    const deliver = (event, extra = {}) => hookIngest.ingestHookEvent({
+        session_id: 'session-1',
+        cwd: '/work',
+        hook_event_name: event,
+        ...extra
+    });
+
+    const hookEntries = () => db.getDb().prepare(`
+        SELECT content FROM conversation_entries WHERE capture_source = 'hook' ORDER BY entry_index
+    `).all().map(row => row.content);
+
+    test('rejects payloads without a session or event', () => {
+        expect(() => hookIngest.ingestHookEvent(null)).toThrow('Expected a JSON hook payload');
+        expect(() => deliver(undefined)).toThrow('Missing hook_event_name');
+        expect(() => hookIngest.ingestHookEvent({ hook_event_name: 'Stop' })).toThrow('Missing session_id');
+    });
+
+    test('accepts ISO and epoch timestamps and rejects others with a 400', () => {
+        deliver('SessionStart', { source: 'startup', timestamp: '2026-01-01T10:00:00Z' });
+        deliver('Notification', { message: 'waiting', timestamp: Date.UTC(2026, 0, 1, 10, 0, 5) });
+
+        expect(db.getDb().prepare('SELECT timestamp FROM conversation_entries ORDER BY entry_index').all())
+            .toEqual([{ timestamp: '2026-01-01T10:00:00.000Z' }, { timestamp: '2026-01-01T10:00:05.000Z' }]);
+
+        for (const timestamp of [{ at: 1 }, 'yesterday', true]) {
+            let error;
+            try {
+                deliver('SessionEnd', { reason: 'exit', timestamp });
+            } catch (err) {
+                error = err;
+            }
+            expect(error?.statusCode).toBe(400);
+        }
+    });
+
+    test('stores a lifecycle event delivered twice once, and the same event again later', () => {
+        deliver('SessionStart', { source: 'startup' });
+        deliver('SessionStart', { source: 'startup' });
+        expect(hookEntries()).toEqual(['SessionStart (startup)']);
+
+        deliver('UserPromptSubmit', { prompt: 'hello' });
+        deliver('SessionStart', { source: 'startup' });
+        expect(hookEntries()).toEqual(['SessionStart (startup)', 'hello', 'SessionStart (startup)']);
+    });
+
+    test('stores a prompt delivered twice once, and the same prompt again in a later turn', () => {
+        deliver('UserPromptSubmit', { prompt: 'continue' });
+        deliver('UserPromptSubmit', { prompt: 'continue' });
+        deliver('Stop');
+        deliver('UserPromptSubmit', { prompt: 'continue' });
+
+        expect(hookEntries()).toEqual(['continue', 'Stop', 'continue']);
+    });
+
+    test('skips a prompt only when the transcript has it for the current turn', () => {
+        const filePath = path.join(dir, `${crypto.randomUUID()}.jsonl`);
+        const first = { ...session.user('continue'), timestamp: new Date(Date.now() - 60000).toISOString() };
+        writeTranscript(filePath, [first]);
+
+        deliver('UserPromptSubmit', { prompt: 'continue', transcript_path: filePath });
+        conversationParser.processFile(filePath);
+        expect(hookEntries()).toEqual([]);
+
+        // The next turn asks the same before the transcript records it
+        deliver('Stop', { transcript_path: filePath });
+        deliver('UserPromptSubmit', { prompt: 'continue', transcript_path: filePath });
+        expect(hookEntries()).toEqual(['Stop', 'continue']);
+
+        // A prompt the transcript already wrote for the current turn is not stored again
+        deliver('Stop', { transcript_path: filePath });
+        const second = { ...session.user('and now?'), timestamp: new Date(Date.now() + 60000).toISOString() };
+        writeTranscript(filePath, [first, second]);
+        conversationParser.processFile(filePath);
+        deliver('UserPromptSubmit', { prompt: 'and now?', transcript_path: filePath });
+        expect(hookEntries()).toEqual(['Stop', 'continue', 'Stop']);
+    });
+});
+
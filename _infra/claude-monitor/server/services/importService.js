@@ -0,0 +1,522 @@
+import fs from 'fs';
+import path from 'path';
+import config from '../config.js';
+import db from '../db/index.js';
+import logger from './logService.js';
+import conversationParser from './conversationParserService.js';
+import artifactExtractor from './artifactExtractorService.js';
+import formats from './formatRegistryService.js';
+import archive from './archiveService.js';
+
+/**
+ * Import Service
+ *
+ * Bulk import of transcripts uploaded over the API. Uploaded files are
+ * written under the import directory, recorded as an import job, and
+ * processed in the background one file at a time: `processFile` followed
+ * by artifact extraction for every conversation the file produced. A zip
+ * archive is replaced by its members when the job reaches it, and each
+ * member is inflated only when its own turn comes, so the request and
+ * each tick of the worker stay short. Per-file status, counts and
+ * errors are kept in import_files. A stored file is deleted once it has
+ * been imported, so the redacted rows are the only copy that remains;
+ * reprocessing such conversations re-extracts from the stored entries.
+ *
+ * Configure with `conversationCapture.import` in config.json:
+ *   { "directory": "data/imports", "maxUploadBytes": 209715200,
+ *     "maxExpandedBytes": 1073741824, "maxArchiveEntries": 10000 }
+ * maxExpandedBytes caps what all archives of one upload inflate to;
+ * archives beyond it, or with more entries than maxArchiveEntries, fail
+ * before anything is inflated.
+ */
+
+const DEFAULT_IMPORT_DIR = path.resolve('data', 'imports');
+const DEFAULT_MAX_UPLOAD_BYTES = 200 * 1024 * 1024; // 200MB
+const DEFAULT_MAX_EXPANDED_BYTES = 1024 * 1024 * 1024; // 1GB
+const DEFAULT_MAX_ARCHIVE_ENTRIES = 10000;
+const IMPORT_PROJECT_ROOT = 'import';
+
+const queue = [];
+let processing = false;
+
+// The archive whose members are being imported, kept between ticks
+let openArchive = null;
+
+/**
+ * Get import settings with defaults
+ */
+function getSettings() {
+    const settings = config.conversationCapture?.import || {};
+    return {
+        directory: settings.directory ? path.resolve(settings.directory) : DEFAULT_IMPORT_DIR,
+        maxUploadBytes: settings.maxUploadBytes || DEFAULT_MAX_UPLOAD_BYTES,
+        maxExpandedBytes: settings.maxExpandedBytes || DEFAULT_MAX_EXPANDED_BYTES,
+        maxArchiveEntries: settings.maxArchiveEntries || DEFAULT_MAX_ARCHIVE_ENTRIES
+    };
+}
+
+/**
+ * Build an error carrying an HTTP status code
+ */
+function requestError(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+/**
+ * Resolve the target project: an existing id, or a project created by name
+ */
+function resolveProject(projectId, projectName) {
+    const database = db.getDb();
+
+    if (projectId) {
+        const project = database.prepare('SELECT id FROM projects WHERE id = ?').get(projectId);
+        if (!project) throw requestError('Project not found', 404);
+        return project.id;
+    }
+
+    if (projectName === undefined || projectName === null) return null;
+
+    const name = typeof projectName === 'string' ? projectName.trim() : '';
+    if (!name) throw requestError('project_name must be a non-blank name');
+
+    const projectPath = `${IMPORT_PROJECT_ROOT}://${name}`;
+    const existing = database.prepare('SELECT id FROM projects WHERE path = ?').get(projectPath);
+    if (existing) return existing.id;
+
+    const now = new Date().toISOString();
+    const result = database.prepare(`
+        INSERT INTO projects (path, name, root, has_claude_folder, first_seen_at, last_seen_at)
+        VALUES (?, ?, ?, 0, ?, ?)
+    `).run(projectPath, name, IMPORT_PROJECT_ROOT, now, now);
+
+    logger.info(`Created import project ${name}`);
+    return Number(result.lastInsertRowid);
+}
+
+/**
+ * Get projects that imports can target
+ */
+function listProjects() {
+    const database = db.getDb();
+    return database.prepare(`
+        SELECT id, name, path, root FROM projects ORDER BY name COLLATE NOCASE ASC
+    `).all();
+}
+
+/**
+ * Pick a file name inside a job directory that is not taken yet
+ */
+function uniqueName(directory, fileName, taken) {
+    const base = path.basename(fileName).replace(/[^\w.\-]+/g, '_') || 'upload';
+    const ext = path.extname(base);
+    const stem = base.slice(0, base.length - ext.length);
+
+    let candidate = base;
+    for (let n = 1; taken.has(candidate); n++) candidate = `${stem}-${n}${ext}`;
+    taken.add(candidate);
+
+    return path.join(directory, candidate);
+}
+
+/**
+ * Check whether an upload is a zip archive
+ */
+function isArchive(file) {
+    return /\.zip$/i.test(file.name) || archive.isZip(file.data);
+}
+
+/**
+ * Record one uploaded file of a job, writing its data when it can be
+ * imported. Archives are kept whole until the job expands them.
+ */
+function addFile(jobId, directory, taken, file) {
+    const database = db.getDb();
+    let storedPath = null;
+    let status = 'queued';
+    let format = null;
+    let error = null;
+
+    if (isArchive(file)) {
+        format = 'zip';
+    } else if (!formats.isSupportedFile(file.name)) {
+        status = 'skipped';
+        error = 'Unsupported file type';
+    }
+
+    if (status === 'queued') {
+        storedPath = uniqueName(directory, file.name, taken);
+        fs.writeFileSync(storedPath, file.data);
+    }
+
+    database.prepare(`
+        INSERT INTO import_files (job_id, file_name, stored_path, size_bytes, status, format, error, finished_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, CASE WHEN ? = 'queued' THEN NULL ELSE datetime('now') END)
+    `).run(jobId, file.name, storedPath, file.data.length, status, format, error, status);
+}
+
+/**
+ * Replace a stored zip archive by one file per member, listed from its
+ * central directory without inflating anything. An archive over the
+ * limits fails as a whole.
+ */
+function expandArchive(file) {
+    const database = db.getDb();
+    const settings = getSettings();
+
+    // What the archives of this job may inflate to, together; members over the entry limit are never inflated
+    const listed = database.prepare(`
+        SELECT COALESCE(SUM(size_bytes), 0) AS bytes FROM import_files
+        WHERE job_id = ? AND archive_entry IS NOT NULL AND size_bytes <= ?
+    `).get(file.job_id, settings.maxUploadBytes).bytes;
+
+    let entries;
+    try {
+        entries = archive.listZipEntries(fs.readFileSync(file.stored_path), {
+            maxEntrySize: settings.maxUploadBytes,
+            maxTotalSize: settings.maxExpandedBytes - listed,
+            maxEntries: settings.maxArchiveEntries
+        });
+    } catch (err) {
+        database.prepare(`
+            UPDATE import_files SET status = 'failed', error = ?, finished_at = datetime('now') WHERE id = ?
+        `).run(err.message, file.id);
+        return;
+    }
+
+    // Skip macOS resource forks and hidden files
+    const members = entries.filter(entry =>
+        !entry.name.startsWith('__MACOSX/') && !path.basename(entry.name).startsWith('.'));
+
+    const insert = database.prepare(`
+        INSERT INTO import_files (
+            job_id, file_name, archive_path, archive_entry, size_bytes, status, error, finished_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, CASE WHEN ? = 'queued' THEN NULL ELSE datetime('now') END)
+    `);
+
+    database.transaction(() => {
+        for (const entry of members) {
+            const supported = formats.isSupportedFile(entry.name);
+            const status = entry.error ? 'failed' : (supported ? 'queued' : 'skipped');
+            const error = entry.error || (supported ? null : 'Unsupported file type');
+
+            insert.run(file.job_id, `${file.file_name}/${entry.name}`, file.stored_path, entry.name,
+                entry.size, status, error, status);
+        }
+
+        database.prepare('DELETE FROM import_files WHERE id = ?').run(file.id);
+        database.prepare(`
+            UPDATE import_jobs SET file_count = file_count - 1 + ? WHERE id = ?
+        `).run(members.length, file.job_id);
+    })();
+}
+
+/**
+ * Inflate an archive member into its own file next to the archive.
+ * Returns the path written.
+ */
+function extractMember(file) {
+    if (openArchive?.path !== file.archive_path) {
+        const buffer = fs.readFileSync(file.archive_path);
+        const entries = new Map(archive.listZipEntries(buffer).map(entry => [entry.name, entry]));
+        openArchive = { path: file.archive_path, buffer, entries };
+    }
+
+    const entry = openArchive.entries.get(file.archive_entry);
+    if (!entry) throw new Error('Archive member not found');
+
+    const base = path.basename(file.archive_entry).replace(/[^\w.\-]+/g, '_') || 'member';
+    const storedPath = path.join(path.dirname(file.archive_path), `${file.id}-${base}`);
+    fs.writeFileSync(storedPath, archive.readZipEntry(openArchive.buffer, entry));
+
+    db.getDb().prepare('UPDATE import_files SET stored_path = ? WHERE id = ?').run(storedPath, file.id);
+    return storedPath;
+}
+
+/**
+ * Create an import job from uploaded files `[{ name, data }]` and queue it.
+ * Returns the job with its files.
+ */
+function createImport(uploads, options = {}) {
+    if (!uploads.length) throw requestError('No files uploaded');
+
+    const database = db.getDb();
+    const projectId = resolveProject(options.projectId, options.projectName);
+
+    const job = database.prepare(`
+        INSERT INTO import_jobs (project_id, file_count) VALUES (?, ?)
+    `).run(projectId, uploads.length);
+    const jobId = Number(job.lastInsertRowid);
+
+    const directory = path.join(getSettings().directory, `job-${jobId}`);
+    fs.mkdirSync(directory, { recursive: true });
+
+    const taken = new Set();
+    for (const upload of uploads) addFile(jobId, directory, taken, upload);
+    refreshJobCounts(jobId);
+
+    logger.info(`Queued import job ${jobId}: ${uploads.length} files`);
+    enqueue(jobId);
+
+    return getImport(jobId);
+}
+
+/**
+ * Recount file outcomes onto the job row
+ */
+function refreshJobCounts(jobId) {
+    const database = db.getDb();
+    database.prepare(`
+        UPDATE import_jobs SET
+            files_imported = (SELECT COUNT(*) FROM import_files WHERE job_id = ? AND status = 'imported'),
+            files_skipped = (SELECT COUNT(*) FROM import_files WHERE job_id = ? AND status = 'skipped'),
+            files_failed = (SELECT COUNT(*) FROM import_files WHERE job_id = ? AND status = 'failed')
+        WHERE id = ?
+    `).run(jobId, jobId, jobId, jobId);
+}
+
+/**
+ * Parse one stored file, inflating it first if it is an archive member,
+ * and extract artifacts for its conversations
+ */
+function importFile(file, projectId) {
+    const database = db.getDb();
+    database.prepare(`UPDATE import_files SET status = 'processing' WHERE id = ?`).run(file.id);
+
+    let storedPath = file.stored_path;
+    let update;
+    try {
+        storedPath = storedPath || extractMember(file);
+        const result = conversationParser.processFile(storedPath, projectId);
+
+        if (!result.success) {
+            update = {
+                status: result.error === 'Unknown format' ? 'skipped' : 'failed',
+                format: result.format || null,
+                error: result.error
+            };
+        } else {
+            // A session already known from elsewhere keeps its row, so include the parsed id
+            const conversations = new Set(database.prepare(`
+                SELECT id FROM conversations WHERE source_file_path = ?
+            `).all(storedPath).map(row => row.id));
+            if (result.conversationId) conversations.add(result.conversationId);
+
+            let artifacts = 0;
+            for (const conversationId of conversations) {
+                const extracted = artifactExtractor.processConversationEntries(conversationId);
+                artifacts += (extracted.codeBlocks || 0) + (extracted.toolCalls || 0) +
+                    (extracted.toolResults || 0) + (extracted.jsonObjects || 0);
+            }
+
+            update = {
+                status: 'imported',
+                format: result.format,
+                conversationIds: [...conversations],
+                newEntries: result.newEntries || 0,
+                artifacts
+            };
+        }
+    } catch (err) {
+        logger.error('Import file failed', { file: file.file_name, error: err.message });
+        update = { status: 'failed', error: err.message };
+    }
+
+    database.prepare(`
+        UPDATE import_files SET
+            status = ?, format = ?, conversation_ids = ?, new_entries = ?,
+            artifacts_extracted = ?, error = ?, finished_at = datetime('now')
+        WHERE id = ?
+    `).run(
+        update.status,
+        update.format || null,
+        update.conversationIds ? JSON.stringify(update.conversationIds) : null,
+        update.newEntries || 0,
+        update.artifacts || 0,
+        update.error || null,
+        file.id
+    );
+
+    if (storedPath) fs.rmSync(storedPath, { force: true });
+}
+
+/**
+ * Delete what is left of a job's uploaded files
+ */
+function removeJobFiles(jobId) {
+    openArchive = null;
+    fs.rmSync(path.join(getSettings().directory, `job-${jobId}`), { recursive: true, force: true });
+}
+
+/**
+ * Import the next queued file of a job, or complete the job and take it
+ * off the queue when none are left
+ */
+function processJob(jobId) {
+    const database = db.getDb();
+
+    const job = database.prepare('SELECT * FROM import_jobs WHERE id = ?').get(jobId);
+    const file = job && database.prepare(`
+        SELECT * FROM import_files WHERE job_id = ? AND status IN ('queued', 'processing')
+        ORDER BY id ASC LIMIT 1
+    `).get(jobId);
+
+    if (!file) {
+        queue.shift();
+        if (job) {
+            removeJobFiles(jobId);
+            refreshJobCounts(jobId);
+            database.prepare(`
+                UPDATE import_jobs SET status = 'completed', finished_at = datetime('now') WHERE id = ?
+            `).run(jobId);
+            logger.info(`Import job ${jobId} completed`);
+        }
+        return;
+    }
+
+    if (job.status === 'queued') {
+        database.prepare(`
+            UPDATE import_jobs SET status = 'running', started_at = datetime('now') WHERE id = ?
+        `).run(jobId);
+    }
+    if (file.format === 'zip' && !file.archive_entry) {
+        expandArchive(file);
+    } else {
+        importFile(file, job.project_id);
+    }
+    refreshJobCounts(jobId);
+}
+
+/**
+ * Mark a job and its unfinished files failed after an unexpected error
+ */
+function failJob(jobId, err) {
+    const database = db.getDb();
+
+    try {
+        database.prepare(`
+            UPDATE import_files SET status = 'failed', error = ?, finished_at = datetime('now')
+            WHERE job_id = ? AND status IN ('queued', 'processing')
+        `).run(err.message, jobId);
+        refreshJobCounts(jobId);
+        removeJobFiles(jobId);
+        database.prepare(`
+            UPDATE import_jobs SET status = 'failed', finished_at = datetime('now') WHERE id = ?
+        `).run(jobId);
+    } catch (updateErr) {
+        logger.error('Could not mark import job failed', { jobId, error: updateErr.message });
+    }
+}
+
+/**
+ * Process the next queued file of the job at the head of the queue.
+ * Files are handled one per tick so the server stays responsive. A job
+ * that fails outside a file's own import is marked failed and dropped,
+ * and the queue moves on.
+ */
+function processNext() {
+    const jobId = queue[0];
+
+    if (jobId === undefined) {
+        processing = false;
+        return;
+    }
+
+    try {
+        processJob(jobId);
+    } catch (err) {
+        logger.error('Import job failed', { jobId, error: err.message });
+        if (queue[0] === jobId) queue.shift();
+        failJob(jobId, err);
+    }
+
+    setImmediate(processNext);
+}
+
+/**
+ * Add a job to the queue and start the worker if idle
+ */
+function enqueue(jobId) {
+    if (!queue.includes(jobId)) queue.push(jobId);
+    if (!processing) {
+        processing = true;
+        setImmediate(processNext);
+    }
+}
+
+/**
+ * Re-queue jobs left unfinished by a restart
+ */
+function resumePendingImports() {
+    const database = db.getDb();
+    const jobs = database.prepare(`
+        SELECT id FROM import_jobs WHERE status IN ('queued', 'running') ORDER BY id ASC
+    `).all();
+
+    for (const job of jobs) enqueue(job.id);
+    return jobs.length;
+}
+
+/**
+ * Get an import job with its per-file results
+ */
+function getImport(jobId) {
+    const database = db.getDb();
+
+    const job = database.prepare(`
+        SELECT j.*, p.name AS project_name
+        FROM import_jobs j
+        LEFT JOIN projects p ON p.id = j.project_id
+        WHERE j.id = ?
+    `).get(jobId);
+    if (!job) return null;
+
+    const files = database.prepare(`
+        SELECT id, file_name, size_bytes, status, format, conversation_ids,
+               new_entries, artifacts_extracted, error, finished_at
+        FROM import_files WHERE job_id = ? ORDER BY id ASC
+    `).all(jobId);
+
+    return {
+        ...job,
+        files: files.map(file => ({
+            ...file,
+            conversation_ids: file.conversation_ids ? JSON.parse(file.conversation_ids) : []
+        }))
+    };
+}
+
+/**
+ * List import jobs, newest first
+ */
+function listImports(options = {}) {
+    const database = db.getDb();
+    const { limit = 50, offset = 0 } = options;
+
+    return database.prepare(`
+        SELECT j.*, p.name AS project_name
+        FROM import_jobs j
+        LEFT JOIN projects p ON p.id = j.project_id
+        ORDER BY j.id DESC
+        LIMIT ? OFFSET ?
+    `).all(limit, offset);
+}
+
+export {
+    getSettings,
+    listProjects,
+    createImport,
+    resumePendingImports,
+    getImport,
+    listImports
+};
+
+export default {
+    getSettings,
+    listProjects,
+    createImport,
+    resumePendingImports,
+    getImport,
+    listImports
+};
@@ -0,0 +1,123 @@
+import { describe, test, expect, beforeEach } from 'bun:test';
+import fs from 'fs';
+import path from 'path';
+import { setupTestEnv, transcript, buildZip } from '../test/helpers.js';
+
+const { config, db, dir } = setupTestEnv();
+const { default: imports } = await import('./importService.js');
+
+/**
+ * Wait for a job to leave the queued and running states
+ */
+async function finished(jobId) {
+    for (let tick = 0; tick < 1000; tick++) {
+        const job = imports.getImport(jobId);
+        if (!['queued', 'running'].includes(job.status)) return job;
+        await new Promise(resolve => setImmediate(resolve));
+    }
+    throw new Error(`Job ${jobId} did not finish`);
+}
+
+const jsonl = (lines) => lines.map(line => JSON.stringify(line) + '\n').join('');
+const statuses = (job) => job.files.map(file => [file.file_name, file.status]);
+
+describe('import jobs', () => {
+    beforeEach(() => {
+        db.init();
+        config.conversationCapture.import = { directory: path.join(dir, 'imports') };
+    });
+
+    test('import uploaded transcripts and delete the uploads afterwards', async () => {
+        const session = transcript('imported-session');
+        const secret = 'ghp_' + 'a1B2c3D4e5F6g7H8i9J0'.repeat(2);
+        const created = imports.createImport([
+            { name: 'session.jsonl', data: Buffer.from(jsonl([session.user(`my token is ${secret}`), session.assistant('Noted.')])) },
+            { name: 'notes.bin', data: Buffer.from('not a transcript') }
+        ]);
+
+        const jobDirectory = path.join(dir, 'imports', `job-${created.id}`);
+        expect(fs.readdirSync(jobDirectory)).toEqual(['session.jsonl']);
+
+        const job = await finished(created.id);
+        expect(job.status).toBe('completed');
+        expect(statuses(job)).toEqual([
+            ['session.jsonl', 'imported'],
+            ['notes.bin', 'skipped']
+        ]);
+        expect(job.files[0].new_entries).toBe(2);
+        expect(fs.existsSync(jobDirectory)).toBe(false);
+
+        const stored = db.getDb().prepare('SELECT content FROM conversation_entries ORDER BY entry_index').all();
+        expect(stored[0].content).not.toContain(secret);
+    });
+
+    test('keep archives whole until the job replaces them by their members', async () => {
+        const first = transcript('first-session');
+        const second = transcript('second-session');
+        const created = imports.createImport([{
+            name: 'export.zip',
+            data: buildZip({
+                'a/first.jsonl': jsonl([first.user('one'), first.assistant('two')]),
+                'b/second.jsonl': jsonl([second.user('three')]),
+                'readme.md.bak': 'notes',
+                '__MACOSX/a/._first.jsonl': 'resource fork'
+            })
+        }]);
+
+        // Nothing is inflated while the request is handled
+        expect(statuses(created)).toEqual([['export.zip', 'queued']]);
+        expect(created.files[0].format).toBe('zip');
+
+        const job = await finished(created.id);
+        expect(job.status).toBe('completed');
+        expect(job.file_count).toBe(3);
+        expect(statuses(job)).toEqual([
+            ['export.zip/a/first.jsonl', 'imported'],
+            ['export.zip/b/second.jsonl', 'imported'],
+            ['export.zip/readme.md.bak', 'skipped']
+        ]);
+        expect(job.files.map(file => file.new_entries)).toEqual([2, 1, 0]);
+        expect(job.files_imported).toBe(2);
+        expect(fs.existsSync(path.join(dir, 'imports', `job-${created.id}`))).toBe(false);
+    });
+
+    test('fail archives over the limits without inflating them', async () => {
+        config.conversationCapture.import.maxExpandedBytes = 1000;
+        config.conversationCapture.import.maxArchiveEntries = 2;
+
+        const small = jsonl([transcript('small').user('hi')]);
+        const created = imports.createImport([
+            { name: 'bomb.zip', data: buildZip({ 'huge.jsonl': '{}' }, { 'huge.jsonl': 100 * 1024 * 1024 }) },
+            { name: 'many.zip', data: buildZip({ '1.jsonl': '{}', '2.jsonl': '{}', '3.jsonl': '{}' }) },
+            { name: 'small.zip', data: buildZip({ 'ok.jsonl': small }) },
+            { name: 'over.zip', data: buildZip({ 'big.jsonl': 'x'.repeat(990) }) }
+        ]);
+
+        const job = await finished(created.id);
+        expect(job.files.map(file => [file.file_name, file.status, file.error])).toEqual([
+            ['bomb.zip', 'failed', 'Archive expands to 104857600 bytes, more than the limit of 1000'],
+            ['many.zip', 'failed', 'Archive has 3 entries, more than the limit of 2'],
+            // Together with small.zip, over.zip would inflate past the limit
+            ['over.zip', 'failed', `Archive expands to 990 bytes, more than the limit of ${1000 - small.length}`],
+            ['small.zip/ok.jsonl', 'imported', null]
+        ]);
+    });
+
+    test('reject a blank project name', () => {
+        for (const projectName of ['', '   ', ['a', 'b']]) {
+            expect(() => imports.createImport([{ name: 'a.jsonl', data: Buffer.from('{}') }], { projectName }))
+                .toThrow('project_name must be a non-blank name');
+        }
+        expect(db.getDb().prepare('SELECT COUNT(*) AS count FROM import_jobs').get().count).toBe(0);
+    });
+
+    test('create a project by its trimmed name once', async () => {
+        const upload = () => imports.createImport([{ name: 'a.jsonl', data: Buffer.from('') }], { projectName: '  Client work ' });
+        const first = upload();
+        const second = upload();
+
+        expect(first.project_name).toBe('Client work');
+        expect(second.project_id).toBe(first.project_id);
+        await finished(second.id);
+    });
+});
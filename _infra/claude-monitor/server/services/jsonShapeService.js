@@ -0,0 +1,282 @@
+import crypto from 'crypto';
+import db from '../db/index.js';
+
+/**
+ * JSON Shape Service
+ *
+ * Finds JSON objects embedded in assistant text and tool outputs, and
+ * groups stored `json_object` artifacts by shape.
+ *
+ * The scanner tracks balanced braces and brackets, skipping over string
+ * literals and their escapes, so nested objects and arrays are found whole
+ * rather than cut at the first closing brace. Each balanced span is
+ * checked with JSON.parse; when an outer span is not valid JSON (prose in
+ * braces, JavaScript object literals) the valid spans nested inside it are
+ * used instead.
+ *
+ * A shape is the sorted list of key paths in a value (`items[].name`,
+ * `meta.total`); its fingerprint is a hash of that list, so objects with
+ * the same keys but different values share a fingerprint.
+ */
+
+// Longer texts are not scanned; huge dumps are better left to the blob store
+const MAX_SCAN_LENGTH = 1024 * 1024;
+const MAX_KEY_PATHS = 200;
+const MAX_DEPTH = 20;
+// Unbalanced candidates rescanned per text before the scanner stops retrying
+const MAX_RESTARTS = 100;
+
+/**
+ * Check whether a parsed value is worth keeping: an object with keys, or
+ * a non-empty array of objects
+ */
+function isJsonObject(value) {
+    if (Array.isArray(value)) {
+        return value.length > 0 && value.every(item => item && typeof item === 'object' && !Array.isArray(item));
+    }
+    return Boolean(value) && typeof value === 'object' && Object.keys(value).length > 0;
+}
+
+/**
+ * Parse balanced spans, outermost first, keeping the valid JSON objects
+ * that are not inside one already kept
+ */
+function parseSpans(text, spans, found) {
+    spans.sort((a, b) => a.start - b.start || b.end - a.end);
+
+    let keptEnd = -1;
+    for (const span of spans) {
+        if (span.start < keptEnd) continue;
+        try {
+            const parsed = JSON.parse(text.slice(span.start, span.end));
+            if (!isJsonObject(parsed)) continue;
+            found.push({ content: text.slice(span.start, span.end), parsed, startIndex: span.start });
+            keptEnd = span.end;
+        } catch (e) {
+            // Not JSON; nested spans are tried next
+        }
+    }
+}
+
+/**
+ * Find JSON objects (and arrays of objects) in text.
+ * Returns `[{ content, parsed, startIndex }]` in order of appearance.
+ */
+function scanJson(text) {
+    if (!text || text.length > MAX_SCAN_LENGTH) return [];
+
+    const found = [];
+    let stack = [];   // open brackets of the current candidate: { char, index }
+    let spans = [];   // balanced spans closed within the current candidate
+    let inString = false;
+    let restarts = 0;
+
+    const flush = () => {
+        if (spans.length) parseSpans(text, spans, found);
+        stack = [];
+        spans = [];
+        inString = false;
+    };
+
+    // An unbalanced candidate (a stray brace in prose) is dropped and the
+    // text after its first bracket scanned again, so JSON that follows is
+    // still found. Returns the index to continue from.
+    const abandon = (i) => {
+        if (restarts >= MAX_RESTARTS) {
+            flush();
+            return i;
+        }
+        restarts++;
+        const resume = stack[0].index;
+        stack = [];
+        spans = [];
+        inString = false;
+        return resume;
+    };
+
+    for (let i = 0; ; i++) {
+        if (i >= text.length) {
+            if (!stack.length) break;
+            i = abandon(i);
+            continue;
+        }
+
+        const char = text[i];
+
+        if (inString) {
+            if (char === '\\') {
+                i++;
+            } else if (char === '"') {
+                inString = false;
+            } else if (char === '\n') {
+                // JSON strings cannot span lines, so this was not JSON
+                i = abandon(i);
+            }
+            continue;
+        }
+
+        if (char === '{' || char === '[') {
+            stack.push({ char, index: i });
+            continue;
+        }
+
+        // Quotes only open strings inside a candidate; prose quotes are ignored
+        if (!stack.length) continue;
+
+        if (char === '"') {
+            inString = true;
+        } else if (char === '}' || char === ']') {
+            const open = stack[stack.length - 1];
+            if ((open.char === '{') !== (char === '}')) {
+                i = abandon(i);
+                continue;
+            }
+            stack.pop();
+            spans.push({ start: open.index, end: i + 1 });
+            if (!stack.length) flush();
+        }
+    }
+    flush();
+
+    return found.sort((a, b) => a.startIndex - b.startIndex);
+}
+
+/**
+ * Collect the key paths of a value into a set
+ */
+function collectKeyPaths(value, prefix, paths, depth) {
+    if (paths.size >= MAX_KEY_PATHS || depth > MAX_DEPTH) return;
+
+    if (Array.isArray(value)) {
+        for (const item of value) collectKeyPaths(item, `${prefix}[]`, paths, depth + 1);
+        return;
+    }
+
+    if (value && typeof value === 'object') {
+        for (const [key, item] of Object.entries(value)) {
+            const path = prefix ? `${prefix}.${key}` : key;
+            paths.add(path);
+            collectKeyPaths(item, path, paths, depth + 1);
+        }
+    }
+}
+
+/**
+ * Get the schema fingerprint of a parsed value: a hash of its sorted key paths
+ */
+function fingerprintOf(value) {
+    const paths = new Set();
+    collectKeyPaths(value, '', paths, 0);
+
+    const keyPaths = [...paths].sort();
+    const fingerprint = crypto.createHash('sha256').update(keyPaths.join('\n')).digest('hex').slice(0, 16);
+
+    return { fingerprint, keyPaths };
+}
+
+/**
+ * Build the shared filter for json_object artifacts
+ */
+function shapeFilter(options) {
+    const { projectId, conversationId, toolName, keyPath } = options;
+
+    let sql = `
+        FROM artifacts a
+        JOIN conversations c ON c.id = a.conversation_id
+        WHERE a.artifact_type = 'json_object' AND a.schema_fingerprint IS NOT NULL
+    `;
+    const params = [];
+
+    if (projectId) {
+        sql += ' AND c.project_id = ?';
+        params.push(projectId);
+    }
+
+    if (conversationId) {
+        sql += ' AND a.conversation_id = ?';
+        params.push(conversationId);
+    }
+
+    if (toolName) {
+        sql += ' AND a.tool_name = ?';
+        params.push(toolName);
+    }
+
+    if (keyPath) {
+        sql += ` AND a.metadata LIKE ? ESCAPE '\\'`;
+        params.push(`%${keyPath.replace(/[\\%_]/g, '\\$&')}%`);
+    }
+
+    return { sql, params };
+}
+
+/**
+ * List JSON shapes, most common first, with their key paths and counts.
+ * Options: projectId, conversationId, toolName, keyPath, limit, offset.
+ */
+function getJsonShapes(options = {}) {
+    const database = db.getDb();
+    const { limit = 50, offset = 0 } = options;
+    const filter = shapeFilter(options);
+
+    const shapes = database.prepare(`
+        SELECT
+            a.schema_fingerprint AS fingerprint,
+            COUNT(*) AS count,
+            COUNT(DISTINCT a.conversation_id) AS conversation_count,
+            GROUP_CONCAT(DISTINCT a.tool_name) AS tools,
+            MIN(a.id) AS sample_artifact_id,
+            MIN(a.created_at) AS first_seen_at,
+            MAX(a.created_at) AS last_seen_at
+        ${filter.sql}
+        GROUP BY a.schema_fingerprint
+        ORDER BY count DESC, last_seen_at DESC
+        LIMIT ? OFFSET ?
+    `).all(...filter.params, limit, offset);
+
+    const sample = database.prepare('SELECT metadata FROM artifacts WHERE id = ?');
+
+    return shapes.map(shape => {
+        const metadata = JSON.parse(sample.get(shape.sample_artifact_id).metadata || '{}');
+        return {
+            ...shape,
+            tools: shape.tools ? shape.tools.split(',') : [],
+            key_paths: metadata.keyPaths || []
+        };
+    });
+}
+
+/**
+ * Get the json_object artifacts that share a fingerprint, newest first.
+ * Options: projectId, conversationId, toolName, limit, offset.
+ */
+function getShapeArtifacts(fingerprint, options = {}) {
+    const database = db.getDb();
+    const { limit = 50, offset = 0 } = options;
+    const filter = shapeFilter(options);
+
+    return database.prepare(`
+        SELECT a.id, a.conversation_id, c.conversation_id AS session_id, a.entry_id,
+               a.tool_name, a.content, a.metadata, a.created_at
+        ${filter.sql} AND a.schema_fingerprint = ?
+        ORDER BY a.id DESC
+        LIMIT ? OFFSET ?
+    `).all(...filter.params, fingerprint, limit, offset).map(artifact => ({
+        ...artifact,
+        metadata: artifact.metadata ? JSON.parse(artifact.metadata) : null
+    }));
+}
+
+export {
+    scanJson,
+    fingerprintOf,
+    getJsonShapes,
+    getShapeArtifacts
+};
+
+export default {
+    scanJson,
+    fingerprintOf,
+    getJsonShapes,
+    getShapeArtifacts
+};
@@ -0,0 +1,129 @@
+import { describe, test, expect, beforeEach } from 'bun:test';
+import path from 'path';
+import { setupTestEnv, transcript, writeTranscript } from '../test/helpers.js';
+
+const { db, dir } = setupTestEnv();
+const { default: jsonShapes } = await import('./jsonShapeService.js');
+const { default: conversationParser } = await import('./conversationParserService.js');
+const { default: artifactExtractor } = await import('./artifactExtractorService.js');
+
+const contents = (text) => jsonShapes.scanJson(text).map(object => object.content);
+
+describe('scanJson', () => {
+    test('finds nested objects and arrays whole', () => {
+        const json = '{"user":{"name":"Ada","roles":["admin"]},"items":[{"id":1},{"id":2}]}';
+        const [object] = jsonShapes.scanJson(`Response: ${json} done`);
+
+        expect(object.content).toBe(json);
+        expect(object.parsed.items[1].id).toBe(2);
+        expect(object.startIndex).toBe(10);
+    });
+
+    test('skips braces and escaped quotes inside strings', () => {
+        const json = '{"template":"a } b { \\"c\\" ]","ok":true}';
+        expect(contents(json)).toEqual([json]);
+    });
+
+    test('keeps arrays of objects and ignores empty or scalar values', () => {
+        expect(contents('[{"a":1},{"a":2}] and [1, 2] and {} and []')).toEqual(['[{"a":1},{"a":2}]']);
+    });
+
+    test('finds JSON after a stray brace in prose', () => {
+        expect(contents('use {name} as a placeholder, e.g. {"name":"x"}')).toEqual(['{"name":"x"}']);
+        expect(contents('a ) ] } then {"b":[1]}')).toEqual(['{"b":[1]}']);
+    });
+
+    test('uses the valid objects nested in an invalid span', () => {
+        expect(contents('const config = { server: {"port":3000}, debug: {"level":"info"} };')).toEqual([
+            '{"port":3000}',
+            '{"level":"info"}'
+        ]);
+    });
+
+    test('does not let a string span lines', () => {
+        expect(contents('{"broken": "open\n{"fine":1}')).toEqual(['{"fine":1}']);
+    });
+});
+
+describe('fingerprintOf', () => {
+    test('depends on key paths, not values or key order', () => {
+        const first = jsonShapes.fingerprintOf({ id: 1, meta: { total: 2 } });
+        const second = jsonShapes.fingerprintOf({ meta: { total: 9 }, id: 'x' });
+
+        expect(second.fingerprint).toBe(first.fingerprint);
+        expect(first.keyPaths).toEqual(['id', 'meta', 'meta.total']);
+        expect(jsonShapes.fingerprintOf({ id: 1 }).fingerprint).not.toBe(first.fingerprint);
+    });
+
+    test('marks array items in key paths', () => {
+        expect(jsonShapes.fingerprintOf({ items: [{ name: 'a' }, { size: 1 }] }).keyPaths).toEqual([
+            'items',
+            'items[].name',
+            'items[].size'
+        ]);
+    });
+});
+
+describe('json_object artifacts', () => {
+    let conversationId;
+
+    beforeEach(() => {
+        db.init();
+
+        const session = transcript();
+        const filePath = path.join(dir, `${crypto.randomUUID()}.jsonl`);
+        writeTranscript(filePath, [
+            session.user('check the API'),
+            session.assistant('It returns {"status":"ok","data":{"count":2}} for now.'),
+            session.toolUse('toolu_1', 'Bash', { command: 'curl /health' }),
+            session.toolResult('toolu_1', '{"status":"down","data":{"count":0}}'),
+            session.toolUse('toolu_2', 'Bash', { command: 'curl /users' }),
+            session.toolResult('toolu_2', '[{"id":1,"name":"Ada"}]'),
+            session.assistant('Same as before: {"status":"ok","data":{"count":2}}')
+        ]);
+
+        ({ conversationId } = conversationParser.processFile(filePath));
+        artifactExtractor.processConversationEntries(conversationId);
+    });
+
+    const stored = () => db.getDb().prepare(`
+        SELECT tool_name, content, schema_fingerprint, json_extract(metadata, '$.origin') AS origin
+        FROM artifacts WHERE artifact_type = 'json_object' ORDER BY id
+    `).all();
+
+    test('stores JSON from assistant text and tool outputs once each', () => {
+        const objects = stored();
+
+        expect(objects.map(object => [object.origin, object.tool_name, object.content])).toEqual([
+            ['tool_output', 'Bash', '{"status":"down","data":{"count":0}}'],
+            ['tool_output', 'Bash', '[{"id":1,"name":"Ada"}]'],
+            ['assistant_text', null, '{"status":"ok","data":{"count":2}}']
+        ]);
+        expect(objects[2].schema_fingerprint).toBe(objects[0].schema_fingerprint);
+        expect(artifactExtractor.getArtifactStats(conversationId).json_objects).toBe(3);
+    });
+
+    test('groups stored objects by shape', () => {
+        const shapes = jsonShapes.getJsonShapes();
+
+        expect(shapes.map(shape => [shape.count, shape.key_paths])).toEqual([
+            [2, ['data', 'data.count', 'status']],
+            [1, ['[].id', '[].name']]
+        ]);
+        expect(shapes[0].tools).toEqual(['Bash']);
+        expect(jsonShapes.getJsonShapes({ keyPath: 'name' })).toHaveLength(1);
+        expect(jsonShapes.getJsonShapes({ toolName: 'Read' })).toHaveLength(0);
+    });
+
+    test('lists the objects of one shape, newest first', () => {
+        const [shape] = jsonShapes.getJsonShapes();
+        const artifacts = jsonShapes.getShapeArtifacts(shape.fingerprint);
+
+        expect(artifacts.map(artifact => artifact.content)).toEqual([
+            '{"status":"ok","data":{"count":2}}',
+            '{"status":"down","data":{"count":0}}'
+        ]);
+        expect(artifacts[0].session_id).toBe('session-1');
+        expect(artifacts[1].metadata.toolUseId).toBe('toolu_1');
+    });
+});
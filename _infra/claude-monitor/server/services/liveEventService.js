@@ -0,0 +1,104 @@
+import { EventEmitter } from 'events';
+import redaction from './redactionService.js';
+
+/**
+ * Live Event Service
+ *
+ * In-process publish/subscribe for ingestion activity, feeding the
+ * Server-Sent Event streams. Parsers publish as they store entries:
+ *
+ *   entry         - a new conversation entry
+ *   tool_call     - a tool_use block in a new entry
+ *   tool_error    - a tool_result block flagged as an error
+ *   conversation  - a conversation received new entries (activity summary)
+ *
+ * Every event carries `type`, `conversationId` and `at`; entry-derived
+ * events also carry `entryId` so clients can resume after a reconnect.
+ * Entry text is redacted the same way as stored text before it is sent.
+ */
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const EVENT_TYPES = ['entry', 'tool_call', 'tool_error', 'conversation'];
+
+/**
+ * Publish an event to all matching subscribers
+ */
+function publish(type, conversationId, data = {}) {
+    emitter.emit('event', {
+        type,
+        conversationId,
+        at: new Date().toISOString(),
+        ...data
+    });
+}
+
+/**
+ * Publish the live events for a newly stored entry and its blocks
+ */
+function publishEntry(conversationId, entry, blocks = []) {
+    if (!emitter.listenerCount('event')) return;
+
+    publish('entry', conversationId, {
+        entryId: entry.id,
+        entry: { ...entry, content: redaction.redactText(entry.content) }
+    });
+
+    for (const block of blocks) {
+        if (block.kind === 'tool_use') {
+            publish('tool_call', conversationId, {
+                entryId: entry.id,
+                toolName: block.toolName || null,
+                toolUseId: block.toolUseId || null,
+                input: redaction.redactText(block.text) ?? null
+            });
+        } else if (block.kind === 'tool_result' && block.metadata?.isError) {
+            publish('tool_error', conversationId, {
+                entryId: entry.id,
+                toolUseId: block.toolUseId || null,
+                message: redaction.redactText(block.text) ?? null
+            });
+        }
+    }
+}
+
+/**
+ * Subscribe to events, optionally for one conversation and a set of types.
+ * Returns a function that removes the subscription.
+ */
+function subscribe(listener, options = {}) {
+    const { conversationId, types } = options;
+
+    const handler = (event) => {
+        if (conversationId && event.conversationId !== conversationId) return;
+        if (types?.length && !types.includes(event.type)) return;
+        listener(event);
+    };
+
+    emitter.on('event', handler);
+    return () => emitter.off('event', handler);
+}
+
+/**
+ * Number of active subscribers
+ */
+function getSubscriberCount() {
+    return emitter.listenerCount('event');
+}
+
+export {
+    EVENT_TYPES,
+    publish,
+    publishEntry,
+    subscribe,
+    getSubscriberCount
+};
+
+export default {
+    EVENT_TYPES,
+    publish,
+    publishEntry,
+    subscribe,
+    getSubscriberCount
+};
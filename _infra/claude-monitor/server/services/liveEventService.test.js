@@ -0,0 +1,107 @@
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs';
+import path from 'path';
+import { setupTestEnv, transcript, writeTranscript } from '../test/helpers.js';
+
+const { config, db, dir } = setupTestEnv();
+const { default: live } = await import('./liveEventService.js');
+const { default: conversationParser } = await import('./conversationParserService.js');
+const { default: watcher } = await import('./conversationWatchService.js');
+
+describe('live events', () => {
+    let events;
+    let unsubscribe;
+
+    beforeEach(() => {
+        db.init();
+        events = [];
+    });
+
+    afterEach(() => unsubscribe?.());
+
+    /**
+     * Parse a session with a failing tool call while subscribed
+     */
+    function ingestSession(options) {
+        unsubscribe = live.subscribe(event => events.push(event), options);
+
+        const session = transcript();
+        const filePath = path.join(dir, `${crypto.randomUUID()}.jsonl`);
+        writeTranscript(filePath, [
+            session.user('deploy with token ghp_' + 'a1B2c3D4e5F6g7H8i9J0'.repeat(2)),
+            session.toolUse('toolu_1', 'Bash', { command: 'npm run deploy' }),
+            session.toolResult('toolu_1', 'Error: deploy failed', true)
+        ]);
+        return conversationParser.processFile(filePath).conversationId;
+    }
+
+    test('publishes entries, tool calls and tool errors as they are stored', () => {
+        const conversationId = ingestSession();
+
+        expect(events.map(event => event.type)).toEqual(['entry', 'entry', 'tool_call', 'entry', 'tool_error', 'conversation']);
+        expect(events.every(event => event.conversationId === conversationId)).toBe(true);
+        expect(events[2]).toMatchObject({ toolName: 'Bash', toolUseId: 'toolu_1', entryId: events[1].entryId });
+        expect(events[4]).toMatchObject({ toolUseId: 'toolu_1', message: 'Error: deploy failed' });
+        expect(events[5]).toMatchObject({ newEntries: 3 });
+    });
+
+    test('redacts entry text before it is sent', () => {
+        ingestSession();
+
+        expect(events[0].entry.content).toContain('[REDACTED:');
+        expect(events[0].entry.content).not.toContain('ghp_');
+    });
+
+    test('filters by conversation and event type', () => {
+        ingestSession({ types: ['tool_error'] });
+        expect(events.map(event => event.type)).toEqual(['tool_error']);
+
+        unsubscribe();
+        events = [];
+        ingestSession({ conversationId: -1 });
+        expect(events).toEqual([]);
+    });
+
+    test('stops delivering once unsubscribed', () => {
+        unsubscribe = live.subscribe(event => events.push(event));
+        unsubscribe();
+        live.publish('conversation', 1);
+
+        expect(events).toEqual([]);
+        expect(live.getSubscriberCount()).toBe(0);
+    });
+});
+
+describe('conversation watcher', () => {
+    let watchDir;
+
+    beforeEach(() => {
+        db.init();
+        watchDir = fs.mkdtempSync(path.join(dir, 'watch-'));
+        config.conversationCapture.live = { enabled: true, paths: [watchDir], debounceMs: 100 };
+    });
+
+    afterEach(() => watcher.stop());
+
+    test('parses a transcript shortly after it changes', async () => {
+        expect(watcher.start()).toEqual({ success: true, message: 'Watcher started' });
+        expect(watcher.start().success).toBe(false);
+
+        const session = transcript();
+        writeTranscript(path.join(watchDir, 'session.jsonl'), [session.user('hello'), session.assistant('hi')]);
+        fs.writeFileSync(path.join(watchDir, 'notes.md'), 'ignored');
+
+        for (let i = 0; i < 100 && watcher.getStatus().entriesIngested < 2; i++) {
+            await Bun.sleep(20);
+        }
+
+        expect(watcher.getStatus()).toMatchObject({ running: true, filesProcessed: 1, entriesIngested: 2, pendingFiles: 0 });
+    });
+
+    test('does not start without an existing watch path', () => {
+        config.conversationCapture.live.paths = [path.join(watchDir, 'missing')];
+
+        expect(watcher.start()).toEqual({ success: false, message: 'No watch paths available' });
+        expect(watcher.getStatus().running).toBe(false);
+    });
+});
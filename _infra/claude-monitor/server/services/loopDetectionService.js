@@ -0,0 +1,364 @@
+import config from '../config.js';
+import db from '../db/index.js';
+import followUps from './followUpService.js';
+
+/**
+ * Loop Detection Service
+ *
+ * Flags sessions where the agent is thrashing instead of making progress,
+ * and stores each occurrence as a finding in `session_findings`:
+ * - retry_loop:       the same failing call (identical input, or the same
+ *                     target with near-identical input) repeated within a
+ *                     window of calls
+ * - edit_oscillation: edits to one file that undo earlier edits (A -> B
+ *                     then B -> A), or Writes that restore earlier content
+ * - error_streak:     a long run of consecutive failed calls
+ *
+ * Findings are rebuilt whenever a conversation's artifacts change. Subagent
+ * calls are only compared with calls of the same agent, and calls replayed
+ * from an earlier session of a chain are left to that session.
+ *
+ * Configure with `conversationCapture.loopDetection` in config.json:
+ *   {
+ *     "enabled": true,
+ *     "window": 10,        // calls searched after a failure for its repeat
+ *     "minRepeats": 3,     // failing calls that make a retry loop
+ *     "similarity": 0.8,   // token overlap for near-identical inputs
+ *     "minReversals": 2,   // undone edits on one file that make an oscillation
+ *     "streakLength": 5    // consecutive failures that make an error streak
+ *   }
+ * A finding whose count reaches twice its threshold is `critical`.
+ */
+
+const FINDING_TYPES = ['retry_loop', 'edit_oscillation', 'error_streak'];
+const EDIT_TOOLS = ['Edit', 'MultiEdit', 'Write'];
+
+const DEFAULTS = {
+    window: 10,
+    minRepeats: 3,
+    similarity: 0.8,
+    minReversals: 2,
+    streakLength: 5
+};
+
+/**
+ * Get loop detection settings with defaults
+ */
+function getSettings() {
+    const settings = config.conversationCapture?.loopDetection || {};
+    return {
+        ...DEFAULTS,
+        ...settings,
+        enabled: settings.enabled !== false
+    };
+}
+
+/**
+ * Parse a tool call's stored input, or null
+ */
+function parseInput(content) {
+    try {
+        return JSON.parse(content);
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Jaccard overlap of the word tokens of two inputs
+ */
+function similarity(a, b) {
+    const tokensA = new Set((a || '').split(/\W+/).filter(Boolean));
+    const tokensB = new Set((b || '').split(/\W+/).filter(Boolean));
+    if (!tokensA.size && !tokensB.size) return 1;
+
+    let shared = 0;
+    for (const token of tokensA) {
+        if (tokensB.has(token)) shared++;
+    }
+    return shared / (tokensA.size + tokensB.size - shared);
+}
+
+/**
+ * Check whether a later call repeats an earlier one, exactly or nearly
+ */
+function repeatsCall(call, later, threshold) {
+    if (later.tool_name !== call.tool_name) return false;
+    if (later.content === call.content) return true;
+
+    const target = followUps.callTarget(call);
+    return Boolean(target) && followUps.callTarget(later) === target && similarity(call.content, later.content) >= threshold;
+}
+
+/**
+ * Severity of a finding from its count and threshold
+ */
+function severityOf(count, threshold) {
+    return count >= threshold * 2 ? 'critical' : 'warning';
+}
+
+/**
+ * Build a finding from the calls it covers
+ */
+function buildFinding(type, calls, fields) {
+    const first = calls[0];
+    const last = calls[calls.length - 1];
+    return {
+        type,
+        artifactIds: calls.map(call => call.id),
+        firstArtifactId: first.id,
+        lastArtifactId: last.id,
+        startedAt: first.started_at || first.ended_at || null,
+        endedAt: last.ended_at || last.started_at || null,
+        ...fields
+    };
+}
+
+/**
+ * Find failing calls repeated within the window
+ */
+function findRetryLoops(calls, settings) {
+    const findings = [];
+    const used = new Set();
+
+    calls.forEach((call, i) => {
+        if (call.outcome !== 'error' || used.has(call.id)) return;
+
+        const repeats = [call];
+        let lastIndex = i;
+        for (let j = i + 1; j < calls.length && j - lastIndex <= settings.window; j++) {
+            const later = calls[j];
+            if (later.outcome !== 'error' || used.has(later.id)) continue;
+            if (!repeatsCall(call, later, settings.similarity)) continue;
+            repeats.push(later);
+            lastIndex = j;
+        }
+
+        if (repeats.length < settings.minRepeats) return;
+        repeats.forEach(repeat => used.add(repeat.id));
+
+        const identical = repeats.every(repeat => repeat.content === call.content);
+        const target = followUps.callTarget(call);
+        findings.push(buildFinding('retry_loop', repeats, {
+            severity: severityOf(repeats.length, settings.minRepeats),
+            toolName: call.tool_name,
+            target,
+            occurrences: repeats.length,
+            summary: `${call.tool_name} failed ${repeats.length} times with ${identical ? 'identical' : 'near-identical'} input` +
+                (target ? ` (${target})` : '')
+        }));
+    });
+
+    return findings;
+}
+
+/**
+ * Find files whose edits keep undoing each other
+ */
+function findEditOscillations(calls, settings) {
+    const byFile = new Map();
+
+    for (const call of calls) {
+        if (!EDIT_TOOLS.includes(call.tool_name) || call.outcome === 'error') continue;
+        const input = parseInput(call.content);
+        if (!input?.file_path) continue;
+
+        if (!byFile.has(input.file_path)) byFile.set(input.file_path, []);
+        byFile.get(input.file_path).push({ call, input });
+    }
+
+    const findings = [];
+    for (const [filePath, changes] of byFile) {
+        const edits = new Map();
+        const writes = [];
+        const involved = new Map();
+        let reversals = 0;
+
+        for (const { call, input } of changes) {
+            if (call.tool_name === 'Write') {
+                const content = input.content ?? '';
+                const earlier = writes.findIndex(write => write.content === content);
+                if (earlier !== -1 && writes[writes.length - 1].content !== content) {
+                    reversals++;
+                    involved.set(writes[earlier].call.id, writes[earlier].call);
+                    involved.set(call.id, call);
+                }
+                writes.push({ call, content });
+                continue;
+            }
+
+            const pairs = call.tool_name === 'MultiEdit' ? (input.edits || []) : [input];
+            for (const pair of pairs) {
+                const from = pair.old_string ?? '';
+                const to = pair.new_string ?? '';
+                if (from === to) continue;
+
+                const undone = edits.get(`${to}\u0000${from}`);
+                if (undone) {
+                    reversals++;
+                    involved.set(undone.id, undone);
+                    involved.set(call.id, call);
+                }
+                edits.set(`${from}\u0000${to}`, call);
+            }
+        }
+
+        if (reversals < settings.minReversals) continue;
+
+        const covered = changes.map(change => change.call).filter(call => involved.has(call.id));
+        findings.push(buildFinding('edit_oscillation', covered, {
+            severity: severityOf(reversals, settings.minReversals),
+            toolName: [...new Set(covered.map(call => call.tool_name))].join(','),
+            target: filePath,
+            occurrences: reversals,
+            summary: `${reversals} edits to ${filePath} undid earlier edits`
+        }));
+    }
+
+    return findings;
+}
+
+/**
+ * Find long runs of consecutive failed calls
+ */
+function findErrorStreaks(calls, settings) {
+    const findings = [];
+    let streak = [];
+
+    const close = () => {
+        if (streak.length >= settings.streakLength) {
+            const tools = [...new Set(streak.map(call => call.tool_name))];
+            findings.push(buildFinding('error_streak', streak, {
+                severity: severityOf(streak.length, settings.streakLength),
+                toolName: tools.join(','),
+                target: null,
+                occurrences: streak.length,
+                summary: `${streak.length} tool calls failed in a row (${tools.join(', ')})`
+            }));
+        }
+        streak = [];
+    };
+
+    for (const call of calls) {
+        if (call.outcome === 'error') {
+            streak.push(call);
+        } else {
+            close();
+        }
+    }
+    close();
+
+    return findings;
+}
+
+/**
+ * Rebuild a conversation's findings from its tool calls.
+ * Returns the number of findings stored.
+ */
+function detectFindings(conversationId) {
+    const database = db.getDb();
+    const settings = getSettings();
+
+    const calls = settings.enabled ? database.prepare(`
+        SELECT a.id, a.tool_name, a.content, a.metadata, a.outcome, a.started_at, a.ended_at, e.agent_id
+        FROM artifacts a
+        LEFT JOIN conversation_entries e ON e.id = a.entry_id
+        WHERE a.conversation_id = ? AND a.artifact_type = 'tool_call'
+          AND (e.is_replay IS NULL OR e.is_replay = 0)
+        ORDER BY e.entry_index IS NULL, e.entry_index ASC, a.id ASC
+    `).all(conversationId) : [];
+
+    // Each agent's calls form their own sequence
+    const byAgent = new Map();
+    for (const call of calls) {
+        const agent = call.agent_id || null;
+        if (!byAgent.has(agent)) byAgent.set(agent, []);
+        byAgent.get(agent).push(call);
+    }
+
+    const findings = [];
+    for (const sequence of byAgent.values()) {
+        findings.push(
+            ...findRetryLoops(sequence, settings),
+            ...findEditOscillations(sequence, settings),
+            ...findErrorStreaks(sequence, settings)
+        );
+    }
+
+    const insert = database.prepare(`
+        INSERT INTO session_findings (
+            conversation_id, finding_type, severity, tool_name, target, occurrences,
+            artifact_ids, first_artifact_id, last_artifact_id, started_at, ended_at, summary
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const run = database.transaction(() => {
+        clearFindings(conversationId);
+        for (const finding of findings) {
+            insert.run(
+                conversationId,
+                finding.type,
+                finding.severity,
+                finding.toolName || null,
+                finding.target || null,
+                finding.occurrences,
+                JSON.stringify(finding.artifactIds),
+                finding.firstArtifactId,
+                finding.lastArtifactId,
+                finding.startedAt,
+                finding.endedAt,
+                finding.summary
+            );
+        }
+    });
+    run();
+
+    return findings.length;
+}
+
+/**
+ * Remove a conversation's findings, before its artifacts are rebuilt
+ */
+function clearFindings(conversationId) {
+    const database = db.getDb();
+    database.prepare('DELETE FROM session_findings WHERE conversation_id = ?').run(conversationId);
+}
+
+/**
+ * Get a conversation's findings in the order they happened
+ */
+function getConversationFindings(conversationId, options = {}) {
+    const database = db.getDb();
+    const { type } = options;
+
+    let sql = 'SELECT * FROM session_findings WHERE conversation_id = ?';
+    const params = [conversationId];
+
+    if (type) {
+        sql += ' AND finding_type = ?';
+        params.push(type);
+    }
+
+    sql += ' ORDER BY started_at IS NULL, started_at ASC, id ASC';
+
+    return database.prepare(sql).all(...params).map(finding => ({
+        ...finding,
+        artifact_ids: JSON.parse(finding.artifact_ids)
+    }));
+}
+
+export {
+    FINDING_TYPES,
+    getSettings,
+    detectFindings,
+    clearFindings,
+    getConversationFindings
+};
+
+export default {
+    FINDING_TYPES,
+    getSettings,
+    detectFindings,
+    clearFindings,
+    getConversationFindings
+};
@@ -0,0 +1,80 @@
+import { describe, test, expect, beforeEach } from 'bun:test';
+import path from 'path';
+import { setupTestEnv, transcript, writeTranscript } from '../test/helpers.js';
+
+const { config, db, dir } = setupTestEnv();
+const { default: conversationParser } = await import('./conversationParserService.js');
+const { default: artifactExtractor } = await import('./artifactExtractorService.js');
+const { default: loopDetection } = await import('./loopDetectionService.js');
+
+/**
+ * Ingest a session of tool calls, each `[name, input, result, isError]`
+ */
+function ingestCalls(calls) {
+    const session = transcript(crypto.randomUUID());
+    const lines = calls.flatMap(([name, input, result, isError = false], i) => [
+        session.toolUse(`toolu_${i}`, name, input),
+        session.toolResult(`toolu_${i}`, result, isError)
+    ]);
+
+    const filePath = path.join(dir, `${crypto.randomUUID()}.jsonl`);
+    writeTranscript(filePath, lines);
+    const { conversationId } = conversationParser.processFile(filePath);
+    artifactExtractor.processConversationEntries(conversationId);
+    return conversationId;
+}
+
+const findings = (conversationId) => loopDetection.getConversationFindings(conversationId)
+    .map(finding => [finding.finding_type, finding.severity, finding.occurrences, finding.target]);
+
+const failingTest = ['Bash', { command: 'npm test src/app' }, 'Exit code 1\n1 failing', true];
+const edit = (from, to) => ['Edit', { file_path: 'src/a.js', old_string: from, new_string: to }, 'The file src/a.js has been updated.'];
+
+describe('loop detection', () => {
+    beforeEach(() => {
+        db.init();
+        delete config.conversationCapture.loopDetection;
+    });
+
+    test('flags a failing call repeated within the window', () => {
+        const conversationId = ingestCalls([
+            failingTest,
+            ['Read', { file_path: 'package.json' }, '{}'],
+            failingTest,
+            ['Bash', { command: 'npm test src/app --bail' }, 'Exit code 1\n1 failing', true]
+        ]);
+
+        expect(findings(conversationId)).toEqual([['retry_loop', 'warning', 3, 'npm test']]);
+        expect(loopDetection.getConversationFindings(conversationId)[0].summary)
+            .toBe('Bash failed 3 times with near-identical input (npm test)');
+    });
+
+    test('flags edits that keep undoing each other', () => {
+        const conversationId = ingestCalls([edit('a', 'b'), edit('b', 'a'), edit('a', 'b'), edit('c', 'd')]);
+
+        expect(findings(conversationId)).toEqual([['edit_oscillation', 'warning', 2, 'src/a.js']]);
+        expect(loopDetection.getConversationFindings(conversationId)[0].artifact_ids).toHaveLength(3);
+    });
+
+    test('flags a long run of failures and marks it critical at twice the threshold', () => {
+        config.conversationCapture.loopDetection = { streakLength: 2 };
+        const conversationId = ingestCalls([
+            ['Read', { file_path: 'a.js' }, 'File does not exist.', true],
+            ['Grep', { pattern: 'main' }, 'Invalid regex', true],
+            ['Bash', { command: 'ls' }, 'Exit code 2\nls: cannot access', true],
+            ['Glob', { pattern: '*.md' }, 'Permission denied', true],
+            ['Bash', { command: 'pwd' }, '/work']
+        ]);
+
+        expect(findings(conversationId)).toEqual([['error_streak', 'critical', 4, null]]);
+    });
+
+    test('stores nothing when disabled, and keeps conversations with findings listable', () => {
+        const looping = ingestCalls([failingTest, failingTest, failingTest]);
+        expect(conversationParser.listConversations({ finding: 'retry_loop' }).map(row => row.id)).toEqual([looping]);
+
+        config.conversationCapture.loopDetection = { enabled: false };
+        expect(loopDetection.detectFindings(looping)).toBe(0);
+        expect(findings(looping)).toEqual([]);
+    });
+});
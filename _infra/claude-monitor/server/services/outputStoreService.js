@@ -0,0 +1,277 @@
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import crypto from 'crypto';
+import config from '../config.js';
+import db from '../db/index.js';
+import logger from './logService.js';
+
+/**
+ * Output Store Service
+ *
+ * Keeps large tool outputs on local disk instead of dropping them. Outputs
+ * are stored in three tiers by size:
+ * - inline:  up to `inlineMaxBytes`, kept in `artifacts.output_full`
+ * - blob:    up to `maxBlobBytes`, gzipped to `<directory>/<ab>/<hash>.gz`
+ *            and referenced by `artifacts.output_blob_hash`
+ * - summary: anything larger keeps only the summary (`output_truncated`)
+ * Error outputs are always kept inline.
+ *
+ * Blobs are content-addressed by the SHA-256 of the (redacted) output, so
+ * the same test log or file dump is written once however many
+ * conversations produced it. Retention removes blobs not referenced for
+ * `retentionDays`, and the least recently referenced ones while the store
+ * is over `maxStoreBytes`; their artifacts fall back to the summary.
+ *
+ * Configure with `conversationCapture.outputStore` in config.json:
+ *   {
+ *     "enabled": true,
+ *     "directory": "data/outputs",
+ *     "inlineMaxBytes": 10240,
+ *     "maxBlobBytes": 52428800,
+ *     "retentionDays": 90,       // 0 keeps blobs forever
+ *     "maxStoreBytes": 0         // compressed bytes; 0 is unlimited
+ *   }
+ */
+
+const DEFAULT_OUTPUT_DIR = path.resolve('data', 'outputs');
+const DEFAULT_INLINE_MAX_BYTES = 10240; // 10KB
+const DEFAULT_MAX_BLOB_BYTES = 50 * 1024 * 1024; // 50MB
+const DEFAULT_RETENTION_DAYS = 90;
+const PRUNE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+let pruneTimer = null;
+
+/**
+ * Get output store settings with defaults
+ */
+function getSettings() {
+    const settings = config.conversationCapture?.outputStore || {};
+    return {
+        enabled: settings.enabled !== false,
+        directory: settings.directory ? path.resolve(settings.directory) : DEFAULT_OUTPUT_DIR,
+        inlineMaxBytes: settings.inlineMaxBytes || DEFAULT_INLINE_MAX_BYTES,
+        maxBlobBytes: settings.maxBlobBytes || DEFAULT_MAX_BLOB_BYTES,
+        retentionDays: settings.retentionDays ?? DEFAULT_RETENTION_DAYS,
+        maxStoreBytes: settings.maxStoreBytes || 0
+    };
+}
+
+/**
+ * Pick the storage tier for an output of `size` bytes
+ */
+function getTier(size, isError = false) {
+    const settings = getSettings();
+    if (isError || size <= settings.inlineMaxBytes) return 'inline';
+    if (settings.enabled && size <= settings.maxBlobBytes) return 'blob';
+    return 'summary';
+}
+
+/**
+ * Path of a blob file on disk
+ */
+function blobPath(hash) {
+    return path.join(getSettings().directory, hash.slice(0, 2), `${hash}.gz`);
+}
+
+/**
+ * Store an output in the blob store and return its hash, or null if it
+ * could not be written. Existing blobs are only marked as referenced.
+ */
+function storeOutput(text) {
+    if (!text) return null;
+
+    const database = db.getDb();
+    const hash = crypto.createHash('sha256').update(text).digest('hex');
+    const file = blobPath(hash);
+
+    try {
+        const existing = database.prepare('SELECT hash FROM output_blobs WHERE hash = ?').get(hash);
+        if (existing && fs.existsSync(file)) {
+            database.prepare(`
+                UPDATE output_blobs SET last_referenced_at = datetime('now') WHERE hash = ?
+            `).run(hash);
+            return hash;
+        }
+
+        const compressed = zlib.gzipSync(text);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+
+        // Write then rename, so a reader never sees a partial file
+        const temp = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(temp, compressed);
+        fs.renameSync(temp, file);
+
+        database.prepare(`
+            INSERT INTO output_blobs (hash, size_bytes, stored_bytes, compression)
+            VALUES (?, ?, ?, 'gzip')
+            ON CONFLICT(hash) DO UPDATE SET
+                stored_bytes = excluded.stored_bytes,
+                last_referenced_at = datetime('now')
+        `).run(hash, Buffer.byteLength(text), compressed.length);
+
+        return hash;
+    } catch (err) {
+        logger.warn('Failed to store tool output blob', { hash, error: err.message });
+        return null;
+    }
+}
+
+/**
+ * Get a stored blob's row and file path, or null if it is gone
+ */
+function getOutputBlob(hash) {
+    const database = db.getDb();
+    const blob = database.prepare('SELECT * FROM output_blobs WHERE hash = ?').get(hash);
+    if (!blob) return null;
+
+    const file = blobPath(hash);
+    if (!fs.existsSync(file)) return null;
+
+    return { ...blob, file };
+}
+
+/**
+ * Read a stored blob back as text, or null if it is gone
+ */
+function readOutput(hash) {
+    const blob = getOutputBlob(hash);
+    return blob ? zlib.gunzipSync(fs.readFileSync(blob.file)).toString('utf8') : null;
+}
+
+/**
+ * Remove blobs that are no longer referenced, past their retention, or
+ * over the store size limit. Artifacts that referenced a removed blob keep
+ * their summary and are marked truncated, and search indexes the summary
+ * in place of the blob text again.
+ * Returns the number of blobs and bytes removed.
+ */
+function pruneOutputs() {
+    const database = db.getDb();
+    const settings = getSettings();
+
+    const blobs = database.prepare(`
+        SELECT b.hash, b.stored_bytes, b.last_referenced_at,
+            EXISTS (SELECT 1 FROM artifacts a WHERE a.output_blob_hash = b.hash) AS referenced
+        FROM output_blobs b
+        ORDER BY b.last_referenced_at ASC
+    `).all();
+
+    const cutoff = settings.retentionDays > 0
+        ? new Date(Date.now() - settings.retentionDays * 24 * 60 * 60 * 1000).toISOString().replace('T', ' ').slice(0, 19)
+        : null;
+
+    let storeBytes = blobs.reduce((sum, blob) => sum + blob.stored_bytes, 0);
+    const removed = [];
+
+    for (const blob of blobs) {
+        const expired = !blob.referenced || (cutoff && blob.last_referenced_at < cutoff);
+        const overLimit = settings.maxStoreBytes > 0 && storeBytes > settings.maxStoreBytes;
+        if (!expired && !overLimit) continue;
+
+        removed.push(blob);
+        storeBytes -= blob.stored_bytes;
+    }
+
+    if (!removed.length) return { removed: 0, bytes: 0 };
+
+    const release = database.prepare(`
+        UPDATE artifacts SET output_blob_hash = NULL, output_truncated = 1 WHERE output_blob_hash = ?
+    `);
+    const remove = database.prepare('DELETE FROM output_blobs WHERE hash = ?');
+
+    const run = database.transaction(() => {
+        for (const blob of removed) {
+            release.run(blob.hash);
+            remove.run(blob.hash);
+        }
+    });
+    run();
+
+    for (const blob of removed) {
+        fs.rmSync(blobPath(blob.hash), { force: true });
+    }
+
+    const bytes = removed.reduce((sum, blob) => sum + blob.stored_bytes, 0);
+    logger.info(`Pruned ${removed.length} tool output blobs (${bytes} bytes)`);
+
+    return { removed: removed.length, bytes };
+}
+
+/**
+ * Prune now and then once a day
+ */
+function startRetention() {
+    if (pruneTimer) return;
+
+    const prune = () => {
+        try {
+            pruneOutputs();
+        } catch (err) {
+            logger.error('Tool output pruning failed', { error: err.message });
+        }
+    };
+
+    prune();
+    pruneTimer = setInterval(prune, PRUNE_INTERVAL_MS);
+    pruneTimer.unref();
+}
+
+/**
+ * Stop the daily pruning
+ */
+function stopRetention() {
+    clearInterval(pruneTimer);
+    pruneTimer = null;
+}
+
+/**
+ * Get blob store totals
+ */
+function getStoreStats() {
+    const database = db.getDb();
+    const settings = getSettings();
+
+    const totals = database.prepare(`
+        SELECT COUNT(*) AS blobs,
+            COALESCE(SUM(size_bytes), 0) AS size_bytes,
+            COALESCE(SUM(stored_bytes), 0) AS stored_bytes
+        FROM output_blobs
+    `).get();
+
+    const references = database.prepare(`
+        SELECT COUNT(*) AS count FROM artifacts WHERE output_blob_hash IS NOT NULL
+    `).get();
+
+    return {
+        ...totals,
+        artifacts: references.count,
+        directory: settings.directory,
+        retentionDays: settings.retentionDays,
+        maxStoreBytes: settings.maxStoreBytes
+    };
+}
+
+export {
+    getSettings,
+    getTier,
+    storeOutput,
+    getOutputBlob,
+    readOutput,
+    pruneOutputs,
+    startRetention,
+    stopRetention,
+    getStoreStats
+};
+
+export default {
+    getSettings,
+    getTier,
+    storeOutput,
+    getOutputBlob,
+    readOutput,
+    pruneOutputs,
+    startRetention,
+    stopRetention,
+    getStoreStats
+};
@@ -0,0 +1,198 @@
+import { describe, test, expect, beforeEach } from 'bun:test';
+import fs from 'fs';
+import zlib from 'zlib';
+import { setupTestEnv } from '../test/helpers.js';
+
+const { config, db } = setupTestEnv();
+const { default: outputStore } = await import('./outputStoreService.js');
+const { default: artifactExtractor } = await import('./artifactExtractorService.js');
+
+let conversationId;
+
+beforeEach(() => {
+    db.init();
+    Object.assign(config.conversationCapture.outputStore, {
+        enabled: true,
+        inlineMaxBytes: 100,
+        maxBlobBytes: 1000,
+        retentionDays: 30,
+        maxStoreBytes: 0
+    });
+    fs.rmSync(outputStore.getSettings().directory, { recursive: true, force: true });
+
+    conversationId = Number(db.getDb().prepare(`
+        INSERT INTO conversations (conversation_id, source_file_path, source_file_type)
+        VALUES ('session-1', '/work/session-1.jsonl', 'jsonl')
+    `).run().lastInsertRowid);
+});
+
+/**
+ * Record a completed Bash call and return its artifact row
+ */
+function recordOutput(toolUseId, output, isError = false) {
+    const call = {
+        conversationId,
+        toolUseId,
+        toolName: 'Bash',
+        input: { command: 'npm test' },
+        timestamp: '2026-01-01T00:00:00.000Z'
+    };
+    artifactExtractor.recordToolCall(call);
+    artifactExtractor.recordToolCall({ ...call, output, isError });
+
+    return db.getDb().prepare("SELECT * FROM artifacts WHERE json_extract(metadata, '$.toolUseId') = ?").get(toolUseId);
+}
+
+const blobRows = () => db.getDb().prepare('SELECT * FROM output_blobs ORDER BY hash').all();
+
+describe('getTier', () => {
+    test('keeps small outputs and errors inline', () => {
+        expect(outputStore.getTier(100)).toBe('inline');
+        expect(outputStore.getTier(5000, true)).toBe('inline');
+    });
+
+    test('sends larger outputs to the blob store up to maxBlobBytes', () => {
+        expect(outputStore.getTier(101)).toBe('blob');
+        expect(outputStore.getTier(1000)).toBe('blob');
+        expect(outputStore.getTier(1001)).toBe('summary');
+    });
+
+    test('keeps only the summary when the store is disabled', () => {
+        config.conversationCapture.outputStore.enabled = false;
+        expect(outputStore.getTier(101)).toBe('summary');
+        expect(outputStore.getTier(100)).toBe('inline');
+    });
+});
+
+describe('storeOutput', () => {
+    test('writes a gzipped blob named by its content hash', () => {
+        const text = 'line\n'.repeat(50);
+        const hash = outputStore.storeOutput(text);
+
+        const blob = outputStore.getOutputBlob(hash);
+        expect(blob.file).toEndWith(`${hash.slice(0, 2)}/${hash}.gz`);
+        expect(zlib.gunzipSync(fs.readFileSync(blob.file)).toString('utf8')).toBe(text);
+        expect(blob.size_bytes).toBe(text.length);
+        expect(blob.stored_bytes).toBe(fs.statSync(blob.file).size);
+        expect(outputStore.readOutput(hash)).toBe(text);
+    });
+
+    test('stores the same text once', () => {
+        const first = outputStore.storeOutput('same output '.repeat(20));
+        const second = outputStore.storeOutput('same output '.repeat(20));
+
+        expect(second).toBe(first);
+        expect(blobRows()).toHaveLength(1);
+    });
+
+    test('writes the file again when it went missing', () => {
+        const hash = outputStore.storeOutput('kept output '.repeat(20));
+        fs.rmSync(outputStore.getOutputBlob(hash).file);
+        expect(outputStore.readOutput(hash)).toBeNull();
+
+        expect(outputStore.storeOutput('kept output '.repeat(20))).toBe(hash);
+        expect(outputStore.readOutput(hash)).toBe('kept output '.repeat(20));
+    });
+
+    test('returns null for empty text and unknown hashes', () => {
+        expect(outputStore.storeOutput('')).toBeNull();
+        expect(outputStore.readOutput('0'.repeat(64))).toBeNull();
+    });
+});
+
+describe('tool outputs', () => {
+    test('keeps small outputs inline', () => {
+        const artifact = recordOutput('toolu_1', 'ok');
+
+        expect(artifact.output_full).toBe('ok');
+        expect(artifact.output_blob_hash).toBeNull();
+        expect(artifact.output_truncated).toBe(0);
+    });
+
+    test('keeps large outputs in the blob store with a summary inline', () => {
+        const output = 'ok\n'.repeat(200);
+        const artifact = recordOutput('toolu_1', output);
+
+        expect(artifact.output_full).toBeNull();
+        expect(artifact.output_summary).toBe(output.slice(0, 500));
+        expect(artifact.output_size_bytes).toBe(output.length);
+        expect(outputStore.readOutput(artifact.output_blob_hash)).toBe(output);
+    });
+
+    test('keeps large errors inline', () => {
+        const output = 'error\n'.repeat(200);
+        const artifact = recordOutput('toolu_1', output, true);
+
+        expect(artifact.output_full).toBe(output);
+        expect(artifact.output_blob_hash).toBeNull();
+    });
+
+    test('keeps only the summary past maxBlobBytes', () => {
+        const artifact = recordOutput('toolu_1', 'x'.repeat(2000));
+
+        expect(artifact.output_full).toBeNull();
+        expect(artifact.output_blob_hash).toBeNull();
+        expect(artifact.output_truncated).toBe(1);
+        expect(blobRows()).toHaveLength(0);
+    });
+
+    test('shares one blob between identical outputs', () => {
+        const output = 'same\n'.repeat(100);
+        const first = recordOutput('toolu_1', output);
+        const second = recordOutput('toolu_2', output);
+
+        expect(second.output_blob_hash).toBe(first.output_blob_hash);
+        expect(blobRows()).toHaveLength(1);
+        expect(outputStore.getStoreStats()).toMatchObject({ blobs: 1, artifacts: 2, size_bytes: output.length });
+    });
+});
+
+describe('pruneOutputs', () => {
+    test('removes blobs no artifact references', () => {
+        const hash = outputStore.storeOutput('orphan output '.repeat(20));
+        const file = outputStore.getOutputBlob(hash).file;
+        const kept = recordOutput('toolu_1', 'ok\n'.repeat(200));
+
+        expect(outputStore.pruneOutputs().removed).toBe(1);
+        expect(fs.existsSync(file)).toBe(false);
+        expect(outputStore.readOutput(kept.output_blob_hash)).not.toBeNull();
+    });
+
+    test('removes blobs past retention and marks their artifacts truncated', () => {
+        const artifact = recordOutput('toolu_1', 'ok\n'.repeat(200));
+        db.getDb().prepare("UPDATE output_blobs SET last_referenced_at = datetime('now', '-31 days')").run();
+
+        const result = outputStore.pruneOutputs();
+        expect(result.removed).toBe(1);
+        expect(result.bytes).toBeGreaterThan(0);
+
+        const row = db.getDb().prepare('SELECT * FROM artifacts WHERE id = ?').get(artifact.id);
+        expect(row.output_blob_hash).toBeNull();
+        expect(row.output_truncated).toBe(1);
+        expect(row.output_summary).toBe(artifact.output_summary);
+        expect(outputStore.readOutput(artifact.output_blob_hash)).toBeNull();
+    });
+
+    test('keeps blobs forever with retentionDays 0', () => {
+        config.conversationCapture.outputStore.retentionDays = 0;
+        recordOutput('toolu_1', 'ok\n'.repeat(200));
+        db.getDb().prepare("UPDATE output_blobs SET last_referenced_at = datetime('now', '-400 days')").run();
+
+        expect(outputStore.pruneOutputs()).toEqual({ removed: 0, bytes: 0 });
+    });
+
+    test('removes the least recently referenced blobs over maxStoreBytes', () => {
+        const older = recordOutput('toolu_1', 'older\n'.repeat(100));
+        const newer = recordOutput('toolu_2', 'newer\n'.repeat(100));
+        db.getDb().prepare("UPDATE output_blobs SET last_referenced_at = datetime('now', '-1 day') WHERE hash = ?")
+            .run(older.output_blob_hash);
+
+        const newerBytes = outputStore.getOutputBlob(newer.output_blob_hash).stored_bytes;
+        config.conversationCapture.outputStore.maxStoreBytes = newerBytes;
+
+        expect(outputStore.pruneOutputs().removed).toBe(1);
+        expect(outputStore.readOutput(older.output_blob_hash)).toBeNull();
+        expect(outputStore.readOutput(newer.output_blob_hash)).toBe('newer\n'.repeat(100));
+        expect(outputStore.getStoreStats()).toMatchObject({ blobs: 1, artifacts: 1, stored_bytes: newerBytes });
+    });
+});
@@ -0,0 +1,333 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import config from '../config.js';
+import db from '../db/index.js';
+import logger from './logService.js';
+
+/**
+ * Redaction Service
+ *
+ * Masks secrets and personal data before transcript text is written.
+ * Built-in detectors cover common credential formats, secret-looking
+ * assignments, emails and high-entropy tokens; user rules add regexes.
+ * Each match becomes `[REDACTED:<detector>:<fingerprint>]`, where the
+ * fingerprint is a short salted hash of the value, so the same secret
+ * reads the same everywhere without being stored. Without a configured
+ * salt, a random one is generated on first use and kept in `saltFile`, so
+ * short values like emails cannot be recovered by hashing guesses.
+ *
+ * Dedup hashes (entry hashes, parse-state line hashes, transcript
+ * artifact hashes) are computed by callers over the original source
+ * text, never over redacted output, so redaction and rule changes do not
+ * make already-parsed lines look new to incremental parsing.
+ *
+ * Configure with `conversationCapture.redaction` in config.json:
+ *   {
+ *     "enabled": true,
+ *     "detectors": { "email": false },
+ *     "entropy": { "minLength": 24, "threshold": 4.0 },
+ *     "rules": [{ "name": "customer_id", "pattern": "CUST-\\d{6}", "flags": "i" }],
+ *     "allow": ["^sha256-"],
+ *     "salt": "local-secret",
+ *     "saltFile": "data/redaction-salt"
+ *   }
+ */
+
+const FINGERPRINT_LENGTH = 8;
+const DEFAULT_ENTROPY = { minLength: 24, threshold: 4.0 };
+const DEFAULT_SALT_FILE = path.resolve('data', 'redaction-salt');
+
+// Identifiers minted by Claude Code and the API, not secrets
+const DEFAULT_ALLOW = [/^(?:toolu|srvtoolu|msg|req|chatcmpl)_/];
+
+const SECRET_NAME = '[A-Za-z0-9_.-]*(?:secret|token|passw(?:or)?d|api[_-]?key|private[_-]?key|access[_-]?key|client[_-]?key|credentials?)[A-Za-z0-9_.-]*';
+const SECRET_VALUE_CHARS = '[^\\s"\'\\\\,;}`]';
+
+/**
+ * Built-in detectors. `group` names the capture group to mask when only
+ * part of the match is sensitive (the value of a key=value assignment).
+ */
+const BUILT_IN_DETECTORS = [
+    { name: 'private_key', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g },
+    { name: 'anthropic_key', pattern: /\bsk-ant-[A-Za-z0-9_-]{20,}/g },
+    { name: 'openai_key', pattern: /\bsk-(?:proj-|svcacct-)?[A-Za-z0-9_-]{20,}/g },
+    { name: 'aws_access_key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+    { name: 'github_token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g },
+    { name: 'gitlab_token', pattern: /\bglpat-[A-Za-z0-9_-]{20,}/g },
+    { name: 'slack_token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g },
+    { name: 'stripe_key', pattern: /\b(?:sk|rk)_(?:live|test)_[A-Za-z0-9]{16,}/g },
+    { name: 'google_api_key', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+    { name: 'jwt', pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g },
+    { name: 'bearer_token', pattern: /\b(Bearer\s+)([A-Za-z0-9._~+/-]{16,}=*)/g, group: 2 },
+    { name: 'url_credentials', pattern: /\b([a-z][a-z0-9+.-]*:\/\/[^\s:/@"'\\]+:)([^\s@/"'\\]+)(@)/gi, group: 2 },
+    {
+        // NAME=value, name: "value", "name": "value"; values must mix letters and digits
+        name: 'secret_assignment',
+        pattern: new RegExp(
+            `\\b(${SECRET_NAME})(\\\\?["']?\\s*[:=]\\s*\\\\?["']?)` +
+            `((?=${SECRET_VALUE_CHARS}*\\d)(?=${SECRET_VALUE_CHARS}*[A-Za-z])${SECRET_VALUE_CHARS}{8,})`,
+            'gi'
+        ),
+        group: 3
+    },
+    { name: 'email', pattern: /\b(?!git@)[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g }
+];
+
+// Candidate tokens for the entropy detector; may start right after a JSON escape like \n
+const ENTROPY_CANDIDATE = /(?:(?<=\\[nrt])|(?<![\\\w=-]))[A-Za-z0-9_=-]+/g;
+
+let compiled = null;
+
+/**
+ * Get redaction settings with defaults
+ */
+function getSettings() {
+    const settings = config.conversationCapture?.redaction || {};
+    return {
+        enabled: settings.enabled !== false,
+        detectors: settings.detectors || {},
+        entropy: settings.entropy === false ? false : { ...DEFAULT_ENTROPY, ...settings.entropy },
+        rules: settings.rules || [],
+        allow: settings.allow || [],
+        salt: settings.salt || null,
+        saltFile: settings.saltFile ? path.resolve(settings.saltFile) : DEFAULT_SALT_FILE
+    };
+}
+
+/**
+ * Get the configured salt, or the install's generated one, creating it
+ * on first use
+ */
+function loadSalt(settings) {
+    if (settings.salt) return settings.salt;
+
+    try {
+        const stored = fs.readFileSync(settings.saltFile, 'utf8').trim();
+        if (stored) return stored;
+    } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+    }
+
+    const salt = crypto.randomBytes(32).toString('hex');
+    fs.mkdirSync(path.dirname(settings.saltFile), { recursive: true });
+    fs.writeFileSync(settings.saltFile, salt + '\n', { mode: 0o600 });
+    logger.info(`Generated redaction salt in ${settings.saltFile}`);
+
+    return salt;
+}
+
+/**
+ * Build the detector list from settings, once per redaction config
+ */
+function getDetectors() {
+    const source = config.conversationCapture?.redaction;
+    if (compiled && compiled.source === source) return compiled;
+
+    const settings = getSettings();
+    const detectors = BUILT_IN_DETECTORS.filter(detector => settings.detectors[detector.name] !== false);
+
+    for (const rule of settings.rules) {
+        try {
+            const flags = rule.flags || '';
+            detectors.push({
+                name: rule.name || 'custom',
+                pattern: new RegExp(rule.pattern, flags.includes('g') ? flags : flags + 'g'),
+                group: rule.group
+            });
+        } catch (err) {
+            logger.warn(`Ignoring invalid redaction rule ${rule.name || rule.pattern}`, { error: err.message });
+        }
+    }
+
+    const allow = [...DEFAULT_ALLOW];
+    for (const pattern of settings.allow) {
+        try {
+            allow.push(new RegExp(pattern));
+        } catch (err) {
+            logger.warn(`Ignoring invalid redaction allow pattern ${pattern}`, { error: err.message });
+        }
+    }
+
+    compiled = { source, settings, detectors, allow, salt: settings.enabled ? loadSalt(settings) : null };
+    return compiled;
+}
+
+/**
+ * Short salted hash identifying a redacted value
+ */
+function fingerprint(value, salt) {
+    return crypto.createHash('sha256').update(salt + value).digest('hex').slice(0, FINGERPRINT_LENGTH);
+}
+
+/**
+ * Shannon entropy of a string in bits per character
+ */
+function shannonEntropy(str) {
+    const counts = new Map();
+    for (const ch of str) counts.set(ch, (counts.get(ch) || 0) + 1);
+
+    let entropy = 0;
+    for (const count of counts.values()) {
+        const p = count / str.length;
+        entropy -= p * Math.log2(p);
+    }
+    return entropy;
+}
+
+/**
+ * Check whether a token looks like a random secret
+ */
+function isHighEntropy(token, entropy) {
+    if (token.length < entropy.minLength) return false;
+    // Identifiers rarely carry several digits; random tokens almost always do
+    if ((token.match(/\d/g) || []).length < 2 || !/[A-Za-z]/.test(token)) return false;
+    return shannonEntropy(token) >= entropy.threshold;
+}
+
+/**
+ * Check whether a match position falls inside an earlier redaction marker
+ */
+function insideMarker(text, offset) {
+    const open = text.lastIndexOf('[REDACTED:', offset);
+    return open !== -1 && text.indexOf(']', open) >= offset;
+}
+
+/**
+ * Redact secrets in a string. Matches are counted per detector into
+ * `report` when given. `options.entropy = false` skips the entropy
+ * detector, for structured values full of ids.
+ */
+function redactText(text, report = null, options = {}) {
+    if (typeof text !== 'string' || !text) return text;
+
+    const { settings, detectors, allow, salt } = getDetectors();
+    if (!settings.enabled) return text;
+
+    const isAllowed = (value) => allow.some(pattern => pattern.test(value));
+    const mask = (name, value) => {
+        if (report) report[name] = (report[name] || 0) + 1;
+        return `[REDACTED:${name}:${fingerprint(value, salt)}]`;
+    };
+
+    let result = text;
+
+    for (const detector of detectors) {
+        detector.pattern.lastIndex = 0;
+        result = result.replace(detector.pattern, (match, ...groups) => {
+            const position = groups.findIndex(g => typeof g === 'number');
+            if (insideMarker(groups[position + 1], groups[position])) return match;
+            if (!detector.group) return isAllowed(match) ? match : mask(detector.name, match);
+
+            // Keep the surrounding groups, mask only the sensitive one
+            const captures = groups.slice(0, position);
+            const value = captures[detector.group - 1];
+            if (!value || value.startsWith('[REDACTED:') || isAllowed(value)) return match;
+
+            const offset = captures.slice(0, detector.group - 1).join('').length;
+            const prefix = match.indexOf(value, offset);
+            return match.slice(0, prefix) + mask(detector.name, value) + match.slice(prefix + value.length);
+        });
+    }
+
+    if (settings.entropy && options.entropy !== false) {
+        result = result.replace(ENTROPY_CANDIDATE, (token, offset, source) => {
+            if (isAllowed(token) || insideMarker(source, offset) || !isHighEntropy(token, settings.entropy)) return token;
+            return mask('high_entropy', token);
+        });
+    }
+
+    return result;
+}
+
+/**
+ * Redact every string inside a JSON-like value, returning a copy
+ */
+function redactValue(value, report = null, options = {}) {
+    if (typeof value === 'string') return redactText(value, report, options);
+    if (Array.isArray(value)) return value.map(item => redactValue(item, report, options));
+    if (value && typeof value === 'object') {
+        const copy = {};
+        for (const [key, item] of Object.entries(value)) copy[key] = redactValue(item, report, options);
+        return copy;
+    }
+    return value;
+}
+
+/**
+ * Add a report's counts to a conversation's redaction findings.
+ * `target` is what was redacted: entry, block, artifact or title.
+ */
+function recordFindings(conversationId, target, report) {
+    const detectors = Object.keys(report || {});
+    if (!conversationId || !detectors.length) return;
+
+    const database = db.getDb();
+    const upsert = database.prepare(`
+        INSERT INTO redaction_findings (conversation_id, detector, target, match_count)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT(conversation_id, detector, target) DO UPDATE SET
+            match_count = match_count + excluded.match_count,
+            last_seen_at = datetime('now')
+    `);
+
+    for (const detector of detectors) {
+        upsert.run(conversationId, detector, target, report[detector]);
+    }
+}
+
+/**
+ * Drop a conversation's findings for the given targets before its data is
+ * rebuilt, so the counts are not doubled
+ */
+function clearFindings(conversationId, targets) {
+    const database = db.getDb();
+    const placeholders = targets.map(() => '?').join(', ');
+    database.prepare(`
+        DELETE FROM redaction_findings WHERE conversation_id = ? AND target IN (${placeholders})
+    `).run(conversationId, ...targets);
+}
+
+/**
+ * Get the redaction report for a conversation
+ */
+function getRedactionReport(conversationId) {
+    const database = db.getDb();
+    const findings = database.prepare(`
+        SELECT detector, target, match_count, first_seen_at, last_seen_at
+        FROM redaction_findings
+        WHERE conversation_id = ?
+        ORDER BY match_count DESC, detector ASC
+    `).all(conversationId);
+
+    const byDetector = {};
+    for (const finding of findings) {
+        byDetector[finding.detector] = (byDetector[finding.detector] || 0) + finding.match_count;
+    }
+
+    return {
+        conversationId,
+        enabled: getSettings().enabled,
+        total: findings.reduce((sum, finding) => sum + finding.match_count, 0),
+        byDetector,
+        findings
+    };
+}
+
+export {
+    getSettings,
+    redactText,
+    redactValue,
+    recordFindings,
+    clearFindings,
+    getRedactionReport
+};
+
+export default {
+    getSettings,
+    redactText,
+    redactValue,
+    recordFindings,
+    clearFindings,
+    getRedactionReport
+};
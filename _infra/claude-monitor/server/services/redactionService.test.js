@@ -0,0 +1,130 @@
+import { describe, test, expect, beforeEach } from 'bun:test';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { setupTestEnv } from '../test/helpers.js';
+
+const { config, db, dir } = setupTestEnv();
+const { default: redaction } = await import('./redactionService.js');
+
+const GITHUB_TOKEN = 'ghp_' + 'a1B2c3D4e5F6g7H8i9J0'.repeat(2);
+
+/**
+ * Replace the redaction settings, as a restart with a new config.json would
+ */
+function configure(settings) {
+    config.conversationCapture.redaction = { saltFile: path.join(dir, 'redaction-salt'), ...settings };
+}
+
+describe('redactText', () => {
+    beforeEach(() => {
+        db.init();
+        configure({});
+    });
+
+    test('masks credentials, emails and secret assignments and counts them', () => {
+        const report = {};
+        const text = redaction.redactText(
+            `token ${GITHUB_TOKEN}, mail ops@example.com, DB_PASSWORD=hunter2hunter2`,
+            report
+        );
+
+        expect(text).not.toContain(GITHUB_TOKEN);
+        expect(text).not.toContain('ops@example.com');
+        expect(text).not.toContain('hunter2hunter2');
+        expect(text).toMatch(/^token \[REDACTED:github_token:[0-9a-f]{8}\], mail \[REDACTED:email:[0-9a-f]{8}\], DB_PASSWORD=\[REDACTED:secret_assignment:[0-9a-f]{8}\]$/);
+        expect(report).toEqual({ github_token: 1, email: 1, secret_assignment: 1 });
+    });
+
+    test('gives the same secret the same fingerprint', () => {
+        const first = redaction.redactText(`a ${GITHUB_TOKEN}`);
+        const second = redaction.redactText(`b ${GITHUB_TOKEN}`);
+        expect(first.slice(2)).toBe(second.slice(2));
+    });
+
+    test('leaves tool use ids and allowed values alone', () => {
+        configure({ allow: ['^ghp_'] });
+        const text = `toolu_01AbCdEfGh1234567890XyZ and ${GITHUB_TOKEN}`;
+        expect(redaction.redactText(text)).toBe(text);
+    });
+
+    test('applies user rules and can switch detectors off', () => {
+        configure({ rules: [{ name: 'customer_id', pattern: 'CUST-\\d{6}' }], detectors: { email: false } });
+        expect(redaction.redactText('CUST-123456 ops@example.com'))
+            .toMatch(/^\[REDACTED:customer_id:[0-9a-f]{8}\] ops@example\.com$/);
+    });
+
+    test('redacts every string of a value without touching the original', () => {
+        const value = { command: `curl -H "Authorization: Bearer ${GITHUB_TOKEN}"`, count: 3 };
+        const copy = redaction.redactValue(value);
+
+        expect(copy.count).toBe(3);
+        expect(copy.command).not.toContain(GITHUB_TOKEN);
+        expect(value.command).toContain(GITHUB_TOKEN);
+    });
+
+    test('returns text unchanged when disabled', () => {
+        configure({ enabled: false });
+        expect(redaction.redactText(GITHUB_TOKEN)).toBe(GITHUB_TOKEN);
+    });
+});
+
+describe('fingerprint salt', () => {
+    const saltFile = path.join(dir, 'redaction-salt');
+    const marker = (text) => text.match(/\[REDACTED:email:([0-9a-f]{8})\]/)[1];
+    const unsalted = crypto.createHash('sha256').update('ops@example.com').digest('hex').slice(0, 8);
+
+    beforeEach(() => fs.rmSync(saltFile, { force: true }));
+
+    test('is generated once per install and kept', () => {
+        configure({});
+        const first = marker(redaction.redactText('ops@example.com'));
+
+        expect(fs.readFileSync(saltFile, 'utf8')).toMatch(/^[0-9a-f]{64}\n$/);
+        expect(fs.statSync(saltFile).mode & 0o777).toBe(0o600);
+        expect(first).not.toBe(unsalted);
+
+        // A restart reads the same salt back
+        configure({});
+        expect(marker(redaction.redactText('ops@example.com'))).toBe(first);
+    });
+
+    test('differs between installs', () => {
+        configure({});
+        const first = marker(redaction.redactText('ops@example.com'));
+
+        fs.rmSync(saltFile);
+        configure({});
+        expect(marker(redaction.redactText('ops@example.com'))).not.toBe(first);
+    });
+
+    test('comes from config when set', () => {
+        configure({ salt: 'local-secret' });
+        const expected = crypto.createHash('sha256').update('local-secret' + 'ops@example.com').digest('hex').slice(0, 8);
+
+        expect(marker(redaction.redactText('ops@example.com'))).toBe(expected);
+        expect(fs.existsSync(saltFile)).toBe(false);
+    });
+});
+
+describe('redaction report', () => {
+    beforeEach(() => db.init());
+
+    test('adds up findings per detector and clears them by target', () => {
+        const conversationId = Number(db.getDb().prepare(`
+            INSERT INTO conversations (conversation_id, source_file_path, source_file_type)
+            VALUES ('session-1', '/work/session-1.jsonl', 'jsonl')
+        `).run().lastInsertRowid);
+
+        redaction.recordFindings(conversationId, 'entry', { email: 2, github_token: 1 });
+        redaction.recordFindings(conversationId, 'entry', { email: 1 });
+        redaction.recordFindings(conversationId, 'artifact', { email: 4 });
+
+        const report = redaction.getRedactionReport(conversationId);
+        expect(report.total).toBe(8);
+        expect(report.byDetector).toEqual({ email: 7, github_token: 1 });
+
+        redaction.clearFindings(conversationId, ['artifact']);
+        expect(redaction.getRedactionReport(conversationId).byDetector).toEqual({ email: 3, github_token: 1 });
+    });
+});
@@ -0,0 +1,410 @@
+import fs from 'fs';
+import db from '../db/index.js';
+import logger from './logService.js';
+import conversationParser from './conversationParserService.js';
+import artifactExtractor from './artifactExtractorService.js';
+import redaction from './redactionService.js';
+
+/**
+ * Reprocess Service
+ *
+ * Rebuilds derived data after parser or extractor logic changes. Every
+ * entry records the PARSER_VERSION and every artifact the
+ * EXTRACTOR_VERSION that produced it; a reprocess job selects the
+ * conversations holding older rows (or any filtered set) and rebuilds
+ * them in the background, one conversation per tick.
+ *
+ * Scopes:
+ *   all        - clear file-captured entries, blocks and artifacts, then
+ *                re-parse the source file and re-extract artifacts
+ *   artifacts  - clear artifacts and re-extract them from the source file
+ *                or stored entries
+ *
+ * Rows are cleared before they are rebuilt, inside one transaction per
+ * conversation, so nothing is duplicated. Conversations whose source file
+ * is gone keep their entries and only get artifacts rebuilt; hook-captured
+ * entries and their tool calls are kept as they have no source to re-read,
+ * and so are entries a resync retained after their lines left the file,
+ * along with their artifacts.
+ */
+
+const MAX_ERRORS = 50;
+
+// Artifacts that a rebuild recreates: everything but tool calls recorded from hook entries
+const REBUILDABLE_ARTIFACT = `(a.entry_id IS NULL OR a.entry_id NOT IN (
+    SELECT id FROM conversation_entries WHERE capture_source = 'hook'
+))`;
+const SCOPES = ['all', 'artifacts'];
+
+const queue = [];
+let processing = false;
+
+// Conversations already rebuilt alongside a sibling from the same file, per job
+const rebuiltByJob = new Map();
+
+/**
+ * Build an error carrying an HTTP status code
+ */
+function requestError(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+/**
+ * Current versions and how many stored rows predate them
+ */
+function getVersionStatus() {
+    const database = db.getDb();
+    const { PARSER_VERSION } = conversationParser;
+    const { EXTRACTOR_VERSION } = artifactExtractor;
+
+    const entries = database.prepare(`
+        SELECT COUNT(*) AS outdated, COUNT(DISTINCT conversation_id) AS conversations
+        FROM conversation_entries
+        WHERE capture_source = 'file' AND COALESCE(parser_version, 0) < ?
+    `).get(PARSER_VERSION);
+
+    const artifacts = database.prepare(`
+        SELECT COUNT(*) AS outdated, COUNT(DISTINCT a.conversation_id) AS conversations
+        FROM artifacts a
+        WHERE COALESCE(a.extractor_version, 0) < ? AND ${REBUILDABLE_ARTIFACT}
+    `).get(EXTRACTOR_VERSION);
+
+    return {
+        parserVersion: PARSER_VERSION,
+        extractorVersion: EXTRACTOR_VERSION,
+        outdatedEntries: entries.outdated,
+        outdatedArtifacts: artifacts.outdated,
+        conversationsWithOutdatedEntries: entries.conversations,
+        conversationsWithOutdatedArtifacts: artifacts.conversations
+    };
+}
+
+/**
+ * Select the conversations a job should rebuild
+ */
+function selectConversations(scope, filters) {
+    const database = db.getDb();
+    const conditions = [];
+    const params = [];
+
+    if (filters.conversationIds?.length) {
+        conditions.push(`c.id IN (${filters.conversationIds.map(() => '?').join(', ')})`);
+        params.push(...filters.conversationIds);
+    }
+    if (filters.projectId) {
+        conditions.push('c.project_id = ?');
+        params.push(filters.projectId);
+    }
+    if (filters.sourceType) {
+        conditions.push('c.source_file_type = ?');
+        params.push(filters.sourceType);
+    }
+    if (filters.since) {
+        conditions.push('c.started_at >= ?');
+        params.push(filters.since);
+    }
+
+    if (filters.outdatedOnly !== false) {
+        const outdated = [`
+            EXISTS (SELECT 1 FROM artifacts a
+                    WHERE a.conversation_id = c.id AND COALESCE(a.extractor_version, 0) < ?
+                      AND ${REBUILDABLE_ARTIFACT})
+        `];
+        params.push(artifactExtractor.EXTRACTOR_VERSION);
+
+        if (scope === 'all') {
+            outdated.push(`
+                EXISTS (SELECT 1 FROM conversation_entries e
+                        WHERE e.conversation_id = c.id AND e.capture_source = 'file'
+                          AND COALESCE(e.parser_version, 0) < ?)
+            `);
+            params.push(conversationParser.PARSER_VERSION);
+        }
+        conditions.push(`(${outdated.join(' OR ')})`);
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    return database.prepare(`SELECT c.id FROM conversations c ${where} ORDER BY c.id ASC`)
+        .all(...params)
+        .map(row => row.id);
+}
+
+/**
+ * Create a reprocess job and queue it.
+ * `options`: scope ('all' | 'artifacts'), conversationIds, projectId,
+ * sourceType, since, outdatedOnly (default true).
+ */
+function createReprocessJob(options = {}) {
+    const scope = options.scope || 'all';
+    if (!SCOPES.includes(scope)) throw requestError(`Unknown scope: ${scope}`);
+
+    const filters = {
+        conversationIds: options.conversationIds || null,
+        projectId: options.projectId || null,
+        sourceType: options.sourceType || null,
+        since: options.since || null,
+        outdatedOnly: options.outdatedOnly !== false
+    };
+
+    const database = db.getDb();
+    const conversationIds = selectConversations(scope, filters);
+
+    const result = database.prepare(`
+        INSERT INTO reprocess_jobs (scope, filters, conversation_ids, total)
+        VALUES (?, ?, ?, ?)
+    `).run(scope, JSON.stringify(filters), JSON.stringify(conversationIds), conversationIds.length);
+    const jobId = Number(result.lastInsertRowid);
+
+    logger.info(`Queued reprocess job ${jobId}: ${conversationIds.length} conversations (${scope})`);
+    enqueue(jobId);
+
+    return getReprocessJob(jobId);
+}
+
+/**
+ * Rebuild one conversation. Conversations parsed from the same source
+ * file are rebuilt together, since the file is parsed as a whole.
+ * Returns the conversation ids rebuilt and row counts.
+ */
+function rebuildConversation(conversationId, scope) {
+    const database = db.getDb();
+    const conversation = conversationParser.getConversation(conversationId);
+    if (!conversation) throw new Error('Conversation not found');
+
+    const sourcePath = conversation.source_file_path;
+    const fromSource = scope === 'all' && sourcePath && fs.existsSync(sourcePath);
+
+    return database.transaction(() => {
+        let conversationIds = [conversationId];
+        let entries = 0;
+
+        if (fromSource) {
+            const siblings = database.prepare(`
+                SELECT id FROM conversations WHERE source_file_path = ?
+            `).all(sourcePath).map(row => row.id);
+
+            const retained = conversationParser.getRetainedEntryIds(sourcePath);
+            for (const id of siblings) {
+                artifactExtractor.clearArtifacts(id, retained);
+                redaction.clearFindings(id, ['entry', 'block', 'artifact']);
+            }
+
+            const parsed = conversationParser.rebuildSourceEntries(sourcePath, conversation.project_id);
+            if (!parsed.success) throw new Error(parsed.error || 'Parse failed');
+
+            conversationIds = [...new Set([...siblings, ...(parsed.conversationId ? [parsed.conversationId] : [])])];
+            entries = parsed.newEntries || 0;
+        } else {
+            const retained = sourcePath ? conversationParser.getRetainedEntryIds(sourcePath) : [];
+            artifactExtractor.clearArtifacts(conversationId, retained);
+            redaction.clearFindings(conversationId, ['artifact']);
+        }
+
+        let artifacts = 0;
+        for (const id of conversationIds) {
+            const extracted = artifactExtractor.processConversationEntries(id);
+            if (!extracted.success) throw new Error(extracted.error || 'Extraction failed');
+            artifacts += (extracted.codeBlocks || 0) + (extracted.toolCalls || 0) +
+                (extracted.toolResults || 0) + (extracted.jsonObjects || 0);
+        }
+
+        return { conversationIds, entries, artifacts, fromSource };
+    })();
+}
+
+/**
+ * Mark a job failed after an unexpected error
+ */
+function failJob(jobId, err) {
+    const database = db.getDb();
+
+    try {
+        const job = database.prepare('SELECT errors FROM reprocess_jobs WHERE id = ?').get(jobId);
+        const errors = job?.errors ? JSON.parse(job.errors) : [];
+        if (errors.length < MAX_ERRORS) errors.push({ error: err.message });
+
+        database.prepare(`
+            UPDATE reprocess_jobs SET status = 'failed', errors = ?, finished_at = datetime('now') WHERE id = ?
+        `).run(JSON.stringify(errors), jobId);
+    } catch (updateErr) {
+        logger.error('Could not mark reprocess job failed', { jobId, error: updateErr.message });
+    }
+}
+
+/**
+ * Process the next conversation of the job at the head of the queue. A
+ * job that fails outside a conversation's own rebuild is marked failed
+ * and dropped, and the queue moves on.
+ */
+function processNext() {
+    const jobId = queue[0];
+
+    if (jobId === undefined) {
+        processing = false;
+        return;
+    }
+
+    try {
+        processJob(jobId);
+    } catch (err) {
+        logger.error('Reprocess job failed', { jobId, error: err.message });
+        if (queue[0] === jobId) queue.shift();
+        rebuiltByJob.delete(jobId);
+        failJob(jobId, err);
+    }
+
+    setImmediate(processNext);
+}
+
+/**
+ * Rebuild the next conversation of a job, or complete the job and take it
+ * off the queue when none are left
+ */
+function processJob(jobId) {
+    const database = db.getDb();
+    const job = database.prepare('SELECT * FROM reprocess_jobs WHERE id = ?').get(jobId);
+    const conversationIds = job ? JSON.parse(job.conversation_ids) : [];
+    const position = job ? job.processed + job.failed : 0;
+
+    if (!job || job.status === 'cancelled' || position >= conversationIds.length) {
+        queue.shift();
+        rebuiltByJob.delete(jobId);
+        if (job && job.status !== 'cancelled') {
+            database.prepare(`
+                UPDATE reprocess_jobs SET status = 'completed', finished_at = datetime('now') WHERE id = ?
+            `).run(jobId);
+            logger.info(`Reprocess job ${jobId} completed: ${job.processed} rebuilt, ${job.failed} failed`);
+        }
+        return;
+    }
+
+    if (job.status === 'queued') {
+        database.prepare(`
+            UPDATE reprocess_jobs SET status = 'running', started_at = datetime('now') WHERE id = ?
+        `).run(jobId);
+    }
+
+    const conversationId = conversationIds[position];
+    const rebuilt = rebuiltByJob.get(jobId) || new Set();
+    rebuiltByJob.set(jobId, rebuilt);
+
+    if (rebuilt.has(conversationId)) {
+        database.prepare('UPDATE reprocess_jobs SET processed = processed + 1 WHERE id = ?').run(jobId);
+    } else {
+        try {
+            const result = rebuildConversation(conversationId, job.scope);
+            for (const id of result.conversationIds) rebuilt.add(id);
+
+            database.prepare(`
+                UPDATE reprocess_jobs SET
+                    processed = processed + 1,
+                    entries_rebuilt = entries_rebuilt + ?,
+                    artifacts_rebuilt = artifacts_rebuilt + ?
+                WHERE id = ?
+            `).run(result.entries, result.artifacts, jobId);
+        } catch (err) {
+            logger.error('Reprocess conversation failed', { conversationId, error: err.message });
+
+            const errors = job.errors ? JSON.parse(job.errors) : [];
+            if (errors.length < MAX_ERRORS) errors.push({ conversationId, error: err.message });
+
+            database.prepare(`
+                UPDATE reprocess_jobs SET failed = failed + 1, errors = ? WHERE id = ?
+            `).run(JSON.stringify(errors), jobId);
+        }
+    }
+}
+
+/**
+ * Add a job to the queue and start the worker if idle
+ */
+function enqueue(jobId) {
+    if (!queue.includes(jobId)) queue.push(jobId);
+    if (!processing) {
+        processing = true;
+        setImmediate(processNext);
+    }
+}
+
+/**
+ * Re-queue jobs left unfinished by a restart
+ */
+function resumePendingJobs() {
+    const database = db.getDb();
+    const jobs = database.prepare(`
+        SELECT id FROM reprocess_jobs WHERE status IN ('queued', 'running') ORDER BY id ASC
+    `).all();
+
+    for (const job of jobs) enqueue(job.id);
+    return jobs.length;
+}
+
+/**
+ * Cancel a queued or running job. Conversations already rebuilt stay rebuilt.
+ * Returns the job, or null if not found.
+ */
+function cancelReprocessJob(jobId) {
+    const database = db.getDb();
+    database.prepare(`
+        UPDATE reprocess_jobs SET status = 'cancelled', finished_at = datetime('now')
+        WHERE id = ? AND status IN ('queued', 'running')
+    `).run(jobId);
+    return getReprocessJob(jobId);
+}
+
+/**
+ * Format a job row with parsed JSON and progress
+ */
+function formatJob(job) {
+    const done = job.processed + job.failed;
+    const formatted = { ...job };
+    delete formatted.conversation_ids;
+
+    return {
+        ...formatted,
+        filters: job.filters ? JSON.parse(job.filters) : null,
+        errors: job.errors ? JSON.parse(job.errors) : [],
+        progress: job.total ? Math.round((done / job.total) * 100) : 100
+    };
+}
+
+/**
+ * Get a reprocess job with progress
+ */
+function getReprocessJob(jobId) {
+    const database = db.getDb();
+    const job = database.prepare('SELECT * FROM reprocess_jobs WHERE id = ?').get(jobId);
+    return job ? formatJob(job) : null;
+}
+
+/**
+ * List reprocess jobs, newest first
+ */
+function listReprocessJobs(options = {}) {
+    const database = db.getDb();
+    const { limit = 50, offset = 0 } = options;
+
+    return database.prepare(`
+        SELECT * FROM reprocess_jobs ORDER BY id DESC LIMIT ? OFFSET ?
+    `).all(limit, offset).map(formatJob);
+}
+
+export {
+    getVersionStatus,
+    createReprocessJob,
+    resumePendingJobs,
+    cancelReprocessJob,
+    getReprocessJob,
+    listReprocessJobs
+};
+
+export default {
+    getVersionStatus,
+    createReprocessJob,
+    resumePendingJobs,
+    cancelReprocessJob,
+    getReprocessJob,
+    listReprocessJobs
+};
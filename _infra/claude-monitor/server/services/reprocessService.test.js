@@ -0,0 +1,138 @@
+import { describe, test, expect, beforeEach } from 'bun:test';
+import fs from 'fs';
+import path from 'path';
+import { setupTestEnv, transcript, writeTranscript } from '../test/helpers.js';
+
+const { db, dir } = setupTestEnv();
+const { default: conversationParser } = await import('./conversationParserService.js');
+const { default: artifactExtractor } = await import('./artifactExtractorService.js');
+const { default: reprocess } = await import('./reprocessService.js');
+
+/**
+ * Wait for a job to leave the queued and running states
+ */
+async function finished(jobId) {
+    for (let tick = 0; tick < 1000; tick++) {
+        const job = reprocess.getReprocessJob(jobId);
+        if (!['queued', 'running'].includes(job.status)) return job;
+        await new Promise(resolve => setImmediate(resolve));
+    }
+    throw new Error(`Job ${jobId} did not finish`);
+}
+
+const entries = (conversationId) => db.getDb().prepare(`
+    SELECT content FROM conversation_entries WHERE conversation_id = ? ORDER BY entry_index
+`).all(conversationId).map(row => row.content);
+
+const toolCalls = (conversationId) => db.getDb().prepare(`
+    SELECT json_extract(content, '$.command') AS command FROM artifacts
+    WHERE conversation_id = ? AND artifact_type = 'tool_call' ORDER BY id
+`).all(conversationId).map(row => row.command);
+
+describe('reprocess jobs', () => {
+    let filePath;
+
+    beforeEach(() => {
+        db.init();
+        filePath = path.join(dir, `${crypto.randomUUID()}.jsonl`);
+    });
+
+    test('keep entries and artifacts a truncation resync retained', async () => {
+        const session = transcript();
+        const question = session.user('list the files');
+        writeTranscript(filePath, [
+            question,
+            session.toolUse('toolu_1', 'Bash', { command: 'ls -la' }),
+            session.toolResult('toolu_1', 'README.md'),
+            session.assistant('There is a README.')
+        ]);
+        const { conversationId } = conversationParser.processFile(filePath);
+        artifactExtractor.processConversationEntries(conversationId);
+
+        // The file is cut back to its first line and written on from there
+        writeTranscript(filePath, [question, session.user('now show the README')]);
+        expect(conversationParser.processFile(filePath).resync).toBe('truncated');
+        artifactExtractor.processConversationEntries(conversationId);
+
+        const before = entries(conversationId);
+        expect(before).toHaveLength(5);
+        expect(toolCalls(conversationId)).toEqual(['ls -la']);
+
+        const job = await finished(reprocess.createReprocessJob({ scope: 'all', outdatedOnly: false }).id);
+
+        expect(job.status).toBe('completed');
+        expect(job.failed).toBe(0);
+        expect(entries(conversationId)).toEqual(before);
+        expect(toolCalls(conversationId)).toEqual(['ls -la']);
+    });
+
+    test('rebuild entries from the file when nothing was retained', async () => {
+        const session = transcript();
+        writeTranscript(filePath, [session.user('hello'), session.assistant('hi')]);
+        const { conversationId } = conversationParser.processFile(filePath);
+        db.getDb().prepare('UPDATE conversation_entries SET parser_version = 0').run();
+
+        const job = await finished(reprocess.createReprocessJob({ scope: 'all' }).id);
+
+        expect(job.status).toBe('completed');
+        expect(job.entries_rebuilt).toBe(2);
+        expect(entries(conversationId)).toEqual(['hello', 'hi']);
+        expect(db.getDb().prepare('SELECT MIN(parser_version) AS version FROM conversation_entries').get().version)
+            .toBe(conversationParser.PARSER_VERSION);
+    });
+
+    test('fail a job that breaks outside a rebuild and run the next one', async () => {
+        const session = transcript();
+        writeTranscript(filePath, [session.user('hello')]);
+        conversationParser.processFile(filePath);
+
+        const broken = reprocess.createReprocessJob({ scope: 'artifacts', outdatedOnly: false });
+        db.getDb().prepare('UPDATE reprocess_jobs SET conversation_ids = ? WHERE id = ?').run('not json', broken.id);
+        const next = reprocess.createReprocessJob({ scope: 'artifacts', outdatedOnly: false });
+
+        expect((await finished(broken.id)).status).toBe('failed');
+        expect((await finished(next.id)).status).toBe('completed');
+    });
+
+    test('rebuild only conversations holding rows from older versions', async () => {
+        const ingest = (text) => {
+            const session = transcript(crypto.randomUUID());
+            const sessionPath = path.join(dir, `${crypto.randomUUID()}.jsonl`);
+            writeTranscript(sessionPath, [session.user(text), session.toolUse('toolu_1', 'Bash', { command: text })]);
+            const { conversationId } = conversationParser.processFile(sessionPath);
+            artifactExtractor.processConversationEntries(conversationId);
+            return conversationId;
+        };
+        const current = ingest('npm test');
+        const outdated = ingest('npm run build');
+
+        db.getDb().prepare('UPDATE conversation_entries SET parser_version = 0 WHERE conversation_id = ?').run(outdated);
+        db.getDb().prepare('UPDATE artifacts SET extractor_version = NULL WHERE conversation_id = ?').run(outdated);
+        expect(reprocess.getVersionStatus()).toMatchObject({
+            outdatedEntries: 2,
+            conversationsWithOutdatedEntries: 1,
+            conversationsWithOutdatedArtifacts: 1
+        });
+
+        const artifactIds = (conversationId) => db.getDb().prepare(`
+            SELECT id FROM artifacts WHERE conversation_id = ? ORDER BY id
+        `).all(conversationId);
+        const untouched = artifactIds(current);
+
+        const job = reprocess.createReprocessJob();
+        expect(job.total).toBe(1);
+
+        expect((await finished(job.id)).status).toBe('completed');
+        expect(reprocess.getVersionStatus()).toMatchObject({ outdatedEntries: 0, outdatedArtifacts: 0 });
+        expect(entries(outdated)).toEqual(['npm run build', '[Tool: Bash]\n{\n  "command": "npm run build"\n}']);
+        expect(toolCalls(outdated)).toEqual(['npm run build']);
+        expect(artifactIds(current)).toEqual(untouched);
+    });
+
+    test('reject an unknown scope with a 400', () => {
+        expect(() => reprocess.createReprocessJob({ scope: 'everything' })).toThrow(expect.objectContaining({
+            message: 'Unknown scope: everything',
+            statusCode: 400
+        }));
+    });
+});
@@ -0,0 +1,420 @@
+import db from '../db/index.js';
+import logger from './logService.js';
+import outputStore from './outputStoreService.js';
+
+/**
+ * Search Service
+ *
+ * Full-text search over conversation entries and artifacts (code, tool
+ * inputs and tool output) using SQLite FTS5. `entries_fts` and
+ * `artifacts_fts` are kept in step by triggers in schema.sql;
+ * `syncIndex()` fills in rows stored before the indexes existed.
+ * Tool output kept in the blob store is indexed from the blob when it is
+ * stored (`indexArtifactOutput`), up to its first OUTPUT_INDEX_MAX_LENGTH
+ * characters; the triggers alone would only see its summary. Once its
+ * blob is pruned, the update trigger indexes the summary again.
+ *
+ * Queries accept words (all must match), "quoted phrases", prefix*
+ * words, OR between terms and -word to exclude. Anything else is taken
+ * literally, so code like `foo.bar()` can be searched without FTS5
+ * syntax errors. Hits are ranked by BM25 across both sources (tool
+ * output weighs half as much as an artifact's own content) and returned
+ * with a snippet: HTML-escaped text with the matches in <mark>.
+ */
+
+const SCOPES = ['all', 'entries', 'artifacts'];
+const SNIPPET_TOKENS = 16;
+const OUTPUT_INDEX_MAX_LENGTH = 1024 * 1024;
+
+// Markers snippet() puts around matches, swapped for <mark> after escaping
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+
+/**
+ * Quote a word or phrase as an FTS5 string
+ */
+function quote(text) {
+    return `"${text.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Turn a user query into an FTS5 MATCH expression, or null if it has
+ * nothing to search for
+ */
+function toMatchQuery(query) {
+    const include = [];
+    const exclude = [];
+
+    for (const match of (query || '').matchAll(/(-?)"([^"]*)"?|(\S+)/g)) {
+        const [, negated, phrase, word] = match;
+
+        if (word === 'OR') {
+            if (include.length && include[include.length - 1] !== 'OR') include.push('OR');
+            continue;
+        }
+
+        let term;
+        if (phrase !== undefined) {
+            if (!phrase.trim()) continue;
+            term = quote(phrase);
+        } else {
+            const excluded = word.startsWith('-') && word.length > 1;
+            const text = (excluded ? word.slice(1) : word).replace(/\*+$/, '');
+            if (!/[\p{L}\p{N}]/u.test(text)) continue;
+
+            term = quote(text) + (word.endsWith('*') ? '*' : '');
+            if (excluded) {
+                exclude.push(term);
+                continue;
+            }
+        }
+
+        (negated ? exclude : include).push(term);
+    }
+
+    if (include[include.length - 1] === 'OR') include.pop();
+    if (!include.length) return null;
+
+    if (!exclude.length) return include.join(' ');
+
+    // NOT binds tighter than OR, so it must apply to the included terms as a group
+    return [`(${include.join(' ')})`, ...exclude.map(term => `NOT ${term}`)].join(' ');
+}
+
+/**
+ * Escape a snippet and turn its match markers into <mark> tags
+ */
+function formatSnippet(snippet) {
+    if (!snippet) return null;
+
+    return snippet
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;')
+        .split(MATCH_START).join('<mark>')
+        .split(MATCH_END).join('</mark>');
+}
+
+/**
+ * Build the matching entries and artifacts as one UNION ALL query.
+ * Filters that only apply to one source leave the other out.
+ */
+function buildHits(matchQuery, options) {
+    const { scope = 'all', projectId, conversationId, role, toolName, type, since } = options;
+    const parts = [];
+    const params = [];
+
+    const searchEntries = scope !== 'artifacts' && !toolName && !type;
+    const searchArtifacts = scope !== 'entries' && !role;
+
+    if (searchEntries) {
+        let sql = `
+            SELECT
+                'entry' AS source,
+                e.id,
+                e.conversation_id,
+                NULL AS entry_id,
+                c.conversation_id AS session_id,
+                c.title,
+                c.project_id,
+                p.name AS project_name,
+                e.role,
+                e.kind,
+                NULL AS tool_name,
+                NULL AS artifact_type,
+                e.timestamp,
+                bm25(entries_fts) AS score,
+                snippet(entries_fts, 0, char(2), char(3), '…', ${SNIPPET_TOKENS}) AS snippet
+            FROM entries_fts
+            JOIN conversation_entries e ON e.id = entries_fts.rowid
+            JOIN conversations c ON c.id = e.conversation_id
+            LEFT JOIN projects p ON p.id = c.project_id
+            WHERE entries_fts MATCH ? AND e.is_replay = 0
+        `;
+        params.push(matchQuery);
+
+        if (projectId) {
+            sql += ' AND c.project_id = ?';
+            params.push(projectId);
+        }
+
+        if (conversationId) {
+            sql += ' AND e.conversation_id = ?';
+            params.push(conversationId);
+        }
+
+        if (role) {
+            sql += ' AND e.role = ?';
+            params.push(role);
+        }
+
+        if (since) {
+            sql += ' AND e.timestamp >= ?';
+            params.push(since);
+        }
+
+        parts.push(sql);
+    }
+
+    if (searchArtifacts) {
+        let sql = `
+            SELECT
+                'artifact' AS source,
+                a.id,
+                a.conversation_id,
+                a.entry_id,
+                c.conversation_id AS session_id,
+                c.title,
+                c.project_id,
+                p.name AS project_name,
+                NULL AS role,
+                NULL AS kind,
+                a.tool_name,
+                a.artifact_type,
+                COALESCE(a.started_at, a.ended_at, a.created_at) AS timestamp,
+                bm25(artifacts_fts, 1.0, 0.5) AS score,
+                snippet(artifacts_fts, -1, char(2), char(3), '…', ${SNIPPET_TOKENS}) AS snippet
+            FROM artifacts_fts
+            JOIN artifacts a ON a.id = artifacts_fts.rowid
+            JOIN conversations c ON c.id = a.conversation_id
+            LEFT JOIN projects p ON p.id = c.project_id
+            LEFT JOIN conversation_entries e ON e.id = a.entry_id
+            WHERE artifacts_fts MATCH ? AND (e.is_replay IS NULL OR e.is_replay = 0)
+        `;
+        params.push(matchQuery);
+
+        if (projectId) {
+            sql += ' AND c.project_id = ?';
+            params.push(projectId);
+        }
+
+        if (conversationId) {
+            sql += ' AND a.conversation_id = ?';
+            params.push(conversationId);
+        }
+
+        if (toolName) {
+            sql += ' AND a.tool_name = ?';
+            params.push(toolName);
+        }
+
+        if (type) {
+            sql += ' AND a.artifact_type = ?';
+            params.push(type);
+        }
+
+        if (since) {
+            sql += ' AND COALESCE(a.started_at, a.ended_at, a.created_at) >= ?';
+            params.push(since);
+        }
+
+        parts.push(sql);
+    }
+
+    return { sql: parts.join(' UNION ALL '), params };
+}
+
+/**
+ * Count hits by project, role, tool and artifact type
+ */
+function buildFacets(rows) {
+    const facets = { projects: new Map(), roles: new Map(), tools: new Map(), types: new Map() };
+    const add = (map, key, value, count) => {
+        if (key === null || key === undefined) return;
+        const facet = map.get(key) || { ...value, count: 0 };
+        facet.count += count;
+        map.set(key, facet);
+    };
+
+    for (const row of rows) {
+        add(facets.projects, row.project_id ?? 0, { project_id: row.project_id, project_name: row.project_name }, row.count);
+        add(facets.roles, row.role, { role: row.role }, row.count);
+        add(facets.tools, row.tool_name, { tool_name: row.tool_name }, row.count);
+        add(facets.types, row.artifact_type, { artifact_type: row.artifact_type }, row.count);
+    }
+
+    const byCount = (a, b) => b.count - a.count;
+    return {
+        projects: [...facets.projects.values()].sort(byCount),
+        roles: [...facets.roles.values()].sort(byCount),
+        tools: [...facets.tools.values()].sort(byCount),
+        types: [...facets.types.values()].sort(byCount)
+    };
+}
+
+/**
+ * Search entries and artifacts, best matches first.
+ * Options: scope (all, entries, artifacts), projectId, conversationId,
+ * role, toolName, type, since, limit, offset.
+ * Returns { total, data, facets }, or null if the query has no terms.
+ */
+function search(query, options = {}) {
+    const database = db.getDb();
+    const { limit = 50, offset = 0 } = options;
+
+    const matchQuery = toMatchQuery(query);
+    if (!matchQuery) return null;
+
+    const hits = buildHits(matchQuery, options);
+    if (!hits.sql) return { total: 0, data: [], facets: buildFacets([]) };
+
+    const data = database.prepare(`
+        ${hits.sql}
+        ORDER BY score ASC
+        LIMIT ? OFFSET ?
+    `).all(...hits.params, limit, offset).map(hit => ({
+        ...hit,
+        snippet: formatSnippet(hit.snippet)
+    }));
+
+    const counts = database.prepare(`
+        SELECT project_id, project_name, role, tool_name, artifact_type, COUNT(*) AS count
+        FROM (${hits.sql})
+        GROUP BY project_id, role, tool_name, artifact_type
+    `).all(...hits.params);
+
+    return {
+        total: counts.reduce((sum, row) => sum + row.count, 0),
+        data,
+        facets: buildFacets(counts)
+    };
+}
+
+/**
+ * Search artifacts only, best matches first, as full artifact rows.
+ * Options: projectId, type, limit, offset.
+ */
+function searchArtifactRows(query, options = {}) {
+    const database = db.getDb();
+    const { projectId, type, limit = 50, offset = 0 } = options;
+
+    const matchQuery = toMatchQuery(query);
+    if (!matchQuery) return [];
+
+    let sql = `
+        SELECT a.*, c.project_id, p.name as project_name
+        FROM artifacts_fts
+        JOIN artifacts a ON a.id = artifacts_fts.rowid
+        JOIN conversations c ON c.id = a.conversation_id
+        LEFT JOIN projects p ON p.id = c.project_id
+        WHERE artifacts_fts MATCH ?
+    `;
+    const params = [matchQuery];
+
+    if (projectId) {
+        sql += ' AND c.project_id = ?';
+        params.push(projectId);
+    }
+
+    if (type) {
+        sql += ' AND a.artifact_type = ?';
+        params.push(type);
+    }
+
+    sql += ' ORDER BY bm25(artifacts_fts, 1.0, 0.5) ASC LIMIT ? OFFSET ?';
+    params.push(limit, offset);
+
+    return database.prepare(sql).all(...params);
+}
+
+/**
+ * Index the full text of a tool output kept in the blob store
+ */
+function indexArtifactOutput(artifactId, text) {
+    if (!text) return;
+
+    db.getDb().prepare('UPDATE artifacts_fts SET output = ? WHERE rowid = ?')
+        .run(text.slice(0, OUTPUT_INDEX_MAX_LENGTH), artifactId);
+}
+
+/**
+ * Index blob-stored outputs of the given artifacts, skipping blobs that
+ * can no longer be read
+ */
+function indexBlobOutputs(rows) {
+    for (const row of rows) {
+        try {
+            indexArtifactOutput(row.id, outputStore.readOutput(row.output_blob_hash));
+        } catch (err) {
+            logger.warn(`Could not index output of artifact ${row.id}`, { error: err.message });
+        }
+    }
+}
+
+/**
+ * Add rows stored before the search indexes existed, and drop index rows
+ * whose source is gone. Returns the number of rows added.
+ */
+function syncIndex() {
+    const database = db.getDb();
+    let added = 0;
+
+    const run = database.transaction(() => {
+        const blobRows = database.prepare(`
+            SELECT id, output_blob_hash FROM artifacts
+            WHERE output_blob_hash IS NOT NULL AND id NOT IN (SELECT rowid FROM artifacts_fts)
+        `).all();
+
+        added += database.prepare(`
+            INSERT INTO entries_fts (rowid, content)
+            SELECT id, content FROM conversation_entries
+            WHERE id NOT IN (SELECT rowid FROM entries_fts)
+        `).run().changes;
+
+        added += database.prepare(`
+            INSERT INTO artifacts_fts (rowid, content, output)
+            SELECT id, content, COALESCE(output_full, output_summary) FROM artifacts
+            WHERE id NOT IN (SELECT rowid FROM artifacts_fts)
+        `).run().changes;
+
+        indexBlobOutputs(blobRows);
+
+        database.prepare('DELETE FROM entries_fts WHERE rowid NOT IN (SELECT id FROM conversation_entries)').run();
+        database.prepare('DELETE FROM artifacts_fts WHERE rowid NOT IN (SELECT id FROM artifacts)').run();
+    });
+    run();
+
+    if (added) logger.info(`Added ${added} rows to the search index`);
+    return added;
+}
+
+/**
+ * Rebuild both search indexes from scratch
+ */
+function rebuildIndex() {
+    const database = db.getDb();
+
+    const run = database.transaction(() => {
+        database.prepare('DELETE FROM entries_fts').run();
+        database.prepare('DELETE FROM artifacts_fts').run();
+    });
+    run();
+
+    const added = syncIndex();
+    database.prepare("INSERT INTO entries_fts (entries_fts) VALUES ('optimize')").run();
+    database.prepare("INSERT INTO artifacts_fts (artifacts_fts) VALUES ('optimize')").run();
+
+    return { indexed: added };
+}
+
+export {
+    SCOPES,
+    toMatchQuery,
+    search,
+    searchArtifactRows,
+    indexArtifactOutput,
+    syncIndex,
+    rebuildIndex
+};
+
+export default {
+    SCOPES,
+    toMatchQuery,
+    search,
+    searchArtifactRows,
+    indexArtifactOutput,
+    syncIndex,
+    rebuildIndex
+};
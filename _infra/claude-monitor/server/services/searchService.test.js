@@ -0,0 +1,108 @@
+import { describe, test, expect, beforeEach } from 'bun:test';
+import { setupTestEnv } from '../test/helpers.js';
+
+const { config, db } = setupTestEnv();
+const { default: search } = await import('./searchService.js');
+const { default: artifactExtractor } = await import('./artifactExtractorService.js');
+const { default: outputStore } = await import('./outputStoreService.js');
+
+describe('toMatchQuery', () => {
+    test('quotes words and keeps phrases, prefixes and OR', () => {
+        expect(search.toMatchQuery('npm test')).toBe('"npm" "test"');
+        expect(search.toMatchQuery('"exit code" build*')).toBe('"exit code" "build"*');
+        expect(search.toMatchQuery('eslint OR prettier')).toBe('"eslint" OR "prettier"');
+    });
+
+    test('groups the included terms before excluded ones', () => {
+        expect(search.toMatchQuery('eslint OR prettier -warning')).toBe('("eslint" OR "prettier") NOT "warning"');
+        expect(search.toMatchQuery('deploy -"dry run"')).toBe('("deploy") NOT "dry run"');
+    });
+
+    test('takes code and FTS5 syntax literally', () => {
+        expect(search.toMatchQuery('foo.bar() AND')).toBe('"foo.bar()" "AND"');
+        expect(search.toMatchQuery('OR -- *')).toBeNull();
+        expect(search.toMatchQuery('')).toBeNull();
+    });
+});
+
+describe('search', () => {
+    let conversationId;
+
+    beforeEach(() => {
+        db.init();
+        config.conversationCapture.outputStore.inlineMaxBytes = 100;
+        config.conversationCapture.outputStore.maxStoreBytes = 0;
+
+        conversationId = Number(db.getDb().prepare(`
+            INSERT INTO conversations (conversation_id, source_file_path, source_file_type)
+            VALUES ('session-1', '/work/session-1.jsonl', 'jsonl')
+        `).run().lastInsertRowid);
+
+        const insertEntry = db.getDb().prepare(`
+            INSERT INTO conversation_entries (conversation_id, entry_hash, entry_index, role, content)
+            VALUES (?, ?, ?, ?, ?)
+        `);
+        insertEntry.run(conversationId, 'hash-0', 0, 'user', 'set up eslint for the project');
+        insertEntry.run(conversationId, 'hash-1', 1, 'assistant', 'eslint prints a warning in app.js');
+        insertEntry.run(conversationId, 'hash-2', 2, 'assistant', 'prettier reports a warning too');
+        insertEntry.run(conversationId, 'hash-3', 3, 'assistant', 'prettier is configured');
+    });
+
+    const contents = (result) => result.data.map(hit => hit.snippet.replace(/<\/?mark>/g, '')).sort();
+
+    test('excludes terms from every alternative', () => {
+        expect(contents(search.search('eslint OR prettier -warning', { scope: 'entries' }))).toEqual([
+            'prettier is configured',
+            'set up eslint for the project'
+        ]);
+    });
+
+    /**
+     * Record a Bash call whose output is kept in the blob store, with a
+     * word past the inline summary
+     */
+    function recordLargeOutput() {
+        const call = {
+            conversationId,
+            toolUseId: 'toolu_1',
+            toolName: 'Bash',
+            input: { command: 'npm test' },
+            timestamp: '2026-01-01T00:00:00.000Z'
+        };
+        artifactExtractor.recordToolCall(call);
+        artifactExtractor.recordToolCall({ ...call, output: 'ok\n'.repeat(400) + 'zebrafish failed' });
+
+        return db.getDb().prepare("SELECT id, output_blob_hash FROM artifacts WHERE tool_name = 'Bash'").get();
+    }
+
+    const artifactHits = (query) => search.search(query, { scope: 'artifacts' }).total;
+
+    test('finds output kept in the blob store after the artifact is updated', () => {
+        const artifact = recordLargeOutput();
+        expect(artifact.output_blob_hash).not.toBeNull();
+        expect(artifactHits('zebrafish')).toBe(1);
+
+        db.getDb().prepare('UPDATE artifacts SET content = ?, output_summary = ? WHERE id = ?')
+            .run('{"command":"npm run test"}', 'ok', artifact.id);
+
+        expect(artifactHits('zebrafish')).toBe(1);
+        expect(artifactHits('run')).toBe(1);
+    });
+
+    test('drops blob text from the index when the blob is pruned', () => {
+        recordLargeOutput();
+        config.conversationCapture.outputStore.maxStoreBytes = 1;
+
+        expect(outputStore.pruneOutputs().removed).toBe(1);
+        expect(artifactHits('zebrafish')).toBe(0);
+        expect(artifactHits('ok')).toBe(1);
+    });
+
+    test('rebuilds the index with blob output', () => {
+        recordLargeOutput();
+        db.getDb().prepare('DELETE FROM artifacts_fts').run();
+
+        search.rebuildIndex();
+        expect(artifactHits('zebrafish')).toBe(1);
+    });
+});
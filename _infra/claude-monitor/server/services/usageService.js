@@ -0,0 +1,356 @@
+import db from '../db/index.js';
+import config from '../config.js';
+
+/**
+ * Usage Service
+ *
+ * Token usage and estimated cost accounting for conversations.
+ * Assistant transcript lines repeat the same `message.usage` for every
+ * content block of a streamed message, so usage is counted once per
+ * message id before it is summed. Entries replayed from an earlier session
+ * of a chain are left out.
+ *
+ * Prices are USD per million tokens, matched by the longest model-name
+ * prefix. Override or extend them with `conversationCapture.pricing`
+ * in config.json.
+ */
+
+const TOKENS_PER_UNIT = 1000000;
+
+const DEFAULT_PRICING = {
+    'claude-opus-4-5': { input: 5, output: 25, cacheWrite: 6.25, cacheRead: 0.5 },
+    'claude-opus-4': { input: 15, output: 75, cacheWrite: 18.75, cacheRead: 1.5 },
+    'claude-sonnet-4': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+    'claude-3-7-sonnet': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+    'claude-3-5-sonnet': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+    'claude-haiku-4-5': { input: 1, output: 5, cacheWrite: 1.25, cacheRead: 0.1 },
+    'claude-3-5-haiku': { input: 0.8, output: 4, cacheWrite: 1, cacheRead: 0.08 }
+};
+
+/**
+ * One row per distinct message: usage is repeated on every line of a
+ * streamed message, so take it once per message id (or per entry when
+ * the transcript carries no id)
+ */
+const MESSAGE_USAGE_SQL = `
+    SELECT
+        e.conversation_id,
+        COALESCE(e.message_id, 'entry:' || e.id) AS message_key,
+        MAX(e.model) AS model,
+        MIN(e.timestamp) AS timestamp,
+        MAX(COALESCE(e.input_tokens, 0)) AS input_tokens,
+        MAX(COALESCE(e.output_tokens, 0)) AS output_tokens,
+        MAX(COALESCE(e.cache_creation_tokens, 0)) AS cache_creation_tokens,
+        MAX(COALESCE(e.cache_read_tokens, 0)) AS cache_read_tokens
+    FROM conversation_entries e
+    WHERE e.is_replay = 0
+      AND (e.model IS NOT NULL OR e.input_tokens IS NOT NULL OR e.output_tokens IS NOT NULL)
+    GROUP BY e.conversation_id, message_key
+`;
+
+/**
+ * Get the effective price table (defaults merged with config overrides)
+ */
+function getPriceTable() {
+    return {
+        ...DEFAULT_PRICING,
+        ...(config.conversationCapture?.pricing || {})
+    };
+}
+
+/**
+ * Find the price entry for a model by longest matching prefix
+ */
+function findPrice(model, priceTable = getPriceTable()) {
+    if (!model) return null;
+
+    let best = null;
+    for (const prefix of Object.keys(priceTable)) {
+        if (model.startsWith(prefix) && (!best || prefix.length > best.length)) {
+            best = prefix;
+        }
+    }
+    return best ? priceTable[best] : null;
+}
+
+/**
+ * Estimate cost in USD for a token usage record, or null if the model is unpriced
+ */
+function estimateCost(usage, model, priceTable = getPriceTable()) {
+    const price = findPrice(model, priceTable);
+    if (!price) return null;
+
+    return (
+        (usage.input_tokens || 0) * (price.input || 0) +
+        (usage.output_tokens || 0) * (price.output || 0) +
+        (usage.cache_creation_tokens || 0) * (price.cacheWrite || 0) +
+        (usage.cache_read_tokens || 0) * (price.cacheRead || 0)
+    ) / TOKENS_PER_UNIT;
+}
+
+/**
+ * Extract model and token usage from a JSONL transcript entry
+ */
+function extractUsage(entry) {
+    const message = entry.message;
+    if (!message || typeof message !== 'object') return {};
+
+    const usage = message.usage || {};
+    return {
+        messageId: message.id || null,
+        model: message.model || null,
+        inputTokens: usage.input_tokens ?? null,
+        outputTokens: usage.output_tokens ?? null,
+        cacheCreationTokens: usage.cache_creation_input_tokens ?? null,
+        cacheReadTokens: usage.cache_read_input_tokens ?? null
+    };
+}
+
+/**
+ * Sum per-model token rows into totals with an estimated cost.
+ * Rows must carry model plus the four token columns.
+ */
+function summarizeRows(rows, priceTable = getPriceTable()) {
+    const summary = {
+        input_tokens: 0,
+        output_tokens: 0,
+        cache_creation_tokens: 0,
+        cache_read_tokens: 0,
+        estimated_cost_usd: 0,
+        unpriced_models: []
+    };
+
+    for (const row of rows) {
+        summary.input_tokens += row.input_tokens || 0;
+        summary.output_tokens += row.output_tokens || 0;
+        summary.cache_creation_tokens += row.cache_creation_tokens || 0;
+        summary.cache_read_tokens += row.cache_read_tokens || 0;
+
+        const cost = estimateCost(row, row.model, priceTable);
+        if (cost === null) {
+            if (row.model && !summary.unpriced_models.includes(row.model)) {
+                summary.unpriced_models.push(row.model);
+            }
+        } else {
+            summary.estimated_cost_usd += cost;
+        }
+    }
+
+    return summary;
+}
+
+/**
+ * Group per-model rows by their key columns and summarize each group
+ */
+function summarizeGroups(rows, keyColumns) {
+    const priceTable = getPriceTable();
+    const groups = new Map();
+
+    for (const row of rows) {
+        const key = row[keyColumns[0]];
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+    }
+
+    return [...groups.values()].map(groupRows => {
+        const group = {};
+        for (const column of keyColumns) group[column] = groupRows[0][column];
+
+        return {
+            ...group,
+            models: groupRows.map(r => r.model).filter(Boolean),
+            message_count: groupRows.reduce((sum, r) => sum + (r.message_count || 0), 0),
+            ...summarizeRows(groupRows, priceTable)
+        };
+    });
+}
+
+/**
+ * Get token usage for a conversation, broken down by model
+ */
+function getConversationUsage(conversationId) {
+    const database = db.getDb();
+
+    const byModel = database.prepare(`
+        SELECT
+            model,
+            COUNT(*) AS message_count,
+            SUM(input_tokens) AS input_tokens,
+            SUM(output_tokens) AS output_tokens,
+            SUM(cache_creation_tokens) AS cache_creation_tokens,
+            SUM(cache_read_tokens) AS cache_read_tokens
+        FROM (${MESSAGE_USAGE_SQL}) m
+        WHERE m.conversation_id = ?
+        GROUP BY model
+        ORDER BY output_tokens DESC
+    `).all(conversationId);
+
+    const priceTable = getPriceTable();
+
+    return {
+        conversationId,
+        ...summarizeRows(byModel, priceTable),
+        byModel: byModel.map(row => ({
+            ...row,
+            estimated_cost_usd: estimateCost(row, row.model, priceTable)
+        }))
+    };
+}
+
+/**
+ * Roll up entry usage onto the conversation row.
+ * model_used becomes the model that produced the most output.
+ */
+function rollupConversationUsage(conversationId) {
+    const database = db.getDb();
+    const usage = getConversationUsage(conversationId);
+
+    const primary = usage.byModel.find(row => row.model && row.model !== '<synthetic>');
+
+    database.prepare(`
+        UPDATE conversations SET
+            model_used = COALESCE(?, model_used),
+            input_tokens = ?,
+            output_tokens = ?,
+            cache_creation_tokens = ?,
+            cache_read_tokens = ?,
+            estimated_cost_usd = ?
+        WHERE id = ?
+    `).run(
+        primary?.model || null,
+        usage.input_tokens,
+        usage.output_tokens,
+        usage.cache_creation_tokens,
+        usage.cache_read_tokens,
+        usage.estimated_cost_usd,
+        conversationId
+    );
+
+    return usage;
+}
+
+/**
+ * Get usage per conversation
+ */
+function getUsageByConversation(options = {}) {
+    const database = db.getDb();
+    const { projectId, since, limit = 50, offset = 0 } = options;
+
+    let sql = `
+        SELECT
+            c.id, c.conversation_id, c.project_id, p.name AS project_name,
+            c.started_at, c.model_used, c.input_tokens, c.output_tokens,
+            c.cache_creation_tokens, c.cache_read_tokens, c.estimated_cost_usd
+        FROM conversations c
+        LEFT JOIN projects p ON p.id = c.project_id
+        WHERE 1=1
+    `;
+    const params = [];
+
+    if (projectId) {
+        sql += ' AND c.project_id = ?';
+        params.push(projectId);
+    }
+
+    if (since) {
+        sql += ' AND c.started_at >= ?';
+        params.push(since);
+    }
+
+    sql += ' ORDER BY c.estimated_cost_usd DESC, c.id DESC LIMIT ? OFFSET ?';
+    params.push(limit, offset);
+
+    return database.prepare(sql).all(...params);
+}
+
+/**
+ * Get usage per project
+ */
+function getUsageByProject(options = {}) {
+    const database = db.getDb();
+    const { since } = options;
+
+    let sql = `
+        SELECT
+            c.project_id, p.name AS project_name, m.model,
+            COUNT(*) AS message_count,
+            SUM(m.input_tokens) AS input_tokens,
+            SUM(m.output_tokens) AS output_tokens,
+            SUM(m.cache_creation_tokens) AS cache_creation_tokens,
+            SUM(m.cache_read_tokens) AS cache_read_tokens
+        FROM (${MESSAGE_USAGE_SQL}) m
+        JOIN conversations c ON c.id = m.conversation_id
+        LEFT JOIN projects p ON p.id = c.project_id
+        WHERE 1=1
+    `;
+    const params = [];
+
+    if (since) {
+        sql += ' AND m.timestamp >= ?';
+        params.push(since);
+    }
+
+    sql += ' GROUP BY c.project_id, m.model';
+
+    return summarizeGroups(database.prepare(sql).all(...params), ['project_id', 'project_name'])
+        .sort((a, b) => b.estimated_cost_usd - a.estimated_cost_usd);
+}
+
+/**
+ * Get usage per day over the last `days` days (a positive integer)
+ */
+function getUsageByDay(options = {}) {
+    const database = db.getDb();
+    const { projectId, days = 30 } = options;
+
+    if (!Number.isInteger(days) || days < 1) {
+        const error = new Error('days must be a positive integer');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    let sql = `
+        SELECT
+            date(m.timestamp) AS day, m.model,
+            COUNT(*) AS message_count,
+            SUM(m.input_tokens) AS input_tokens,
+            SUM(m.output_tokens) AS output_tokens,
+            SUM(m.cache_creation_tokens) AS cache_creation_tokens,
+            SUM(m.cache_read_tokens) AS cache_read_tokens
+        FROM (${MESSAGE_USAGE_SQL}) m
+        JOIN conversations c ON c.id = m.conversation_id
+        WHERE m.timestamp >= date('now', ?)
+    `;
+    const params = [`-${days} days`];
+
+    if (projectId) {
+        sql += ' AND c.project_id = ?';
+        params.push(projectId);
+    }
+
+    sql += ' GROUP BY day, m.model ORDER BY day ASC';
+
+    return summarizeGroups(database.prepare(sql).all(...params), ['day']);
+}
+
+export {
+    extractUsage,
+    estimateCost,
+    getPriceTable,
+    getConversationUsage,
+    rollupConversationUsage,
+    getUsageByConversation,
+    getUsageByProject,
+    getUsageByDay
+};
+
+export default {
+    extractUsage,
+    estimateCost,
+    getPriceTable,
+    getConversationUsage,
+    rollupConversationUsage,
+    getUsageByConversation,
+    getUsageByProject,
+    getUsageByDay
+};
@@ -0,0 +1,94 @@
+import { describe, test, expect, beforeEach } from 'bun:test';
+import path from 'path';
+import { setupTestEnv, transcript, writeTranscript } from '../test/helpers.js';
+
+const { db, dir } = setupTestEnv();
+const { default: conversationParser } = await import('./conversationParserService.js');
+const usage = await import('./usageService.js');
+
+const USAGE = {
+    input_tokens: 1000,
+    output_tokens: 2000,
+    cache_creation_input_tokens: 4000,
+    cache_read_input_tokens: 8000
+};
+
+/**
+ * Write a session whose assistant message is streamed as two lines that
+ * both carry the message's usage, and parse it
+ */
+function ingestSession(model = 'claude-sonnet-4-20250514') {
+    const session = transcript();
+    const reply = (line) => ({ ...line, message: { ...line.message, id: 'msg_1', model, usage: USAGE } });
+    const filePath = path.join(dir, `${crypto.randomUUID()}.jsonl`);
+
+    writeTranscript(filePath, [
+        session.user('hello'),
+        reply(session.assistant('thinking about it')),
+        reply(session.toolUse('toolu_1', 'Bash', { command: 'ls' }))
+    ]);
+    conversationParser.processFile(filePath);
+
+    return db.getDb().prepare('SELECT * FROM conversations').get();
+}
+
+describe('usage accounting', () => {
+    beforeEach(() => db.init());
+
+    test('extracts model and usage from the message', () => {
+        expect(usage.extractUsage({ message: { id: 'msg_1', model: 'claude-opus-4-5', usage: USAGE } })).toEqual({
+            messageId: 'msg_1',
+            model: 'claude-opus-4-5',
+            inputTokens: 1000,
+            outputTokens: 2000,
+            cacheCreationTokens: 4000,
+            cacheReadTokens: 8000
+        });
+        expect(usage.extractUsage({ model: 'claude-opus-4-5' })).toEqual({});
+    });
+
+    test('prices models by their longest prefix', () => {
+        const tokens = { input_tokens: 1000000, output_tokens: 1000000 };
+        expect(usage.estimateCost(tokens, 'claude-opus-4-5-20251101')).toBe(30);
+        expect(usage.estimateCost(tokens, 'claude-opus-4-20250514')).toBe(90);
+        expect(usage.estimateCost(tokens, 'gpt-4')).toBeNull();
+    });
+
+    test('rolls usage up once per streamed message', () => {
+        const conversation = ingestSession();
+
+        expect(conversation.model_used).toBe('claude-sonnet-4-20250514');
+        expect(conversation.input_tokens).toBe(1000);
+        expect(conversation.output_tokens).toBe(2000);
+        expect(conversation.cache_creation_tokens).toBe(4000);
+        expect(conversation.cache_read_tokens).toBe(8000);
+        expect(conversation.estimated_cost_usd).toBeCloseTo((1000 * 3 + 2000 * 15 + 4000 * 3.75 + 8000 * 0.3) / 1e6);
+    });
+
+    test('lists unpriced models instead of costing them', () => {
+        const conversation = ingestSession('local-model');
+        const result = usage.getConversationUsage(conversation.id);
+
+        expect(result.estimated_cost_usd).toBe(0);
+        expect(result.unpriced_models).toEqual(['local-model']);
+    });
+
+    test('sums usage per day', () => {
+        ingestSession();
+
+        expect(usage.getUsageByDay({ days: 100000 })).toMatchObject([{
+            day: '2026-01-01',
+            message_count: 1,
+            output_tokens: 2000
+        }]);
+    });
+
+    test('rejects a days value that is not a positive integer', () => {
+        for (const days of [NaN, 0, -3, 1.5, '7']) {
+            expect(() => usage.getUsageByDay({ days })).toThrow(expect.objectContaining({
+                message: 'days must be a positive integer',
+                statusCode: 400
+            }));
+        }
+    });
+});
@@ -0,0 +1,202 @@
+import { mock, afterAll } from 'bun:test';
+import { Database } from 'bun:sqlite';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+
+/**
+ * Test Helpers
+ *
+ * Services reach the database, config and logger through module imports.
+ * Loading this file replaces those modules for every later import: an
+ * in-memory database set up the way startup does it (schema.sql, then
+ * the migrations), a config object tests can change, and a logger that
+ * keeps what it was given. Call `setupTestEnv()` first, then import the
+ * services under test.
+ */
+
+const SCHEMA_PATH = path.join(import.meta.dir, '..', 'db', 'schema.sql');
+
+const config = {};
+const logged = [];
+let database = null;
+let migrate = null;
+
+const testDb = {
+    init() {
+        database?.close();
+        database = new Database(':memory:');
+        database.exec(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+        migrate(database);
+    },
+    getDb() {
+        return database;
+    },
+    close() {
+        database?.close();
+        database = null;
+    }
+};
+
+const record = (level) => (message, context) => logged.push({ level, message, context });
+
+const testLogger = {
+    debug: () => {},
+    info: record('info'),
+    warn: record('warn'),
+    error: record('error')
+};
+
+mock.module('../db/index.js', () => ({ default: testDb }));
+mock.module('../config.js', () => ({ default: config }));
+mock.module('../services/logService.js', () => ({ default: testLogger }));
+
+({ migrate } = await import('../db/migrations.js'));
+
+/**
+ * Start a test file with a fresh database, default config and a scratch
+ * directory for output blobs, imports and the redaction salt, removed
+ * after the file's tests.
+ * `overrides` are merged into `conversationCapture`.
+ */
+function setupTestEnv(overrides = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-monitor-test-'));
+    afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    for (const key of Object.keys(config)) delete config[key];
+    Object.assign(config, {
+        apiVersion: 'v1',
+        defaultPageSize: 50,
+        maxPageSize: 500,
+        conversationCapture: {
+            outputStore: { directory: path.join(dir, 'outputs') },
+            import: { directory: path.join(dir, 'imports') },
+            redaction: { saltFile: path.join(dir, 'redaction-salt') },
+            ...overrides
+        }
+    });
+
+    logged.length = 0;
+    testDb.init();
+
+    return { config, db: testDb, dir, logged };
+}
+
+/**
+ * Serve a router on a free local port, as mounted under /api/v1, with the
+ * error responses of the app. Returns the base URL and a close function.
+ */
+async function startApp(mountPath, router) {
+    const { default: express } = await import('express');
+    const app = express();
+    app.use(express.json({ limit: '10mb' }));
+    app.use(`/api/v1${mountPath}`, router);
+    app.use((err, req, res, next) => {
+        res.status(err.statusCode || 500).json({ success: false, error: err.message });
+    });
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}/api/v1${mountPath}`,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+/**
+ * Build the JSONL lines of one session. Each line is a second after the
+ * one before, from 2026-01-01T00:00:00Z.
+ */
+function transcript(sessionId = 'session-1') {
+    let count = 0;
+
+    const line = (type, message, extra = {}) => ({
+        type,
+        uuid: `${sessionId}-${++count}`,
+        sessionId,
+        cwd: '/work',
+        timestamp: new Date(Date.UTC(2026, 0, 1, 0, 0, count - 1)).toISOString(),
+        message,
+        ...extra
+    });
+
+    return {
+        user: (text) => line('user', { role: 'user', content: text }),
+        assistant: (text) => line('assistant', { role: 'assistant', content: [{ type: 'text', text }] }),
+        toolUse: (id, name, input) => line('assistant', {
+            role: 'assistant',
+            content: [{ type: 'tool_use', id, name, input }]
+        }),
+        toolResult: (id, content, isError = false) => line('user', {
+            role: 'user',
+            content: [{ type: 'tool_result', tool_use_id: id, content, is_error: isError }]
+        })
+    };
+}
+
+/**
+ * Write JSONL transcript lines (objects) to a file, each ending in a newline
+ */
+function writeTranscript(filePath, lines) {
+    fs.writeFileSync(filePath, lines.map(line => JSON.stringify(line) + '\n').join(''));
+}
+
+/**
+ * Build a zip archive from `{ name: text }`, deflating each member.
+ * `sizes` overrides the sizes written to the central directory.
+ */
+function buildZip(members, sizes = {}) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const [name, text] of Object.entries(members)) {
+        const nameBytes = Buffer.from(name);
+        const data = Buffer.from(text);
+        const compressed = zlib.deflateRawSync(data);
+        const size = sizes[name] ?? data.length;
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(8, 8);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(size, 22);
+        local.writeUInt16LE(nameBytes.length, 26);
+        locals.push(local, nameBytes, compressed);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(size, 24);
+        central.writeUInt16LE(nameBytes.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centrals.push(central, nameBytes);
+
+        offset += local.length + nameBytes.length + compressed.length;
+    }
+
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(Object.keys(members).length, 8);
+    end.writeUInt16LE(Object.keys(members).length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, directory, end]);
+}
+
+export {
+    buildZip,
+    setupTestEnv,
+    startApp,
+    transcript,
+    writeTranscript
+};